@@ -1,6 +1,7 @@
 // @ts-check
 import { defineConfig } from 'astro/config';
 import { resolve } from 'path';
+import { existsSync } from 'fs';
 import remarkMath from 'remark-math';
 import rehypeMathjax from 'rehype-mathjax';
 
@@ -19,6 +20,17 @@ import LinkCardEmbed from './src/embeds/link-card/embed';
 import YoutubeEmbed from './src/embeds/youtube/embed';
 import ExcalidrawEmbed from './src/embeds/excalidraw/embed';
 
+// Index lexical et données extraites par `npm run ingest` (délibérations,
+// présences, montants) : le système de fichiers des fonctions Vercel est en
+// lecture seule, ces fichiers sont construits en local, commités puis déployés
+// avec l'application
+const SHIPPED_DATA_FILES = [
+  './.data/lexical-index.json',
+  './.data/records/deliberations.json',
+  './.data/records/attendance.json',
+  './.data/records/amounts.json',
+].filter((file) => existsSync(file));
+
 // https://astro.build/config
 export default defineConfig({
   vite: {
@@ -77,6 +89,7 @@ export default defineConfig({
   base: BASE,
   output: 'server',
   adapter: vercel({
+    includeFiles: SHIPPED_DATA_FILES,
     // Ajoute d'autres options si besoin, par exemple :
     webAnalytics: { enabled: true },
     // speedInsights: { enabled: true },
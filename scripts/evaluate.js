@@ -0,0 +1,442 @@
+/**
+ * Évaluation hors ligne de la recherche (et, en option, des réponses)
+ *
+ * Chaque question du jeu de référence (scripts/goldenSet.json) passe par le
+ * même chemin de recherche que POST /api/chat (src/utils/retrieval.js), avec
+ * les fournisseurs configurés dans .env. Le script mesure :
+ *
+ * - recall@k : part des documents/pages attendus présents dans les k premiers extraits
+ * - MRR      : moyenne de 1/rang du premier extrait pertinent
+ * - période  : détection de la période attendue, recherche filtrée sans repli,
+ *              part des extraits du contexte situés dans la période
+ * - fidélité (--judge) : part des affirmations de la réponse appuyées par le
+ *              contexte selon un LLM juge, faits attendus retrouvés et
+ *              citations vérifiées (src/utils/citations.js)
+ *
+ * Sans --judge, aucun LLM n'est appelé : avec EMBEDDING_PROVIDER=transformers
+ * ou hashing et VECTOR_STORE=local, l'évaluation tourne sans réseau.
+ *
+ * Usage :
+ *   npm run evaluate
+ *   npm run evaluate -- --k 1,5,10 --output .data/evaluation.json
+ *   npm run evaluate -- --id marche-vrd-2022 --verbose
+ *   npm run evaluate -- --judge
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from 'dotenv';
+import {
+  getProviderConfig,
+  createEmbeddingProvider,
+  createLLMProvider,
+} from '../src/utils/aiProviders.js';
+import { getVectorStoreConfig, createVectorStore } from '../src/utils/vectorStore.js';
+import { getLexicalIndexConfig, createLexicalIndex } from '../src/utils/lexicalIndex.js';
+import { getRerankerConfig, createReranker } from '../src/utils/reranker.js';
+import { getChunkingConfig } from '../src/utils/chunking.js';
+import {
+  RETRIEVAL_CONFIG,
+  HYBRID_SEARCH_CONFIG,
+  retrieveChunks,
+  buildContextText,
+  buildUserPrompt,
+} from '../src/utils/retrieval.js';
+import { verifyCitations } from '../src/utils/citations.js';
+import { systemPrompt } from '../src/prompts/systemPrompt.js';
+
+config();
+
+const EVALUATION_CONFIG = {
+  DEFAULT_GOLDEN_SET: 'scripts/goldenSet.json',
+  DEFAULT_K: [1, 3, 5, 10],
+  ANSWER_MAX_TOKENS: 512, // Comme POST /api/chat
+  ANSWER_TEMPERATURE: 0.3,
+  JUDGE_MAX_TOKENS: 300,
+};
+
+const USAGE = `Usage: node scripts/evaluate.js [options]
+
+Options:
+  --golden <fichier>  Jeu de référence (défaut: ${EVALUATION_CONFIG.DEFAULT_GOLDEN_SET})
+  --k <liste>         Rangs du recall@k, séparés par des virgules (défaut: ${EVALUATION_CONFIG.DEFAULT_K.join(',')})
+  --id <texte>        N'évalue que les questions dont l'identifiant contient ce texte
+  --judge             Génère les réponses et en évalue la fidélité avec le LLM configuré
+  --output <fichier>  Enregistre le rapport complet en JSON (pour comparer deux réglages)
+  --verbose           Affiche les logs de la recherche
+  --help              Affiche cette aide`;
+
+const JUDGE_PROMPT = `Tu évalues la fidélité d'une réponse générée à partir d'extraits de comptes-rendus de conseils municipaux.
+
+1. Découpe la réponse en affirmations factuelles (dates, montants, décisions, noms...). Ignore les formules de politesse et les mentions d'absence d'information.
+2. Compte les affirmations entièrement appuyées par les extraits fournis.
+3. Pour chaque fait attendu, dans l'ordre, indique s'il figure dans la réponse.
+
+Réponds uniquement avec un objet JSON, sans texte autour :
+{"claims": <nombre d'affirmations>, "supported": <nombre d'affirmations appuyées>, "facts": [<true ou false par fait attendu>]}`;
+
+function parseArgs(argv) {
+  const options = {
+    golden: EVALUATION_CONFIG.DEFAULT_GOLDEN_SET,
+    k: EVALUATION_CONFIG.DEFAULT_K,
+    id: null,
+    judge: false,
+    output: null,
+    verbose: false,
+    help: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--golden') options.golden = argv[++i];
+    else if (arg === '--k') options.k = argv[++i].split(',').map(Number);
+    else if (arg === '--id') options.id = argv[++i];
+    else if (arg === '--judge') options.judge = true;
+    else if (arg === '--output') options.output = argv[++i];
+    else if (arg === '--verbose') options.verbose = true;
+    else if (arg === '--help') options.help = true;
+    else throw new Error(`Option inconnue: ${arg}`);
+  }
+  if (options.k.some((k) => !Number.isInteger(k) || k < 1)) {
+    throw new Error('--k attend des entiers positifs (ex: 1,5,10)');
+  }
+  return options;
+}
+
+/**
+ * Lit et valide le jeu de référence
+ * @param {string} file - Chemin du fichier JSON
+ * @returns {{version: number, questions: Array}} - Jeu de référence
+ */
+function loadGoldenSet(file) {
+  const goldenSet = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  const problems = (goldenSet.questions || []).flatMap((item, index) => {
+    const label = item.id || `#${index + 1}`;
+    return [
+      !item.id && `${label}: id manquant`,
+      !item.question && `${label}: question manquante`,
+      !(item.expected?.length > 0) && `${label}: aucun document attendu`,
+      item.expected?.some((expected) => !expected.filename) && `${label}: filename manquant`,
+    ].filter(Boolean);
+  });
+  if (!goldenSet.questions?.length || problems.length > 0) {
+    throw new Error(
+      `Jeu de référence invalide (${file}): ${problems.join(', ') || 'aucune question'}`
+    );
+  }
+  return goldenSet;
+}
+
+// =============================================================================
+// MÉTRIQUES
+// =============================================================================
+
+/**
+ * Indique si un extrait correspond à un document (et une page) attendu
+ * @param {Object} chunk - Extrait retrouvé
+ * @param {{filename: string, pages?: Array<number>}} expected - Document attendu, pages acceptées (toutes si absentes)
+ * @returns {boolean}
+ */
+function matchesExpected(chunk, expected) {
+  if (chunk.filename?.toLowerCase() !== expected.filename.toLowerCase()) return false;
+  if (!expected.pages?.length) return true;
+  const lastPage = chunk.pageEnd ?? chunk.page;
+  return expected.pages.some((page) => page >= chunk.page && page <= lastPage);
+}
+
+/**
+ * Indique si un extrait est daté dans la période
+ * @param {Object} chunk - Extrait retrouvé
+ * @param {{start: string|null, end: string|null}} period - Période (AAAA-MM-JJ, bornes incluses)
+ * @returns {boolean}
+ */
+function isInPeriod(chunk, { start, end }) {
+  if (chunk.meetingDate) {
+    return (!start || chunk.meetingDate >= start) && (!end || chunk.meetingDate <= end);
+  }
+  const year = Number(chunk.year);
+  return (
+    Number.isFinite(year) &&
+    (!start || year >= Number(start.slice(0, 4))) &&
+    (!end || year <= Number(end.slice(0, 4)))
+  );
+}
+
+/**
+ * Mesures de recherche d'une question
+ * @param {Object} item - Question du jeu de référence
+ * @param {Object} retrieval - Résultat de retrieveChunks
+ * @param {Array<number>} ks - Rangs du recall@k
+ * @returns {Object} - Rang du premier extrait pertinent, rang réciproque, recall@k et mesures temporelles
+ */
+function scoreRetrieval(item, { chunks, candidates, temporalQuery, searchMetadata }, ks) {
+  const firstRelevant = candidates.findIndex((chunk) =>
+    item.expected.some((expected) => matchesExpected(chunk, expected))
+  );
+  const recall = Object.fromEntries(
+    ks.map((k) => {
+      const top = candidates.slice(0, k);
+      const found = item.expected.filter((expected) =>
+        top.some((chunk) => matchesExpected(chunk, expected))
+      ).length;
+      return [k, found / item.expected.length];
+    })
+  );
+
+  const temporal = item.period
+    ? {
+        detected:
+          temporalQuery?.start === (item.period.start ?? null) &&
+          temporalQuery?.end === (item.period.end ?? null),
+        filtered: searchMetadata.retrievalStrategy === 'filtered',
+        inPeriod:
+          chunks.length > 0
+            ? chunks.filter((chunk) => isInPeriod(chunk, item.period)).length / chunks.length
+            : 0,
+      }
+    : // Période détectée à tort dans une question qui n'en contient pas
+      { unexpected: Boolean(temporalQuery?.start || temporalQuery?.end) };
+
+  return {
+    rank: firstRelevant >= 0 ? firstRelevant + 1 : null,
+    reciprocalRank: firstRelevant >= 0 ? 1 / (firstRelevant + 1) : 0,
+    recall,
+    temporal,
+    strategy: searchMetadata.retrievalStrategy,
+    detectedPeriod: temporalQuery?.label ?? null,
+  };
+}
+
+/**
+ * Génère la réponse comme POST /api/chat et la fait évaluer par le LLM
+ *
+ * @async
+ * @param {Object} llm - Fournisseur LLM (createLLMProvider)
+ * @param {Object} item - Question du jeu de référence
+ * @param {string} contextText - Contexte construit à partir des extraits retrouvés
+ * @returns {Promise<Object>} - Réponse, fidélité, faits retrouvés et citations vérifiées
+ */
+async function judgeAnswer(llm, item, contextText) {
+  const answer = await llm.chat(
+    [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: buildUserPrompt(contextText, item.question) },
+    ],
+    {
+      maxTokens: EVALUATION_CONFIG.ANSWER_MAX_TOKENS,
+      temperature: EVALUATION_CONFIG.ANSWER_TEMPERATURE,
+    }
+  );
+  const facts = item.facts || [];
+  const { verified, total } = verifyCitations(answer, contextText);
+
+  const verdict = await llm.chat(
+    [
+      { role: 'system', content: JUDGE_PROMPT },
+      {
+        role: 'user',
+        content: `Extraits :\n${contextText}\n\nRéponse :\n${answer}\n\nFaits attendus :\n${
+          facts.map((fact, i) => `${i + 1}. ${fact}`).join('\n') || '(aucun)'
+        }`,
+      },
+    ],
+    { maxTokens: EVALUATION_CONFIG.JUDGE_MAX_TOKENS, temperature: 0 }
+  );
+
+  let faithfulness = null;
+  let factRecall = null;
+  try {
+    const { claims, supported, facts: factsFound } = JSON.parse(verdict.match(/\{[\s\S]*\}/)[0]);
+    if (Number.isFinite(claims) && Number.isFinite(supported)) {
+      faithfulness = claims > 0 ? Math.min(1, supported / claims) : 1;
+    }
+    if (facts.length > 0 && Array.isArray(factsFound)) {
+      factRecall =
+        factsFound.slice(0, facts.length).filter((found) => found === true).length / facts.length;
+    }
+  } catch {
+    console.warn(`[Eval] ⚠️ ${item.id}: verdict du juge illisible: ${verdict.slice(0, 120)}`);
+  }
+
+  return {
+    answer,
+    faithfulness,
+    factRecall,
+    citations: { verified, total },
+  };
+}
+
+/**
+ * Moyenne des valeurs définies
+ * @param {Array<number|null|undefined>} values - Valeurs
+ * @returns {number|null} - Moyenne, null si aucune valeur
+ */
+function mean(values) {
+  const defined = values.filter((value) => typeof value === 'number');
+  return defined.length > 0
+    ? defined.reduce((sum, value) => sum + value, 0) / defined.length
+    : null;
+}
+
+/**
+ * Agrège les mesures de toutes les questions
+ * @param {Array} results - Résultats par question (sans erreur)
+ * @param {Array<number>} ks - Rangs du recall@k
+ * @returns {Object} - Mesures globales
+ */
+function summarize(results, ks) {
+  const withPeriod = results.filter((result) => result.temporal.detected !== undefined);
+  const judged = results.filter((result) => result.judge);
+
+  return {
+    questions: results.length,
+    recall: Object.fromEntries(ks.map((k) => [k, mean(results.map((result) => result.recall[k]))])),
+    mrr: mean(results.map((result) => result.reciprocalRank)),
+    temporal: {
+      questions: withPeriod.length,
+      detectionRate: mean(withPeriod.map((result) => Number(result.temporal.detected))),
+      filteredRate: mean(withPeriod.map((result) => Number(result.temporal.filtered))),
+      inPeriodRate: mean(withPeriod.map((result) => result.temporal.inPeriod)),
+      unexpectedPeriods: results.filter((result) => result.temporal.unexpected).length,
+    },
+    judge:
+      judged.length > 0
+        ? {
+            questions: judged.length,
+            faithfulness: mean(judged.map((result) => result.judge.faithfulness)),
+            factRecall: mean(judged.map((result) => result.judge.factRecall)),
+            citationsVerified: mean(
+              judged
+                .filter((result) => result.judge.citations.total > 0)
+                .map((result) => result.judge.citations.verified / result.judge.citations.total)
+            ),
+          }
+        : null,
+  };
+}
+
+/**
+ * Formate une mesure entre 0 et 1 en pourcentage
+ * @param {number|null} value - Mesure
+ * @returns {string}
+ */
+function percent(value) {
+  return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const goldenSet = loadGoldenSet(options.golden);
+  const questions = goldenSet.questions.filter(
+    (item) => !options.id || item.id.includes(options.id)
+  );
+  if (questions.length === 0) {
+    throw new Error(
+      options.id
+        ? `Aucune question ne correspond à --id ${options.id}`
+        : `Aucune question dans ${options.golden}`
+    );
+  }
+  const ks = [...new Set(options.k)].sort((a, b) => a - b);
+
+  // Le LLM ne sert qu'au juge : sans --judge, aucune clé ni serveur n'est requis
+  const providers = { ...getProviderConfig(), ...(options.judge ? {} : { llmProvider: 'none' }) };
+  const vectorStoreConfig = getVectorStoreConfig();
+  const missing = [...vectorStoreConfig.missing];
+  if (
+    !providers.hfKey &&
+    (providers.embeddingProvider === 'huggingface' || providers.llmProvider === 'huggingface')
+  ) {
+    missing.push('HUGGINGFACE_API_KEY');
+  }
+  if (missing.length > 0) {
+    throw new Error(`Variables d'environnement manquantes: ${missing.join(', ')}`);
+  }
+
+  const backends = {
+    embedder: createEmbeddingProvider(providers),
+    vectorStore: createVectorStore(vectorStoreConfig),
+    lexicalIndex: createLexicalIndex(getLexicalIndexConfig()),
+    reranker: createReranker(getRerankerConfig()),
+  };
+  const llm = options.judge ? createLLMProvider(providers) : null;
+
+  const settings = {
+    embedding: `${backends.embedder.name} (${backends.embedder.model})`,
+    vectorStore: backends.vectorStore.name,
+    lexicalSearch: getLexicalIndexConfig().enabled,
+    reranker: backends.reranker.enabled ? backends.reranker.model : 'none',
+    // Taille des chunks lue dans l'environnement : elle ne vaut pour l'index que s'il a été construit avec
+    chunking: getChunkingConfig(),
+    retrieval: RETRIEVAL_CONFIG,
+    hybridSearch: HYBRID_SEARCH_CONFIG,
+    llm: llm ? llm.model : null,
+  };
+  console.log(
+    `[Eval] 📋 ${questions.length} questions (jeu de référence v${goldenSet.version}), ${settings.embedding}, ${settings.vectorStore}, reranker ${settings.reranker}`
+  );
+
+  const results = [];
+  const failures = [];
+  const log = options.verbose ? console.log : () => {};
+
+  for (const [index, item] of questions.entries()) {
+    const label = `[${index + 1}/${questions.length}] ${item.id}`;
+    try {
+      const retrieval = await retrieveChunks(backends, item.question, { log });
+      const result = { id: item.id, ...scoreRetrieval(item, retrieval, ks) };
+      if (llm) {
+        result.judge = await judgeAnswer(llm, item, buildContextText(retrieval.chunks));
+      }
+      results.push(result);
+
+      console.log(
+        `[Eval] ${result.rank === 1 ? '✅' : result.rank ? '🟡' : '❌'} ${label}: rang ${result.rank ?? '-'}, ${ks.map((k) => `R@${k} ${percent(result.recall[k])}`).join(', ')}, ${result.strategy}${result.detectedPeriod ? ` (${result.detectedPeriod})` : ''}${result.judge ? `, fidélité ${percent(result.judge.faithfulness)}` : ''}`
+      );
+    } catch (error) {
+      console.error(`[Eval] 💥 ${label}: ${error.message}`);
+      failures.push({ id: item.id, error: error.message });
+    }
+  }
+
+  const summary = summarize(results, ks);
+  console.log('\n[Eval] 📊 Résultats');
+  ks.forEach((k) => console.log(`- recall@${k}: ${percent(summary.recall[k])}`));
+  console.log(`- MRR: ${summary.mrr === null ? '-' : summary.mrr.toFixed(3)}`);
+  console.log(
+    `- Période (${summary.temporal.questions} questions): détectée ${percent(summary.temporal.detectionRate)}, recherche filtrée ${percent(summary.temporal.filteredRate)}, extraits dans la période ${percent(summary.temporal.inPeriodRate)}`
+  );
+  console.log(`- Périodes détectées à tort: ${summary.temporal.unexpectedPeriods}`);
+  if (summary.judge) {
+    console.log(
+      `- Fidélité: ${percent(summary.judge.faithfulness)}, faits attendus: ${percent(summary.judge.factRecall)}, citations vérifiées: ${percent(summary.judge.citationsVerified)}`
+    );
+  }
+
+  if (options.output) {
+    const report = {
+      date: new Date().toISOString(),
+      goldenSet: { file: options.golden, version: goldenSet.version },
+      settings,
+      summary,
+      results,
+      failures,
+    };
+    fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+    fs.writeFileSync(options.output, JSON.stringify(report, null, 2));
+    console.log(`[Eval] 💾 Rapport enregistré: ${options.output}`);
+  }
+
+  if (failures.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error('[Eval] 💥', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,166 @@
+/**
+ * Ingestion en ligne de commande des comptes-rendus de public/datas
+ *
+ * Remplace l'OCR dans le navigateur (DocumentList.svelte) : le texte est lu
+ * depuis la couche texte pdf.js, avec repli sur Tesseract pour les pages
+ * numérisées, puis indexé avec le même pipeline que POST /api/QdrantUploader.
+ * Chaque document indexé (ou en échec) est inscrit au journal d'audit, au nom
+ * de l'utilisateur système qui lance le script.
+ *
+ * Usage :
+ *   npm run ingest
+ *   npm run ingest -- --year 2024
+ *   npm run ingest -- --file seance-du-12-04-2016 --force-ocr
+ *   npm run ingest -- --dry-run
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from 'dotenv';
+import { listPdfs } from '../src/utils/pdfDocuments.js';
+import { extractPdfPages, createOcrEngine } from '../src/utils/pdfText.js';
+import {
+  getIndexingConfig,
+  createIndexingClients,
+  indexDocument,
+} from '../src/utils/documentIndexer.js';
+import { createAuditLog } from '../src/utils/auditLog.js';
+
+config();
+
+const publicDir = path.resolve('public');
+const baseDir = path.join(publicDir, 'datas');
+
+const USAGE = `Usage: node scripts/ingestDocuments.js [options]
+
+Options:
+  --year <yyyy>     N'indexe que les documents de cette année
+  --file <texte>    N'indexe que les fichiers dont le nom contient ce texte
+  --force-ocr       Applique l'OCR à toutes les pages, même avec couche texte
+  --dry-run         Extrait le texte sans rien envoyer à l'index
+  --help            Affiche cette aide`;
+
+function parseArgs(argv) {
+  const options = { year: null, file: null, forceOcr: false, dryRun: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--year') options.year = parseInt(argv[++i]);
+    else if (arg === '--file') options.file = argv[++i];
+    else if (arg === '--force-ocr') options.forceOcr = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--help') options.help = true;
+    else throw new Error(`Option inconnue: ${arg}`);
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const documents = listPdfs(baseDir).filter(
+    (doc) =>
+      (!options.year || doc.year === options.year) &&
+      (!options.file || doc.name.includes(options.file))
+  );
+  console.log(`[Ingest] 📚 ${documents.length} documents à traiter`);
+
+  let indexingConfig = null;
+  let clients = null;
+  let auditLog = null;
+  if (!options.dryRun) {
+    indexingConfig = getIndexingConfig();
+    if (!indexingConfig.valid) {
+      throw new Error(`Variables d'environnement manquantes: ${indexingConfig.missing.join(', ')}`);
+    }
+    clients = createIndexingClients(indexingConfig);
+    auditLog = createAuditLog(indexingConfig.records);
+  }
+  const audit = { action: 'index_document', actor: os.userInfo().username, source: 'cli' };
+
+  // Le moteur OCR n'est créé qu'à la première page numérisée, puis réutilisé
+  let ocrEngine = null;
+  const getOcrEngine = async () => (ocrEngine ??= await createOcrEngine());
+
+  const failures = [];
+  let totalChunks = 0;
+
+  try {
+    for (const [index, doc] of documents.entries()) {
+      const label = `[${index + 1}/${documents.length}] ${doc.name}`;
+      try {
+        console.log(`[Ingest] 📄 ${label}`);
+        const data = new Uint8Array(fs.readFileSync(path.join(publicDir, doc.path)));
+        const extracted = await extractPdfPages(data, {
+          forceOcr: options.forceOcr,
+          getOcrEngine,
+          onPage: ({ page_number, method, total }) =>
+            console.log(`[Ingest]    page ${page_number}/${total} (${method})`),
+        });
+
+        const pages = extracted
+          .filter((page) => page.text.trim())
+          .map(({ page_number, text }) => ({ page_number, text }));
+        const ocrPages = extracted.filter((page) => page.method === 'ocr').length;
+        console.log(`[Ingest]    ${pages.length} pages avec texte, dont ${ocrPages} par OCR`);
+
+        if (pages.length === 0) {
+          throw new Error('Aucun texte extrait');
+        }
+        if (options.dryRun) continue;
+
+        // Le document est toujours relu en entier : ses anciens chunks sont remplacés
+        const result = await indexDocument(
+          { filename: doc.name, filepath: doc.path, year: doc.year, pages },
+          clients,
+          { replace: true }
+        );
+        totalChunks += result.totalChunks;
+        await auditLog.record({
+          ...audit,
+          filename: doc.name,
+          filepath: doc.path,
+          outcome: 'success',
+          details: {
+            pages: pages.length,
+            total_chunks: result.totalChunks,
+            replaced: true,
+            deleted_chunks: result.deletedChunks,
+          },
+        });
+        console.log(
+          `[Ingest] ✅ ${label}: ${result.totalChunks} chunks indexés (${result.deletedChunks} remplacés), ${result.deliberations ?? '?'} délibérations, ${result.amounts ?? '?'} montants, présences ${result.attendance === null ? '?' : result.attendance ? 'extraites' : 'absentes'}, séance du ${result.meetingDate || '?'}`
+        );
+      } catch (error) {
+        console.error(`[Ingest] ❌ ${label}: ${error.message}`);
+        failures.push({ name: doc.name, error: error.message });
+        await auditLog?.record({
+          ...audit,
+          filename: doc.name,
+          filepath: doc.path,
+          outcome: 'failure',
+          details: { error: error.message },
+        });
+      }
+    }
+  } finally {
+    await ocrEngine?.terminate();
+  }
+
+  console.log(
+    `[Ingest] 🏁 Terminé: ${documents.length - failures.length}/${documents.length} documents, ${totalChunks} chunks`
+  );
+  if (failures.length > 0) {
+    failures.forEach((failure) => console.error(`- ${failure.name}: ${failure.error}`));
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error('[Ingest] 💥', error.message);
+  process.exitCode = 1;
+});
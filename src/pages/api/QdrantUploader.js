@@ -3,20 +3,37 @@
  * API ROUTE: QDRANT UPLOADER - DOCUMENT INDEXING PIPELINE
  * =============================================================================
  *
- * ENDPOINT: POST /api/QdrantUploader
+ * ENDPOINTS:
+ * - POST /api/QdrantUploader : indexe (ou ré-indexe avec `replace: true`) un document
+ * - DELETE /api/QdrantUploader : retire un document de l'index
+ *
+ * AUTHENTIFICATION:
+ * Les deux méthodes modifient l'index : elles exigent le jeton ADMIN_TOKEN
+ * (en-tête `Authorization: Bearer <jeton>`) ou une session administrateur
+ * ouverte depuis la page Documents (voir src/utils/adminAuth.js). Chaque
+ * appel, accepté ou refusé, est inscrit au journal d'audit.
  *
  * DESCRIPTION:
  * Cette API route gère l'indexation des documents municipaux dans la base de
- * données vectorielle Qdrant. Elle implémente un pipeline complet de traitement
+ * données vectorielle (Qdrant ou fichier local). Elle implémente un pipeline complet de traitement
  * des documents : découpage en chunks, génération d'embeddings, et stockage
  * avec métadonnées enrichies.
  *
  * PIPELINE D'INDEXATION:
  * 1. Validation des données d'entrée
- * 2. Vérification/création de la collection Qdrant
+ * 2. Vérification/création de la collection
  * 3. Découpage des pages en chunks de texte
- * 4. Génération d'embeddings pour chaque chunk
- * 5. Stockage avec métadonnées complètes
+ * 4. Génération d'embeddings par lots (concurrence bornée, reprise sur rate limit)
+ * 5. Stockage par lots avec métadonnées complètes
+ * 6. Extraction des délibérations (numéro, objet, décision, vote) pour /api/deliberations
+ * 7. Extraction des présences (présents, absents, pouvoirs, secrétaire) pour /api/attendance
+ * 8. Extraction des montants cités (objet, date, HT/TTC) pour /api/amounts
+ * 9. Invalidation des réponses en cache de /api/chat (aussi après une suppression)
+ *
+ * Les étapes 6 à 8 écrivent dans RECORDS_DIR : sur un système de fichiers non
+ * persistant (Vercel), elles sont ignorées et signalées `skipped` dans la
+ * réponse. Ces données se construisent avec `npm run ingest`, puis sont
+ * déployées avec l'application.
  *
  * UTILISATION PÉDAGOGIQUE:
  * Ce fichier illustre les concepts fondamentaux du RAG :
@@ -26,14 +43,19 @@
  * - Stockage vectoriel avec métadonnées
  * - Gestion d'erreurs robuste
  *
+ * Le pipeline lui-même (chunking, embeddings, stockage) est implémenté dans
+ * src/utils/documentIndexer.js et partagé avec le script d'ingestion en ligne
+ * de commande (npm run ingest).
+ *
  * TECHNOLOGIES UTILISÉES:
- * - Qdrant Vector Database (stockage)
- * - Hugging Face Inference API (embeddings)
+ * - Stockage vectoriel configurable (Qdrant ou fichier local, VECTOR_STORE)
+ * - Fournisseur d'embeddings configurable (Hugging Face ou transformers.js local)
  * - Node.js crypto (génération d'IDs)
  *
  * PERFORMANCE:
  * - Chunking: ~1000 caractères par chunk
  * - Embeddings: 384 dimensions (all-MiniLM-L6-v2)
+ * - Lots: 16 embeddings et 64 points par appel (voir INDEXING_CONFIG)
  * - Métadonnées: Complètes pour traçabilité
  *
  * =============================================================================
@@ -45,87 +67,24 @@ export const prerender = false;
 // IMPORTS ET CONFIGURATION
 // =============================================================================
 
-import { QdrantClient } from '@qdrant/js-client-rest';
-import { InferenceClient } from '@huggingface/inference';
 import { config } from 'dotenv';
-import crypto from 'crypto';
+import {
+  getIndexingConfig,
+  createIndexingClients,
+  indexDocument,
+  deleteDocumentPoints,
+} from '../../utils/documentIndexer.js';
+import { getAdminAuthConfig, authorizeAdminRequest, getClientInfo } from '../../utils/adminAuth.js';
+import { createAuditLog } from '../../utils/auditLog.js';
+import { getRecordStoreConfig } from '../../utils/recordStore.js';
 
 // Chargement des variables d'environnement
 config();
 
-// =============================================================================
-// CONSTANTES ET CONFIGURATION
-// =============================================================================
-
-/**
- * Configuration du chunking des documents
- */
-const CHUNKING_CONFIG = {
-  MAX_CHUNK_SIZE: 1000, // Taille maximale d'un chunk en caractères
-  EMBEDDING_MODEL: 'sentence-transformers/all-MiniLM-L6-v2', // Modèle d'embeddings
-  VECTOR_DISTANCE: 'Cosine', // Métrique de similarité pour Qdrant
-};
-
-/**
- * Structure des métadonnées stockées avec chaque chunk
- */
-const METADATA_STRUCTURE = {
-  text: 'string', // Contenu textuel du chunk
-  filename: 'string', // Nom du fichier source
-  filepath: 'string', // Chemin complet du fichier
-  year: 'number', // Année du document
-  page_number: 'number', // Numéro de page
-  chunk_index: 'number', // Index du chunk dans la page
-  total_chunks: 'number', // Nombre total de chunks dans la page
-  timestamp: 'string', // Timestamp ISO de création
-  _timestamp: 'number', // Timestamp Unix pour indexation
-};
-
 // =============================================================================
 // FONCTIONS UTILITAIRES
 // =============================================================================
 
-/**
- * Découpe un texte en chunks de taille optimale pour les embeddings
- *
- * Cette fonction implémente un algorithme de chunking intelligent qui :
- * - Respecte les paragraphes naturels du texte
- * - Évite de couper les mots au milieu
- * - Maintient une taille optimale pour les embeddings
- * - Préserve la cohérence sémantique
- *
- * @param {string} text - Texte à découper
- * @param {number} maxLen - Taille maximale d'un chunk (défaut: 1000)
- * @returns {Array<string>} Tableau de chunks de texte
- *
- * @example
- * const chunks = chunkText("Paragraphe 1...\n\nParagraphe 2...", 1000);
- * // Retourne: ["Paragraphe 1...", "Paragraphe 2..."]
- */
-function chunkText(text, maxLen = CHUNKING_CONFIG.MAX_CHUNK_SIZE) {
-  const chunks = [];
-  let current = '';
-
-  // Division par paragraphes pour préserver la structure
-  for (const paragraph of text.split(/\n+/)) {
-    // Si l'ajout du paragraphe dépasse la limite
-    if ((current + paragraph).length > maxLen) {
-      // Sauvegarde du chunk actuel s'il n'est pas vide
-      if (current) chunks.push(current);
-      // Commence un nouveau chunk avec le paragraphe actuel
-      current = paragraph;
-    } else {
-      // Ajoute le paragraphe au chunk actuel
-      current += (current ? '\n' : '') + paragraph;
-    }
-  }
-
-  // Ajoute le dernier chunk s'il n'est pas vide
-  if (current) chunks.push(current);
-
-  return chunks;
-}
-
 /**
  * Valide les données d'entrée pour l'upload
  *
@@ -163,106 +122,39 @@ function validateUploadData(data) {
 }
 
 /**
- * Crée ou vérifie l'existence d'une collection Qdrant
+ * Vérifie que la requête vient d'un administrateur
  *
- * @param {QdrantClient} qdrant - Client Qdrant
- * @param {string} collectionName - Nom de la collection
- * @param {string} hfKey - Clé API Hugging Face
- * @param {string} sampleText - Texte d'exemple pour déterminer la taille des embeddings
- * @returns {Promise<void>}
- */
-async function ensureCollectionExists(qdrant, collectionName, hfKey, sampleText) {
-  try {
-    // Tentative de récupération de la collection existante
-    await qdrant.getCollection(collectionName);
-    console.log(`[API] ✅ Collection ${collectionName} existe déjà`);
-  } catch {
-    // Collection inexistante, création nécessaire
-    console.log(`[API] 🔧 Création de la collection ${collectionName}`);
-
-    // Génération d'un embedding de test pour déterminer la taille
-    const hf = new InferenceClient(hfKey);
-    const testEmbedding = await hf.featureExtraction({
-      model: CHUNKING_CONFIG.EMBEDDING_MODEL,
-      inputs: sampleText,
-    });
-
-    // Création de la collection avec la configuration appropriée
-    await qdrant.createCollection(collectionName, {
-      vectors: {
-        size: testEmbedding.length,
-        distance: CHUNKING_CONFIG.VECTOR_DISTANCE,
-      },
-    });
-
-    console.log(
-      `[API] ✅ Collection ${collectionName} créée avec ${testEmbedding.length} dimensions`
-    );
-  }
-}
-
-/**
- * Traite une page et génère ses embeddings
+ * Un refus est inscrit au journal d'audit ; le corps de la requête n'est
+ * pas lu. Un jeton refusé est compté : après trop d'essais, la réponse est
+ * 429 (authorizeAdminRequest).
  *
- * @param {Object} page - Page à traiter
- * @param {string} filename - Nom du fichier source
- * @param {string} filepath - Chemin du fichier
- * @param {number} year - Année du document
- * @param {InferenceClient} hf - Client Hugging Face
- * @param {QdrantClient} qdrant - Client Qdrant
- * @param {string} collectionName - Nom de la collection
- * @returns {Promise<number>} Nombre de chunks traités
+ * @async
+ * @param {Object} context - Contexte Astro de la route
+ * @param {Object} auditLog - Journal retourné par createAuditLog
+ * @param {string} action - Action demandée (index_document, delete_document)
+ * @returns {Promise<{audit: Object|null, response: Response|null}>} Champs communs des entrées
+ *   d'audit (auteur, méthode, client) si autorisé, réponse 401/429/503 sinon
  */
-async function processPage(page, filename, filepath, year, hf, qdrant, collectionName) {
-  // Découpage de la page en chunks
-  const chunks = chunkText(page.text, CHUNKING_CONFIG.MAX_CHUNK_SIZE);
-  const pageChunks = chunks.length;
-
-  console.log(`[API] 📄 Traitement de la page ${page.page_number}: ${pageChunks} chunks`);
-
-  // Traitement de chaque chunk
-  for (let i = 0; i < chunks.length; i++) {
-    const chunk = chunks[i];
-
-    // Génération de l'embedding
-    const embedding = await hf.featureExtraction({
-      model: CHUNKING_CONFIG.EMBEDDING_MODEL,
-      inputs: chunk,
-    });
+async function authorizeWrite(context, auditLog, action) {
+  const auth = await authorizeAdminRequest(getAdminAuthConfig(), context);
+  const client = getClientInfo(context);
 
-    // Génération d'un ID unique pour le chunk
-    const chunkId = crypto.randomUUID();
+  if (!auth.authorized) {
+    console.warn(`[API] 🔒 ${action} refusé: ${auth.error}`);
+    await auditLog.record({ action, outcome: 'denied', ...client, details: { error: auth.error } });
 
-    // Préparation des métadonnées
-    const payload = {
-      text: chunk,
-      filename: filename || 'unknown.txt',
-      filepath: filepath || filename || 'unknown.txt',
-      year: year || new Date().getFullYear(),
-      page_number: page.page_number,
-      chunk_index: i,
-      total_chunks: pageChunks,
-      timestamp: new Date().toISOString(),
-      _timestamp: Date.now(),
+    const headers = { 'Content-Type': 'application/json', ...auth.headers };
+    if (auth.status === 401) headers['WWW-Authenticate'] = 'Bearer';
+    return {
+      audit: null,
+      response: new Response(JSON.stringify({ error: auth.error }), {
+        status: auth.status,
+        headers,
+      }),
     };
-
-    // Stockage dans Qdrant
-    await qdrant.upsert(collectionName, {
-      points: [
-        {
-          id: chunkId,
-          vector: embedding,
-          payload: payload,
-        },
-      ],
-    });
-
-    console.log(
-      `[API] ✅ Page ${page.page_number}, Chunk ${i + 1}/${pageChunks} stocké (ID: ${chunkId.substring(0, 8)}...)`
-    );
   }
 
-  return pageChunks;
+  return { audit: { action, actor: auth.actor, method: auth.method, ...client }, response: null };
 }
 
 // =============================================================================
@@ -273,19 +165,25 @@ async function processPage(page, filename, filepath, year, hf, qdrant, collectio
  * Gère l'upload et l'indexation de documents dans Qdrant
  *
  * Cette fonction implémente le pipeline complet d'indexation :
+ * 0. Authentification de l'administrateur
  * 1. Validation des données d'entrée
- * 2. Configuration des clients (Qdrant, Hugging Face)
+ * 2. Configuration des clients (stockage vectoriel, fournisseur d'embeddings)
  * 3. Vérification/création de la collection
- * 4. Traitement de chaque page (chunking + embeddings)
- * 5. Stockage avec métadonnées complètes
+ * 4. Suppression des anciens chunks du document (si `replace: true`)
+ * 5. Chunking de toutes les pages, embeddings par lots
+ * 6. Stockage par lots avec métadonnées complètes
+ *
+ * Les IDs des chunks sont déterministes (fichier, page, index) : ré-envoyer
+ * un document met à jour ses chunks au lieu de les dupliquer.
  *
  * @async
- * @param {Object} params - Paramètres de la requête Astro
- * @param {Request} params.request - Objet Request de la requête HTTP
+ * @param {Object} context - Contexte Astro de la route
+ * @param {Request} context.request - Objet Request de la requête HTTP
+ * @param {Object} context.cookies - Cookies (session administrateur)
  * @returns {Promise<Response>} Réponse JSON avec statistiques d'indexation
  *
  * @example
- * // Requête client
+ * // Requête client (sans session : en-tête Authorization: Bearer <ADMIN_TOKEN>)
  * const response = await fetch('/api/QdrantUploader', {
  *   method: 'POST',
  *   headers: { 'Content-Type': 'application/json' },
@@ -293,6 +191,7 @@ async function processPage(page, filename, filepath, year, hf, qdrant, collectio
  *     filename: 'compte-rendu-2025.pdf',
  *     filepath: '/data/municipal/compte-rendu-2025.pdf',
  *     year: 2025,
+ *     replace: true,
  *     pages: [
  *       { page_number: 1, text: 'Contenu de la page 1...' },
  *       { page_number: 2, text: 'Contenu de la page 2...' }
@@ -304,24 +203,39 @@ async function processPage(page, filename, filepath, year, hf, qdrant, collectio
  * {
  *   success: true,
  *   total_chunks: 15,
- *   pages_processed: 2
+ *   pages_processed: 2,
+ *   meeting_date: '2025-02-03', // Déduite du nom ou du texte si non fournie
+ *   deleted_chunks: 14
  * }
  */
-export async function POST({ request }) {
+export async function POST(context) {
+  const { request } = context;
   console.log("[API] 🚀 Début de l'upload vers Qdrant");
 
+  const auditLog = createAuditLog(getRecordStoreConfig());
+  const { audit, response } = await authorizeWrite(context, auditLog, 'index_document');
+  if (response) return response;
+
+  let document = {};
   try {
     // =====================================================================
     // ÉTAPE 1: VALIDATION ET EXTRACTION DES DONNÉES
     // =====================================================================
 
     console.log("[API] 📝 Validation des données d'entrée...");
-    const { filename, filepath, year, pages } = await request.json();
+    const { filename, filepath, year, meeting_date, pages, replace = false } = await request.json();
+    document = { filename, filepath };
 
     // Validation des données
     const validation = validateUploadData({ filename, filepath, year, pages });
     if (!validation.valid) {
       console.error('[API] ❌ Validation échouée:', validation.error);
+      await auditLog.record({
+        ...audit,
+        ...document,
+        outcome: 'failure',
+        details: { error: validation.error },
+      });
       return new Response(JSON.stringify({ error: validation.error }), { status: 400 });
     }
 
@@ -332,53 +246,40 @@ export async function POST({ request }) {
     // =====================================================================
 
     console.log('[API] 🔧 Configuration des clients...');
-    const hfKey = process.env.HUGGINGFACE_API_KEY;
-    const qdrantUrl = process.env.QDRANT_URL;
-    const qdrantCollection = process.env.QDRANT_COLLECTION_NAME || 'municipal_council_minutes';
-    const qdrantApiKey = process.env.QDRANT_API_KEY;
+    const indexingConfig = getIndexingConfig();
 
     // Vérification des variables d'environnement
-    if (!hfKey || !qdrantUrl) {
-      throw new Error("Variables d'environnement manquantes: HUGGINGFACE_API_KEY ou QDRANT_URL");
+    if (!indexingConfig.valid) {
+      throw new Error(`Variables d'environnement manquantes: ${indexingConfig.missing.join(', ')}`);
     }
 
     // Initialisation des clients
-    const qdrant = new QdrantClient({ url: qdrantUrl, apiKey: qdrantApiKey });
-    const hf = new InferenceClient(hfKey);
+    const clients = createIndexingClients(indexingConfig);
 
     console.log('[API] ✅ Clients configurés');
 
     // =====================================================================
-    // ÉTAPE 3: VÉRIFICATION/CRÉATION DE LA COLLECTION
+    // ÉTAPES 3 À 5: COLLECTION, REMPLACEMENT PUIS TRAITEMENT DES PAGES
     // =====================================================================
 
-    console.log('[API] 🗄️ Vérification de la collection Qdrant...');
-    await ensureCollectionExists(qdrant, qdrantCollection, hfKey, pages[0].text);
+    console.log(
+      `[API] 🔄 Début du traitement des pages${replace ? ' (mode remplacement)' : ''}...`
+    );
+    const { totalChunks, deletedChunks, meetingDate, deliberations, attendance, amounts, batches } =
+      await indexDocument({ filename, filepath, year, meeting_date, pages }, clients, {
+        replace: Boolean(replace),
+      });
 
     // =====================================================================
-    // ÉTAPE 4: TRAITEMENT DES PAGES
+    // ÉTAPE 6: PRÉPARATION DE LA RÉPONSE
     // =====================================================================
 
-    console.log('[API] 🔄 Début du traitement des pages...');
-    let totalChunks = 0;
-
-    // Traitement séquentiel de chaque page
-    for (const page of pages) {
-      const pageChunks = await processPage(
-        page,
-        filename,
-        filepath,
-        year,
-        hf,
-        qdrant,
-        qdrantCollection
-      );
-      totalChunks += pageChunks;
-    }
-
-    // =====================================================================
-    // ÉTAPE 5: PRÉPARATION DE LA RÉPONSE
-    // =====================================================================
+    // Données structurées non enregistrées (système de fichiers non persistant) :
+    // les chunks sont indexés, mais ces pages et réponses du chat resteront
+    // sans ce document jusqu'au prochain déploiement
+    const skipped = Object.entries({ deliberations, attendance, amounts })
+      .filter(([, value]) => value === null)
+      .map(([name]) => name);
 
     const responseData = {
       success: true,
@@ -386,12 +287,35 @@ export async function POST({ request }) {
       pages_processed: pages.length,
       filename: filename,
       year: year || new Date().getFullYear(),
+      meeting_date: meetingDate,
       average_chunks_per_page: Math.round((totalChunks / pages.length) * 100) / 100,
+      replaced: Boolean(replace),
+      deleted_chunks: deletedChunks,
+      deliberations: deliberations ?? 'skipped',
+      attendance: attendance ?? 'skipped',
+      amounts: amounts ?? 'skipped',
+      skipped,
+      ...(skipped.length > 0 && {
+        warning: `Non enregistré sur ce serveur: ${skipped.join(', ')}. Lancez npm run ingest puis redéployez.`,
+      }),
+      batches,
     };
 
     console.log(
       `[API] ✅ Upload terminé: ${totalChunks} chunks indexés pour ${pages.length} pages`
     );
+    await auditLog.record({
+      ...audit,
+      ...document,
+      outcome: 'success',
+      details: {
+        pages: pages.length,
+        total_chunks: totalChunks,
+        replaced: Boolean(replace),
+        deleted_chunks: deletedChunks,
+        skipped,
+      },
+    });
 
     return new Response(JSON.stringify(responseData), { status: 200 });
   } catch (error) {
@@ -401,6 +325,12 @@ export async function POST({ request }) {
 
     console.error("[API] 💥 Exception lors de l'upload:", error);
     console.error('[API] 📍 Stack trace:', error.stack);
+    await auditLog.record({
+      ...audit,
+      ...document,
+      outcome: 'failure',
+      details: { error: error.message },
+    });
 
     return new Response(
       JSON.stringify({
@@ -441,13 +371,108 @@ export async function PUT() {
 }
 
 /**
- * Gère les requêtes DELETE (non supportées)
+ * Retire un document de l'index
  *
- * @returns {Response} Réponse d'erreur 405
+ * Les identifiants sont lus dans le corps JSON ou, à défaut, dans la query
+ * string. Le chemin (`filepath`) est prioritaire sur le nom de fichier.
+ *
+ * Réservé aux administrateurs, comme l'indexation.
+ *
+ * @async
+ * @param {Object} context - Contexte Astro de la route
+ * @param {Request} context.request - Objet Request de la requête HTTP
+ * @param {Object} context.cookies - Cookies (session administrateur)
+ * @returns {Promise<Response>} Réponse JSON avec le nombre de chunks supprimés
+ *
+ * @example
+ * await fetch('/api/QdrantUploader?filepath=/datas/2016/compte-rendu-seance-du-12-04-2016.pdf', {
+ *   method: 'DELETE'
+ * });
+ * // { success: true, deleted_chunks: 42, filepath: '/datas/2016/...' }
  */
-export async function DELETE() {
-  return new Response(JSON.stringify({ error: 'Méthode DELETE non supportée. Utilisez POST.' }), {
-    status: 405,
-    headers: { 'Content-Type': 'application/json' },
-  });
+export async function DELETE(context) {
+  const { request } = context;
+  console.log("[API] 🗑️ Début de la suppression d'un document");
+
+  const auditLog = createAuditLog(getRecordStoreConfig());
+  const { audit, response } = await authorizeWrite(context, auditLog, 'delete_document');
+  if (response) return response;
+
+  let document = {};
+  try {
+    const url = new URL(request.url);
+    const body = request.headers.get('content-type')?.includes('application/json')
+      ? await request.json()
+      : {};
+    const filename = body.filename || url.searchParams.get('filename');
+    const filepath = body.filepath || url.searchParams.get('filepath');
+    document = { filename, filepath };
+
+    if (!filename && !filepath) {
+      await auditLog.record({
+        ...audit,
+        outcome: 'failure',
+        details: { error: 'Paramètre "filename" ou "filepath" requis' },
+      });
+      return new Response(JSON.stringify({ error: 'Paramètre "filename" ou "filepath" requis' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    const indexingConfig = getIndexingConfig();
+    if (!indexingConfig.valid) {
+      throw new Error(`Variables d'environnement manquantes: ${indexingConfig.missing.join(', ')}`);
+    }
+    const { store, lexicalIndex, deliberations, attendance, amounts, answerCache } =
+      createIndexingClients(indexingConfig);
+
+    const deletedChunks = await deleteDocumentPoints(
+      store,
+      { filename, filepath },
+      { lexicalIndex, deliberations, attendance, amounts, answerCache }
+    );
+
+    if (deletedChunks === 0) {
+      await auditLog.record({
+        ...audit,
+        ...document,
+        outcome: 'failure',
+        details: { error: "Document introuvable dans l'index" },
+      });
+      return new Response(JSON.stringify({ error: "Document introuvable dans l'index" }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    console.log(`[API] ✅ Document supprimé: ${deletedChunks} chunks`);
+    await auditLog.record({
+      ...audit,
+      ...document,
+      outcome: 'success',
+      details: { deleted_chunks: deletedChunks },
+    });
+
+    return new Response(
+      JSON.stringify({ success: true, deleted_chunks: deletedChunks, filename, filepath }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('[API] 💥 Exception lors de la suppression:', error);
+    await auditLog.record({
+      ...audit,
+      ...document,
+      outcome: 'failure',
+      details: { error: error.message },
+    });
+
+    return new Response(
+      JSON.stringify({
+        error: 'Erreur lors de la suppression du document',
+        details: error.message,
+      }),
+      { status: 500, headers: { 'Content-Type': 'application/json' } }
+    );
+  }
 }
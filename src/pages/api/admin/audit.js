@@ -0,0 +1,139 @@
+/**
+ * =============================================================================
+ * API ROUTE: JOURNAL D'AUDIT
+ * =============================================================================
+ *
+ * ENDPOINTS:
+ * - GET /api/admin/audit : entrées du journal d'audit, des plus récentes aux plus anciennes
+ *
+ * DESCRIPTION:
+ * Chaque indexation, suppression de document, connexion et déconnexion
+ * administrateur (et chaque tentative refusée) est inscrite au journal (voir
+ * src/utils/auditLog.js). Cette route est réservée aux administrateurs :
+ * jeton ADMIN_TOKEN ou session ouverte depuis la page Documents.
+ *
+ * PARAMÈTRES (query string, tous optionnels):
+ * - action        : index_document | delete_document | login | logout
+ * - outcome       : success | failure | denied
+ * - limit, offset : pagination (50 par défaut, 500 au maximum)
+ *
+ * =============================================================================
+ */
+
+export const prerender = false;
+
+// =============================================================================
+// IMPORTS ET CONFIGURATION
+// =============================================================================
+
+import { config } from 'dotenv';
+import { getAdminAuthConfig, authorizeAdminRequest } from '../../../utils/adminAuth.js';
+import { createAuditLog, parseAuditFilters } from '../../../utils/auditLog.js';
+import { getRecordStoreConfig } from '../../../utils/recordStore.js';
+
+// Chargement des variables d'environnement
+config();
+
+// =============================================================================
+// FONCTION PRINCIPALE - GET /api/admin/audit
+// =============================================================================
+
+/**
+ * Liste les entrées du journal d'audit
+ *
+ * @async
+ * @param {Object} context - Contexte Astro de la route
+ * @returns {Promise<Response>} Réponse JSON avec les entrées demandées
+ *
+ * @example
+ * await fetch('/api/admin/audit?action=index_document&limit=20', {
+ *   headers: { Authorization: 'Bearer <ADMIN_TOKEN>' }
+ * });
+ * // {
+ * //   total: 42, count: 20, offset: 0, limit: 20,
+ * //   entries: [{ timestamp: '...', action: 'index_document', outcome: 'success', actor: 'Marie', ... }]
+ * // }
+ */
+export async function GET(context) {
+  const auth = await authorizeAdminRequest(getAdminAuthConfig(), context);
+  if (!auth.authorized) {
+    return createErrorResponse(auth.status, auth.error, null, auth.headers);
+  }
+
+  const { filters, error } = parseAuditFilters(context.url.searchParams);
+  if (error) {
+    return createErrorResponse(400, error);
+  }
+
+  try {
+    const { total, entries } = createAuditLog(getRecordStoreConfig()).list(filters);
+
+    return new Response(
+      JSON.stringify({
+        total,
+        count: entries.length,
+        offset: filters.offset,
+        limit: filters.limit,
+        entries,
+      }),
+      { status: 200, headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' } }
+    );
+  } catch (error) {
+    console.error("[API] 💥 Exception lors de la lecture du journal d'audit:", error);
+    return createErrorResponse(500, "Erreur lors de la lecture du journal d'audit", error.message);
+  }
+}
+
+// =============================================================================
+// FONCTIONS UTILITAIRES
+// =============================================================================
+
+/**
+ * Crée une réponse d'erreur
+ *
+ * @param {number} status - Code de statut HTTP
+ * @param {string} message - Message d'erreur
+ * @param {string} details - Détails optionnels
+ * @param {Object} headers - En-têtes supplémentaires (ex: Retry-After)
+ * @returns {Response} Réponse HTTP d'erreur
+ */
+function createErrorResponse(status, message, details = null, headers = {}) {
+  const errorData = { error: message };
+  if (details) errorData.details = details;
+
+  const responseHeaders = { 'Content-Type': 'application/json', ...headers };
+  if (status === 401) responseHeaders['WWW-Authenticate'] = 'Bearer';
+
+  return new Response(JSON.stringify(errorData), { status, headers: responseHeaders });
+}
+
+// =============================================================================
+// GESTION DES MÉTHODES HTTP NON SUPPORTÉES
+// =============================================================================
+
+/**
+ * Gère les requêtes POST (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function POST() {
+  return createErrorResponse(405, 'Méthode POST non supportée. Utilisez GET.');
+}
+
+/**
+ * Gère les requêtes PUT (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function PUT() {
+  return createErrorResponse(405, 'Méthode PUT non supportée. Utilisez GET.');
+}
+
+/**
+ * Gère les requêtes DELETE (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function DELETE() {
+  return createErrorResponse(405, 'Méthode DELETE non supportée. Utilisez GET.');
+}
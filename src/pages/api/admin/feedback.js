@@ -0,0 +1,149 @@
+/**
+ * =============================================================================
+ * API ROUTE: RETOURS DES UTILISATEURS
+ * =============================================================================
+ *
+ * ENDPOINTS:
+ * - GET /api/admin/feedback : retours sur les réponses du chat, des plus récents aux plus anciens
+ *
+ * DESCRIPTION:
+ * Liste les retours envoyés depuis le chat (POST /api/feedback) avec la
+ * question, la réponse, les extraits retrouvés et les métadonnées de
+ * recherche, pour analyser les mauvaises réponses. Avec `format=golden`,
+ * chaque retour est converti en brouillon de question de référence
+ * (scripts/goldenSet.json), à compléter avant de l'ajouter au jeu
+ * d'évaluation. Cette route est réservée aux administrateurs : jeton
+ * ADMIN_TOKEN ou session ouverte depuis la page Documents.
+ *
+ * PARAMÈTRES (query string, tous optionnels):
+ * - verdict       : down (défaut) | up | all
+ * - format        : entries (défaut) | golden
+ * - limit, offset : pagination (50 par défaut, 500 au maximum)
+ *
+ * =============================================================================
+ */
+
+export const prerender = false;
+
+// =============================================================================
+// IMPORTS ET CONFIGURATION
+// =============================================================================
+
+import { config } from 'dotenv';
+import { getAdminAuthConfig, authorizeAdminRequest } from '../../../utils/adminAuth.js';
+import {
+  getFeedbackStoreConfig,
+  createFeedbackStore,
+  parseFeedbackFilters,
+  toGoldenSetDraft,
+} from '../../../utils/feedback.js';
+
+// Chargement des variables d'environnement
+config();
+
+// =============================================================================
+// FONCTION PRINCIPALE - GET /api/admin/feedback
+// =============================================================================
+
+/**
+ * Liste les retours des utilisateurs
+ *
+ * @async
+ * @param {Object} context - Contexte Astro de la route
+ * @returns {Promise<Response>} Réponse JSON avec les retours demandés
+ *
+ * @example
+ * await fetch('/api/admin/feedback?limit=20', {
+ *   headers: { Authorization: 'Bearer <ADMIN_TOKEN>' }
+ * });
+ * // {
+ * //   total: 7, count: 7, offset: 0, limit: 20,
+ * //   entries: [{ verdict: 'down', comment: '...', question: '...', answer: '...', sources: [...], ... }]
+ * // }
+ *
+ * @example
+ * await fetch('/api/admin/feedback?format=golden', { headers: { Authorization: 'Bearer <ADMIN_TOKEN>' } });
+ * // { total: 7, count: 7, offset: 0, limit: 50, questions: [{ id: 'feedback-3f2a9c1e', question: '...', expected: [], ... }] }
+ */
+export async function GET(context) {
+  const auth = await authorizeAdminRequest(getAdminAuthConfig(), context);
+  if (!auth.authorized) {
+    return createErrorResponse(auth.status, auth.error, null, auth.headers);
+  }
+
+  const { filters, format, error } = parseFeedbackFilters(context.url.searchParams);
+  if (error) {
+    return createErrorResponse(400, error);
+  }
+
+  try {
+    const { total, entries } = await createFeedbackStore(getFeedbackStoreConfig()).list(filters);
+    const page = { total, count: entries.length, offset: filters.offset, limit: filters.limit };
+
+    return new Response(
+      JSON.stringify(
+        format === 'golden'
+          ? { ...page, questions: entries.map(toGoldenSetDraft) }
+          : { ...page, entries }
+      ),
+      { status: 200, headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' } }
+    );
+  } catch (error) {
+    console.error('[API] 💥 Exception lors de la lecture des retours:', error);
+    return createErrorResponse(500, 'Erreur lors de la lecture des retours', error.message);
+  }
+}
+
+// =============================================================================
+// FONCTIONS UTILITAIRES
+// =============================================================================
+
+/**
+ * Crée une réponse d'erreur
+ *
+ * @param {number} status - Code de statut HTTP
+ * @param {string} message - Message d'erreur
+ * @param {string} details - Détails optionnels
+ * @param {Object} headers - En-têtes supplémentaires (ex: Retry-After)
+ * @returns {Response} Réponse HTTP d'erreur
+ */
+function createErrorResponse(status, message, details = null, headers = {}) {
+  const errorData = { error: message };
+  if (details) errorData.details = details;
+
+  const responseHeaders = { 'Content-Type': 'application/json', ...headers };
+  if (status === 401) responseHeaders['WWW-Authenticate'] = 'Bearer';
+
+  return new Response(JSON.stringify(errorData), { status, headers: responseHeaders });
+}
+
+// =============================================================================
+// GESTION DES MÉTHODES HTTP NON SUPPORTÉES
+// =============================================================================
+
+/**
+ * Gère les requêtes POST (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function POST() {
+  return createErrorResponse(405, 'Méthode POST non supportée. Utilisez GET.');
+}
+
+/**
+ * Gère les requêtes PUT (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function PUT() {
+  return createErrorResponse(405, 'Méthode PUT non supportée. Utilisez GET.');
+}
+
+/**
+ * Gère les requêtes DELETE (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function DELETE() {
+  return createErrorResponse(405, 'Méthode DELETE non supportée. Utilisez GET.');
+}
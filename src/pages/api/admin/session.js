@@ -0,0 +1,232 @@
+/**
+ * =============================================================================
+ * API ROUTE: SESSION ADMINISTRATEUR
+ * =============================================================================
+ *
+ * ENDPOINTS:
+ * - GET /api/admin/session    : état de la session (connecté ou non)
+ * - POST /api/admin/session   : ouvre une session avec le jeton ADMIN_TOKEN
+ * - DELETE /api/admin/session : ferme la session
+ *
+ * DESCRIPTION:
+ * La page Documents passe en mode administrateur (OCR et indexation des
+ * documents) une fois la session ouverte. La session est un cookie HttpOnly
+ * signé (voir src/utils/adminAuth.js) : le navigateur l'envoie ensuite avec
+ * chaque appel à POST/DELETE /api/QdrantUploader.
+ *
+ * Chaque connexion, réussie ou refusée, et chaque déconnexion sont inscrites
+ * au journal d'audit. Les jetons refusés sont comptés par IP
+ * (src/utils/rateLimit.js) : au-delà de la limite, la connexion répond 429
+ * sans vérifier le jeton.
+ *
+ * =============================================================================
+ */
+
+export const prerender = false;
+
+// =============================================================================
+// IMPORTS ET CONFIGURATION
+// =============================================================================
+
+import { config } from 'dotenv';
+import {
+  ADMIN_AUTH_CONFIG,
+  getAdminAuthConfig,
+  authorizeAdmin,
+  checkAdminToken,
+  normalizeAdminName,
+  createSession,
+  verifySession,
+  getSessionCookieOptions,
+  getClientInfo,
+} from '../../../utils/adminAuth.js';
+import { createAuditLog } from '../../../utils/auditLog.js';
+import { getRecordStoreConfig } from '../../../utils/recordStore.js';
+import { enforceAdminAttemptLimit, recordFailedAdminAttempt } from '../../../utils/rateLimit.js';
+
+// Chargement des variables d'environnement
+config();
+
+// =============================================================================
+// ENDPOINTS
+// =============================================================================
+
+/**
+ * État de la session administrateur
+ *
+ * @param {Object} context - Contexte Astro de la route
+ * @returns {Response} Réponse JSON
+ *
+ * @example
+ * await fetch('/api/admin/session');
+ * // { enabled: true, authenticated: true, name: 'Marie', expires_at: '2025-03-01T18:00:00.000Z' }
+ */
+export async function GET({ cookies }) {
+  const authConfig = getAdminAuthConfig();
+  const session = verifySession(authConfig, cookies.get(ADMIN_AUTH_CONFIG.COOKIE_NAME)?.value);
+
+  return createJsonResponse(200, {
+    enabled: authConfig.enabled,
+    authenticated: Boolean(session),
+    name: session?.name ?? null,
+    expires_at: session?.expiresAt ?? null,
+  });
+}
+
+/**
+ * Ouvre une session administrateur
+ *
+ * @async
+ * @param {Object} context - Contexte Astro de la route
+ * @returns {Promise<Response>} Réponse JSON, avec le cookie de session si le jeton est valide
+ *
+ * @example
+ * await fetch('/api/admin/session', {
+ *   method: 'POST',
+ *   headers: { 'Content-Type': 'application/json' },
+ *   body: JSON.stringify({ token: '...', name: 'Marie' })
+ * });
+ * // 200: { authenticated: true, name: 'Marie', expires_at: '...' }
+ * // 401: { error: 'Jeton invalide' }
+ * // 429: { error: "Trop de tentatives d'authentification. Réessayez dans 540 secondes." }
+ */
+export async function POST(context) {
+  const { request, cookies, url } = context;
+  const authConfig = getAdminAuthConfig();
+  const auditLog = createAuditLog(getRecordStoreConfig());
+  const client = getClientInfo(context);
+
+  if (!authConfig.enabled) {
+    return createErrorResponse(503, authConfig.error);
+  }
+
+  // Vérifiée avant le jeton : une fois les essais épuisés, même le bon jeton est refusé
+  const limited = await enforceAdminAttemptLimit(client.ip);
+  if (limited) {
+    return createErrorResponse(
+      429,
+      `Trop de tentatives d'authentification. Réessayez dans ${limited.retryAfter} secondes.`,
+      null,
+      limited.headers
+    );
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return createErrorResponse(400, 'Corps JSON invalide');
+  }
+  if (!body?.token || typeof body.token !== 'string') {
+    return createErrorResponse(400, 'Paramètre "token" requis');
+  }
+
+  if (!checkAdminToken(authConfig, body.token)) {
+    console.warn(`[API] 🔒 Connexion administrateur refusée (${client.ip || 'IP inconnue'})`);
+    await recordFailedAdminAttempt(client.ip);
+    await auditLog.record({
+      action: 'login',
+      outcome: 'denied',
+      actor: body.name ? normalizeAdminName(body.name) : null,
+      method: 'session',
+      ...client,
+      details: { error: 'Jeton invalide' },
+    });
+    return createErrorResponse(401, 'Jeton invalide');
+  }
+
+  const session = createSession(authConfig, body.name);
+  const { name } = verifySession(authConfig, session.value);
+  cookies.set(
+    ADMIN_AUTH_CONFIG.COOKIE_NAME,
+    session.value,
+    getSessionCookieOptions(authConfig, url)
+  );
+
+  console.log(`[API] 🔓 Session administrateur ouverte: ${name}`);
+  await auditLog.record({
+    action: 'login',
+    outcome: 'success',
+    actor: name,
+    method: 'session',
+    ...client,
+  });
+
+  return createJsonResponse(200, { authenticated: true, name, expires_at: session.expiresAt });
+}
+
+/**
+ * Ferme la session administrateur
+ *
+ * @async
+ * @param {Object} context - Contexte Astro de la route
+ * @returns {Promise<Response>} Réponse JSON
+ */
+export async function DELETE(context) {
+  const { cookies, url } = context;
+  const authConfig = getAdminAuthConfig();
+  const auth = authorizeAdmin(authConfig, context);
+
+  cookies.delete(ADMIN_AUTH_CONFIG.COOKIE_NAME, getSessionCookieOptions(authConfig, url));
+
+  if (auth.authorized && auth.method === 'session') {
+    console.log(`[API] 🔒 Session administrateur fermée: ${auth.actor}`);
+    await createAuditLog(getRecordStoreConfig()).record({
+      action: 'logout',
+      outcome: 'success',
+      actor: auth.actor,
+      method: auth.method,
+      ...getClientInfo(context),
+    });
+  }
+
+  return createJsonResponse(200, { authenticated: false });
+}
+
+// =============================================================================
+// FONCTIONS UTILITAIRES
+// =============================================================================
+
+/**
+ * Crée une réponse JSON
+ *
+ * @param {number} status - Code de statut HTTP
+ * @param {Object} data - Corps de la réponse
+ * @param {Object} headers - En-têtes supplémentaires (ex: Retry-After)
+ * @returns {Response} Réponse HTTP
+ */
+function createJsonResponse(status, data, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers },
+  });
+}
+
+/**
+ * Crée une réponse d'erreur
+ *
+ * @param {number} status - Code de statut HTTP
+ * @param {string} message - Message d'erreur
+ * @param {string} details - Détails optionnels
+ * @param {Object} headers - En-têtes supplémentaires (ex: Retry-After)
+ * @returns {Response} Réponse HTTP d'erreur
+ */
+function createErrorResponse(status, message, details = null, headers = {}) {
+  const errorData = { error: message };
+  if (details) errorData.details = details;
+
+  return createJsonResponse(status, errorData, headers);
+}
+
+// =============================================================================
+// GESTION DES MÉTHODES HTTP NON SUPPORTÉES
+// =============================================================================
+
+/**
+ * Gère les requêtes PUT (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function PUT() {
+  return createErrorResponse(405, 'Méthode PUT non supportée. Utilisez POST ou DELETE.');
+}
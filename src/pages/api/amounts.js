@@ -0,0 +1,145 @@
+/**
+ * =============================================================================
+ * API ROUTE: MONTANTS - TOTAUX PAR SUJET ET PAR PÉRIODE
+ * =============================================================================
+ *
+ * ENDPOINTS:
+ * - GET /api/amounts : montants cités dans les délibérations, avec leurs totaux
+ *
+ * DESCRIPTION:
+ * Chaque document indexé (POST /api/QdrantUploader ou npm run ingest) fournit
+ * les montants en euros cités par ses délibérations : objet, date de séance,
+ * HT ou TTC, nature (subvention, emprunt, tarif) et ligne citée (voir
+ * src/utils/amounts.js). Cette route les filtre et les additionne sans
+ * recherche vectorielle ni LLM.
+ *
+ * PARAMÈTRES (query string, tous optionnels):
+ * - q             : mots-clés cherchés dans l'objet, le numéro et la ligne citée
+ * - from, to      : bornes de la période (AAAA ou AAAA-MM-JJ, incluses)
+ * - category      : subsidy | loan | fee | other
+ * - limit, offset : pagination des montants (50 par défaut, 200 au maximum) ;
+ *                   les totaux portent sur tous les montants retenus
+ *
+ * =============================================================================
+ */
+
+export const prerender = false;
+
+// =============================================================================
+// IMPORTS ET CONFIGURATION
+// =============================================================================
+
+import { config } from 'dotenv';
+import { getRecordStoreConfig, createRecordStore } from '../../utils/recordStore.js';
+import { AMOUNTS_CONFIG, parseAmountFilters, searchAmounts } from '../../utils/amounts.js';
+
+// Chargement des variables d'environnement
+config();
+
+// =============================================================================
+// FONCTION PRINCIPALE - GET /api/amounts
+// =============================================================================
+
+/**
+ * Recherche dans les montants extraits et calcule leurs totaux
+ *
+ * @async
+ * @param {Object} params - Paramètres de la requête Astro
+ * @param {URL} params.url - URL de la requête
+ * @returns {Promise<Response>} Réponse JSON avec les totaux et les montants correspondants
+ *
+ * @example
+ * await fetch('/api/amounts?q=voirie&from=2019');
+ * // {
+ * //   total: 26, count: 26, offset: 0, limit: 50,
+ * //   filters: { from: '2019-01-01', to: null, q: 'voirie', category: null },
+ * //   totals: { amount: 7293555.36, deliberations: 13, by_tax: {...}, by_category: {...} },
+ * //   by_year: [{ year: 2019, amount: 1167696.76, count: 4 }, ...],
+ * //   amounts: [{ date: '2023-03-27', subject: '...', amount: 45000, tax: 'HT', ... }]
+ * // }
+ */
+export async function GET({ url }) {
+  const { filters, error } = parseAmountFilters(url.searchParams);
+  if (error) {
+    return createErrorResponse(400, error);
+  }
+
+  try {
+    const store = createRecordStore(getRecordStoreConfig(), AMOUNTS_CONFIG.RECORD_TYPE);
+    const { total, totals, by_year, amounts } = searchAmounts(store.all(), filters);
+
+    console.log(
+      `[API] 💶 Montants: ${total} résultats, ${totals.amount} € pour ${url.search || '(sans filtre)'}`
+    );
+
+    return new Response(
+      JSON.stringify({
+        total,
+        count: amounts.length,
+        offset: filters.offset,
+        limit: filters.limit,
+        filters: { from: filters.from, to: filters.to, q: filters.q, category: filters.category },
+        totals,
+        by_year,
+        amounts,
+      }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('[API] 💥 Exception lors de la lecture des montants:', error);
+    return createErrorResponse(500, 'Erreur lors de la lecture des montants', error.message);
+  }
+}
+
+// =============================================================================
+// FONCTIONS UTILITAIRES
+// =============================================================================
+
+/**
+ * Crée une réponse d'erreur
+ *
+ * @param {number} status - Code de statut HTTP
+ * @param {string} message - Message d'erreur
+ * @param {string} details - Détails optionnels
+ * @returns {Response} Réponse HTTP d'erreur
+ */
+function createErrorResponse(status, message, details = null) {
+  const errorData = { error: message };
+  if (details) errorData.details = details;
+
+  return new Response(JSON.stringify(errorData), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+// =============================================================================
+// GESTION DES MÉTHODES HTTP NON SUPPORTÉES
+// =============================================================================
+
+/**
+ * Gère les requêtes POST (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function POST() {
+  return createErrorResponse(405, 'Méthode POST non supportée. Utilisez GET.');
+}
+
+/**
+ * Gère les requêtes PUT (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function PUT() {
+  return createErrorResponse(405, 'Méthode PUT non supportée. Utilisez GET.');
+}
+
+/**
+ * Gère les requêtes DELETE (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function DELETE() {
+  return createErrorResponse(405, 'Méthode DELETE non supportée. Utilisez GET.');
+}
@@ -0,0 +1,234 @@
+/**
+ * =============================================================================
+ * API ROUTE: RÉPONSES PARTAGÉES
+ * =============================================================================
+ *
+ * ENDPOINTS:
+ * - POST /api/answers : enregistre une réponse du chat et renvoie son lien permanent
+ * - GET /api/answers?id=<id> : réponse partagée, en JSON ou en Markdown (format=markdown)
+ *
+ * DESCRIPTION:
+ * Une réponse partagée (question, réponse, citations et sources) est
+ * consultable à l'adresse publique /reponse/<id>. Le chat renvoie la réponse
+ * telle qu'il l'a reçue de POST /api/chat, avec sa signature
+ * (`shareSignature`) : seules les réponses produites par le chat peuvent être
+ * publiées (voir src/utils/answerSnapshots.js). Sans stockage persistant
+ * (SHARE_STORE), le partage est désactivé : POST répond 503.
+ *
+ * PARAMÈTRES DE GET (query string):
+ * - id     : identifiant de la réponse (obligatoire)
+ * - format : json (défaut) | markdown (fichier .md à télécharger)
+ *
+ * =============================================================================
+ */
+
+export const prerender = false;
+
+// =============================================================================
+// IMPORTS ET CONFIGURATION
+// =============================================================================
+
+import { config } from 'dotenv';
+import {
+  getAnswerSnapshotConfig,
+  createAnswerSnapshotStore,
+  validateSnapshotRequest,
+  verifySnapshot,
+  isSnapshotId,
+} from '../../utils/answerSnapshots.js';
+import { formatAnswerMarkdown } from '../../utils/answerExport.js';
+
+// Chargement des variables d'environnement
+config();
+
+/**
+ * Taille maximale du corps JSON (réponse, citations et sources sans le texte des extraits)
+ */
+const MAX_BODY_LENGTH = 128 * 1024;
+
+// =============================================================================
+// POST /api/answers
+// =============================================================================
+
+/**
+ * Enregistre une réponse du chat
+ *
+ * @async
+ * @param {Object} context - Contexte Astro de la route
+ * @param {Request} context.request - Objet Request de la requête HTTP
+ * @returns {Promise<Response>} Réponse JSON 201 (200 si la réponse était déjà partagée) avec l'identifiant et le lien
+ *
+ * @example
+ * await fetch('/api/answers', {
+ *   method: 'POST',
+ *   headers: { 'Content-Type': 'application/json' },
+ *   body: JSON.stringify({
+ *     question: 'Quels travaux de voirie en 2019 ?',
+ *     answer: 'En 2019, le conseil a voté... [Source: cr-2019-03.pdf, page 4]',
+ *     citations: [{ raw: '[Source: cr-2019-03.pdf, page 4]', start: 42, end: 75, ... }],
+ *     sources: [{ filename: 'cr-2019-03.pdf', page: 4, viewerUrl: '/viewer?...', ... }],
+ *     period: '2019',
+ *     signature: 'k3J...'
+ *   })
+ * });
+ * // 201: { success: true, id: 'Zk3p9QeR1xWa', url: '/reponse/Zk3p9QeR1xWa' }
+ */
+export async function POST({ request }) {
+  const snapshotConfig = getAnswerSnapshotConfig();
+  if (!snapshotConfig.enabled) {
+    return createErrorResponse(503, snapshotConfig.error);
+  }
+
+  try {
+    const rawBody = await request.text();
+    if (rawBody.length > MAX_BODY_LENGTH) {
+      return createErrorResponse(413, 'Requête trop volumineuse');
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      return createErrorResponse(400, 'Corps JSON invalide');
+    }
+
+    const { snapshot, signature, error } = validateSnapshotRequest(body);
+    if (error) {
+      return createErrorResponse(400, error);
+    }
+    if (!verifySnapshot(snapshotConfig, snapshot, signature)) {
+      console.warn('[API] ❌ Partage refusé: signature invalide');
+      return createErrorResponse(
+        403,
+        'Réponse non reconnue : seules les réponses du chat, non modifiées, peuvent être partagées'
+      );
+    }
+
+    const { entry, created } = await createAnswerSnapshotStore(snapshotConfig).save(snapshot);
+    if (created) {
+      console.log(`[API] 🔗 Réponse partagée (${entry.id}): ${entry.question.substring(0, 100)}`);
+    }
+
+    return new Response(
+      JSON.stringify({ success: true, id: entry.id, url: `/reponse/${entry.id}` }),
+      {
+        status: created ? 201 : 200,
+        headers: { 'Content-Type': 'application/json' },
+      }
+    );
+  } catch (error) {
+    console.error('[API] 💥 Exception lors du partage de la réponse:', error);
+    return createErrorResponse(500, 'Erreur lors du partage de la réponse', error.message);
+  }
+}
+
+// =============================================================================
+// GET /api/answers
+// =============================================================================
+
+/**
+ * Renvoie une réponse partagée
+ *
+ * @async
+ * @param {Object} context - Contexte Astro de la route
+ * @param {URL} context.url - URL de la requête
+ * @returns {Promise<Response>} Réponse JSON, ou fichier Markdown avec `format=markdown`
+ *
+ * @example
+ * await fetch('/api/answers?id=Zk3p9QeR1xWa');
+ * // { id: 'Zk3p9QeR1xWa', created_at: '...', question: '...', answer: '...', period: '2019', citations: [...], sources: [...] }
+ */
+export async function GET({ url }) {
+  const id = url.searchParams.get('id');
+  const format = url.searchParams.get('format') || 'json';
+
+  if (!id) {
+    return createErrorResponse(400, 'Paramètre manquant: id');
+  }
+  if (!['json', 'markdown'].includes(format)) {
+    return createErrorResponse(400, 'Paramètre invalide: format (json, markdown)');
+  }
+
+  try {
+    const entry = isSnapshotId(id)
+      ? await createAnswerSnapshotStore(getAnswerSnapshotConfig()).get(id)
+      : null;
+    if (!entry) {
+      return createErrorResponse(404, 'Réponse introuvable');
+    }
+
+    if (format === 'markdown') {
+      const markdown = formatAnswerMarkdown(
+        {
+          question: entry.question,
+          answer: entry.answer,
+          citations: entry.citations,
+          sources: entry.sources,
+          period: entry.period,
+          createdAt: entry.created_at,
+          permalink: `/reponse/${entry.id}`,
+        },
+        { origin: url.origin }
+      );
+      return new Response(markdown, {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/markdown; charset=utf-8',
+          'Content-Disposition': `attachment; filename="reponse-${entry.id}.md"`,
+        },
+      });
+    }
+
+    return new Response(JSON.stringify(entry), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (error) {
+    console.error('[API] 💥 Exception lors de la lecture de la réponse partagée:', error);
+    return createErrorResponse(500, 'Erreur lors de la lecture de la réponse', error.message);
+  }
+}
+
+// =============================================================================
+// FONCTIONS UTILITAIRES
+// =============================================================================
+
+/**
+ * Crée une réponse d'erreur
+ *
+ * @param {number} status - Code de statut HTTP
+ * @param {string} message - Message d'erreur
+ * @param {string} details - Détails optionnels
+ * @returns {Response} Réponse HTTP d'erreur
+ */
+function createErrorResponse(status, message, details = null) {
+  const errorData = { error: message };
+  if (details) errorData.details = details;
+
+  return new Response(JSON.stringify(errorData), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+// =============================================================================
+// GESTION DES MÉTHODES HTTP NON SUPPORTÉES
+// =============================================================================
+
+/**
+ * Gère les requêtes PUT (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function PUT() {
+  return createErrorResponse(405, 'Méthode PUT non supportée. Utilisez POST ou GET.');
+}
+
+/**
+ * Gère les requêtes DELETE (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function DELETE() {
+  return createErrorResponse(405, 'Méthode DELETE non supportée. Utilisez POST ou GET.');
+}
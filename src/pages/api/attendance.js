@@ -0,0 +1,134 @@
+/**
+ * =============================================================================
+ * API ROUTE: PRÉSENCES DES ÉLUS
+ * =============================================================================
+ *
+ * ENDPOINTS:
+ * - GET /api/attendance : taux de présence par élu sur une période
+ *
+ * DESCRIPTION:
+ * Chaque document indexé (POST /api/QdrantUploader ou npm run ingest) fournit
+ * les présences de sa séance : présents, absents excusés, absents, pouvoirs
+ * donnés et secrétaire de séance (voir src/utils/attendance.js). Cette route
+ * agrège ces enregistrements par élu, sans recherche vectorielle ni LLM.
+ *
+ * PARAMÈTRES (query string, tous optionnels):
+ * - from, to : bornes de la période (AAAA ou AAAA-MM-JJ, incluses)
+ * - name     : nom de l'élu (sans accents ni casse, ex: "drugeon")
+ *
+ * =============================================================================
+ */
+
+export const prerender = false;
+
+// =============================================================================
+// IMPORTS ET CONFIGURATION
+// =============================================================================
+
+import { config } from 'dotenv';
+import { getRecordStoreConfig, createRecordStore } from '../../utils/recordStore.js';
+import {
+  ATTENDANCE_CONFIG,
+  parseAttendanceFilters,
+  computeAttendanceStats,
+} from '../../utils/attendance.js';
+
+// Chargement des variables d'environnement
+config();
+
+// =============================================================================
+// FONCTION PRINCIPALE - GET /api/attendance
+// =============================================================================
+
+/**
+ * Calcule les taux de présence des élus
+ *
+ * @async
+ * @param {Object} params - Paramètres de la requête Astro
+ * @param {URL} params.url - URL de la requête
+ * @returns {Promise<Response>} Réponse JSON avec les statistiques par élu
+ *
+ * @example
+ * await fetch('/api/attendance?from=2019&to=2019&name=drugeon');
+ * // {
+ * //   meetings: 8,
+ * //   filters: { from: '2019-01-01', to: '2019-12-31', name: 'drugeon' },
+ * //   people: [{ name: 'Serge DRUGEON', meetings: 8, present: 8, rate: 1, proxies_received: 3, ... }]
+ * // }
+ */
+export async function GET({ url }) {
+  const { filters, error } = parseAttendanceFilters(url.searchParams);
+  if (error) {
+    return createErrorResponse(400, error);
+  }
+
+  try {
+    const store = createRecordStore(getRecordStoreConfig(), ATTENDANCE_CONFIG.RECORD_TYPE);
+    const { meetings, people } = computeAttendanceStats(store.all(), filters);
+
+    console.log(
+      `[API] 🙋 Présences: ${meetings} séances, ${people.length} élus pour ${url.search || '(sans filtre)'}`
+    );
+
+    return new Response(JSON.stringify({ meetings, filters, people }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (error) {
+    console.error('[API] 💥 Exception lors de la lecture des présences:', error);
+    return createErrorResponse(500, 'Erreur lors de la lecture des présences', error.message);
+  }
+}
+
+// =============================================================================
+// FONCTIONS UTILITAIRES
+// =============================================================================
+
+/**
+ * Crée une réponse d'erreur
+ *
+ * @param {number} status - Code de statut HTTP
+ * @param {string} message - Message d'erreur
+ * @param {string} details - Détails optionnels
+ * @returns {Response} Réponse HTTP d'erreur
+ */
+function createErrorResponse(status, message, details = null) {
+  const errorData = { error: message };
+  if (details) errorData.details = details;
+
+  return new Response(JSON.stringify(errorData), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+// =============================================================================
+// GESTION DES MÉTHODES HTTP NON SUPPORTÉES
+// =============================================================================
+
+/**
+ * Gère les requêtes POST (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function POST() {
+  return createErrorResponse(405, 'Méthode POST non supportée. Utilisez GET.');
+}
+
+/**
+ * Gère les requêtes PUT (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function PUT() {
+  return createErrorResponse(405, 'Méthode PUT non supportée. Utilisez GET.');
+}
+
+/**
+ * Gère les requêtes DELETE (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function DELETE() {
+  return createErrorResponse(405, 'Méthode DELETE non supportée. Utilisez GET.');
+}
@@ -11,26 +11,63 @@
  * recherche vectorielle, filtrage temporel intelligent et génération de texte
  * pour fournir des réponses contextuelles et sourcées.
  *
+ * PROTECTION (avant tout appel au fournisseur d'IA):
+ * - Limitation du débit par IP et globale, 429 + Retry-After (src/utils/rateLimit.js)
+ * - Taille maximale de la requête et de la question
+ * - Détection des tentatives d'injection de prompt (src/utils/promptInjection.js)
+ *
  * ARCHITECTURE RAG:
- * 1. Embedding de la question utilisateur
- * 2. Recherche vectorielle dans Qdrant
- * 3. Recherche hybride temporelle (filtrage + pondération)
- * 4. Construction du contexte pour le LLM
- * 5. Génération de réponse avec Mistral
- * 6. Enrichissement des sources avec métadonnées
+ * 0. Reformulation des questions de suivi (si historique de conversation)
+ * 1. Embedding de la question utilisateur (étapes 1 à 4 : src/utils/retrieval.js)
+ * 2. Recherche vectorielle (Qdrant ou stockage local) et lexicale (BM25),
+ *    fusionnées par rang réciproque
+ * 3. Reranking des candidats par cross-encoder (optionnel)
+ * 4. Recherche hybride temporelle (filtrage + pondération)
+ * 5. Construction du contexte pour le LLM
+ * 6. Génération de réponse avec Mistral
+ * 7. Enrichissement des sources avec métadonnées
+ * 8. Vérification des citations de la réponse par rapport au contexte fourni
+ *
+ * Les questions de présence ("qui était absent au dernier conseil ?") et les
+ * questions chiffrées ("combien a-t-on dépensé pour la voirie depuis 2019 ?")
+ * sont traitées à part : le contexte est construit à partir des données
+ * extraites à l'ingestion (src/utils/attendance.js, src/utils/amounts.js),
+ * sans recherche dans les extraits.
+ *
+ * CACHE DES RÉPONSES (src/utils/answerCache.js):
+ * Une question déjà posée (identique une fois normalisée, ou d'embedding
+ * presque identique) sur la même période est resservie sans appel au LLM
+ * (`cached: true`). Le cache est invalidé à chaque indexation ou suppression
+ * de document. Les questions de suivi ne passent pas par le cache.
+ *
+ * PARTAGE (src/utils/answerSnapshots.js):
+ * Chaque réponse est signée (`shareSignature`) : le chat peut ensuite la
+ * publier sous un lien permanent (POST /api/answers, page /reponse/<id>)
+ * sans qu'une réponse modifiée puisse l'être. `null` si le partage est
+ * désactivé (ni SHARE_SECRET ni ADMIN_TOKEN).
+ *
+ * MODES DE RÉPONSE:
+ * - JSON (défaut) : la réponse complète est renvoyée en une seule fois
+ * - Streaming (`stream: true`) : Server-Sent Events envoyant d'abord les
+ *   sources, puis les tokens de la réponse au fil de l'eau, puis un
+ *   événement final
  *
  * TECHNOLOGIES UTILISÉES:
- * - Hugging Face Inference API (embeddings + LLM)
- * - Qdrant Vector Database (stockage et recherche)
+ * - Fournisseurs d'IA configurables (src/utils/aiProviders.js) :
+ *   Hugging Face Inference API, transformers.js en local, ou serveur LLM
+ *   compatible OpenAI (llama.cpp, Ollama)
+ * - Stockage vectoriel configurable (src/utils/vectorStore.js) : Qdrant ou
+ *   fichier local sans service externe
  * - Recherche hybride temporelle (propriétaire)
  *
  * PERFORMANCE:
- * - Temps de réponse typique: 2-5 secondes
+ * - Temps de réponse typique: 2-5 secondes (premier token < 1s en streaming)
  * - Limite de tokens: 512 pour la réponse
  * - Chunks analysés: 10 maximum pour le contexte
  *
  * SÉCURITÉ:
- * - Validation des entrées utilisateur
+ * - Validation des entrées utilisateur (longueur, injection de prompt)
+ * - Limitation du débit (RATE_LIMIT_*)
  * - Gestion sécurisée des clés API
  * - Logging détaillé pour audit
  *
@@ -49,9 +86,42 @@ export const prerender = false;
 // =============================================================================
 
 import { config } from 'dotenv';
-import { InferenceClient } from '@huggingface/inference';
+import {
+  getProviderConfig,
+  createEmbeddingProvider,
+  createLLMProvider,
+} from '../../utils/aiProviders.js';
+import { getVectorStoreConfig, createVectorStore } from '../../utils/vectorStore.js';
 import { systemPrompt } from '../../prompts/systemPrompt.js';
-import { performHybridSearch, logSearchMetadata } from '../../utils/temporalSearch.js';
+import { parseTemporalQuery, logSearchMetadata } from '../../utils/temporalSearch.js';
+import { sanitizeHistory, rewriteFollowUpQuestion } from '../../utils/conversation.js';
+import { formatFrenchDate } from '../../utils/meetingDate.js';
+import { getLexicalIndexConfig, createLexicalIndex } from '../../utils/lexicalIndex.js';
+import { getRerankerConfig, createReranker } from '../../utils/reranker.js';
+import {
+  retrieveChunks,
+  buildContextText,
+  buildUserPrompt,
+  buildEnrichedSources,
+} from '../../utils/retrieval.js';
+import { getRecordStoreConfig, createRecordStore } from '../../utils/recordStore.js';
+import {
+  ATTENDANCE_CONFIG,
+  isAttendanceQuestion,
+  buildAttendanceContext,
+} from '../../utils/attendance.js';
+import { AMOUNTS_CONFIG, isAmountQuestion, buildAmountContext } from '../../utils/amounts.js';
+import { verifyCitations } from '../../utils/citations.js';
+import { buildViewerUrl } from '../../utils/passages.js';
+import { getClientInfo } from '../../utils/adminAuth.js';
+import { enforceClientRateLimit } from '../../utils/rateLimit.js';
+import { getPromptInjectionConfig, detectPromptInjection } from '../../utils/promptInjection.js';
+import { getAnswerCacheConfig, createAnswerCache } from '../../utils/answerCache.js';
+import {
+  getAnswerSnapshotConfig,
+  buildSnapshot,
+  signSnapshot,
+} from '../../utils/answerSnapshots.js';
 
 // Chargement des variables d'environnement
 config();
@@ -61,31 +131,41 @@ config();
 // =============================================================================
 
 /**
- * Configuration des modèles IA utilisés
+ * Configuration de la génération (la recherche est configurée dans src/utils/retrieval.js)
  */
-const AI_MODELS = {
-  LLM: 'mistralai/Mistral-7B-Instruct-v0.2', // Modèle de génération de texte
-  EMBEDDING: 'sentence-transformers/all-MiniLM-L6-v2', // Modèle d'embeddings (384 dimensions)
+const GENERATION_CONFIG = {
+  MAX_TOKENS: 512, // Limite de tokens pour la réponse
+  TEMPERATURE: 0.3, // Créativité du modèle (0 = déterministe, 1 = créatif)
 };
 
 /**
- * Configuration de la recherche vectorielle
+ * Réponse utilisée lorsque le LLM ne renvoie aucun contenu
  */
-const SEARCH_CONFIG = {
-  VECTOR_LIMIT: 20, // Nombre de chunks récupérés de Qdrant
-  CONTEXT_LIMIT: 10, // Nombre de chunks utilisés pour le contexte LLM
-  MAX_TOKENS: 512, // Limite de tokens pour la réponse
-  TEMPERATURE: 0.3, // Créativité du modèle (0 = déterministe, 1 = créatif)
+const FALLBACK_ANSWER = "Désolé, je n'ai pas pu générer de réponse.";
+
+/**
+ * Limites des entrées (la question est aussi limitée par CHAT_MAX_MESSAGE_LENGTH)
+ */
+const INPUT_CONFIG = {
+  MAX_MESSAGE_LENGTH: 1000, // Longueur maximale de la question (caractères)
+  MAX_BODY_LENGTH: 64 * 1024, // Taille maximale du corps JSON, historique compris
+};
+
+/**
+ * En-têtes des réponses en streaming (Server-Sent Events)
+ */
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache',
+  Connection: 'keep-alive',
 };
 
 /**
- * Configuration de la recherche hybride temporelle
+ * Configuration de la mémoire de conversation
  */
-const HYBRID_SEARCH_CONFIG = {
-  TEMPORAL_WEIGHT: 0.3, // Poids du facteur temporel (30%)
-  YEAR_TOLERANCE: 2, // Tolérance en années (±2 ans)
-  ENABLE_FILTERING: true, // Activation du filtrage temporel
-  ENABLE_WEIGHTING: true, // Activation de la pondération temporelle
+const CONVERSATION_CONFIG = {
+  MAX_HISTORY_MESSAGES: 6, // Nombre de messages précédents transmis au LLM (3 échanges)
+  MAX_HISTORY_MESSAGE_LENGTH: 1500, // Longueur maximale d'un message de l'historique
 };
 
 // =============================================================================
@@ -96,9 +176,10 @@ const HYBRID_SEARCH_CONFIG = {
  * Gère les requêtes POST pour le chatbot RAG municipal
  *
  * @async
- * @param {Object} params - Paramètres de la requête Astro
- * @param {Request} params.request - Objet Request de la requête HTTP
- * @returns {Promise<Response>} Réponse JSON avec la réponse du chatbot
+ * @param {Object} context - Contexte Astro de la route
+ * @param {Request} context.request - Objet Request de la requête HTTP
+ * @returns {Promise<Response>} Réponse JSON, ou flux SSE si `stream: true`
+ *   (429 avec Retry-After au-delà du débit autorisé)
  *
  * @example
  * // Requête client
@@ -111,21 +192,75 @@ const HYBRID_SEARCH_CONFIG = {
  * // Réponse
  * {
  *   answer: "Réponse générée par l'IA...",
+ *   citations: [{ raw: '[Source: cr-2019.pdf, page 5]', status: 'verified', ... }],
  *   sources: [...],
  *   chunksFound: 5,
- *   searchMetadata: {...}
+ *   searchMetadata: {...},
+ *   cached: false
+ * }
+ *
+ * @example
+ * // Question de suivi avec historique de conversation
+ * body: JSON.stringify({
+ *   message: 'Et en 2021 ?',
+ *   history: [
+ *     { role: 'user', content: 'Quels travaux de voirie en 2020 ?' },
+ *     { role: 'assistant', content: 'En 2020, le conseil a voté...' }
+ *   ]
+ * })
+ *
+ * @example
+ * // Requête en streaming (Server-Sent Events)
+ * const response = await fetch('/api/chat', {
+ *   method: 'POST',
+ *   headers: { 'Content-Type': 'application/json' },
+ *   body: JSON.stringify({ message: 'Quels sont les projets pour 2025?', stream: true })
+ * });
+ *
+ * // Flux
+ * event: sources  -> { sources, chunksFound, searchMetadata, ..., cached: false }
+ * event: token    -> { content: "Selon" }
+ * event: done     -> { answer: "Selon les documents...", citations: [...], cached: false }
+ *
+ * @example
+ * // Réponse servie depuis le cache (même question déjà posée)
+ * {
+ *   answer: "Réponse générée pour une question précédente...",
+ *   ...,
+ *   cached: true,
+ *   cache: { match: 'similar', similarity: 0.9712, createdAt: '2025-03-01T10:12:00.000Z' }
  * }
  */
-export async function POST({ request }) {
+export async function POST(context) {
+  const { request } = context;
   console.log('[API] 🚀 Début de la requête POST /api/chat');
 
   try {
+    // =====================================================================
+    // ÉTAPE 0: LIMITATION DU DÉBIT
+    // =====================================================================
+
+    const rateLimitResponse = await enforceRateLimit(context);
+    if (rateLimitResponse) return rateLimitResponse;
+
     // =====================================================================
     // ÉTAPE 1: VALIDATION ET EXTRACTION DES DONNÉES
     // =====================================================================
 
     console.log('[API] 📝 Validation et extraction des données...');
-    const { message } = await request.json();
+    const rawBody = await request.text();
+    if (rawBody.length > INPUT_CONFIG.MAX_BODY_LENGTH) {
+      console.log(`[API] ❌ Requête trop volumineuse: ${rawBody.length} caractères`);
+      return createErrorResponse(413, 'Requête trop volumineuse');
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      return createErrorResponse(400, 'Corps JSON invalide');
+    }
+    const { message, history = [], stream = false } = body ?? {};
 
     // Validation de la requête
     if (!message || typeof message !== 'string' || message.trim().length === 0) {
@@ -134,8 +269,50 @@ export async function POST({ request }) {
     }
 
     const userMessage = message.trim();
+    const maxMessageLength =
+      Number(process.env.CHAT_MAX_MESSAGE_LENGTH) || INPUT_CONFIG.MAX_MESSAGE_LENGTH;
+    if (userMessage.length > maxMessageLength) {
+      console.log(`[API] ❌ Question trop longue: ${userMessage.length} caractères`);
+      return createErrorResponse(
+        400,
+        `Question trop longue (${maxMessageLength} caractères maximum)`
+      );
+    }
     console.log('[API] ✅ Message validé:', userMessage.substring(0, 100) + '...');
 
+    const conversationHistory = sanitizeHistory(
+      history,
+      CONVERSATION_CONFIG.MAX_HISTORY_MESSAGES,
+      CONVERSATION_CONFIG.MAX_HISTORY_MESSAGE_LENGTH
+    );
+    console.log(`[API] 💬 Historique: ${conversationHistory.length} messages précédents`);
+
+    // L'historique vient du client : ses questions sont vérifiées comme la
+    // question. Les réponses de l'assistant ne le sont pas : elles citent les
+    // documents, et une ligne citée qui ressemble à un motif bloquerait toute
+    // la suite de la conversation.
+    const { mode: injectionMode } = getPromptInjectionConfig();
+    if (injectionMode !== 'off') {
+      const injection = detectPromptInjection([
+        userMessage,
+        ...conversationHistory
+          .filter((entry) => entry.role === 'user')
+          .map((entry) => entry.content),
+      ]);
+      if (injection.detected) {
+        const { ip } = getClientInfo(context);
+        console.warn(
+          `[API] 🛡️ Injection de prompt détectée (${injection.patterns.join(', ')}, ${ip || 'IP inconnue'}): ${userMessage.substring(0, 100)}`
+        );
+        if (injectionMode === 'block') {
+          return createErrorResponse(
+            400,
+            "Question refusée : elle semble chercher à modifier les consignes de l'assistant. Posez une question sur les comptes-rendus du conseil municipal."
+          );
+        }
+      }
+    }
+
     // =====================================================================
     // ÉTAPE 2: VÉRIFICATION DES VARIABLES D'ENVIRONNEMENT
     // =====================================================================
@@ -147,107 +324,163 @@ export async function POST({ request }) {
     }
     console.log('[API] ✅ Configuration validée');
 
+    const embedder = createEmbeddingProvider(envVars.providers);
+    const llm = createLLMProvider(envVars.providers);
+    const vectorStore = createVectorStore(envVars.vectorStore);
+    const lexicalIndex = createLexicalIndex(envVars.lexicalIndex);
+    const reranker = createReranker(envVars.reranker);
+    const attendanceStore = createRecordStore(envVars.records, ATTENDANCE_CONFIG.RECORD_TYPE);
+    const amountStore = createRecordStore(envVars.records, AMOUNTS_CONFIG.RECORD_TYPE);
+
     // =====================================================================
-    // ÉTAPE 3: GÉNÉRATION DE L'EMBEDDING
+    // ÉTAPE 3: REFORMULATION DE LA QUESTION DE SUIVI
     // =====================================================================
 
-    console.log("[API] 🧠 Génération de l'embedding...");
-    const hf = new InferenceClient(envVars.hfKey);
+    // La question autonome sert à la recherche ; la question d'origine reste
+    // celle posée au LLM, accompagnée de l'historique
+    const standaloneQuestion = await rewriteFollowUpQuestion(llm, conversationHistory, userMessage);
+    if (standaloneQuestion !== userMessage) {
+      console.log('[API] 🔁 Question reformulée:', standaloneQuestion);
+    }
 
-    const embeddingRes = await hf.featureExtraction({
-      model: AI_MODELS.EMBEDDING,
-      inputs: userMessage,
-    });
+    // =====================================================================
+    // ÉTAPE 4: CACHE DES RÉPONSES
+    // =====================================================================
 
-    // Normalisation de la réponse d'embedding
-    const embedding = Array.isArray(embeddingRes) ? embeddingRes : embeddingRes[0];
-    console.log(`[API] ✅ Embedding généré (${embedding.length} dimensions)`);
+    // Une question de suivi dépend de la conversation : elle n'est ni cherchée
+    // ni mise en cache. L'embedding calculé pour la comparaison sert ensuite
+    // à la recherche des extraits. Un cache indisponible (fichier illisible,
+    // embedding en échec) ne bloque pas la réponse : la question est traitée
+    // comme absente du cache, et la réponse n'y est pas enregistrée.
+    const temporalQuery = parseTemporalQuery(standaloneQuestion);
+    const answerCache = createAnswerCache(envVars.answerCache);
+    let cacheLookup = null;
+    if (answerCache.enabled && conversationHistory.length === 0) {
+      try {
+        cacheLookup = await answerCache.lookup(standaloneQuestion, temporalQuery, {
+          embed: () => embedder.embedOne(standaloneQuestion),
+        });
+      } catch (error) {
+        console.warn(`[API] ⚠️ Cache des réponses indisponible: ${error.message}`);
+      }
+      if (cacheLookup?.entry) {
+        console.log(
+          `[API] ⚡ Réponse servie depuis le cache (${cacheLookup.match}, similarité ${cacheLookup.similarity.toFixed(3)})`
+        );
+        return createCachedResponse(cacheLookup, stream);
+      }
+    }
+    const cacheContext = { question: standaloneQuestion, temporalQuery };
 
     // =====================================================================
-    // ÉTAPE 4: RECHERCHE VECTORIELLE DANS QDRANT
+    // ÉTAPE 5: PRÉSENCES ET MONTANTS (DONNÉES EXTRAITES À L'INGESTION)
     // =====================================================================
 
-    console.log('[API] 🔍 Recherche vectorielle dans Qdrant...');
-    const rawChunks = await performVectorSearch(
-      embedding,
-      envVars.qdrantUrl,
-      envVars.qdrantCollection,
-      envVars.qdrantApiKey
-    );
+    // Les présences sont des listes de noms : le registre répond exactement là
+    // où quelques extraits de texte ne donneraient qu'une partie des séances
+    if (isAttendanceQuestion(standaloneQuestion)) {
+      const attendanceRecords = attendanceStore.all();
+      if (attendanceRecords.length > 0) {
+        console.log(
+          `[API] 🙋 Question de présence (registre de ${attendanceRecords.length} séances)`
+        );
+        const retrievalData = buildAttendanceRetrieval(attendanceRecords, {
+          userMessage,
+          standaloneQuestion,
+          temporalQuery,
+        });
+        logSearchMetadata(retrievalData.searchMetadata, standaloneQuestion);
+        return generateAnswer(
+          llm,
+          conversationHistory,
+          retrievalData,
+          stream,
+          createCacheWriter(answerCache, cacheLookup, cacheContext)
+        );
+      }
+      console.log(
+        '[API] ⚠️ Question de présence sans registre extrait, recherche dans les extraits'
+      );
+    }
 
-    console.log(`[API] ✅ ${rawChunks.length} chunks trouvés dans la recherche vectorielle`);
+    // Un total demande d'additionner des montants cités dans de nombreux documents
+    if (isAmountQuestion(standaloneQuestion)) {
+      const retrievalData = buildAmountRetrieval(amountStore.all(), {
+        userMessage,
+        standaloneQuestion,
+        temporalQuery,
+      });
+      if (retrievalData) {
+        const { subject, count } = retrievalData.searchMetadata.amounts;
+        console.log(`[API] 💶 Question chiffrée: ${count} montants pour "${subject}"`);
+        logSearchMetadata(retrievalData.searchMetadata, standaloneQuestion);
+        return generateAnswer(
+          llm,
+          conversationHistory,
+          retrievalData,
+          stream,
+          createCacheWriter(answerCache, cacheLookup, cacheContext)
+        );
+      }
+      console.log('[API] ⚠️ Question chiffrée sans montant extrait, recherche dans les extraits');
+    }
 
     // =====================================================================
-    // ÉTAPE 5: RECHERCHE HYBRIDE TEMPORELLE
+    // ÉTAPE 6: RECHERCHE DES EXTRAITS (VECTORIELLE, LEXICALE, RERANKING, TEMPORELLE)
     // =====================================================================
 
-    console.log('[API] ⏰ Application de la recherche hybride temporelle...');
-    const { chunks: topChunks, metadata: searchMetadata } = performHybridSearch(
-      rawChunks,
-      userMessage,
-      HYBRID_SEARCH_CONFIG
+    const {
+      chunks: finalChunks,
+      embedding,
+      searchMetadata,
+    } = await retrieveChunks(
+      { embedder, vectorStore, lexicalIndex, reranker },
+      standaloneQuestion,
+      {
+        temporalQuery,
+        embedding: cacheLookup?.embedding,
+      }
     );
 
     // Log des métadonnées de recherche pour debug
-    logSearchMetadata(searchMetadata, userMessage);
-
-    // Limitation du nombre de chunks pour le contexte LLM
-    const finalChunks = topChunks.slice(0, SEARCH_CONFIG.CONTEXT_LIMIT);
-    console.log(`[API] ✅ ${finalChunks.length} chunks sélectionnés pour le contexte`);
+    logSearchMetadata(searchMetadata, standaloneQuestion);
 
     // =====================================================================
-    // ÉTAPE 6: CONSTRUCTION DU CONTEXTE LLM
+    // ÉTAPE 7: CONSTRUCTION DU CONTEXTE LLM
     // =====================================================================
 
     console.log('[API] 📚 Construction du contexte pour le LLM...');
     const contextText = buildContextText(finalChunks);
-    const userPrompt = buildUserPrompt(contextText, userMessage);
-
-    // =====================================================================
-    // ÉTAPE 7: GÉNÉRATION DE LA RÉPONSE AVEC MISTRAL
-    // =====================================================================
-
-    console.log('[API] 🤖 Génération de la réponse avec Mistral...');
-    const llmRes = await hf.chatCompletion({
-      model: AI_MODELS.LLM,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      parameters: {
-        max_tokens: SEARCH_CONFIG.MAX_TOKENS,
-        temperature: SEARCH_CONFIG.TEMPERATURE,
-      },
-    });
-
-    const answer =
-      llmRes.choices?.[0]?.message?.content || "Désolé, je n'ai pas pu générer de réponse.";
-
-    console.log('[API] ✅ Réponse générée:', answer.substring(0, 100) + '...');
+    const userPrompt = buildUserPrompt(contextText, userMessage, standaloneQuestion);
 
     // =====================================================================
     // ÉTAPE 8: CONSTRUCTION DES SOURCES ENRICHIES
     // =====================================================================
 
     console.log('[API] 📄 Construction des sources enrichies...');
-    const sourcesWithUrls = buildEnrichedSources(finalChunks);
+    const sourcesWithUrls = buildEnrichedSources(finalChunks, standaloneQuestion);
 
-    // =====================================================================
-    // ÉTAPE 9: PRÉPARATION DE LA RÉPONSE FINALE
-    // =====================================================================
-
-    const responseData = {
-      answer,
+    const retrievalData = {
       sources: sourcesWithUrls,
       chunksFound: finalChunks.length,
       searchMetadata,
+      standaloneQuestion,
       systemPrompt,
       contextText,
       userPrompt,
     };
 
-    console.log('[API] ✅ Envoi de la réponse finale');
-    return createSuccessResponse(responseData);
+    // =====================================================================
+    // ÉTAPE 9: GÉNÉRATION DE LA RÉPONSE AVEC LE LLM
+    // =====================================================================
+
+    return generateAnswer(
+      llm,
+      conversationHistory,
+      retrievalData,
+      stream,
+      createCacheWriter(answerCache, cacheLookup, { ...cacheContext, embedding })
+    );
   } catch (error) {
     // =====================================================================
     // GESTION D'ERREUR GLOBAL
@@ -267,148 +500,436 @@ export async function POST({ request }) {
 /**
  * Valide les variables d'environnement requises
  *
- * @returns {Object} Objet avec statut de validation et variables
+ * @returns {Object} Objet avec statut de validation, variables et fournisseurs d'IA
  */
 function validateEnvironmentVariables() {
-  const hfKey = process.env.HUGGINGFACE_API_KEY;
-  const qdrantUrl = process.env.QDRANT_URL;
-  const qdrantCollection = process.env.QDRANT_COLLECTION_NAME || 'municipal_council_minutes';
-  const qdrantApiKey = process.env.QDRANT_API_KEY;
+  const providers = getProviderConfig();
+  const vectorStore = getVectorStoreConfig();
 
-  const missing = [];
-  if (!hfKey) missing.push('HUGGINGFACE_API_KEY');
-  if (!qdrantUrl) missing.push('QDRANT_URL');
+  const missing = [...providers.missing, ...vectorStore.missing];
 
   console.log("[API] 📋 Variables d'environnement:");
-  console.log('- HUGGINGFACE_API_KEY:', hfKey ? '✅ PRÉSENTE' : '❌ MANQUANTE');
-  console.log('- QDRANT_URL:', qdrantUrl || '❌ MANQUANTE');
-  console.log('- QDRANT_COLLECTION_NAME:', qdrantCollection);
-  console.log('- QDRANT_API_KEY:', qdrantApiKey ? '✅ PRÉSENTE' : '⚠️ MANQUANTE');
+  console.log(
+    '- EMBEDDING_PROVIDER:',
+    `${providers.embeddingProvider} (${providers.embeddingModel})`
+  );
+  console.log('- LLM_PROVIDER:', `${providers.llmProvider} (${providers.llmModel})`);
+  console.log('- HUGGINGFACE_API_KEY:', providers.hfKey ? '✅ PRÉSENTE' : '⚠️ MANQUANTE');
+  console.log('- VECTOR_STORE:', vectorStore.backend);
+  if (vectorStore.backend === 'qdrant') {
+    console.log('- QDRANT_URL:', vectorStore.qdrantUrl || '❌ MANQUANTE');
+    console.log('- QDRANT_API_KEY:', vectorStore.qdrantApiKey ? '✅ PRÉSENTE' : '⚠️ MANQUANTE');
+  } else {
+    console.log('- VECTOR_STORE_PATH:', vectorStore.localPath);
+  }
+  console.log('- QDRANT_COLLECTION_NAME:', vectorStore.collection);
+  const reranker = getRerankerConfig();
+  console.log(
+    '- RERANKER_PROVIDER:',
+    reranker.provider === 'none' ? 'none' : `${reranker.provider} (${reranker.model})`
+  );
+  const answerCache = getAnswerCacheConfig();
+  console.log('- ANSWER_CACHE:', answerCache.store);
+  const answerSnapshots = getAnswerSnapshotConfig();
+  console.log(
+    '- SHARE_SECRET:',
+    answerSnapshots.enabled ? '✅ PRÉSENTE' : `⚠️ ${answerSnapshots.error}`
+  );
 
   return {
     valid: missing.length === 0,
     missing,
-    hfKey,
-    qdrantUrl,
-    qdrantCollection,
-    qdrantApiKey,
+    providers,
+    vectorStore,
+    lexicalIndex: getLexicalIndexConfig(),
+    reranker,
+    records: getRecordStoreConfig(),
+    answerCache,
   };
 }
 
 /**
- * Effectue la recherche vectorielle dans Qdrant
+ * Prépare la réponse à une question de présence à partir du registre
  *
- * @param {Array<number>} embedding - Vecteur d'embedding de la question
- * @param {string} qdrantUrl - URL de l'instance Qdrant
- * @param {string} collection - Nom de la collection
- * @param {string} apiKey - Clé API Qdrant (optionnelle)
- * @returns {Promise<Array>} Chunks trouvés avec métadonnées
+ * Même format que la recherche dans les extraits : les sources sont les
+ * comptes-rendus des séances retenues (les plus récentes d'abord), ouverts à
+ * la page de la liste des présents.
+ *
+ * @param {Array} records - Présences enregistrées (attendance.js)
+ * @param {Object} question - Question posée
+ * @param {string} question.userMessage - Question de l'utilisateur
+ * @param {string} question.standaloneQuestion - Question reformulée
+ * @param {Object|null} question.temporalQuery - Période détectée
+ * @returns {Object} Sources, métadonnées et prompts, comme pour la recherche dans les extraits
  */
-async function performVectorSearch(embedding, qdrantUrl, collection, apiKey) {
-  const qdrantRes = await fetch(`${qdrantUrl}/collections/${collection}/points/search`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      ...(apiKey ? { 'api-key': apiKey } : {}),
-    },
-    body: JSON.stringify({
-      vector: embedding,
-      limit: SEARCH_CONFIG.VECTOR_LIMIT,
-      with_payload: true,
-      with_score: true,
-    }),
+function buildAttendanceRetrieval(records, { userMessage, standaloneQuestion, temporalQuery }) {
+  const { contextText, meetings, people } = buildAttendanceContext(
+    records,
+    standaloneQuestion,
+    temporalQuery,
+    formatFrenchDate
+  );
+
+  const sources = meetings
+    .slice(-ATTENDANCE_CONFIG.CONTEXT_SOURCES)
+    .reverse()
+    .map((record) => ({
+      filename: record.filename,
+      page: record.page,
+      year: record.year,
+      meetingDate: record.date,
+      meetingDateLabel: record.date ? formatFrenchDate(record.date) : null,
+      sectionTitle: 'Liste des présents',
+      deliberationNumber: null,
+      score: 1,
+      originalScore: 1,
+      temporalScore: null,
+      url: record.filepath,
+      urlWithPage: `${record.filepath}#page=${record.page}`,
+      viewerUrl: buildViewerUrl({ filepath: record.filepath, page: record.page }),
+    }));
+
+  const searchMetadata = {
+    temporalQuery,
+    temporalFilterApplied: Boolean(
+      temporalQuery?.start || temporalQuery?.end || temporalQuery?.mostRecent
+    ),
+    temporalWeightingApplied: false,
+    originalCount: records.length,
+    filteredCount: meetings.length,
+    retrievalStrategy: 'attendance',
+    attendance: { meetings: meetings.length, people },
+  };
+
+  return {
+    sources,
+    chunksFound: sources.length,
+    searchMetadata,
+    standaloneQuestion,
+    systemPrompt,
+    contextText,
+    userPrompt: buildUserPrompt(contextText, userMessage, standaloneQuestion),
+  };
+}
+
+/**
+ * Prépare la réponse à une question chiffrée à partir des montants extraits
+ *
+ * Les sources sont les délibérations qui citent les montants retenus, les
+ * plus récentes d'abord.
+ *
+ * @param {Array} records - Montants enregistrés (amounts.js)
+ * @param {Object} question - Question posée
+ * @param {string} question.userMessage - Question de l'utilisateur
+ * @param {string} question.standaloneQuestion - Question reformulée
+ * @param {Object|null} question.temporalQuery - Période détectée
+ * @returns {Object|null} Sources, métadonnées et prompts, ou null si aucun montant ne correspond
+ */
+function buildAmountRetrieval(records, { userMessage, standaloneQuestion, temporalQuery }) {
+  const context = buildAmountContext(records, standaloneQuestion, temporalQuery, formatFrenchDate);
+  if (!context) return null;
+  const { contextText, amounts, totals, subject } = context;
+
+  const deliberations = new Map();
+  for (const record of amounts) {
+    const key = `${record.filepath}#${record.subject}`;
+    if (!deliberations.has(key)) deliberations.set(key, record);
+  }
+  const sources = [...deliberations.values()]
+    .slice(0, AMOUNTS_CONFIG.CONTEXT_SOURCES)
+    .map((record) => ({
+      filename: record.filename,
+      page: record.page,
+      year: record.year,
+      meetingDate: record.date,
+      meetingDateLabel: record.date ? formatFrenchDate(record.date) : null,
+      sectionTitle: record.subject,
+      deliberationNumber: record.deliberation_number,
+      score: 1,
+      originalScore: 1,
+      temporalScore: null,
+      snippet: record.context,
+      url: record.filepath,
+      urlWithPage: `${record.filepath}#page=${record.page}`,
+      viewerUrl: buildViewerUrl({
+        filepath: record.filepath,
+        page: record.page,
+        highlight: record.context,
+      }),
+    }));
+
+  const searchMetadata = {
+    temporalQuery,
+    temporalFilterApplied: Boolean(temporalQuery?.start || temporalQuery?.end),
+    temporalWeightingApplied: false,
+    originalCount: records.length,
+    filteredCount: amounts.length,
+    retrievalStrategy: 'amounts',
+    amounts: { subject, count: amounts.length, total: totals.amount },
+  };
+
+  return {
+    sources,
+    chunksFound: sources.length,
+    searchMetadata,
+    standaloneQuestion,
+    systemPrompt,
+    contextText,
+    userPrompt: buildUserPrompt(contextText, userMessage, standaloneQuestion),
+  };
+}
+
+/**
+ * Génère la réponse du LLM et la renvoie en JSON ou en streaming
+ *
+ * @param {Object} llm - Fournisseur LLM (createLLMProvider)
+ * @param {Array} conversationHistory - Messages précédents (sanitizeHistory)
+ * @param {Object} retrievalData - Sources, métadonnées et prompts déjà calculés
+ * @param {boolean} stream - Réponse en Server-Sent Events
+ * @param {Function|null} cacheWriter - Mise en cache de la réponse (createCacheWriter), null sinon
+ * @returns {Promise<Response>} Réponse JSON, ou flux SSE si `stream` est vrai
+ */
+async function generateAnswer(llm, conversationHistory, retrievalData, stream, cacheWriter = null) {
+  const llmMessages = [
+    { role: 'system', content: retrievalData.systemPrompt },
+    ...conversationHistory,
+    { role: 'user', content: retrievalData.userPrompt },
+  ];
+  const llmOptions = {
+    maxTokens: GENERATION_CONFIG.MAX_TOKENS,
+    temperature: GENERATION_CONFIG.TEMPERATURE,
+  };
+
+  if (stream) {
+    console.log(`[API] 🌊 Génération de la réponse en streaming (${llm.model})...`);
+    return createStreamResponse(llm, llmMessages, llmOptions, retrievalData, cacheWriter);
+  }
+
+  console.log(`[API] 🤖 Génération de la réponse (${llm.model})...`);
+  const answer = (await llm.chat(llmMessages, llmOptions)) || FALLBACK_ANSWER;
+
+  console.log('[API] ✅ Réponse générée:', answer.substring(0, 100) + '...');
+  const citations = checkCitations(answer, retrievalData.contextText);
+  if (cacheWriter && answer !== FALLBACK_ANSWER) {
+    await cacheWriter({ answer, citations, ...retrievalData });
+  }
+
+  console.log('[API] ✅ Envoi de la réponse finale');
+  return createSuccessResponse({
+    answer,
+    citations,
+    ...retrievalData,
+    cached: false,
+    shareSignature: createShareSignature({ answer, citations, ...retrievalData }),
   });
+}
+
+/**
+ * Prépare la mise en cache de la réponse qui va être générée
+ *
+ * La mise en cache ne fait jamais échouer la réponse (fichier en lecture seule...).
+ *
+ * @param {Object} answerCache - Cache des réponses (createAnswerCache)
+ * @param {Object|null} cacheLookup - Résultat de answerCache.lookup, null si la question n'est pas mise en cache
+ * @param {Object} data - Question autonome, période et embedding de la question
+ * @returns {Function|null} Mise en cache (réponse complète), null si la question n'est pas mise en cache
+ */
+function createCacheWriter(
+  answerCache,
+  cacheLookup,
+  { question, temporalQuery, embedding = null }
+) {
+  if (!cacheLookup) return null;
 
-  const qdrantData = await qdrantRes.json();
+  return async (response) => {
+    try {
+      await answerCache.save({
+        question,
+        temporalQuery,
+        embedding: embedding ?? cacheLookup.embedding,
+        indexVersion: cacheLookup.indexVersion,
+        response,
+      });
+      console.log(`[API] 💾 Réponse mise en cache (${answerCache.name})`);
+    } catch (error) {
+      console.warn(`[API] ⚠️ Réponse non mise en cache: ${error.message}`);
+    }
+  };
+}
+
+/**
+ * Renvoie une réponse du cache, au même format qu'une réponse générée
+ *
+ * En streaming, la réponse complète est envoyée en un seul événement `token`.
+ *
+ * @param {Object} cacheLookup - Résultat de answerCache.lookup ({ entry, match, similarity })
+ * @param {boolean} stream - Réponse en Server-Sent Events
+ * @returns {Response} Réponse JSON, ou flux SSE si `stream` est vrai
+ */
+function createCachedResponse({ entry, match, similarity }, stream) {
+  const { answer, citations, ...retrievalData } = entry.response;
+  const cache = {
+    match,
+    similarity: Math.round(similarity * 10000) / 10000,
+    createdAt: entry.created_at,
+  };
+  const shareSignature = createShareSignature(entry.response);
 
-  if (!qdrantRes.ok) {
-    throw new Error(qdrantData.status?.error || 'Erreur lors de la recherche Qdrant');
+  if (!stream) {
+    return createSuccessResponse({
+      answer,
+      citations,
+      ...retrievalData,
+      cached: true,
+      cache,
+      shareSignature,
+    });
   }
 
-  return (
-    qdrantData.result
-      ?.map((pt) => ({
-        text: pt.payload?.text,
-        score: pt.score,
-        filename: pt.payload?.filename,
-        page: pt.payload?.page_number,
-        year: pt.payload?.year,
-      }))
-      .filter((chunk) => chunk.text) || []
-  );
+  const events = [
+    formatSSEEvent('sources', { ...retrievalData, cached: true, cache }),
+    formatSSEEvent('token', { content: answer }),
+    formatSSEEvent('done', { answer, citations, cached: true, shareSignature }),
+  ];
+  return new Response(events.join(''), { status: 200, headers: SSE_HEADERS });
 }
 
 /**
- * Construit le texte de contexte pour le LLM
+ * Signe la réponse pour qu'elle puisse être partagée (POST /api/answers)
+ *
+ * Le contenu signé est celui que le chat renverra : question autonome,
+ * réponse, citations, sources et période détectée.
  *
- * @param {Array} chunks - Chunks de documents sélectionnés
- * @returns {string} Texte de contexte formaté
+ * @param {Object} response - Réponse complète ({ answer, citations, sources, searchMetadata, standaloneQuestion })
+ * @returns {string|null} Signature, null si le partage est désactivé
  */
-function buildContextText(chunks) {
-  return chunks
-    .map((chunk) => {
-      const sourceInfo = [
-        chunk.filename || 'Document',
-        chunk.page ? `page ${chunk.page}` : '',
-        chunk.year ? `année ${chunk.year}` : '',
-        chunk.temporalScore
-          ? `pertinence temporelle: ${(chunk.temporalScore * 100).toFixed(1)}%`
-          : '',
-      ]
-        .filter(Boolean)
-        .join(', ');
-
-      return `[Source: ${sourceInfo}]\n${chunk.text}`;
+function createShareSignature({ answer, citations, sources, searchMetadata, standaloneQuestion }) {
+  return signSnapshot(
+    getAnswerSnapshotConfig(),
+    buildSnapshot({
+      question: standaloneQuestion,
+      answer,
+      citations,
+      sources,
+      period: searchMetadata?.temporalQuery?.label,
     })
-    .join('\n---\n');
+  );
 }
 
 /**
- * Construit le prompt utilisateur pour le LLM
+ * Vérifie les citations de la réponse par rapport au contexte fourni au LLM
  *
- * @param {string} contextText - Contexte des documents
- * @param {string} userMessage - Question de l'utilisateur
- * @returns {string} Prompt complet
+ * @param {string} answer - Réponse complète du LLM
+ * @param {string} contextText - Contexte fourni au LLM
+ * @returns {Array} Citations avec leur statut de vérification (voir citations.js)
  */
-function buildUserPrompt(contextText, userMessage) {
-  return `Contexte des documents municipaux :
-${contextText}
+function checkCitations(answer, contextText) {
+  const { citations, verified, total } = verifyCitations(answer, contextText);
+  if (total > verified) {
+    const unverified = citations.filter((citation) => citation.status !== 'verified');
+    console.log(
+      `[API] ⚠️ Citations vérifiées: ${verified}/${total} (${unverified.map((c) => `${c.raw} ${c.status}`).join(', ')})`
+    );
+  } else {
+    console.log(`[API] 🔎 Citations vérifiées: ${verified}/${total}`);
+  }
+  return citations;
+}
 
-Question de l'utilisateur : ${userMessage}`;
+/**
+ * Formate un événement Server-Sent Events
+ *
+ * @param {string} event - Nom de l'événement (sources, token, done, error)
+ * @param {Object} data - Données sérialisées en JSON
+ * @returns {string} Événement SSE prêt à être envoyé
+ */
+function formatSSEEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
 }
 
 /**
- * Construit les sources enrichies avec URLs et métadonnées
+ * Crée une réponse en streaming (Server-Sent Events)
+ *
+ * Ordre des événements :
+ * 1. `sources` : sources enrichies et métadonnées de recherche
+ * 2. `token` : fragments de la réponse au fur et à mesure de la génération
+ * 3. `done` : réponse complète, vérification de ses citations et signature de partage,
+ *    ou `error` si la génération échoue
+ *
+ * Si le client ferme la connexion (cancel), la génération est interrompue
+ * (AbortSignal) et rien n'est plus envoyé ni mis en cache.
  *
- * @param {Array} chunks - Chunks de documents
- * @returns {Array} Sources avec URLs et métadonnées temporelles
+ * @param {Object} llm - Fournisseur LLM (createLLMProvider)
+ * @param {Array} llmMessages - Messages envoyés au LLM
+ * @param {Object} llmOptions - Options de génération ({ maxTokens, temperature })
+ * @param {Object} retrievalData - Sources, métadonnées et prompts déjà calculés
+ * @param {Function|null} cacheWriter - Mise en cache de la réponse complète, null sinon
+ * @returns {Response} Réponse HTTP au format text/event-stream
  */
-function buildEnrichedSources(chunks) {
-  return chunks.map((chunk) => {
-    // Construction de l'URL du PDF
-    let pdfUrl = null;
-    if (chunk.filename && chunk.year) {
-      pdfUrl = `/datas/${chunk.year}/${chunk.filename}`;
-    } else if (chunk.filename) {
-      // Fallback : extraction de l'année du filename
-      const yearMatch = chunk.filename.match(/(\d{4})/);
-      if (yearMatch) {
-        const year = yearMatch[1];
-        pdfUrl = `/datas/${year}/${chunk.filename}`;
+function createStreamResponse(llm, llmMessages, llmOptions, retrievalData, cacheWriter = null) {
+  const encoder = new TextEncoder();
+  const abortController = new AbortController();
+  let closed = false;
+
+  const body = new ReadableStream({
+    async start(controller) {
+      // Après la fermeture du flux, enqueue et close lèveraient une exception
+      const send = (event, data) => {
+        if (!closed) controller.enqueue(encoder.encode(formatSSEEvent(event, data)));
+      };
+
+      try {
+        send('sources', { ...retrievalData, cached: false });
+
+        let answer = '';
+        const options = { ...llmOptions, signal: abortController.signal };
+        for await (const content of llm.chatStream(llmMessages, options)) {
+          answer += content;
+          send('token', { content });
+        }
+
+        console.log('[API] ✅ Réponse streamée:', answer.substring(0, 100) + '...');
+        const finalAnswer = answer || FALLBACK_ANSWER;
+        const citations = checkCitations(finalAnswer, retrievalData.contextText);
+        send('done', {
+          answer: finalAnswer,
+          citations,
+          cached: false,
+          shareSignature: createShareSignature({
+            answer: finalAnswer,
+            citations,
+            ...retrievalData,
+          }),
+        });
+        if (cacheWriter && answer) {
+          await cacheWriter({ answer: finalAnswer, citations, ...retrievalData });
+        }
+      } catch (error) {
+        if (closed) {
+          console.log('[API] 🛑 Streaming interrompu par le client');
+          return;
+        }
+        console.error('[API] 💥 Exception pendant le streaming:', error);
+        send('error', {
+          error: 'Erreur lors de la génération de la réponse',
+          details: error.message,
+        });
+      } finally {
+        if (!closed) {
+          closed = true;
+          controller.close();
+        }
       }
-    }
+    },
 
-    return {
-      filename: chunk.filename,
-      page: chunk.page,
-      year: chunk.year,
-      score: chunk.finalScore || chunk.score,
-      originalScore: chunk.originalScore || chunk.score,
-      temporalScore: chunk.temporalScore,
-      url: pdfUrl,
-      urlWithPage: chunk.page && pdfUrl ? `${pdfUrl}#page=${chunk.page}` : pdfUrl,
-    };
+    // Connexion fermée par le client : la génération est interrompue
+    cancel() {
+      closed = true;
+      abortController.abort();
+    },
   });
+
+  return new Response(body, { status: 200, headers: SSE_HEADERS });
 }
 
 /**
@@ -427,21 +948,42 @@ function createSuccessResponse(data) {
   });
 }
 
+/**
+ * Applique la limitation du débit à la requête
+ *
+ * @async
+ * @param {Object} context - Contexte Astro de la route
+ * @returns {Promise<Response|null>} Réponse 429 si le débit est dépassé, null sinon
+ */
+async function enforceRateLimit(context) {
+  const { ip } = getClientInfo(context);
+  const limited = await enforceClientRateLimit(ip);
+  if (!limited) return null;
+
+  const message =
+    limited.scope === 'global'
+      ? `Le service reçoit trop de questions. Réessayez dans ${limited.retryAfter} secondes.`
+      : `Trop de questions envoyées. Réessayez dans ${limited.retryAfter} secondes.`;
+
+  return createErrorResponse(429, message, null, limited.headers);
+}
+
 /**
  * Crée une réponse d'erreur
  *
  * @param {number} status - Code de statut HTTP
  * @param {string} message - Message d'erreur
  * @param {string} details - Détails optionnels
+ * @param {Object} headers - En-têtes supplémentaires (ex: Retry-After)
  * @returns {Response} Réponse HTTP d'erreur
  */
-function createErrorResponse(status, message, details = null) {
+function createErrorResponse(status, message, details = null, headers = {}) {
   const errorData = { error: message };
   if (details) errorData.details = details;
 
   return new Response(JSON.stringify(errorData), {
     status,
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...headers },
   });
 }
 
@@ -0,0 +1,149 @@
+/**
+ * =============================================================================
+ * API ROUTE: DÉLIBÉRATIONS - RECHERCHE STRUCTURÉE
+ * =============================================================================
+ *
+ * ENDPOINTS:
+ * - GET /api/deliberations : liste filtrée des délibérations extraites à l'ingestion
+ *
+ * DESCRIPTION:
+ * Chaque document indexé (POST /api/QdrantUploader ou npm run ingest) est
+ * découpé en délibérations : numéro, date de séance, objet, texte de la
+ * décision et résultat du vote (voir src/utils/deliberations.js). Cette route
+ * les interroge sans passer par la recherche vectorielle ni par le LLM : les
+ * réponses sont exactes et exhaustives.
+ *
+ * PARAMÈTRES (query string, tous optionnels):
+ * - year_from, year_to : années de séance (bornes incluses)
+ * - q                  : mot-clé cherché dans le numéro, l'objet et la décision
+ * - unanimous          : true | false
+ * - outcome            : adopted | rejected
+ * - limit, offset      : pagination (50 par défaut, 200 au maximum)
+ *
+ * =============================================================================
+ */
+
+export const prerender = false;
+
+// =============================================================================
+// IMPORTS ET CONFIGURATION
+// =============================================================================
+
+import { config } from 'dotenv';
+import { getRecordStoreConfig, createRecordStore } from '../../utils/recordStore.js';
+import {
+  DELIBERATIONS_CONFIG,
+  parseDeliberationFilters,
+  searchDeliberations,
+} from '../../utils/deliberations.js';
+
+// Chargement des variables d'environnement
+config();
+
+// =============================================================================
+// FONCTION PRINCIPALE - GET /api/deliberations
+// =============================================================================
+
+/**
+ * Recherche dans les délibérations extraites
+ *
+ * @async
+ * @param {Object} params - Paramètres de la requête Astro
+ * @param {URL} params.url - URL de la requête
+ * @returns {Promise<Response>} Réponse JSON avec les délibérations correspondantes
+ *
+ * @example
+ * await fetch('/api/deliberations?year_from=2019&year_to=2020&unanimous=false');
+ * // {
+ * //   total: 3, count: 3, offset: 0, limit: 50,
+ * //   filters: { year_from: 2019, year_to: 2020, q: '', unanimous: false, outcome: null },
+ * //   deliberations: [{ number: '2019-03-18', date: '2019-03-11', subject: '...', vote: {...}, ... }]
+ * // }
+ */
+export async function GET({ url }) {
+  const { filters, error } = parseDeliberationFilters(url.searchParams);
+  if (error) {
+    return createErrorResponse(400, error);
+  }
+
+  try {
+    const store = createRecordStore(getRecordStoreConfig(), DELIBERATIONS_CONFIG.RECORD_TYPE);
+    const { total, deliberations } = searchDeliberations(store.all(), filters);
+
+    console.log(`[API] 🏛️ Délibérations: ${total} résultats pour ${url.search || '(sans filtre)'}`);
+
+    return new Response(
+      JSON.stringify({
+        total,
+        count: deliberations.length,
+        offset: filters.offset,
+        limit: filters.limit,
+        filters: {
+          year_from: filters.yearFrom,
+          year_to: filters.yearTo,
+          q: filters.q,
+          unanimous: filters.unanimous,
+          outcome: filters.outcome,
+        },
+        deliberations,
+      }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('[API] 💥 Exception lors de la lecture des délibérations:', error);
+    return createErrorResponse(500, 'Erreur lors de la lecture des délibérations', error.message);
+  }
+}
+
+// =============================================================================
+// FONCTIONS UTILITAIRES
+// =============================================================================
+
+/**
+ * Crée une réponse d'erreur
+ *
+ * @param {number} status - Code de statut HTTP
+ * @param {string} message - Message d'erreur
+ * @param {string} details - Détails optionnels
+ * @returns {Response} Réponse HTTP d'erreur
+ */
+function createErrorResponse(status, message, details = null) {
+  const errorData = { error: message };
+  if (details) errorData.details = details;
+
+  return new Response(JSON.stringify(errorData), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+// =============================================================================
+// GESTION DES MÉTHODES HTTP NON SUPPORTÉES
+// =============================================================================
+
+/**
+ * Gère les requêtes POST (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function POST() {
+  return createErrorResponse(405, 'Méthode POST non supportée. Utilisez GET.');
+}
+
+/**
+ * Gère les requêtes PUT (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function PUT() {
+  return createErrorResponse(405, 'Méthode PUT non supportée. Utilisez GET.');
+}
+
+/**
+ * Gère les requêtes DELETE (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function DELETE() {
+  return createErrorResponse(405, 'Méthode DELETE non supportée. Utilisez GET.');
+}
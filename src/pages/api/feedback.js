@@ -0,0 +1,187 @@
+/**
+ * =============================================================================
+ * API ROUTE: RETOURS SUR LES RÉPONSES DU CHATBOT
+ * =============================================================================
+ *
+ * ENDPOINT: POST /api/feedback
+ *
+ * DESCRIPTION:
+ * Enregistre le verdict d'un utilisateur (👍 / 👎) sur une réponse du chat,
+ * avec un commentaire facultatif. Le chat renvoie avec le verdict la
+ * question, la réponse, ses sources et ses métadonnées de recherche, telles
+ * qu'il les a reçues de POST /api/chat (voir src/utils/feedback.js).
+ *
+ * Les retours négatifs sont relus avec GET /api/admin/feedback, réservé aux
+ * administrateurs, pour enrichir le jeu de questions de référence
+ * (npm run evaluate).
+ *
+ * PROTECTION:
+ * La route est publique : le débit est limité avec les compteurs du chat
+ * (src/utils/rateLimit.js), 429 + Retry-After au-delà, et seuls les champs
+ * connus des métadonnées de recherche sont conservés, avec une taille bornée.
+ * Sans stockage persistant (FEEDBACK_STORE), les retours sont refusés (503).
+ *
+ * =============================================================================
+ */
+
+export const prerender = false;
+
+// =============================================================================
+// IMPORTS ET CONFIGURATION
+// =============================================================================
+
+import { config } from 'dotenv';
+import {
+  getFeedbackStoreConfig,
+  createFeedbackStore,
+  validateFeedback,
+} from '../../utils/feedback.js';
+import { getClientInfo } from '../../utils/adminAuth.js';
+import { enforceClientRateLimit } from '../../utils/rateLimit.js';
+
+// Chargement des variables d'environnement
+config();
+
+/**
+ * Taille maximale du corps JSON (les sources contiennent le texte des extraits)
+ */
+const MAX_BODY_LENGTH = 256 * 1024;
+
+// =============================================================================
+// FONCTION PRINCIPALE - POST /api/feedback
+// =============================================================================
+
+/**
+ * Enregistre un retour sur une réponse
+ *
+ * @async
+ * @param {Object} context - Contexte Astro de la route
+ * @param {Request} context.request - Objet Request de la requête HTTP
+ * @returns {Promise<Response>} Réponse JSON 201 avec l'identifiant du retour
+ *   (429 avec Retry-After au-delà du débit autorisé)
+ *
+ * @example
+ * await fetch('/api/feedback', {
+ *   method: 'POST',
+ *   headers: { 'Content-Type': 'application/json' },
+ *   body: JSON.stringify({
+ *     verdict: 'down',
+ *     comment: 'La délibération citée date de 2018',
+ *     question: 'Quels travaux de voirie en 2019 ?',
+ *     standaloneQuestion: 'Quels travaux de voirie en 2019 ?',
+ *     answer: 'En 2019, le conseil a voté...',
+ *     cached: false,
+ *     sources: [{ filename: 'cr-2018-06.pdf', page: 4, text: '...', ... }],
+ *     searchMetadata: { temporalQuery: {...}, retrievalStrategy: 'filtered', ... }
+ *   })
+ * });
+ * // 201: { success: true, id: '3f2a9c1e-...' }
+ */
+export async function POST(context) {
+  const { request } = context;
+
+  const storeConfig = getFeedbackStoreConfig();
+  if (storeConfig.error) {
+    return createErrorResponse(503, storeConfig.error);
+  }
+
+  const { ip } = getClientInfo(context);
+  const limited = await enforceClientRateLimit(ip);
+  if (limited) {
+    return createErrorResponse(
+      429,
+      `Trop de retours envoyés. Réessayez dans ${limited.retryAfter} secondes.`,
+      null,
+      limited.headers
+    );
+  }
+
+  try {
+    const rawBody = await request.text();
+    if (rawBody.length > MAX_BODY_LENGTH) {
+      return createErrorResponse(413, 'Requête trop volumineuse');
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      return createErrorResponse(400, 'Corps JSON invalide');
+    }
+
+    const { feedback, error } = validateFeedback(body);
+    if (error) {
+      return createErrorResponse(400, error);
+    }
+
+    const entry = await createFeedbackStore(storeConfig).record(feedback);
+    console.log(
+      `[API] ${entry.verdict === 'up' ? '👍' : '👎'} Retour enregistré${entry.comment ? ' avec commentaire' : ''}: ${entry.question.substring(0, 100)}`
+    );
+
+    return new Response(JSON.stringify({ success: true, id: entry.id }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (error) {
+    console.error("[API] 💥 Exception lors de l'enregistrement du retour:", error);
+    return createErrorResponse(500, "Erreur lors de l'enregistrement du retour", error.message);
+  }
+}
+
+// =============================================================================
+// FONCTIONS UTILITAIRES
+// =============================================================================
+
+/**
+ * Crée une réponse d'erreur
+ *
+ * @param {number} status - Code de statut HTTP
+ * @param {string} message - Message d'erreur
+ * @param {string} details - Détails optionnels
+ * @param {Object} headers - En-têtes supplémentaires (ex: Retry-After)
+ * @returns {Response} Réponse HTTP d'erreur
+ */
+function createErrorResponse(status, message, details = null, headers = {}) {
+  const errorData = { error: message };
+  if (details) errorData.details = details;
+
+  return new Response(JSON.stringify(errorData), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+// =============================================================================
+// GESTION DES MÉTHODES HTTP NON SUPPORTÉES
+// =============================================================================
+
+/**
+ * Gère les requêtes GET (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function GET() {
+  return createErrorResponse(
+    405,
+    'Méthode GET non supportée. Utilisez POST (liste des retours : GET /api/admin/feedback).'
+  );
+}
+
+/**
+ * Gère les requêtes PUT (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function PUT() {
+  return createErrorResponse(405, 'Méthode PUT non supportée. Utilisez POST.');
+}
+
+/**
+ * Gère les requêtes DELETE (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function DELETE() {
+  return createErrorResponse(405, 'Méthode DELETE non supportée. Utilisez POST.');
+}
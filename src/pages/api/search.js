@@ -0,0 +1,199 @@
+/**
+ * =============================================================================
+ * API ROUTE: RECHERCHE DE PASSAGES
+ * =============================================================================
+ *
+ * ENDPOINTS:
+ * - GET /api/search?q=<requête> : passages classés des comptes-rendus, sans génération
+ *
+ * DESCRIPTION:
+ * La requête suit le chemin de recherche du chat (src/utils/retrieval.js) :
+ * embedding, recherche vectorielle et lexicale (BM25), reranking optionnel
+ * et recherche hybride temporelle (une période citée dans la requête,
+ * "voirie 2019", filtre et pondère les résultats). Tous les candidats classés
+ * sont renvoyés avec leur extrait, leur page, la date de séance et le lien
+ * vers la visionneuse, ainsi que le nombre de passages par année parmi ces
+ * candidats (src/utils/passageSearch.js).
+ *
+ * PARAMÈTRES (query string):
+ * - q             : requête (obligatoire, CHAT_MAX_MESSAGE_LENGTH caractères maximum)
+ * - year          : ne renvoyer que les passages de cette année (recherche relancée
+ *                   avec un filtre sur l'année, facettes inchangées)
+ * - limit, offset : pagination (20 par défaut, 50 au maximum)
+ *
+ * PROTECTION:
+ * Chaque recherche déclenche un appel d'embedding : le débit est limité avec
+ * les compteurs du chat (src/utils/rateLimit.js), 429 + Retry-After au-delà.
+ *
+ * =============================================================================
+ */
+
+export const prerender = false;
+
+// =============================================================================
+// IMPORTS ET CONFIGURATION
+// =============================================================================
+
+import { config } from 'dotenv';
+import { getProviderConfig, createEmbeddingProvider } from '../../utils/aiProviders.js';
+import { getVectorStoreConfig, createVectorStore } from '../../utils/vectorStore.js';
+import { getLexicalIndexConfig, createLexicalIndex } from '../../utils/lexicalIndex.js';
+import { getRerankerConfig, createReranker } from '../../utils/reranker.js';
+import { retrieveChunks } from '../../utils/retrieval.js';
+import { getYearPeriod } from '../../utils/temporalSearch.js';
+import { parsePassageSearchParams, buildPassageResults } from '../../utils/passageSearch.js';
+import { getClientInfo } from '../../utils/adminAuth.js';
+import { enforceClientRateLimit } from '../../utils/rateLimit.js';
+
+// Chargement des variables d'environnement
+config();
+
+// =============================================================================
+// FONCTION PRINCIPALE - GET /api/search
+// =============================================================================
+
+/**
+ * Recherche des passages dans les comptes-rendus
+ *
+ * @async
+ * @param {Object} context - Contexte Astro de la route
+ * @param {URL} context.url - URL de la requête
+ * @returns {Promise<Response>} Réponse JSON avec les passages classés et les facettes par année
+ *   (429 avec Retry-After au-delà du débit autorisé)
+ *
+ * @example
+ * await fetch('/api/search?q=travaux%20de%20voirie&year=2019');
+ * // {
+ * //   query: 'travaux de voirie', year: 2019,
+ * //   total: 4, count: 4, offset: 0, limit: 20,
+ * //   passages: [{ rank: 2, filename: 'cr-2019-03.pdf', page: 4, meetingDate: '2019-03-11', meetingDateLabel: '11 mars 2019', snippet: '...', viewerUrl: '/viewer?...', ... }],
+ * //   facets: { years: [{ year: 2020, count: 6 }, { year: 2019, count: 4 }] },
+ * //   searchMetadata: {...}
+ * // }
+ */
+export async function GET(context) {
+  const { url } = context;
+
+  const { ip } = getClientInfo(context);
+  const limited = await enforceClientRateLimit(ip);
+  if (limited) {
+    return createErrorResponse(
+      429,
+      `Trop de recherches envoyées. Réessayez dans ${limited.retryAfter} secondes.`,
+      null,
+      limited.headers
+    );
+  }
+
+  const { filters, error } = parsePassageSearchParams(url.searchParams);
+  if (error) {
+    return createErrorResponse(400, error);
+  }
+
+  try {
+    const providers = getProviderConfig();
+    const vectorStoreConfig = getVectorStoreConfig();
+    const missing = [...providers.missing, ...vectorStoreConfig.missing];
+    if (missing.length > 0) {
+      throw new Error(`Configuration manquante: ${missing.join(', ')}`);
+    }
+
+    const backends = {
+      embedder: createEmbeddingProvider(providers),
+      vectorStore: createVectorStore(vectorStoreConfig),
+      lexicalIndex: createLexicalIndex(getLexicalIndexConfig()),
+      reranker: createReranker(getRerankerConfig()),
+    };
+    const { candidates, embedding, ...search } = await retrieveChunks(backends, filters.q);
+
+    // L'année choisie filtre la recherche elle-même, et non les seuls candidats
+    // déjà trouvés : la recherche sans filtre ne sert plus qu'aux facettes
+    const { candidates: yearCandidates, searchMetadata } =
+      filters.year === null
+        ? { candidates, searchMetadata: search.searchMetadata }
+        : await retrieveChunks(backends, filters.q, {
+            embedding,
+            temporalQuery: getYearPeriod(filters.year),
+          });
+    const { total, passages, facets } = buildPassageResults(yearCandidates, filters, candidates);
+
+    console.log(
+      `[API] 🔎 Recherche: ${total} passages (${yearCandidates.length} candidats) pour "${filters.q.substring(0, 100)}"${filters.year ? ` en ${filters.year}` : ''}`
+    );
+
+    return new Response(
+      JSON.stringify({
+        query: filters.q,
+        year: filters.year,
+        total,
+        count: passages.length,
+        offset: filters.offset,
+        limit: filters.limit,
+        passages,
+        facets,
+        searchMetadata,
+      }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' },
+      }
+    );
+  } catch (error) {
+    console.error('[API] 💥 Exception lors de la recherche de passages:', error);
+    return createErrorResponse(500, 'Erreur lors de la recherche', error.message);
+  }
+}
+
+// =============================================================================
+// FONCTIONS UTILITAIRES
+// =============================================================================
+
+/**
+ * Crée une réponse d'erreur
+ *
+ * @param {number} status - Code de statut HTTP
+ * @param {string} message - Message d'erreur
+ * @param {string} details - Détails optionnels
+ * @param {Object} headers - En-têtes supplémentaires (ex: Retry-After)
+ * @returns {Response} Réponse HTTP d'erreur
+ */
+function createErrorResponse(status, message, details = null, headers = {}) {
+  const errorData = { error: message };
+  if (details) errorData.details = details;
+
+  return new Response(JSON.stringify(errorData), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+// =============================================================================
+// GESTION DES MÉTHODES HTTP NON SUPPORTÉES
+// =============================================================================
+
+/**
+ * Gère les requêtes POST (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function POST() {
+  return createErrorResponse(405, 'Méthode POST non supportée. Utilisez GET.');
+}
+
+/**
+ * Gère les requêtes PUT (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function PUT() {
+  return createErrorResponse(405, 'Méthode PUT non supportée. Utilisez GET.');
+}
+
+/**
+ * Gère les requêtes DELETE (non supportées)
+ *
+ * @returns {Response} Réponse d'erreur 405
+ */
+export async function DELETE() {
+  return createErrorResponse(405, 'Méthode DELETE non supportée. Utilisez GET.');
+}
@@ -50,6 +50,12 @@ export const { getStaticPaths, GET } = OGImageRoute({
       description: SITE_DESCRIPTION,
       useHero: false,
     },
+    // Réponses partagées depuis le chat (/reponse/[id])
+    reponse: {
+      title: "Réponse du chatbot",
+      description: "Question sur les comptes-rendus du conseil municipal, avec ses sources\n\n" + SITE_TITLE,
+      useHero: false,
+    },
     ...pages,
   },
 
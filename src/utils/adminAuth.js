@@ -0,0 +1,279 @@
+/**
+ * Authentification des administrateurs
+ *
+ * Les routes d'écriture (indexation, suppression de documents) et
+ * d'administration (journal d'audit) sont réservées aux détenteurs du jeton
+ * ADMIN_TOKEN, présenté :
+ * - dans l'en-tête `Authorization: Bearer <jeton>` (scripts, curl)
+ * - ou par le cookie de session ouvert depuis la page Documents
+ *
+ * La session ne demande aucun stockage côté serveur (compatible serverless) :
+ * le cookie contient le nom de l'administrateur et la date d'expiration,
+ * signés par HMAC avec le jeton. Changer ADMIN_TOKEN révoque donc toutes les
+ * sessions ouvertes.
+ *
+ * Sans ADMIN_TOKEN (ou avec un jeton trop court), les routes protégées sont
+ * refusées : l'indexation ne passe plus que par `npm run ingest`.
+ *
+ * Les jetons refusés sont comptés par IP (src/utils/rateLimit.js) : au-delà
+ * de la limite, le jeton n'est plus vérifié jusqu'à la fin de la fenêtre.
+ */
+
+import crypto from 'crypto';
+import { enforceAdminAttemptLimit, recordFailedAdminAttempt } from './rateLimit.js';
+
+/**
+ * Configuration de l'authentification
+ */
+export const ADMIN_AUTH_CONFIG = {
+  COOKIE_NAME: 'admin_session',
+  SESSION_TTL_SECONDS: 8 * 60 * 60, // Durée d'une session (ADMIN_SESSION_TTL)
+  MIN_TOKEN_LENGTH: 16, // Jeton plus court refusé (ex: généré par `openssl rand -hex 32`)
+  MAX_NAME_LENGTH: 60, // Nom saisi à la connexion, repris dans le journal d'audit
+  DEFAULT_NAME: 'admin',
+};
+
+/**
+ * Lit la configuration de l'authentification depuis les variables d'environnement
+ * @returns {{enabled: boolean, error: string|null, token: string, sessionTtl: number}} - Configuration
+ */
+export function getAdminAuthConfig() {
+  const token = process.env.ADMIN_TOKEN || '';
+  let error = null;
+  if (!token) {
+    error = 'Administration désactivée: ADMIN_TOKEN non défini';
+  } else if (token.length < ADMIN_AUTH_CONFIG.MIN_TOKEN_LENGTH) {
+    error = `Administration désactivée: ADMIN_TOKEN trop court (${ADMIN_AUTH_CONFIG.MIN_TOKEN_LENGTH} caractères minimum)`;
+  }
+
+  return {
+    enabled: error === null,
+    error,
+    token,
+    sessionTtl: Number(process.env.ADMIN_SESSION_TTL) || ADMIN_AUTH_CONFIG.SESSION_TTL_SECONDS,
+  };
+}
+
+// =============================================================================
+// JETON ET SESSION
+// =============================================================================
+
+/**
+ * Compare deux chaînes en temps constant
+ * @param {string} a - Première chaîne
+ * @param {string} b - Seconde chaîne
+ * @returns {boolean} - true si elles sont identiques
+ */
+function safeEqual(a, b) {
+  // Les empreintes ont la même longueur : timingSafeEqual ne révèle pas celle du jeton
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+/**
+ * Signature HMAC d'un contenu de session
+ * @param {string} token - Jeton d'administration (clé)
+ * @param {string} payload - Contenu encodé de la session
+ * @returns {string} - Signature (base64url)
+ */
+function sign(token, payload) {
+  return crypto.createHmac('sha256', token).update(payload).digest('base64url');
+}
+
+/**
+ * Vérifie un jeton d'administration
+ * @param {Object} config - Configuration retournée par getAdminAuthConfig
+ * @param {string} candidate - Jeton présenté
+ * @returns {boolean} - true si le jeton est valide
+ */
+export function checkAdminToken(config, candidate) {
+  return config.enabled && typeof candidate === 'string' && safeEqual(candidate, config.token);
+}
+
+/**
+ * Nettoie le nom saisi à la connexion
+ * @param {string} name - Nom saisi
+ * @returns {string} - Nom sur une ligne, tronqué, "admin" à défaut
+ */
+export function normalizeAdminName(name) {
+  const cleaned = String(name || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, ADMIN_AUTH_CONFIG.MAX_NAME_LENGTH);
+  return cleaned || ADMIN_AUTH_CONFIG.DEFAULT_NAME;
+}
+
+/**
+ * Crée la valeur du cookie de session
+ *
+ * @param {Object} config - Configuration retournée par getAdminAuthConfig
+ * @param {string} name - Nom de l'administrateur
+ * @param {number} now - Date courante (ms)
+ * @returns {{value: string, expiresAt: string}} - Valeur du cookie et date d'expiration (ISO)
+ *
+ * @example
+ * createSession(config, 'Marie');
+ * // { value: 'eyJuYW1lIjoiTWFyaWUiLCJleHAiOjE3...}.k3J...', expiresAt: '2025-03-01T18:00:00.000Z' }
+ */
+export function createSession(config, name, now = Date.now()) {
+  const expires = now + config.sessionTtl * 1000;
+  const payload = Buffer.from(
+    JSON.stringify({ name: normalizeAdminName(name), exp: expires })
+  ).toString('base64url');
+  return {
+    value: `${payload}.${sign(config.token, payload)}`,
+    expiresAt: new Date(expires).toISOString(),
+  };
+}
+
+/**
+ * Vérifie la valeur du cookie de session
+ * @param {Object} config - Configuration retournée par getAdminAuthConfig
+ * @param {string|undefined} value - Valeur du cookie
+ * @param {number} now - Date courante (ms)
+ * @returns {{name: string, expiresAt: string}|null} - Session, null si absente, falsifiée ou expirée
+ */
+export function verifySession(config, value, now = Date.now()) {
+  if (!config.enabled || !value) return null;
+
+  const [payload, signature] = value.split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(config.token, payload))) return null;
+
+  try {
+    const { name, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!Number.isFinite(exp) || exp <= now) return null;
+    return { name: normalizeAdminName(name), expiresAt: new Date(exp).toISOString() };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Options du cookie de session
+ *
+ * HttpOnly (inaccessible au JavaScript de la page) et SameSite=Strict : un
+ * autre site ne peut pas déclencher une indexation avec la session d'un
+ * administrateur.
+ *
+ * @param {Object} config - Configuration retournée par getAdminAuthConfig
+ * @param {URL} url - URL de la requête (cookie Secure en HTTPS)
+ * @returns {Object} - Options pour Astro.cookies.set / cookies.delete
+ */
+export function getSessionCookieOptions(config, url) {
+  return {
+    path: '/',
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: url.protocol === 'https:',
+    maxAge: config.sessionTtl,
+  };
+}
+
+// =============================================================================
+// CONTRÔLE D'ACCÈS
+// =============================================================================
+
+/**
+ * Identifie l'administrateur à l'origine d'une requête
+ *
+ * @param {Object} config - Configuration retournée par getAdminAuthConfig
+ * @param {Object} context - Contexte Astro de la route ou de la page
+ * @param {Request} context.request - Requête HTTP
+ * @param {Object} context.cookies - Cookies Astro
+ * @returns {{authorized: boolean, status?: number, error?: string, actor?: string, method?: string}}
+ *   actor : nom de l'administrateur ("token" pour l'en-tête Authorization),
+ *   method : "token" | "session" (aussi "token" pour un jeton refusé)
+ *
+ * @example
+ * const auth = authorizeAdmin(getAdminAuthConfig(), { request, cookies });
+ * if (!auth.authorized) return createErrorResponse(auth.status, auth.error);
+ */
+export function authorizeAdmin(config, { request, cookies }) {
+  if (!config.enabled) {
+    return { authorized: false, status: 503, error: config.error };
+  }
+
+  const header = request.headers.get('authorization') || '';
+  if (header) {
+    const [scheme, token] = header.split(/\s+/, 2);
+    if (scheme?.toLowerCase() === 'bearer' && checkAdminToken(config, token)) {
+      return { authorized: true, actor: 'token', method: 'token' };
+    }
+    return {
+      authorized: false,
+      status: 401,
+      error: "Jeton d'administration invalide",
+      method: 'token',
+    };
+  }
+
+  const session = verifySession(config, cookies?.get(ADMIN_AUTH_CONFIG.COOKIE_NAME)?.value);
+  if (session) {
+    return { authorized: true, actor: session.name, method: 'session' };
+  }
+
+  return { authorized: false, status: 401, error: 'Authentification administrateur requise' };
+}
+
+/**
+ * Identifie l'administrateur à l'origine d'une requête, en limitant les
+ * essais de jeton
+ *
+ * Comme authorizeAdmin ; un jeton refusé dans l'en-tête Authorization est
+ * compté, et un client qui a épuisé ses essais reçoit 429 sans que son jeton
+ * soit vérifié. Les requêtes avec le cookie de session ne sont pas limitées.
+ *
+ * @async
+ * @param {Object} config - Configuration retournée par getAdminAuthConfig
+ * @param {Object} context - Contexte Astro de la route
+ * @returns {Promise<{authorized: boolean, status?: number, error?: string, actor?: string, method?: string, headers?: Object}>}
+ *   Résultat de authorizeAdmin, ou status 429 et en-têtes (Retry-After) si le client est bloqué
+ *
+ * @example
+ * const auth = await authorizeAdminRequest(getAdminAuthConfig(), context);
+ * if (!auth.authorized) return createErrorResponse(auth.status, auth.error, null, auth.headers);
+ */
+export async function authorizeAdminRequest(config, context) {
+  const { ip } = getClientInfo(context);
+
+  if (config.enabled && context.request.headers.get('authorization')) {
+    const limited = await enforceAdminAttemptLimit(ip);
+    if (limited) {
+      return {
+        authorized: false,
+        status: 429,
+        error: `Trop de tentatives d'authentification. Réessayez dans ${limited.retryAfter} secondes.`,
+        method: 'token',
+        headers: limited.headers,
+      };
+    }
+  }
+
+  const auth = authorizeAdmin(config, context);
+  if (!auth.authorized && auth.method === 'token') {
+    await recordFailedAdminAttempt(ip);
+  }
+  return auth;
+}
+
+/**
+ * Informations sur le client, pour le journal d'audit et la limitation du débit
+ *
+ * L'adresse fournie par l'adaptateur (clientAddress) est préférée à
+ * l'en-tête X-Forwarded-For, qu'un client peut renseigner lui-même quand le
+ * serveur n'est pas derrière un proxy qui le réécrit.
+ *
+ * @param {Object} context - Contexte Astro de la route
+ * @returns {{ip: string|null, userAgent: string|null}} - Adresse IP et navigateur
+ */
+export function getClientInfo(context) {
+  const { request } = context;
+  let ip = null;
+  try {
+    ip = context.clientAddress || null;
+  } catch {
+    // clientAddress n'est pas disponible avec tous les adaptateurs
+  }
+  ip ??= request.headers.get('x-forwarded-for')?.split(',')[0].trim() || null;
+  return { ip, userAgent: request.headers.get('user-agent') || null };
+}
@@ -0,0 +1,310 @@
+/**
+ * Fournisseurs d'IA interchangeables (embeddings et génération de texte)
+ *
+ * Le choix se fait par variables d'environnement, ce qui permet de faire
+ * tourner toute la chaîne RAG sur une seule machine, sans clé d'API externe :
+ *
+ * EMBEDDING_PROVIDER:
+ * - huggingface  : Hugging Face Inference API (défaut, HUGGINGFACE_API_KEY requise)
+ * - transformers : modèle exécuté dans le processus Node via transformers.js
+ * - hashing      : vecteurs de mots hachés, sans modèle ni réseau ; qualité
+ *                  bien inférieure, réservé aux tests et à l'évaluation hors ligne
+ *
+ * LLM_PROVIDER:
+ * - huggingface  : Hugging Face Inference API (défaut)
+ * - openai       : tout serveur compatible OpenAI (llama.cpp, Ollama, vLLM...)
+ *                  accessible à LLM_BASE_URL
+ */
+
+import { InferenceClient } from '@huggingface/inference';
+import { tokenize } from './lexicalIndex.js';
+
+/**
+ * Modèles utilisés par défaut pour chaque fournisseur
+ */
+export const AI_MODELS = {
+  LLM: 'mistralai/Mistral-7B-Instruct-v0.2', // Modèle de génération (Hugging Face)
+  EMBEDDING: 'sentence-transformers/all-MiniLM-L6-v2', // Modèle d'embeddings (384 dimensions)
+  LOCAL_EMBEDDING: 'Xenova/all-MiniLM-L6-v2', // Même modèle, converti pour transformers.js
+  LOCAL_LLM: 'mistral', // Nom du modèle côté serveur local (ex: Ollama)
+  LOCAL_LLM_BASE_URL: 'http://localhost:11434/v1', // API compatible OpenAI d'Ollama
+  HASHING_EMBEDDING: 'hashing-384', // Vecteurs de mots hachés (384 dimensions, comme MiniLM)
+};
+
+/**
+ * Modèle d'embeddings par défaut de chaque fournisseur
+ */
+const DEFAULT_EMBEDDING_MODELS = {
+  huggingface: AI_MODELS.EMBEDDING,
+  transformers: AI_MODELS.LOCAL_EMBEDDING,
+  hashing: AI_MODELS.HASHING_EMBEDDING,
+};
+
+/**
+ * Dimension des vecteurs du fournisseur hashing
+ */
+const HASHING_DIMENSIONS = 384;
+
+/**
+ * Lit la configuration des fournisseurs depuis les variables d'environnement
+ * @returns {Object} - Fournisseurs, modèles, URL et liste des variables manquantes
+ */
+export function getProviderConfig() {
+  const embeddingProvider = process.env.EMBEDDING_PROVIDER || 'huggingface';
+  const llmProvider = process.env.LLM_PROVIDER || 'huggingface';
+  const hfKey = process.env.HUGGINGFACE_API_KEY;
+
+  const config = {
+    embeddingProvider,
+    embeddingModel:
+      process.env.EMBEDDING_MODEL ||
+      DEFAULT_EMBEDDING_MODELS[embeddingProvider] ||
+      AI_MODELS.EMBEDDING,
+    llmProvider,
+    llmModel:
+      process.env.LLM_MODEL || (llmProvider === 'openai' ? AI_MODELS.LOCAL_LLM : AI_MODELS.LLM),
+    llmBaseUrl: process.env.LLM_BASE_URL || AI_MODELS.LOCAL_LLM_BASE_URL,
+    llmApiKey: process.env.LLM_API_KEY,
+    hfKey,
+  };
+
+  // La clé Hugging Face n'est requise que si l'un des fournisseurs l'utilise
+  const missing = [];
+  if (!hfKey && (embeddingProvider === 'huggingface' || llmProvider === 'huggingface')) {
+    missing.push('HUGGINGFACE_API_KEY');
+  }
+
+  return { ...config, missing };
+}
+
+// =============================================================================
+// EMBEDDINGS
+// =============================================================================
+
+/**
+ * Pipelines transformers.js déjà chargés, partagés entre les requêtes
+ * (le chargement d'un modèle prend plusieurs secondes)
+ */
+const localPipelines = new Map();
+
+/**
+ * Charge (une seule fois) un pipeline transformers.js
+ * @param {string} task - Tâche transformers.js (ex: feature-extraction)
+ * @param {string} model - Identifiant du modèle
+ * @returns {Promise<Function>} - Pipeline prêt à l'emploi
+ */
+export function loadLocalPipeline(task, model) {
+  const key = `${task}:${model}`;
+  if (!localPipelines.has(key)) {
+    const loading = import('@xenova/transformers').then(({ pipeline }) => pipeline(task, model));
+    // En cas d'échec, on permet une nouvelle tentative au prochain appel
+    loading.catch(() => localPipelines.delete(key));
+    localPipelines.set(key, loading);
+  }
+  return localPipelines.get(key);
+}
+
+/**
+ * Vecteur d'un texte par hachage de ses termes (feature hashing)
+ *
+ * Chaque terme normalisé (tokenize) incrémente une dimension choisie par un
+ * hash FNV-1a, avec un signe tiré du même hash pour limiter les collisions.
+ * Deux textes sont proches s'ils partagent des termes : c'est une recherche
+ * lexicale déguisée, déterministe et instantanée.
+ *
+ * @param {string} text - Texte à vectoriser
+ * @returns {Array<number>} - Vecteur normalisé (HASHING_DIMENSIONS)
+ */
+function hashingEmbedding(text) {
+  const vector = new Array(HASHING_DIMENSIONS).fill(0);
+  for (const term of tokenize(text)) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < term.length; i++) {
+      hash = Math.imul(hash ^ term.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    vector[hash % HASHING_DIMENSIONS] += hash & 0x80000000 ? -1 : 1;
+  }
+
+  const norm = Math.hypot(...vector);
+  return norm > 0 ? vector.map((value) => value / norm) : vector;
+}
+
+/**
+ * Crée le fournisseur d'embeddings configuré
+ *
+ * @param {Object} config - Configuration retournée par getProviderConfig
+ * @returns {{name: string, model: string, embed: Function, embedOne: Function}}
+ *
+ * @example
+ * const embedder = createEmbeddingProvider(getProviderConfig());
+ * const [vector] = await embedder.embed(['Travaux de voirie']);
+ */
+export function createEmbeddingProvider(config) {
+  const model = config.embeddingModel;
+  let embed;
+
+  if (config.embeddingProvider === 'huggingface') {
+    const hf = new InferenceClient(config.hfKey);
+    embed = async (texts) => {
+      const result = await hf.featureExtraction({ model, inputs: texts });
+      // Un lot d'un seul texte peut être renvoyé comme un vecteur simple
+      return typeof result[0] === 'number' ? [result] : result;
+    };
+  } else if (config.embeddingProvider === 'transformers') {
+    embed = async (texts) => {
+      const extractor = await loadLocalPipeline('feature-extraction', model);
+      // Mean pooling + normalisation : équivalent à sentence-transformers
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+      return output.tolist();
+    };
+  } else if (config.embeddingProvider === 'hashing') {
+    embed = async (texts) => texts.map(hashingEmbedding);
+  } else {
+    throw new Error(`Fournisseur d'embeddings inconnu: ${config.embeddingProvider}`);
+  }
+
+  return {
+    name: config.embeddingProvider,
+    model,
+    /**
+     * @param {Array<string>} texts - Textes à vectoriser
+     * @returns {Promise<Array<Array<number>>>} Un vecteur par texte, dans le même ordre
+     */
+    async embed(texts) {
+      const vectors = await embed(texts);
+      if (vectors.length !== texts.length) {
+        throw new Error(
+          `Embeddings inattendus: ${vectors.length} vecteurs pour ${texts.length} textes`
+        );
+      }
+      return vectors;
+    },
+    /**
+     * @param {string} text - Texte à vectoriser
+     * @returns {Promise<Array<number>>} Vecteur du texte
+     */
+    async embedOne(text) {
+      const [vector] = await this.embed([text]);
+      return vector;
+    },
+  };
+}
+
+// =============================================================================
+// GÉNÉRATION DE TEXTE
+// =============================================================================
+
+/**
+ * Lit un flux SSE d'une API compatible OpenAI et renvoie les fragments de texte
+ * @param {Response} response - Réponse HTTP en streaming
+ * @returns {AsyncGenerator<string>} - Fragments de la réponse
+ */
+async function* readOpenAIStream(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const data = line.replace(/^data:\s*/, '').trim();
+      if (!line.startsWith('data:') || !data) continue;
+      if (data === '[DONE]') return;
+
+      const content = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (content) yield content;
+    }
+  }
+}
+
+/**
+ * Crée le fournisseur de génération de texte configuré
+ *
+ * @param {Object} config - Configuration retournée par getProviderConfig
+ * @returns {{name: string, model: string, chat: Function, chatStream: Function}}
+ *   options de chat et chatStream : { maxTokens, temperature, signal } ; signal
+ *   (AbortSignal) interrompt la requête en cours
+ *
+ * @example
+ * const llm = createLLMProvider(getProviderConfig());
+ * const answer = await llm.chat(messages, { maxTokens: 512, temperature: 0.3 });
+ * for await (const token of llm.chatStream(messages)) process.stdout.write(token);
+ */
+export function createLLMProvider(config) {
+  const model = config.llmModel;
+
+  if (config.llmProvider === 'huggingface') {
+    const hf = new InferenceClient(config.hfKey);
+    const toRequest = (messages, { maxTokens = 512, temperature = 0.3 } = {}) => ({
+      model,
+      messages,
+      parameters: { max_tokens: maxTokens, temperature },
+    });
+
+    return {
+      name: 'huggingface',
+      model,
+      async chat(messages, options) {
+        const res = await hf.chatCompletion(toRequest(messages, options), {
+          signal: options?.signal,
+        });
+        return res.choices?.[0]?.message?.content || '';
+      },
+      async *chatStream(messages, options) {
+        const stream = hf.chatCompletionStream(toRequest(messages, options), {
+          signal: options?.signal,
+        });
+        for await (const chunk of stream) {
+          const content = chunk.choices?.[0]?.delta?.content;
+          if (content) yield content;
+        }
+      },
+    };
+  }
+
+  if (config.llmProvider === 'openai') {
+    const baseUrl = config.llmBaseUrl.replace(/\/$/, '');
+    const request = async (
+      messages,
+      { maxTokens = 512, temperature = 0.3, signal } = {},
+      stream
+    ) => {
+      const res = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        signal,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(config.llmApiKey ? { Authorization: `Bearer ${config.llmApiKey}` } : {}),
+        },
+        body: JSON.stringify({ model, messages, max_tokens: maxTokens, temperature, stream }),
+      });
+      if (!res.ok) {
+        const error = new Error(`LLM local: HTTP ${res.status} ${await res.text()}`);
+        error.status = res.status;
+        throw error;
+      }
+      return res;
+    };
+
+    return {
+      name: 'openai',
+      model,
+      async chat(messages, options) {
+        const res = await request(messages, options, false);
+        const data = await res.json();
+        return data.choices?.[0]?.message?.content || '';
+      },
+      async *chatStream(messages, options) {
+        const res = await request(messages, options, true);
+        yield* readOpenAIStream(res);
+      },
+    };
+  }
+
+  throw new Error(`Fournisseur LLM inconnu: ${config.llmProvider}`);
+}
@@ -0,0 +1,577 @@
+/**
+ * Extraction structurée des montants cités dans les délibérations
+ *
+ * À l'ingestion, chaque montant en euros d'une délibération (section reconnue
+ * par chunking.js) est enregistré avec l'objet de la délibération, sa date de
+ * séance et la ligne qui le cite. Ces enregistrements alimentent la route
+ * GET /api/amounts et les questions chiffrées du chat ("combien la commune
+ * a-t-elle dépensé pour la voirie depuis 2019 ?"), que quelques extraits de
+ * texte ne permettent pas d'additionner.
+ *
+ * Formulations reconnues (selon les années) :
+ * - 1 000 € / 255 000€ / 1.514,00 € / 395 980.88€ / 1547,17 €
+ * - ... d'un montant de 92 990,60€ HT soit 111 588,72€ TTC
+ * - ... une subvention de 45 248€ / 1 euro symbolique / 1,2 million d'euros / 50 k€
+ *
+ * Les montants sont ceux cités par les délibérations (devis, estimations,
+ * subventions, tarifs...) : ce ne sont pas des dépenses constatées.
+ */
+
+import crypto from 'crypto';
+import { splitDocumentIntoSections } from './chunking.js';
+import { tokenize } from './lexicalIndex.js';
+import { parseDateBound } from './meetingDate.js';
+
+/**
+ * Configuration de l'extraction et de la recherche des montants
+ */
+export const AMOUNTS_CONFIG = {
+  RECORD_TYPE: 'amounts', // Nom du fichier dans le stockage des données structurées
+  MAX_CONTEXT_LENGTH: 250, // Longueur maximale de la ligne citée
+  MAX_PAIR_GAP: 30, // Caractères maximum entre un montant HT et le TTC qui l'accompagne
+  DEFAULT_LIMIT: 50, // Résultats par page
+  MAX_LIMIT: 200,
+  CONTEXT_AMOUNTS: 40, // Montants détaillés dans le contexte du chat
+  CONTEXT_SOURCES: 10, // Délibérations citées en sources dans le chat
+};
+
+/**
+ * Nature du montant : subvention, emprunt, tarif ou autre
+ */
+export const AMOUNT_CATEGORIES = ['subsidy', 'loan', 'fee', 'other'];
+
+/**
+ * Montant cité dans une délibération
+ * @typedef {Object} Amount
+ * @property {string} id - Identifiant (stable d'une indexation à l'autre)
+ * @property {string|null} date - Date de séance AAAA-MM-JJ
+ * @property {number|null} year - Année du document
+ * @property {string|null} deliberation_number - Numéro de délibération
+ * @property {string} subject - Objet de la délibération
+ * @property {number} amount - Montant en euros (HT quand les montants HT et TTC sont donnés ensemble)
+ * @property {string|null} tax - 'HT', 'TTC' ou null si non précisé
+ * @property {number|null} amount_ttc - Montant TTC donné avec le montant HT ("... HT soit ... TTC", ou l'inverse)
+ * @property {string} category - Nature du montant (AMOUNT_CATEGORIES)
+ * @property {string} context - Ligne du compte-rendu qui cite le montant
+ * @property {number} page - Page de la ligne
+ * @property {string} filename - Nom du fichier source
+ * @property {string} filepath - Chemin du fichier source
+ */
+
+/**
+ * Filtres de recherche (voir searchAmounts)
+ * @typedef {Object} AmountFilters
+ * @property {string|null} from - Date de séance minimale AAAA-MM-JJ
+ * @property {string|null} to - Date de séance maximale AAAA-MM-JJ
+ * @property {string} q - Mots-clés cherchés dans l'objet, le numéro et la ligne citée
+ * @property {string|null} category - Nature du montant (AMOUNT_CATEGORIES)
+ * @property {number} limit - Nombre maximum de montants retournés
+ * @property {number} offset - Montants à sauter (pagination)
+ */
+
+/**
+ * Montant en euros : nombre (milliers séparés par des espaces ou des points,
+ * décimales après une virgule), unité, puis HT ou TTC éventuel
+ */
+const AMOUNT_PATTERN =
+  /(?<![\d,.])(\d{1,3}(?:[ \u00a0\u202f.]\d{3})+|\d+)(?:,(\d{1,2})|\.(\d{2}))?(?!\d)\s*(k€|m€|millions?\s+d['’]\s*euros|€|euros?(?!\p{L}))(?:\s*(h\.?\s?t\.?|t\.?\s?t\.?\s?c\.?|hors\s+taxes?|toutes\s+taxes\s+comprises)(?!\p{L}))?/giu;
+
+/**
+ * Texte entre un montant HT et le montant TTC qui l'accompagne ("HT soit", "TTC, soit")
+ */
+const PAIR_GAP = /^[\s,;(]*(?:(?:soit|ou)[\s,;(:]+)*[\s,;(:]*(?:(?:un montant|une somme) de\s*)?$/i;
+
+/**
+ * Ligne de total d'un tableau ("TOTAL 3 721 000€"), qui reprend les montants des lignes précédentes
+ */
+const TOTAL_LINE = /^\W*(?:sous[\s-]?)?totale?s?\b/i;
+
+/**
+ * Nature d'un montant, reconnue dans la ligne citée puis dans l'objet (texte normalisé)
+ */
+const CATEGORY_PATTERNS = [
+  { category: 'subsidy', pattern: /subvention|fonds de concours|\bdetr\b|\bdsil\b|\bdotation/ },
+  { category: 'loan', pattern: /\bemprunt|\bprets?\b|ligne de tresorerie/ },
+  {
+    category: 'fee',
+    pattern:
+      /\btarif|\bprix\b|\bloyer|\blocation|redevance|concession|\bpar (?:personne|emplacement|enfant|repas|nuit|jour|an|mois|heure)\b|€\s*\/|\/\s*m[2²]/,
+  },
+];
+
+/**
+ * Ligne qui cite le coût d'une opération : la nature n'est pas déduite de
+ * l'objet ("Demande de subvention" pour des travaux dont la ligne donne le coût)
+ */
+const COST_CONTEXT = /\bcouts?\b|\bdevis\b|\boffres?\b|estimation|\btravaux\b|\bmarche\b|\bht\b/;
+
+/**
+ * Minuscules, sans accents ni apostrophes typographiques
+ * @param {string} text - Texte à normaliser
+ * @returns {string} - Texte normalisé
+ */
+function normalize(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/’/g, "'")
+    .toLowerCase();
+}
+
+/**
+ * Convertit un montant écrit à la française en nombre
+ *
+ * @param {Array<string>} match - Résultat de AMOUNT_PATTERN
+ * @returns {{amount: number, tax: string|null}} - Montant en euros et taxe précisée
+ *
+ * @example
+ * parseAmountMatch('1.514,00 € HT'.matchAll(AMOUNT_PATTERN).next().value);
+ * // { amount: 1514, tax: 'HT' }
+ */
+function parseAmountMatch([, integer, commaDecimals, dotDecimals, unit, tax]) {
+  const decimals = commaDecimals ?? dotDecimals ?? '0';
+  const value = Number(`${integer.replace(/[^\d]/g, '')}.${decimals}`);
+  const normalizedUnit = normalize(unit);
+  const multiplier = normalizedUnit.startsWith('k')
+    ? 1000
+    : normalizedUnit.startsWith('m')
+      ? 1000000
+      : 1;
+
+  return {
+    amount: Math.round(value * multiplier * 100) / 100,
+    tax: tax ? (/^h/i.test(tax) ? 'HT' : 'TTC') : null,
+  };
+}
+
+/**
+ * Détermine la nature d'un montant
+ * @param {string} context - Ligne qui cite le montant
+ * @param {string} subject - Objet de la délibération
+ * @returns {string} - Nature du montant (AMOUNT_CATEGORIES)
+ */
+function categorize(context, subject) {
+  const normalizedContext = normalize(context);
+  const texts = COST_CONTEXT.test(normalizedContext)
+    ? [normalizedContext]
+    : [normalizedContext, normalize(subject)];
+  for (const text of texts) {
+    const found = CATEGORY_PATTERNS.find(({ pattern }) => pattern.test(text));
+    if (found) return found.category;
+  }
+  return 'other';
+}
+
+/**
+ * Génère l'ID d'un montant à partir de sa position dans le document
+ * @param {string} filepath - Chemin du fichier
+ * @param {number} sectionIndex - Rang de la section dans le document
+ * @param {number} index - Rang du montant dans la section
+ * @returns {string} - Identifiant hexadécimal
+ */
+function generateAmountId(filepath, sectionIndex, index) {
+  return crypto
+    .createHash('sha256')
+    .update(`${filepath}#amount#${sectionIndex}#${index}`)
+    .digest('hex')
+    .substring(0, 16);
+}
+
+/**
+ * Extrait les montants d'une section
+ *
+ * Les lignes sont lues ensemble, pour qu'un montant TTC renvoyé à la ligne
+ * reste rattaché au montant HT qui le précède (ou inversement). Un même montant répété dans la
+ * section (objet puis décision, avec ou sans "HT") n'est retenu qu'une fois,
+ * et les lignes de total des tableaux sont ignorées.
+ *
+ * @param {{title: string, lines: Array<{text: string, page: number}>}} section - Section du document
+ * @returns {Array<{amount: number, tax: string|null, amount_ttc: number|null, context: string, page: number}>} - Montants
+ */
+function extractSectionAmounts(section) {
+  const text = section.lines.map((line) => line.text).join('\n');
+  const lineStarts = [];
+  section.lines.reduce((offset, line) => {
+    lineStarts.push(offset);
+    return offset + line.text.length + 1;
+  }, 0);
+  const lineIndexAt = (offset) => lineStarts.findLastIndex((start) => start <= offset);
+
+  const matches = [...text.matchAll(AMOUNT_PATTERN)]
+    .map((match) => ({
+      ...parseAmountMatch(match),
+      start: match.index,
+      end: match.index + match[0].length,
+    }))
+    .filter((match) => !TOTAL_LINE.test(section.lines[lineIndexAt(match.start)].text));
+
+  const found = [];
+  for (let i = 0; i < matches.length; i++) {
+    const match = matches[i];
+    const next = matches[i + 1];
+    // "X € HT soit Y € TTC", ou l'inverse : un seul montant, HT
+    const paired =
+      next &&
+      match.tax &&
+      next.tax &&
+      match.tax !== next.tax &&
+      next.start - match.end <= AMOUNTS_CONFIG.MAX_PAIR_GAP &&
+      PAIR_GAP.test(text.slice(match.end, next.start));
+    if (paired) i++;
+    const ht = paired && match.tax === 'TTC' ? next : match;
+    const amountTtc = paired ? (ht === match ? next : match).amount : null;
+
+    const first = lineIndexAt(match.start);
+    const last = lineIndexAt((paired ? next : match).end - 1);
+    const context = section.lines
+      .slice(first, last + 1)
+      .map((line) => line.text)
+      .join(' ');
+
+    found.push({
+      amount: ht.amount,
+      tax: ht.tax,
+      amount_ttc: amountTtc,
+      context: context.slice(0, AMOUNTS_CONFIG.MAX_CONTEXT_LENGTH),
+      page: section.lines[first].page,
+    });
+  }
+
+  // Un montant repris sans taxe, ou seul alors qu'il était donné en TTC, est déjà compté
+  const withTax = new Set(found.filter((a) => a.tax).map((a) => a.amount));
+  const ttcAmounts = new Set(found.map((a) => a.amount_ttc).filter((amount) => amount !== null));
+  const seen = new Set();
+  return found.filter((a) => {
+    const key = `${a.amount}|${a.tax}`;
+    if (a.amount === 0 || seen.has(key)) return false;
+    if (!a.tax && withTax.has(a.amount)) return false;
+    if (a.amount_ttc === null && ttcAmounts.has(a.amount)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Extrait les montants cités dans les délibérations d'un document
+ *
+ * Seules les sections titrées sont lues : le texte qui précède la première
+ * délibération (présences, approbation du compte-rendu) ne porte pas de
+ * montant rattachable à un objet.
+ *
+ * @param {Array<{page_number: number, text: string}>} pages - Pages du document
+ * @param {Object} document - Métadonnées du document ({ filename, filepath, year, meetingDate })
+ * @returns {Array<Amount>} - Montants, dans l'ordre du document
+ */
+export function extractAmounts(pages, { filename, filepath, year, meetingDate = null }) {
+  const source = filepath || filename;
+
+  return splitDocumentIntoSections(pages).flatMap((section, sectionIndex) => {
+    if (!section.title) return [];
+
+    return extractSectionAmounts(section).map((amount, index) => ({
+      id: generateAmountId(source, sectionIndex, index),
+      date: meetingDate,
+      year: year || (meetingDate ? Number(meetingDate.slice(0, 4)) : null),
+      deliberation_number: section.deliberationNumber,
+      subject: section.title,
+      amount: amount.amount,
+      tax: amount.tax,
+      amount_ttc: amount.amount_ttc,
+      category: categorize(amount.context, section.title),
+      context: amount.context,
+      page: amount.page,
+      filename: filename || source,
+      filepath: source,
+    }));
+  });
+}
+
+// =============================================================================
+// RECHERCHE ET TOTAUX
+// =============================================================================
+
+/**
+ * Lit les filtres de recherche dans les paramètres d'URL
+ *
+ * Paramètres : q, from, to (AAAA ou AAAA-MM-JJ, bornes incluses), category
+ * (subsidy|loan|fee|other), limit, offset.
+ *
+ * @param {URLSearchParams} params - Paramètres de l'URL
+ * @returns {{filters: AmountFilters|null, error: string|null}} - Filtres, ou message d'erreur
+ *
+ * @example
+ * parseAmountFilters(new URLSearchParams('q=voirie&from=2019'));
+ * // { filters: { from: '2019-01-01', to: null, q: 'voirie', category: null, ... }, error: null }
+ */
+export function parseAmountFilters(params) {
+  const readInteger = (name, min, max) => {
+    const value = params.get(name);
+    if (value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= min && number <= max ? number : NaN;
+  };
+
+  const filters = {
+    from: parseDateBound(params.get('from'), false),
+    to: parseDateBound(params.get('to'), true),
+    q: (params.get('q') || '').trim(),
+    category: params.get('category') || null,
+    limit: readInteger('limit', 1, AMOUNTS_CONFIG.MAX_LIMIT) ?? AMOUNTS_CONFIG.DEFAULT_LIMIT,
+    offset: readInteger('offset', 0, Number.MAX_SAFE_INTEGER) ?? 0,
+  };
+
+  const invalid = Object.entries(filters).find(
+    ([, value]) => value === undefined || Number.isNaN(value)
+  );
+  if (invalid) {
+    return { filters: null, error: `Paramètre invalide: ${invalid[0]}` };
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { filters: null, error: 'from doit être antérieur ou égal à to' };
+  }
+  if (filters.category && !AMOUNT_CATEGORIES.includes(filters.category)) {
+    return {
+      filters: null,
+      error: `Paramètre invalide: category (${AMOUNT_CATEGORIES.join(', ')})`,
+    };
+  }
+
+  return { filters, error: null };
+}
+
+/**
+ * Date de séance utilisée pour le filtrage et le tri (l'année seule à défaut)
+ * @param {Amount} record - Montant
+ * @returns {string} - Date AAAA-MM-JJ ou année
+ */
+function meetingDateOf(record) {
+  return record.date || String(record.year || '');
+}
+
+/**
+ * Additionne des montants
+ *
+ * Une délibération reprise dans deux documents (registre et procès-verbal de
+ * la même séance) n'est comptée qu'une fois : les montants sont dédoublonnés
+ * par séance, objet, montant et taxe.
+ *
+ * @param {Array<Amount>} amounts - Montants, du plus récent au plus ancien
+ * @returns {{amounts: Array<Amount>, totals: Object, by_year: Array<Object>}} - Montants dédoublonnés, totaux et totaux par année
+ */
+function sumAmounts(amounts) {
+  const seen = new Set();
+  const unique = amounts.filter((record) => {
+    const key = `${meetingDateOf(record)}|${normalize(record.subject)}|${record.amount}|${record.tax}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const totals = {
+    amount: 0,
+    deliberations: new Set(unique.map((r) => `${r.filepath}|${r.subject}`)).size,
+    by_tax: { HT: 0, TTC: 0, unspecified: 0 },
+    by_category: Object.fromEntries(AMOUNT_CATEGORIES.map((category) => [category, 0])),
+  };
+  const years = new Map();
+  for (const record of unique) {
+    totals.amount += record.amount;
+    totals.by_tax[record.tax || 'unspecified'] += record.amount;
+    totals.by_category[record.category] += record.amount;
+    const year = years.get(record.year) || { year: record.year, amount: 0, count: 0 };
+    year.amount += record.amount;
+    year.count++;
+    years.set(record.year, year);
+  }
+
+  totals.amount = round(totals.amount);
+  for (const group of [totals.by_tax, totals.by_category]) {
+    for (const key of Object.keys(group)) group[key] = round(group[key]);
+  }
+  const byYear = [...years.values()]
+    .map((year) => ({ ...year, amount: round(year.amount) }))
+    .sort((a, b) => (a.year ?? 0) - (b.year ?? 0));
+
+  return { amounts: unique, totals, by_year: byYear };
+}
+
+/**
+ * Filtre les montants et calcule leurs totaux
+ *
+ * Les mots-clés sont comparés aux termes de l'objet, du numéro et de la ligne
+ * citée (mêmes termes que l'index lexical : sans accents ni pluriels) ; tous
+ * doivent être présents.
+ *
+ * @param {Array<Amount>} records - Montants enregistrés
+ * @param {Partial<AmountFilters>} filters - Filtres (tous optionnels)
+ * @returns {{total: number, totals: Object, by_year: Array<Object>, amounts: Array<Amount>}} - Nombre de montants, sommes et page demandée (les plus récents d'abord)
+ */
+export function searchAmounts(
+  records,
+  {
+    from = null,
+    to = null,
+    q = '',
+    category = null,
+    limit = AMOUNTS_CONFIG.DEFAULT_LIMIT,
+    offset = 0,
+  } = {}
+) {
+  const terms = tokenize(q);
+
+  const matches = records
+    .filter((record) => {
+      const date = meetingDateOf(record);
+      // Sans date de séance, seule l'année du document est comparée
+      if (from && date < (record.date ? from : from.slice(0, 4))) return false;
+      if (to && date > (record.date ? to : to.slice(0, 4))) return false;
+      if (category !== null && record.category !== category) return false;
+      if (terms.length > 0) {
+        const recordTerms = new Set(
+          tokenize(`${record.deliberation_number || ''} ${record.subject} ${record.context}`)
+        );
+        return terms.every((term) => recordTerms.has(term));
+      }
+      return true;
+    })
+    .sort(
+      (a, b) =>
+        meetingDateOf(b).localeCompare(meetingDateOf(a)) ||
+        a.filepath.localeCompare(b.filepath) ||
+        a.page - b.page
+    );
+
+  const { amounts, totals, by_year } = sumAmounts(matches);
+  return {
+    total: amounts.length,
+    totals,
+    by_year,
+    amounts: amounts.slice(offset, offset + limit),
+  };
+}
+
+// =============================================================================
+// QUESTIONS CHIFFRÉES (CHAT)
+// =============================================================================
+
+/**
+ * Indique une question qui demande un chiffre
+ */
+const QUANTITY_TERMS =
+  /(?<!\p{L})(?:combien|total\p{L}*|montants?|sommes?|co[uû]t\p{L}*|dépensée?s?|chiffre\p{L}*|à\s+hauteur)(?!\p{L})/iu;
+
+/**
+ * Indique que le chiffre demandé est un montant
+ */
+const MONEY_TERMS =
+  /(?<!\p{L})(?:dépens\p{L}*|co[uû]t\p{L}*|montants?|euros?|subventions?|emprunt\p{L}*|prêts?|financ\p{L}*|investi\p{L}*|versée?s?|budget\p{L}*|travaux|achats?|acquisitions?|payée?s?|tarifs?|prix)(?!\p{L})|€/iu;
+
+/**
+ * Mots de la question qui ne désignent pas le sujet des montants (termes
+ * normalisés par tokenize)
+ */
+const QUESTION_WORDS = new Set(
+  tokenize(
+    'combien total totaux montant montants somme sommes cout couts coute coutent ' +
+      'depense depenses depensee depensees depenser chiffre hauteur euro euros ' +
+      'commune ville mairie municipalite conseil municipal collectivite a-t-elle ' +
+      'elle il ont fait faits ete verse versee verses versees paye payee payes ' +
+      'depuis entre avant apres pendant durant dernier derniere derniers dernieres ' +
+      'annee annees an ans mois mandat mandature periode ' +
+      'janvier fevrier mars avril mai juin juillet aout septembre octobre novembre decembre ' +
+      'subvention subventions emprunt emprunts pret prets tarif tarifs prix ' +
+      'au total en tout environ'
+  )
+);
+
+/**
+ * Nature de montant demandée par la question
+ */
+const CATEGORY_QUESTIONS = [
+  { category: 'subsidy', pattern: /subvention/ },
+  { category: 'loan', pattern: /emprunt|\bprets?\b/ },
+  { category: 'fee', pattern: /\btarif|\bprix\b/ },
+];
+
+/**
+ * Indique si une question demande un montant ou une somme de montants
+ *
+ * @param {string} question - Question (reformulée si question de suivi)
+ * @returns {boolean} - true pour "Combien la commune a-t-elle dépensé pour la voirie depuis 2019 ?",
+ *   "Quel est le montant des subventions aux associations en 2022 ?"
+ */
+export function isAmountQuestion(question) {
+  return QUANTITY_TERMS.test(question) && MONEY_TERMS.test(question);
+}
+
+/**
+ * Formate un montant en euros
+ * @param {number} amount - Montant
+ * @returns {string} - Montant lisible, ex: "92 990,60 €"
+ */
+function formatEuros(amount) {
+  return new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR' }).format(amount);
+}
+
+/**
+ * Construit le contexte d'une question chiffrée à partir des montants extraits
+ *
+ * Le sujet est formé des mots de la question qui ne sont ni des mots vides ni
+ * du vocabulaire chiffré ou temporel ("voirie"). Sans sujet, ou sans montant
+ * correspondant, la question est laissée à la recherche dans les extraits. Les
+ * tarifs ne sont pas additionnés aux dépenses, sauf si la question les demande.
+ *
+ * @param {Array<Amount>} records - Montants enregistrés
+ * @param {string} question - Question (reformulée si question de suivi)
+ * @param {Object|null} temporalQuery - Période détectée (parseTemporalQuery)
+ * @param {(date: string) => string} formatDate - Mise en forme des dates (formatFrenchDate)
+ * @returns {{contextText: string, amounts: Array<Amount>, totals: Object, subject: string}|null} - Contexte, montants retenus, totaux et sujet, ou null
+ */
+export function buildAmountContext(records, question, temporalQuery, formatDate) {
+  const isSubjectTerm = (term) => !QUESTION_WORDS.has(term) && !/\d/.test(term);
+  const subjectWords = question
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => tokenize(word).some(isSubjectTerm));
+  if (subjectWords.length === 0) return null;
+  const terms = subjectWords.flatMap(tokenize).filter(isSubjectTerm);
+
+  const normalizedQuestion = normalize(question);
+  const category =
+    CATEGORY_QUESTIONS.find(({ pattern }) => pattern.test(normalizedQuestion))?.category || null;
+  const { total, totals, by_year, amounts } = searchAmounts(
+    records.filter((record) => category || record.category !== 'fee'),
+    {
+      from: temporalQuery?.start || null,
+      to: temporalQuery?.end || null,
+      q: terms.join(' '),
+      category,
+      limit: Number.MAX_SAFE_INTEGER,
+    }
+  );
+  if (amounts.length === 0) return null;
+
+  const formatMeetingDate = (record) =>
+    record.date ? `séance du ${formatDate(record.date)}` : `${record.year}`;
+  const formatRecord = (record) =>
+    `- ${formatMeetingDate(record)} - ${record.deliberation_number ? `${record.deliberation_number} ` : ''}${record.subject} : ${formatEuros(record.amount)}${record.tax ? ` ${record.tax}` : ''}${record.amount_ttc !== null ? ` (${formatEuros(record.amount_ttc)} TTC)` : ''} [${record.filename}, page ${record.page}]\n  « ${record.context} »`;
+
+  const taxDetails = Object.entries(totals.by_tax)
+    .filter(([, amount]) => amount > 0)
+    .map(
+      ([tax, amount]) =>
+        `${formatEuros(amount)} ${tax === 'unspecified' ? 'sans précision HT/TTC' : tax}`
+    );
+  const sections = [
+    `[Source: montants cités dans les délibérations, sujet "${subjectWords.join(' ')}"${temporalQuery?.label ? `, ${temporalQuery.label}` : ''}]\nCes montants sont ceux mentionnés dans les délibérations (devis, estimations, subventions accordées ou demandées) : ce ne sont pas des dépenses constatées. Une même délibération peut citer plusieurs offres concurrentes ou estimations successives, que le total additionne, et les montants HT et TTC ne sont pas comparables.`,
+    `[Totaux] ${formatEuros(totals.amount)} pour ${total} montant${total > 1 ? 's' : ''} dans ${totals.deliberations} délibération${totals.deliberations > 1 ? 's' : ''} (${taxDetails.join(', ')})\n${by_year.map((year) => `- ${year.year ?? 'année inconnue'} : ${formatEuros(year.amount)} (${year.count} montant${year.count > 1 ? 's' : ''})`).join('\n')}`,
+    `[Détail des montants, du plus récent au plus ancien${amounts.length > AMOUNTS_CONFIG.CONTEXT_AMOUNTS ? `, ${AMOUNTS_CONFIG.CONTEXT_AMOUNTS} premiers sur ${amounts.length}` : ''}]\n${amounts.slice(0, AMOUNTS_CONFIG.CONTEXT_AMOUNTS).map(formatRecord).join('\n')}`,
+  ];
+
+  return {
+    contextText: sections.join('\n---\n'),
+    amounts,
+    totals,
+    subject: subjectWords.join(' '),
+  };
+}
@@ -0,0 +1,428 @@
+/**
+ * Cache des réponses de POST /api/chat
+ *
+ * Beaucoup de questions reviennent à l'identique ou presque ("Quels travaux
+ * de voirie en 2019 ?", "quels travaux de voirie en 2019"). Une réponse déjà
+ * générée est resservie sans appel au LLM :
+ * - question identique une fois normalisée (minuscules, sans accents ni ponctuation)
+ * - ou question presque identique : similarité cosinus des embeddings des
+ *   questions au moins égale à ANSWER_CACHE_SIMILARITY
+ * Dans les deux cas, la période détectée (parseTemporalQuery) doit être la
+ * même : "l'an dernier" ne désigne plus la même année au 1er janvier.
+ *
+ * Les questions de suivi (avec historique) ne sont ni cherchées ni mises en
+ * cache : leur réponse dépend de la conversation.
+ *
+ * Invalidation : chaque indexation ou suppression de document
+ * (documentIndexer.js, donc POST/DELETE /api/QdrantUploader et
+ * npm run ingest) change la version de l'index, écrite dans Redis si
+ * KV_REST_API_URL et KV_REST_API_TOKEN sont définis (partagée par toutes les
+ * instances), sinon dans RECORDS_DIR/index-version.json. Une entrée n'est
+ * resservie que si elle a été générée avec la version courante.
+ * Sans Redis sur Vercel, le fichier n'est pas partagé : les autres instances
+ * ne voient pas la nouvelle version et peuvent resservir leurs réponses
+ * jusqu'à leur expiration (ANSWER_CACHE_TTL, 6 h par défaut).
+ *
+ * ANSWER_CACHE (où sont gardées les réponses) :
+ * - memory : mémoire du processus (défaut) ; chaque instance serverless a son propre cache
+ * - file   : fichier JSON partagé par les processus d'une même machine
+ * - none   : pas de cache
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getRecordStoreConfig } from './recordStore.js';
+import { getKvConfig, createKvClient } from './kvStore.js';
+
+/**
+ * Configuration par défaut du cache
+ */
+export const ANSWER_CACHE_CONFIG = {
+  TTL_SECONDS: 6 * 60 * 60, // Durée de vie d'une réponse (ANSWER_CACHE_TTL)
+  SIMILARITY_THRESHOLD: 0.95, // Similarité minimale des questions (ANSWER_CACHE_SIMILARITY)
+  MAX_ENTRIES: 200, // Les réponses les plus anciennes sont retirées au-delà
+  DEFAULT_FILE: '.data/answer-cache.json', // Stockage "file" (ANSWER_CACHE_FILE)
+  VERSION_FILE: 'index-version.json', // Version de l'index, dans RECORDS_DIR
+  VERSION_KEY: 'answer-cache:index-version', // Version de l'index, dans Redis
+};
+
+/**
+ * Entrée du cache
+ * @typedef {Object} AnswerCacheEntry
+ * @property {string} id - Identifiant de l'entrée
+ * @property {string} question - Question normalisée
+ * @property {string} temporal_key - Période détectée (voir getTemporalKey)
+ * @property {Array<number>|null} embedding - Embedding de la question (null : seule la question exacte est retrouvée)
+ * @property {number} index_version - Version de l'index au moment de la recherche
+ * @property {string} created_at - Date de génération (ISO)
+ * @property {number} expires_at - Fin de validité (ms)
+ * @property {Object} response - Réponse servie (answer, citations, sources, searchMetadata...)
+ */
+
+/**
+ * Lit un nombre depuis une variable d'environnement
+ * @param {string|undefined} value - Valeur de la variable
+ * @param {number} fallback - Valeur par défaut
+ * @param {number} max - Valeur maximale acceptée
+ * @returns {number}
+ */
+function readNumber(value, fallback, max = Infinity) {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && parsed > 0 && parsed <= max ? parsed : fallback;
+}
+
+/**
+ * Lit la configuration du cache depuis les variables d'environnement
+ * @returns {{store: string, ttlSeconds: number, similarity: number, maxEntries: number, filePath: string, versionPath: string, kv: Object}} - Configuration
+ */
+export function getAnswerCacheConfig() {
+  return {
+    store: process.env.ANSWER_CACHE || 'memory',
+    ttlSeconds: readNumber(process.env.ANSWER_CACHE_TTL, ANSWER_CACHE_CONFIG.TTL_SECONDS),
+    similarity: readNumber(
+      process.env.ANSWER_CACHE_SIMILARITY,
+      ANSWER_CACHE_CONFIG.SIMILARITY_THRESHOLD,
+      1
+    ),
+    maxEntries: ANSWER_CACHE_CONFIG.MAX_ENTRIES,
+    filePath: path.resolve(process.env.ANSWER_CACHE_FILE || ANSWER_CACHE_CONFIG.DEFAULT_FILE),
+    versionPath: path.join(getRecordStoreConfig().dir, ANSWER_CACHE_CONFIG.VERSION_FILE),
+    kv: getKvConfig(),
+  };
+}
+
+// =============================================================================
+// CLÉS DU CACHE
+// =============================================================================
+
+/**
+ * Normalise une question pour la comparaison exacte
+ * @param {string} question - Question posée
+ * @returns {string} - Question en minuscules, sans accents ni ponctuation
+ *
+ * @example
+ * normalizeQuestion('Quels travaux de voirie en 2019 ?');
+ * // 'quels travaux de voirie en 2019'
+ */
+export function normalizeQuestion(question) {
+  return (question || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Clé de la période détectée dans la question
+ * @param {Object|null} temporalQuery - Période retournée par parseTemporalQuery
+ * @returns {string} - Bornes de la période, 'latest' ou 'none'
+ *
+ * @example
+ * getTemporalKey({ start: '2019-01-01', end: '2019-12-31', mostRecent: false });
+ * // '2019-01-01..2019-12-31'
+ */
+export function getTemporalKey(temporalQuery) {
+  if (!temporalQuery) return 'none';
+  if (temporalQuery.mostRecent && !temporalQuery.start && !temporalQuery.end) return 'latest';
+  return `${temporalQuery.start || ''}..${temporalQuery.end || ''}`;
+}
+
+/**
+ * Similarité cosinus de deux vecteurs
+ * @param {Array<number>} a - Premier vecteur
+ * @param {Array<number>} b - Second vecteur
+ * @returns {number} - Similarité entre -1 et 1 (0 si les dimensions diffèrent)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// =============================================================================
+// VERSION DE L'INDEX
+// =============================================================================
+
+/**
+ * Version de l'index connue du processus, utilisée si la version partagée
+ * ne peut pas être écrite (système de fichiers en lecture seule, Redis indisponible)
+ */
+let localIndexVersion = 0;
+
+/**
+ * Lit la version courante de l'index, dans Redis s'il est configuré, sinon
+ * dans RECORDS_DIR/index-version.json
+ * @param {Object} config - Configuration retournée par getAnswerCacheConfig
+ * @returns {Promise<number>} - Version (date de la dernière modification de l'index, ms), 0 si inconnue
+ */
+async function readIndexVersion(config) {
+  let sharedVersion = 0;
+  try {
+    if (config.kv.configured) {
+      const value = await createKvClient(config.kv).command('GET', ANSWER_CACHE_CONFIG.VERSION_KEY);
+      sharedVersion = Number(value) || 0;
+    } else if (fs.existsSync(config.versionPath)) {
+      sharedVersion = JSON.parse(fs.readFileSync(config.versionPath, 'utf8')).version || 0;
+    }
+  } catch (error) {
+    console.warn(`[Cache] ⚠️ Version de l'index illisible: ${error.message}`);
+  }
+  return Math.max(sharedVersion, localIndexVersion);
+}
+
+/**
+ * Écrit la nouvelle version de l'index, dans Redis s'il est configuré, sinon
+ * dans RECORDS_DIR/index-version.json
+ * @param {Object} config - Configuration retournée par getAnswerCacheConfig
+ * @param {number} version - Nouvelle version
+ * @param {string} reason - Raison de la modification de l'index
+ */
+async function writeIndexVersion(config, version, reason) {
+  if (config.kv.configured) {
+    await createKvClient(config.kv).command('SET', ANSWER_CACHE_CONFIG.VERSION_KEY, version);
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(config.versionPath), { recursive: true });
+  const tmpPath = `${config.versionPath}.${process.pid}.tmp`;
+  fs.writeFileSync(
+    tmpPath,
+    JSON.stringify({ version, reason, updated_at: new Date(version).toISOString() })
+  );
+  fs.renameSync(tmpPath, config.versionPath);
+}
+
+// =============================================================================
+// STOCKAGE DES ENTRÉES
+// =============================================================================
+
+/**
+ * Entrées du stockage "memory", partagées entre les requêtes du processus
+ */
+let memoryEntries = [];
+
+/**
+ * Files d'écriture du stockage "file", une par fichier, partagées entre les requêtes
+ */
+const fileQueues = new Map();
+
+/**
+ * Crée l'accès aux entrées du stockage configuré
+ * @param {Object} config - Configuration retournée par getAnswerCacheConfig
+ * @returns {{load: () => Array<AnswerCacheEntry>, update: (change: Function) => Promise<void>}}
+ *   update applique une transformation à la liste des entrées, écritures sérialisées
+ */
+function createEntryStore(config) {
+  switch (config.store) {
+    case 'none':
+      return {
+        load: () => [],
+        update: async () => {},
+      };
+
+    case 'memory':
+      return {
+        load: () => memoryEntries,
+        async update(change) {
+          memoryEntries = change(memoryEntries);
+        },
+      };
+
+    case 'file':
+      // Les écritures du processus sont sérialisées, comme pour l'index lexical
+      return {
+        load() {
+          return fs.existsSync(config.filePath)
+            ? JSON.parse(fs.readFileSync(config.filePath, 'utf8')).entries
+            : [];
+        },
+        update(change) {
+          const queue = fileQueues.get(config.filePath) || Promise.resolve();
+          const run = queue.then(() => {
+            const entries = fs.existsSync(config.filePath)
+              ? JSON.parse(fs.readFileSync(config.filePath, 'utf8')).entries
+              : [];
+
+            fs.mkdirSync(path.dirname(config.filePath), { recursive: true });
+            const tmpPath = `${config.filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, entries: change(entries) }));
+            fs.renameSync(tmpPath, config.filePath);
+          });
+          fileQueues.set(
+            config.filePath,
+            run.catch(() => {})
+          );
+          return run;
+        },
+      };
+
+    default:
+      throw new Error(`ANSWER_CACHE inconnu: ${config.store} (memory, file ou none)`);
+  }
+}
+
+// =============================================================================
+// CACHE
+// =============================================================================
+
+/**
+ * Crée le cache des réponses
+ *
+ * @param {Object} config - Configuration retournée par getAnswerCacheConfig
+ * @returns {{name: string, enabled: boolean, lookup: Function, save: Function, invalidate: Function}} - Cache
+ *
+ * @example
+ * const cache = createAnswerCache(getAnswerCacheConfig());
+ * const { entry, embedding, indexVersion } = await cache.lookup(question, temporalQuery, {
+ *   embed: () => embedder.embedOne(question),
+ * });
+ * if (!entry) {
+ *   // ... génération de la réponse
+ *   await cache.save({ question, temporalQuery, embedding, indexVersion, response });
+ * }
+ */
+export function createAnswerCache(config) {
+  const entries = createEntryStore(config);
+
+  /**
+   * Entrées encore valides : non expirées et générées avec la version courante de l'index
+   * @param {Array<AnswerCacheEntry>} list - Entrées
+   * @param {number} indexVersion - Version courante de l'index
+   * @param {number} now - Date courante (ms)
+   * @returns {Array<AnswerCacheEntry>}
+   */
+  const validEntries = (list, indexVersion, now) =>
+    list.filter((entry) => entry.expires_at > now && entry.index_version === indexVersion);
+
+  return {
+    name: config.store,
+    enabled: config.store !== 'none',
+
+    /**
+     * Cherche une réponse pour la question et la période données
+     *
+     * La question exacte est cherchée d'abord ; l'embedding n'est calculé (embed)
+     * que si une entrée de la même période peut être comparée. Il est retourné
+     * pour être réutilisé par la recherche des extraits.
+     *
+     * @param {string} question - Question autonome
+     * @param {Object|null} temporalQuery - Période détectée
+     * @param {Object} options - Options
+     * @param {Function} options.embed - Calcul de l'embedding de la question (async)
+     * @returns {Promise<{entry: AnswerCacheEntry|null, match: string|null, similarity: number|null, embedding: Array<number>|null, indexVersion: number}>}
+     *   match : 'exact' ou 'similar'
+     */
+    async lookup(question, temporalQuery, { embed } = {}) {
+      const indexVersion = await readIndexVersion(config);
+      const miss = { entry: null, match: null, similarity: null, embedding: null, indexVersion };
+      if (config.store === 'none') return miss;
+
+      const normalized = normalizeQuestion(question);
+      const temporalKey = getTemporalKey(temporalQuery);
+      const candidates = validEntries(entries.load(), indexVersion, Date.now()).filter(
+        (entry) => entry.temporal_key === temporalKey
+      );
+
+      const exact = candidates.find((entry) => entry.question === normalized);
+      if (exact) {
+        return { ...miss, entry: exact, match: 'exact', similarity: 1 };
+      }
+
+      const comparable = candidates.filter((entry) => entry.embedding);
+      if (comparable.length === 0 || !embed) return miss;
+
+      const embedding = await embed();
+      let best = null;
+      let bestSimilarity = 0;
+      for (const entry of comparable) {
+        const similarity = cosineSimilarity(embedding, entry.embedding);
+        if (similarity > bestSimilarity) {
+          best = entry;
+          bestSimilarity = similarity;
+        }
+      }
+
+      if (best && bestSimilarity >= config.similarity) {
+        return {
+          entry: best,
+          match: 'similar',
+          similarity: bestSimilarity,
+          embedding,
+          indexVersion,
+        };
+      }
+      return { ...miss, embedding, similarity: best ? bestSimilarity : null };
+    },
+
+    /**
+     * Enregistre une réponse générée
+     *
+     * La version de l'index est celle lue avant la recherche (lookup) : une
+     * réponse générée pendant une indexation n'est pas resservie ensuite.
+     *
+     * @param {Object} data - Question, période, embedding, version de l'index et réponse
+     * @returns {Promise<AnswerCacheEntry|null>} - Entrée enregistrée
+     */
+    async save({ question, temporalQuery, embedding = null, indexVersion, response }) {
+      if (config.store === 'none') return null;
+
+      const now = Date.now();
+      const entry = {
+        id: crypto.randomUUID(),
+        question: normalizeQuestion(question),
+        temporal_key: getTemporalKey(temporalQuery),
+        embedding,
+        index_version: indexVersion,
+        created_at: new Date(now).toISOString(),
+        expires_at: now + config.ttlSeconds * 1000,
+        response,
+      };
+
+      const currentVersion = await readIndexVersion(config);
+      await entries.update((list) =>
+        [
+          ...validEntries(list, currentVersion, now).filter(
+            (other) =>
+              other.question !== entry.question || other.temporal_key !== entry.temporal_key
+          ),
+          entry,
+        ].slice(-config.maxEntries)
+      );
+      return entry;
+    },
+
+    /**
+     * Invalide toutes les réponses : à appeler après chaque modification de l'index
+     * @param {string} reason - Raison, pour les logs
+     * @returns {Promise<number>} - Nouvelle version de l'index
+     */
+    async invalidate(reason) {
+      const version = Math.max(Date.now(), (await readIndexVersion(config)) + 1);
+      localIndexVersion = version;
+
+      try {
+        await writeIndexVersion(config, version, reason);
+      } catch (error) {
+        console.warn(`[Cache] ⚠️ Version de l'index non mise à jour: ${error.message}`);
+      }
+
+      try {
+        await entries.update(() => []);
+      } catch (error) {
+        console.warn(`[Cache] ⚠️ Cache des réponses non vidé: ${error.message}`);
+      }
+
+      console.log(`[Cache] 🧹 Réponses en cache invalidées (${reason})`);
+      return version;
+    },
+  };
+}
@@ -0,0 +1,338 @@
+/**
+ * Mise en forme des réponses du chatbot pour la citation et l'export
+ *
+ * Une réponse (question, réponse, citations, sources) est rendue :
+ * - en HTML, citations remplacées par des liens vers la visionneuse (page /reponse/<id>)
+ * - en Markdown, avec la liste des sources (téléchargement d'une réponse ou d'une conversation)
+ * - en document HTML imprimable (export PDF par l'impression du navigateur)
+ *
+ * Module sans dépendance Node : il est aussi chargé par le chat dans le
+ * navigateur.
+ */
+
+import { buildViewerUrl } from './passages.js';
+
+/**
+ * Échange exporté
+ * @typedef {Object} ExportedAnswer
+ * @property {string} question - Question posée
+ * @property {string} answer - Réponse du chatbot
+ * @property {Array<Object>} citations - Citations vérifiées (raw, start, end, filename, page, status)
+ * @property {Array<Object>} sources - Sources (filename, page, meetingDateLabel, sectionTitle, snippet, url, viewerUrl...)
+ * @property {string|null} period - Période détectée dans la question
+ * @property {string|Date|null} createdAt - Date de la réponse
+ * @property {string|null} permalink - Lien permanent (/reponse/<id>), s'il a été partagé
+ */
+
+/**
+ * Libellés des citations non vérifiées (voir src/utils/citations.js)
+ */
+export const CITATION_WARNINGS = {
+  quote_not_found: 'Phrase citée introuvable dans le passage fourni',
+  page_mismatch: 'Page absente des extraits fournis',
+  unknown_source: 'Document absent des extraits fournis',
+};
+
+/**
+ * Avertissement joint à chaque export
+ */
+export const ANSWER_DISCLAIMER =
+  'Réponse générée automatiquement à partir des comptes-rendus du conseil municipal. ' +
+  'Elle peut contenir des erreurs : vérifiez-la dans les documents sources avant de la citer.';
+
+/**
+ * Échappe un texte pour l'insérer dans du HTML
+ * @param {*} text - Texte à échapper
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Préfixe un lien interne (/viewer?...) par l'origine du site
+ * @param {string|null} url - Lien
+ * @param {string} origin - Origine du site ('' pour garder un lien relatif)
+ * @returns {string|null}
+ */
+function absoluteUrl(url, origin) {
+  return url && url.startsWith('/') ? `${origin}${url}` : url;
+}
+
+/**
+ * Formate la date d'une réponse ("12 mars 2025 à 14:05")
+ * @param {string|Date|null} date - Date
+ * @returns {string} - Date en toutes lettres, vide si absente
+ */
+export function formatAnswerDate(date) {
+  if (!date) return '';
+  const value = new Date(date);
+  if (Number.isNaN(value.getTime())) return '';
+  return `${value.toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' })} à ${value.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+/**
+ * Lien d'une citation vers la visionneuse
+ *
+ * Comme dans le chat : la visionneuse surligne l'extrait si la citation
+ * renvoie à la page de la source, sinon elle s'ouvre à la page citée.
+ *
+ * @param {Object} citation - Citation vérifiée
+ * @param {Array<Object>} sources - Sources de la réponse
+ * @returns {string|null} - Lien relatif, null si le document n'est pas parmi les sources
+ */
+export function getCitationUrl(citation, sources) {
+  const source = (sources || []).find(
+    (s) =>
+      s.filename &&
+      citation.filename &&
+      s.filename.toLowerCase() === citation.filename.toLowerCase()
+  );
+  const page = citation.page || source?.page;
+  if (source?.viewerUrl && page === source.page) return source.viewerUrl;
+  return source?.url ? buildViewerUrl({ filepath: source.url, page }) : null;
+}
+
+/**
+ * Découpe la réponse en texte et citations, dans l'ordre
+ * @param {string} answer - Réponse
+ * @param {Array<Object>} citations - Citations avec leur position
+ * @returns {Array<{text: string, citation: Object|null}>}
+ */
+function splitAnswer(answer, citations) {
+  const parts = [];
+  let position = 0;
+  const ordered = [...(citations || [])]
+    .filter((c) => Number.isInteger(c.start) && Number.isInteger(c.end))
+    .sort((a, b) => a.start - b.start);
+  for (const citation of ordered) {
+    if (citation.start < position || citation.end > answer.length) continue;
+    parts.push({ text: answer.slice(position, citation.start), citation: null });
+    parts.push({ text: answer.slice(citation.start, citation.end), citation });
+    position = citation.end;
+  }
+  parts.push({ text: answer.slice(position), citation: null });
+  return parts;
+}
+
+/**
+ * Rend une réponse en HTML, citations remplacées par des liens
+ *
+ * Le texte de la réponse est échappé : il vient du LLM et ne doit pas
+ * pouvoir injecter de balises dans une page publique.
+ *
+ * @param {string} answer - Réponse
+ * @param {Array<Object>} sources - Sources de la réponse
+ * @param {Array<Object>} citations - Citations vérifiées
+ * @param {Object} options - Options
+ * @param {string} options.origin - Origine des liens ('' pour des liens relatifs)
+ * @param {boolean} options.newTab - Ouvrir les liens dans un nouvel onglet (chat)
+ * @returns {string} - HTML (à afficher avec white-space: pre-wrap)
+ */
+export function renderAnswerHtml(answer, sources, citations, { origin = '', newTab = false } = {}) {
+  return splitAnswer(answer || '', citations)
+    .map(({ text, citation }) => {
+      if (!citation) return escapeHtml(text);
+      const url = getCitationUrl(citation, sources);
+      const warning = CITATION_WARNINGS[citation.status];
+      const label = escapeHtml(text) + (warning ? ' ⚠️' : '');
+      const title = escapeHtml(
+        warning
+          ? `Citation non vérifiée : ${warning}`
+          : `Ouvrir ${citation.filename}${citation.page ? ` page ${citation.page}` : ''}`
+      );
+      const className = warning ? 'source-link citation-unverified' : 'source-link';
+      const target = newTab ? ' target="_blank" rel="noopener"' : '';
+      return url
+        ? `<a href="${escapeHtml(absoluteUrl(url, origin))}"${target} class="${className}" title="${title}">${label}</a>`
+        : `<span class="${warning ? 'citation-unverified' : ''}" title="${warning ? title : ''}">${label}</span>`;
+    })
+    .join('');
+}
+
+/**
+ * Description d'une source sur une ligne ("cr.pdf, page 4 · séance du 12 mars 2019 · n° 2019-04 – Voirie")
+ * @param {Object} source - Source
+ * @returns {string}
+ */
+export function describeSource(source) {
+  const parts = [`${source.filename || 'Document'}${source.page ? `, page ${source.page}` : ''}`];
+  if (source.meetingDateLabel) parts.push(`séance du ${source.meetingDateLabel}`);
+  else if (source.year) parts.push(String(source.year));
+  if (source.sectionTitle) {
+    parts.push(
+      `${source.deliberationNumber ? `n° ${source.deliberationNumber} – ` : ''}${source.sectionTitle}`
+    );
+  }
+  return parts.join(' · ');
+}
+
+// =============================================================================
+// MARKDOWN
+// =============================================================================
+
+/**
+ * Met une réponse en Markdown, citations en liens et sources numérotées
+ *
+ * @param {ExportedAnswer} exchange - Échange à exporter
+ * @param {Object} options - Options
+ * @param {string} options.origin - Origine des liens (ex: https://exemple.fr)
+ * @param {number} options.level - Niveau du titre de la question (1 pour une réponse seule)
+ * @returns {string} - Markdown
+ *
+ * @example
+ * formatAnswerMarkdown(exchange, { origin: 'https://exemple.fr' });
+ * // '# Quels travaux de voirie en 2019 ?\n\nEn 2019, ... [Source: cr.pdf, page 4](https://exemple.fr/viewer?...)\n\n## Sources\n\n1. ...'
+ */
+export function formatAnswerMarkdown(exchange, { origin = '', level = 1 } = {}) {
+  const heading = '#'.repeat(level);
+  const answer = splitAnswer(exchange.answer || '', exchange.citations)
+    .map(({ text, citation }) => {
+      const url = citation ? getCitationUrl(citation, exchange.sources) : null;
+      if (!url) return text;
+      const warning = CITATION_WARNINGS[citation.status] ? ' ⚠️' : '';
+      return `[${text.replace(/^\[|\]$/g, '')}](${absoluteUrl(url, origin)})${warning}`;
+    })
+    .join('');
+
+  const lines = [`${heading} ${exchange.question}`, ''];
+  const details = [];
+  if (exchange.period) details.push(`Période : ${exchange.period}`);
+  if (exchange.createdAt) details.push(`Réponse du ${formatAnswerDate(exchange.createdAt)}`);
+  if (exchange.permalink)
+    details.push(`Lien permanent : ${absoluteUrl(exchange.permalink, origin)}`);
+  if (details.length > 0) lines.push(`_${details.join(' — ')}_`, '');
+  lines.push(answer.trim(), '');
+
+  const sources = exchange.sources || [];
+  if (sources.length > 0) {
+    lines.push(`${heading}# Sources`, '');
+    sources.forEach((source, index) => {
+      const url = absoluteUrl(source.viewerUrl || source.url, origin);
+      const label = describeSource(source);
+      lines.push(`${index + 1}. ${url ? `[${label}](${url})` : label}`);
+      if (source.snippet) lines.push(`   > « ${source.snippet} »`);
+    });
+    lines.push('');
+  }
+
+  const unverified = (exchange.citations || []).filter((c) => CITATION_WARNINGS[c.status]);
+  if (unverified.length > 0) {
+    lines.push(
+      `⚠️ ${unverified.length} citation(s) non vérifiée(s) dans les extraits fournis au chatbot.`,
+      ''
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Met une conversation en Markdown
+ *
+ * @param {Array<ExportedAnswer>} exchanges - Échanges, dans l'ordre
+ * @param {Object} options - Options
+ * @param {string} options.title - Titre du document
+ * @param {string} options.origin - Origine des liens
+ * @param {Date} options.exportedAt - Date de l'export
+ * @returns {string} - Markdown
+ */
+export function formatConversationMarkdown(
+  exchanges,
+  { title = 'Conversation', origin = '', exportedAt = new Date() } = {}
+) {
+  return [
+    `# ${title}`,
+    '',
+    `_Exportée le ${formatAnswerDate(exportedAt)}${origin ? ` depuis ${origin}` : ''}._`,
+    '',
+    ...exchanges.map((exchange) => formatAnswerMarkdown(exchange, { origin, level: 2 })),
+    '---',
+    '',
+    ANSWER_DISCLAIMER,
+    '',
+  ].join('\n');
+}
+
+// =============================================================================
+// DOCUMENT IMPRIMABLE
+// =============================================================================
+
+/**
+ * Rend un échange en HTML (question, réponse, sources)
+ * @param {ExportedAnswer} exchange - Échange
+ * @param {string} origin - Origine des liens
+ * @returns {string} - HTML
+ */
+function renderExchangeHtml(exchange, origin) {
+  const details = [];
+  if (exchange.period) details.push(`Période : ${escapeHtml(exchange.period)}`);
+  if (exchange.createdAt) details.push(escapeHtml(formatAnswerDate(exchange.createdAt)));
+  if (exchange.permalink) {
+    const url = escapeHtml(absoluteUrl(exchange.permalink, origin));
+    details.push(`<a href="${url}">${url}</a>`);
+  }
+
+  const sources = (exchange.sources || [])
+    .map((source) => {
+      const url = absoluteUrl(source.viewerUrl || source.url, origin);
+      const label = escapeHtml(describeSource(source));
+      return `<li>${url ? `<a href="${escapeHtml(url)}">${label}</a>` : label}${source.snippet ? `<blockquote>« ${escapeHtml(source.snippet)} »</blockquote>` : ''}</li>`;
+    })
+    .join('');
+
+  return `<section>
+<h2>${escapeHtml(exchange.question)}</h2>
+${details.length > 0 ? `<p class="details">${details.join(' — ')}</p>` : ''}
+<div class="answer">${renderAnswerHtml(exchange.answer, exchange.sources, exchange.citations, { origin })}</div>
+${sources ? `<h3>Sources</h3><ol>${sources}</ol>` : ''}
+</section>`;
+}
+
+/**
+ * Crée un document HTML autonome à imprimer (ou enregistrer en PDF)
+ *
+ * @param {Array<ExportedAnswer>} exchanges - Échanges, dans l'ordre
+ * @param {Object} options - Options
+ * @param {string} options.title - Titre du document
+ * @param {string} options.origin - Origine des liens
+ * @param {Date} options.exportedAt - Date de l'export
+ * @returns {string} - Document HTML complet
+ */
+export function formatConversationHtml(
+  exchanges,
+  { title = 'Conversation', origin = '', exportedAt = new Date() } = {}
+) {
+  return `<!doctype html>
+<html lang="fr">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #111827; line-height: 1.5; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.15rem; margin: 2rem 0 0.25rem; }
+  h3 { font-size: 1rem; margin: 1rem 0 0.25rem; }
+  section { break-inside: avoid-page; border-top: 1px solid #e5e7eb; }
+  .details, .exported { color: #6b7280; font-size: 0.85rem; margin: 0; }
+  .answer { white-space: pre-wrap; margin-top: 0.75rem; }
+  a { color: #1d4ed8; }
+  .citation-unverified { color: #b45309; }
+  ol { padding-left: 1.25rem; font-size: 0.9rem; }
+  blockquote { margin: 0.25rem 0 0.5rem; color: #4b5563; font-style: italic; }
+  footer { margin-top: 2rem; border-top: 1px solid #e5e7eb; padding-top: 0.5rem; color: #6b7280; font-size: 0.8rem; }
+  @media print { a { color: inherit; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="exported">Exportée le ${escapeHtml(formatAnswerDate(exportedAt))}${origin ? ` depuis ${escapeHtml(origin)}` : ''}</p>
+${exchanges.map((exchange) => renderExchangeHtml(exchange, origin)).join('\n')}
+<footer>${escapeHtml(ANSWER_DISCLAIMER)}</footer>
+</body>
+</html>`;
+}
@@ -0,0 +1,389 @@
+/**
+ * Réponses partagées du chatbot (liens permanents)
+ *
+ * Une réponse du chat peut être enregistrée telle qu'elle a été affichée
+ * (question, réponse, citations et sources) et consultée ensuite à l'adresse
+ * publique /reponse/<id>, pour être citée par un journaliste ou un élu.
+ *
+ * L'identifiant est tiré du contenu : partager deux fois la même réponse
+ * donne le même lien. Les réponses enregistrées ne sont jamais retirées,
+ * un lien cité doit rester valide.
+ *
+ * Le chat n'enregistre rien tant que l'utilisateur ne partage pas : POST
+ * /api/chat signe chaque réponse (HMAC, `shareSignature`) et le client
+ * renvoie la réponse avec sa signature à POST /api/answers. Une réponse
+ * modifiée ou inventée ne peut donc pas être publiée sous l'adresse du site.
+ * La clé est SHARE_SECRET, à défaut dérivée de ADMIN_TOKEN ; sans l'un ni
+ * l'autre, le partage est désactivé.
+ *
+ * SHARE_STORE (où sont gardées les réponses) :
+ * - kv   : Redis via l'API REST d'Upstash / Vercel KV (défaut si KV_REST_API_URL
+ *          et KV_REST_API_TOKEN sont définis), partagé entre toutes les instances
+ * - file : stockage des données structurées (RECORDS_DIR/answers.json)
+ * Sur Vercel, le stockage "file" n'est pas persistant (lecture seule, propre à
+ * chaque instance) : le partage y est désactivé, le bouton n'est pas affiché.
+ */
+
+import crypto from 'crypto';
+import { getRecordStoreConfig, createRecordStore } from './recordStore.js';
+import { ADMIN_AUTH_CONFIG } from './adminAuth.js';
+import { getKvConfig, createKvClient, hasPersistentFilesystem, resolveStore } from './kvStore.js';
+
+/**
+ * Configuration des réponses partagées
+ */
+export const ANSWER_SNAPSHOT_CONFIG = {
+  RECORD_TYPE: 'answers', // Fichier RECORDS_DIR/answers.json
+  ID_LENGTH: 12, // Caractères de l'empreinte du contenu gardés dans l'identifiant
+  MAX_QUESTION_LENGTH: 2000,
+  MAX_ANSWER_LENGTH: 10000,
+  MAX_CITATIONS: 50,
+  MAX_SOURCES: 20,
+  KEY_CONTEXT: 'answer-snapshot', // Dérivation de la clé depuis ADMIN_TOKEN
+  KEY_PREFIX: 'answer:', // Préfixe des clés Redis (stockage "kv")
+};
+
+/**
+ * Identifiant d'une réponse partagée (empreinte base64url)
+ */
+const SNAPSHOT_ID = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Source d'une réponse partagée
+ * @typedef {Object} SnapshotSource
+ * @property {string|null} filename - Nom du document
+ * @property {string|null} url - Chemin du PDF (/datas/...)
+ * @property {number|null} page - Page où commence l'extrait
+ * @property {number|null} year - Année du document
+ * @property {string|null} meetingDate - Date de la séance (AAAA-MM-JJ)
+ * @property {string|null} meetingDateLabel - Date de la séance en toutes lettres
+ * @property {string|null} sectionTitle - Titre de la délibération
+ * @property {string|null} deliberationNumber - Numéro de la délibération
+ * @property {string|null} snippet - Passage mis en évidence
+ * @property {string|null} viewerUrl - Lien vers la visionneuse (/viewer?...)
+ */
+
+/**
+ * Citation d'une réponse partagée (voir src/utils/citations.js)
+ * @typedef {Object} SnapshotCitation
+ * @property {string|null} raw - Texte de la citation ("[Source: fichier.pdf, page 5]")
+ * @property {number|null} start - Position de la citation dans la réponse
+ * @property {number|null} end - Position qui suit la citation
+ * @property {string|null} filename - Fichier cité
+ * @property {number|null} page - Page citée
+ * @property {string|null} status - Résultat de la vérification (CITATION_STATUSES)
+ */
+
+/**
+ * Réponse partagée
+ * @typedef {Object} AnswerSnapshot
+ * @property {string} id - Identifiant (empreinte du contenu)
+ * @property {string} created_at - Date du premier partage (ISO)
+ * @property {string} question - Question (reformulée si c'était une question de suivi)
+ * @property {string} answer - Réponse du chatbot
+ * @property {string|null} period - Période détectée dans la question ("2019", "dernière séance"...)
+ * @property {Array<SnapshotCitation>} citations - Citations vérifiées
+ * @property {Array<SnapshotSource>} sources - Sources de la réponse
+ */
+
+/**
+ * Lit la configuration du partage depuis les variables d'environnement
+ *
+ * Le partage est désactivé (enabled à false, pas de signature ni de bouton
+ * dans le chat) sans clé de signature ou sans stockage persistant. Les
+ * réponses déjà partagées restent lisibles.
+ *
+ * @returns {{enabled: boolean, error: string|null, key: string, store: string, records: Object, kv: Object}}
+ *   Configuration (key : clé de signature, store : 'kv' ou 'file')
+ */
+export function getAnswerSnapshotConfig() {
+  const shareSecret = process.env.SHARE_SECRET || '';
+  const adminToken = process.env.ADMIN_TOKEN || '';
+  const minLength = ADMIN_AUTH_CONFIG.MIN_TOKEN_LENGTH;
+
+  let key = '';
+  let error = null;
+  if (shareSecret) {
+    if (shareSecret.length < minLength) {
+      error = `Partage désactivé: SHARE_SECRET trop court (${minLength} caractères minimum)`;
+    } else {
+      key = shareSecret;
+    }
+  } else if (adminToken.length >= minLength) {
+    // Clé distincte de celle des sessions d'administration
+    key = crypto
+      .createHmac('sha256', adminToken)
+      .update(ANSWER_SNAPSHOT_CONFIG.KEY_CONTEXT)
+      .digest('base64url');
+  } else {
+    error = 'Partage désactivé: SHARE_SECRET (ou ADMIN_TOKEN) non défini';
+  }
+
+  const store = resolveStore(process.env.SHARE_STORE);
+  const kv = getKvConfig();
+  if (!error && !['kv', 'file'].includes(store)) {
+    error = `Partage désactivé: SHARE_STORE inconnu (${store}, kv ou file)`;
+  }
+  if (!error && store === 'kv' && !kv.configured) {
+    error = 'Partage désactivé: KV_REST_API_URL et KV_REST_API_TOKEN requis (SHARE_STORE=kv)';
+  }
+  if (!error && store === 'file' && !hasPersistentFilesystem()) {
+    error =
+      'Partage désactivé: stockage local non persistant sur Vercel (définir KV_REST_API_URL et KV_REST_API_TOKEN)';
+  }
+
+  return { enabled: error === null, error, key, store, records: getRecordStoreConfig(), kv };
+}
+
+// =============================================================================
+// CONTENU ET SIGNATURE
+// =============================================================================
+
+/**
+ * Lit un texte facultatif
+ * @param {*} value - Valeur reçue
+ * @param {number} maxLength - Longueur maximale
+ * @returns {string|null}
+ */
+function optionalText(value, maxLength) {
+  return typeof value === 'string' && value ? value.slice(0, maxLength) : null;
+}
+
+/**
+ * Lit un nombre facultatif
+ * @param {*} value - Valeur reçue
+ * @returns {number|null}
+ */
+function optionalNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Ne garde d'une source que les champs affichés sur la page de la réponse
+ * @param {Object} source - Source renvoyée par /api/chat
+ * @returns {SnapshotSource}
+ */
+function normalizeSource(source) {
+  // Seuls les liens internes au site sont conservés
+  const viewerUrl = optionalText(source?.viewerUrl, 3000);
+  return {
+    filename: optionalText(source?.filename, 300),
+    url: optionalText(source?.url, 500),
+    page: optionalNumber(source?.page),
+    year: optionalNumber(source?.year),
+    meetingDate: optionalText(source?.meetingDate, 10),
+    meetingDateLabel: optionalText(source?.meetingDateLabel, 100),
+    sectionTitle: optionalText(source?.sectionTitle, 300),
+    deliberationNumber: optionalText(source?.deliberationNumber, 50),
+    snippet: optionalText(source?.snippet, 500),
+    viewerUrl: viewerUrl?.startsWith('/') && !viewerUrl.startsWith('//') ? viewerUrl : null,
+  };
+}
+
+/**
+ * Ne garde d'une citation que sa position et son statut
+ * @param {Object} citation - Citation vérifiée (citations.js)
+ * @returns {SnapshotCitation}
+ */
+function normalizeCitation(citation) {
+  return {
+    raw: optionalText(citation?.raw, 500),
+    start: optionalNumber(citation?.start),
+    end: optionalNumber(citation?.end),
+    filename: optionalText(citation?.filename, 300),
+    page: optionalNumber(citation?.page),
+    status: optionalText(citation?.status, 30),
+  };
+}
+
+/**
+ * Construit le contenu partageable d'une réponse
+ *
+ * Le même contenu est construit par POST /api/chat pour signer la réponse
+ * et par POST /api/answers pour vérifier la signature : l'ordre des champs
+ * est fixe, et les champs absents valent null.
+ *
+ * @param {Object} response - Réponse telle que renvoyée par /api/chat
+ * @param {string} response.question - Question autonome (standaloneQuestion)
+ * @param {string} response.answer - Réponse complète
+ * @param {Array} response.citations - Citations vérifiées
+ * @param {Array} response.sources - Sources enrichies
+ * @param {string|null} response.period - Libellé de la période détectée (searchMetadata.temporalQuery.label)
+ * @returns {Object} - Contenu normalisé (AnswerSnapshot sans id ni date)
+ */
+export function buildSnapshot({ question, answer, citations = [], sources = [], period = null }) {
+  return {
+    question: String(question ?? '').slice(0, ANSWER_SNAPSHOT_CONFIG.MAX_QUESTION_LENGTH),
+    answer: String(answer ?? '').slice(0, ANSWER_SNAPSHOT_CONFIG.MAX_ANSWER_LENGTH),
+    period: optionalText(period, 100),
+    citations: (Array.isArray(citations) ? citations : [])
+      .slice(0, ANSWER_SNAPSHOT_CONFIG.MAX_CITATIONS)
+      .map(normalizeCitation),
+    sources: (Array.isArray(sources) ? sources : [])
+      .slice(0, ANSWER_SNAPSHOT_CONFIG.MAX_SOURCES)
+      .map(normalizeSource),
+  };
+}
+
+/**
+ * Signe le contenu d'une réponse
+ * @param {Object} config - Configuration retournée par getAnswerSnapshotConfig
+ * @param {Object} snapshot - Contenu retourné par buildSnapshot
+ * @returns {string|null} - Signature (base64url), null si le partage est désactivé
+ */
+export function signSnapshot(config, snapshot) {
+  if (!config.enabled) return null;
+  return crypto
+    .createHmac('sha256', config.key)
+    .update(JSON.stringify(snapshot))
+    .digest('base64url');
+}
+
+/**
+ * Vérifie la signature d'une réponse
+ * @param {Object} config - Configuration retournée par getAnswerSnapshotConfig
+ * @param {Object} snapshot - Contenu retourné par buildSnapshot
+ * @param {string} signature - Signature renvoyée par le client
+ * @returns {boolean} - true si la réponse a bien été produite par le chat
+ */
+export function verifySnapshot(config, snapshot, signature) {
+  const expected = signSnapshot(config, snapshot);
+  if (!expected || typeof signature !== 'string' || signature.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+ * Identifiant stable d'une réponse, tiré de son contenu
+ * @param {Object} snapshot - Contenu retourné par buildSnapshot
+ * @returns {string} - Identifiant (base64url)
+ */
+export function getSnapshotId(snapshot) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(snapshot))
+    .digest('base64url')
+    .slice(0, ANSWER_SNAPSHOT_CONFIG.ID_LENGTH);
+}
+
+/**
+ * Indique si une chaîne a la forme d'un identifiant de réponse
+ * @param {string} id - Identifiant reçu (URL)
+ * @returns {boolean}
+ */
+export function isSnapshotId(id) {
+  return (
+    typeof id === 'string' && id.length === ANSWER_SNAPSHOT_CONFIG.ID_LENGTH && SNAPSHOT_ID.test(id)
+  );
+}
+
+/**
+ * Valide le corps d'une demande de partage
+ *
+ * @param {Object} body - Corps JSON de POST /api/answers
+ * @returns {{snapshot: Object|null, signature: string|null, error: string|null}} - Contenu normalisé et signature, ou message d'erreur
+ *
+ * @example
+ * validateSnapshotRequest({
+ *   question: 'Quels travaux de voirie en 2019 ?', answer: 'En 2019...',
+ *   citations: [...], sources: [...], period: '2019', signature: 'k3J...'
+ * });
+ * // { snapshot: { question: '...', answer: '...', period: '2019', citations: [...], sources: [...] }, signature: 'k3J...', error: null }
+ */
+export function validateSnapshotRequest(body) {
+  const { question, answer, citations, sources, period, signature } = body ?? {};
+
+  if (typeof question !== 'string' || !question.trim()) {
+    return { snapshot: null, signature: null, error: 'Paramètre manquant: question' };
+  }
+  if (typeof answer !== 'string' || !answer.trim()) {
+    return { snapshot: null, signature: null, error: 'Paramètre manquant: answer' };
+  }
+  if (citations !== undefined && !Array.isArray(citations)) {
+    return { snapshot: null, signature: null, error: 'Paramètre invalide: citations' };
+  }
+  if (sources !== undefined && !Array.isArray(sources)) {
+    return { snapshot: null, signature: null, error: 'Paramètre invalide: sources' };
+  }
+  if (period !== undefined && period !== null && typeof period !== 'string') {
+    return { snapshot: null, signature: null, error: 'Paramètre invalide: period' };
+  }
+  if (typeof signature !== 'string' || !signature) {
+    return { snapshot: null, signature: null, error: 'Paramètre manquant: signature' };
+  }
+
+  return {
+    snapshot: buildSnapshot({ question, answer, citations, sources, period }),
+    signature,
+    error: null,
+  };
+}
+
+// =============================================================================
+// STOCKAGE
+// =============================================================================
+
+/**
+ * Crée l'accès aux réponses partagées
+ *
+ * @param {Object} config - Configuration retournée par getAnswerSnapshotConfig
+ * @returns {{save: Function, get: Function}} - Réponses partagées
+ *
+ * @example
+ * const snapshots = createAnswerSnapshotStore(getAnswerSnapshotConfig());
+ * const { entry, created } = await snapshots.save(snapshot);
+ * await snapshots.get(entry.id);
+ */
+export function createAnswerSnapshotStore(config) {
+  if (config.store === 'kv') {
+    const kv = createKvClient(config.kv);
+    const key = (id) => `${ANSWER_SNAPSHOT_CONFIG.KEY_PREFIX}${id}`;
+
+    return {
+      async save(snapshot) {
+        const id = getSnapshotId(snapshot);
+        const entry = { id, created_at: new Date().toISOString(), ...snapshot };
+        // NX : une réponse déjà partagée garde sa date de premier partage
+        const created = await kv.command('SET', key(id), JSON.stringify(entry), 'NX');
+        if (created) return { entry, created: true };
+        return { entry: (await this.get(id)) || entry, created: false };
+      },
+
+      async get(id) {
+        if (!isSnapshotId(id)) return null;
+        const value = await kv.command('GET', key(id));
+        return value ? JSON.parse(value) : null;
+      },
+    };
+  }
+
+  const store = createRecordStore(config.records, ANSWER_SNAPSHOT_CONFIG.RECORD_TYPE);
+
+  return {
+    /**
+     * Enregistre une réponse, sauf si elle a déjà été partagée
+     * @param {Object} snapshot - Contenu retourné par buildSnapshot (signature vérifiée)
+     * @returns {Promise<{entry: AnswerSnapshot, created: boolean}>} - Réponse enregistrée, created à false si elle existait
+     */
+    async save(snapshot) {
+      const id = getSnapshotId(snapshot);
+      const existing = await this.get(id);
+      if (existing) return { entry: existing, created: false };
+
+      const entry = { id, created_at: new Date().toISOString(), ...snapshot };
+      await store.append([entry]);
+      return { entry, created: true };
+    },
+
+    /**
+     * Réponse partagée
+     * @param {string} id - Identifiant
+     * @returns {Promise<AnswerSnapshot|null>} - Réponse, null si inconnue
+     */
+    async get(id) {
+      if (!isSnapshotId(id)) return null;
+      return store.all().find((entry) => entry.id === id) || null;
+    },
+  };
+}
@@ -0,0 +1,685 @@
+/**
+ * Registre des présences du conseil municipal
+ *
+ * Chaque compte-rendu s'ouvre sur la liste des présents, des absents excusés,
+ * des absents, des pouvoirs donnés et le nom du secrétaire de séance. À
+ * l'ingestion, ce bloc est lu une fois pour toutes et enregistré par séance ;
+ * la route GET /api/attendance en tire des taux de présence par élu, et le chat
+ * répond aux questions de présence à partir de ces enregistrements plutôt que
+ * des extraits de texte.
+ *
+ * Formulations reconnues (selon les années) :
+ * - Etaient présents : MM. DRUGEON Serge, ... / Présents : MM Sébastien LEROUX, ... et Jean-Louis PITEL
+ * - Absents ayant donné procuration : Mme HEE Florence à Mr DRUGEON Serge
+ * - ... : Monsieur Philippe Mallard donne pouvoir à monsieur Sébastien Leroux, ...
+ * - Etaient absents excusés : ... / Absente excusée : ... / Absents : ...
+ * - Le Conseil a choisi pour secrétaire : M. Michel SOISNARD / Secrétaire : Mme Jeanne GUILLOUET
+ * - Madame Yvette RUBAN est nommée secrétaire de séance / Monsieur Pitel est nommé secrétaire de séance
+ */
+
+import crypto from 'crypto';
+import { parseDateBound } from './meetingDate.js';
+
+/**
+ * Configuration de l'extraction et des statistiques de présence
+ */
+export const ATTENDANCE_CONFIG = {
+  RECORD_TYPE: 'attendance', // Nom du fichier dans le stockage des données structurées
+  PAGES: 2, // Pages lues pour trouver le bloc des présences et le secrétaire
+  MAX_NAME_WORDS: 5, // Au-delà, une "liste de noms" est une phrase
+  CONTEXT_MEETINGS: 3, // Séances détaillées nominativement dans le contexte du chat
+  CONTEXT_SOURCES: 10, // Comptes-rendus cités en sources par le chat
+};
+
+/**
+ * Pouvoir donné par un élu absent
+ * @typedef {Object} Proxy
+ * @property {string} from - Élu absent
+ * @property {string} to - Élu qui le représente
+ */
+
+/**
+ * Présences d'une séance
+ * @typedef {Object} Attendance
+ * @property {string} id - Identifiant (stable d'une indexation à l'autre)
+ * @property {string|null} date - Date de séance AAAA-MM-JJ
+ * @property {number|null} year - Année du document
+ * @property {Array<string>} present - Élus présents
+ * @property {Array<string>} excused - Absents excusés
+ * @property {Array<string>} absent - Absents
+ * @property {Array<Proxy>} proxies - Pouvoirs donnés
+ * @property {string|null} secretary - Secrétaire de séance
+ * @property {number} page - Page du bloc des présences
+ * @property {string} filename - Nom du fichier source
+ * @property {string} filepath - Chemin du fichier source
+ */
+
+/**
+ * Statistiques de présence d'un élu sur une période
+ * @typedef {Object} PersonAttendance
+ * @property {string} name - Nom (tel qu'écrit dans le compte-rendu le plus récent)
+ * @property {number} meetings - Séances où l'élu figure dans le registre
+ * @property {number} present - Séances où il était présent
+ * @property {number} proxies_given - Séances manquées en donnant pouvoir
+ * @property {number} excused - Séances manquées excusé (sans pouvoir)
+ * @property {number} absent - Séances manquées sans excuse ni pouvoir
+ * @property {number} proxies_received - Pouvoirs reçus d'autres élus
+ * @property {number} secretary - Séances dont il était secrétaire
+ * @property {number} rate - Taux de présence (0 à 1)
+ * @property {Array<string>} missed - Dates des séances manquées
+ */
+
+/**
+ * Filtres des statistiques (voir computeAttendanceStats)
+ * @typedef {Object} AttendanceFilters
+ * @property {string|null} from - Date minimale AAAA-MM-JJ
+ * @property {string|null} to - Date maximale AAAA-MM-JJ
+ * @property {string} name - Nom cherché (sans accents), vide pour tous les élus
+ */
+
+/**
+ * Libellés des listes, en début de ligne (texte normalisé) : l'ordre compte,
+ * "absents ayant donné procuration" et "absents excusés" avant "absents".
+ * Les pouvoirs ont aussi leur propre bloc ("Pouvoirs :", "Procurations :").
+ */
+const LIST_LABELS = [
+  ['present', /^(?:etaients?\s+)?presents?\s*:/],
+  [
+    'proxies',
+    /^(?:(?:(?:etaients?\s+)?absente?s?|personnes)\s+ayant\s+donnee?\s+(?:procuration|pouvoir)s?|pouvoirs?|procurations?)\s*:/,
+  ],
+  ['excused', /^(?:etaients?\s+)?absente?s?\s+excusee?s?\s*:/],
+  ['absent', /^(?:etaients?\s+)?absente?s?\s*:/],
+];
+
+/**
+ * Désignation du secrétaire de séance (texte normalisé)
+ */
+const SECRETARY_LABEL = /^(?:le conseil a choisi pour )?secretaire(?: de seance)?\s*:\s*(.+)$/;
+const SECRETARY_NAMED = /^(.+?)\s+est\s+nommee?\s+secretaire\b/;
+
+/**
+ * Civilités retirées devant les noms ("MM.", "Mme", "monsieur", "Mesdames"...)
+ */
+const TITLES =
+  /^(?:mesdames|messieurs|monsieur|madame|mademoiselle|mmes|mme|mlle|mm|mr|m)(?:\.\s*|\s+)/i;
+
+/**
+ * Mots en minuscules admis dans un bloc de présences (civilités, liaisons, pouvoirs)
+ */
+const LIST_WORDS = new Set([
+  'et',
+  'a',
+  'monsieur',
+  'madame',
+  'mesdames',
+  'messieurs',
+  'donne',
+  'donnent',
+  'pouvoir',
+  'pourvoir',
+  'procuration',
+]);
+
+/**
+ * Séparateurs des éléments d'une liste de noms
+ */
+const LIST_SEPARATOR = /\s*[,;]\s*|(?<!\b(?:MM?|Mr|Mmes?|Mlle))\.\s+|\s+et\s+/i;
+
+/**
+ * Mot d'un nom propre : initiale majuscule, lettres, trait d'union et apostrophe
+ */
+const NAME_WORD = /^\p{Lu}[\p{L}'’-]*$/u;
+
+/**
+ * Minuscules, sans accents ni apostrophes typographiques
+ * @param {string} text - Texte à normaliser
+ * @returns {string} - Texte normalisé
+ */
+function normalize(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/’/g, "'")
+    .toLowerCase();
+}
+
+// =============================================================================
+// NOMS
+// =============================================================================
+
+/**
+ * Met un nom d'élu sous la forme "Prénom NOM"
+ *
+ * Les comptes-rendus écrivent "DRUGEON Serge", "Serge DRUGEON" ou "Sébastien
+ * Leroux" : le nom de famille est le mot en capitales, à défaut le dernier mot.
+ * Un nom seul ("Monsieur Pitel") est conservé tel quel, en capitales.
+ *
+ * @param {string} raw - Nom tel qu'écrit, avec ou sans civilité
+ * @returns {string|null} - Nom normalisé, null si le texte n'est pas un nom
+ *
+ * @example
+ * parsePersonName('MM. DRUGEON Serge'); // 'Serge DRUGEON'
+ * parsePersonName('monsieur Sébastien Leroux'); // 'Sébastien LEROUX'
+ */
+export function parsePersonName(raw) {
+  let text = (raw || '')
+    .replace(/\([^)]*\)?/g, ' ')
+    .replace(/[¨"«»]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[.,;:]+$/, '');
+  while (TITLES.test(text)) text = text.replace(TITLES, '');
+
+  const words = text.split(' ').filter(Boolean);
+  if (words.length === 0 || words.length > ATTENDANCE_CONFIG.MAX_NAME_WORDS) return null;
+  if (!words.every((word) => NAME_WORD.test(word))) return null;
+
+  const isUpperCase = (word) => word.length > 1 && word === word.toLocaleUpperCase('fr');
+  const surnameWords = words.some(isUpperCase) ? words.filter(isUpperCase) : words.slice(-1);
+  const firstNames = words.filter((word) => !surnameWords.includes(word));
+
+  return [...firstNames, ...surnameWords.map((word) => word.toLocaleUpperCase('fr'))].join(' ');
+}
+
+/**
+ * Clé d'identification d'un élu, insensible aux accents, à la casse et à l'ordre des mots
+ * @param {string} name - Nom normalisé (parsePersonName)
+ * @returns {string} - Clé
+ */
+export function personKey(name) {
+  return normalize(name)
+    .split(/[\s-]+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+}
+
+/**
+ * Nom de famille d'un élu (mots en capitales de parsePersonName)
+ * @param {string} name - Nom normalisé
+ * @returns {string} - Nom de famille, sans accents, en minuscules
+ */
+function surnameOf(name) {
+  const words = name.split(' ');
+  const surname = words.filter((word) => word.length > 1 && word === word.toLocaleUpperCase('fr'));
+  return normalize((surname.length > 0 ? surname : words.slice(-1)).join(' '));
+}
+
+// =============================================================================
+// EXTRACTION
+// =============================================================================
+
+/**
+ * Indique si une ligne prolonge une liste de noms (et non une phrase du compte-rendu)
+ * @param {string} line - Ligne du document
+ * @returns {boolean} - true si la ligne ne contient que des noms, civilités et liaisons
+ */
+function isNameListLine(line) {
+  // Les deux-points introduisent une autre rubrique ("Secrétaire : ...")
+  if (line.includes(':')) return false;
+  const words = line
+    .replace(/\([^)]*\)?/g, ' ')
+    .replace(/[¨"«»,;.]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  return (
+    words.length > 0 &&
+    words.every(
+      (word) =>
+        NAME_WORD.test(word) ||
+        LIST_WORDS.has(normalize(word)) ||
+        TITLES.test(`${word} `) ||
+        /^\p{Lu}[\p{L}]*-$/u.test(word)
+    )
+  );
+}
+
+/**
+ * Recolle les noms coupés en fin de ligne ("Jean-" / "Pierre") ; les autres
+ * retours à la ligne sont conservés pour les pouvoirs
+ * @param {Array<string>} lines - Lignes du bloc
+ * @returns {string} - Texte du bloc
+ */
+function joinBlockLines(lines) {
+  return lines
+    .reduce((text, line) => (text.endsWith('-') ? text + line : `${text}\n${line}`), '')
+    .replace(/¨/g, '')
+    .replace(/\bmesdames\s+et\s+messieurs\b/gi, ' ')
+    .trim();
+}
+
+/**
+ * Découpe une liste de noms
+ * @param {string} text - Texte de la liste
+ * @returns {Array<string>} - Noms normalisés, sans doublons
+ */
+function parseNameList(text) {
+  const names = text.replace(/\n/g, ' ').split(LIST_SEPARATOR).map(parsePersonName).filter(Boolean);
+  return [...new Set(names)];
+}
+
+/**
+ * Découpe la liste des pouvoirs
+ *
+ * "X à Y", "X donne pouvoir à Y", "X et Z donnent pouvoir à Y" : un nom sans
+ * "à" est un absent qui partage le mandataire de l'élément suivant. Sans
+ * séparateur, un pouvoir par ligne ("Mme HEE Florence à Mr DRUGEON Serge").
+ *
+ * @param {string} text - Texte de la liste
+ * @returns {Array<Proxy>} - Pouvoirs
+ */
+function parseProxies(text) {
+  const proxies = [];
+  let pending = [];
+
+  const parts = text.split(LIST_SEPARATOR).flatMap((part) =>
+    part.split('\n').reduce((entries, line) => {
+      const last = entries[entries.length - 1];
+      if (last !== undefined && !(/\sà\s/.test(last) && /\sà\s/.test(line))) {
+        entries[entries.length - 1] = `${last} ${line}`;
+      } else {
+        entries.push(line);
+      }
+      return entries;
+    }, [])
+  );
+
+  for (const part of parts) {
+    const match = part.match(
+      /^(.*?)\s+(?:donne(?:nt)?\s+(?:pouvoir|pourvoir|procuration)\s+)?à\s+(.+)$/i
+    );
+    if (!match) {
+      const name = parsePersonName(part);
+      if (name) pending.push(name);
+      continue;
+    }
+
+    const from = parsePersonName(match[1]);
+    const to = parsePersonName(match[2]);
+    if (to) {
+      for (const giver of [...pending, from].filter(Boolean)) proxies.push({ from: giver, to });
+    }
+    pending = [];
+  }
+
+  return proxies;
+}
+
+/**
+ * Complète les noms de famille seuls ("Monsieur Pitel est nommé secrétaire")
+ * avec le nom complet d'un élu de la même séance, s'il n'y a pas d'ambiguïté
+ * @param {string|null} name - Nom normalisé
+ * @param {Array<string>} fullNames - Noms complets cités dans la séance
+ * @returns {string|null} - Nom complet, ou nom d'origine
+ */
+function resolveSurname(name, fullNames) {
+  if (!name || name.includes(' ')) return name;
+  const candidates = [...new Set(fullNames)].filter(
+    (fullName) => surnameOf(fullName) === normalize(name)
+  );
+  return candidates.length === 1 ? candidates[0] : name;
+}
+
+/**
+ * Génère l'ID du registre de présence d'un document
+ * @param {string} filepath - Chemin du fichier
+ * @returns {string} - Identifiant hexadécimal
+ */
+function generateAttendanceId(filepath) {
+  return crypto
+    .createHash('sha256')
+    .update(`${filepath}#attendance`)
+    .digest('hex')
+    .substring(0, 16);
+}
+
+/**
+ * Extrait les présences d'un compte-rendu
+ *
+ * Les listes sont cherchées dans les premières pages : chacune commence par son
+ * libellé en début de ligne et se poursuit tant que les lignes suivantes ne
+ * contiennent que des noms. Le secrétaire est désigné dans le préambule ou dans
+ * un premier point "Désignation du secrétaire de séance".
+ *
+ * @param {Array<{page_number: number, text: string}>} pages - Pages du document
+ * @param {Object} document - Métadonnées du document ({ filename, filepath, year, meetingDate })
+ * @returns {Attendance|null} - Présences, null si le document n'a pas de liste des présents
+ */
+export function extractAttendance(pages, { filename, filepath, year, meetingDate = null }) {
+  const source = filepath || filename;
+  const lines = pages.slice(0, ATTENDANCE_CONFIG.PAGES).flatMap((page) =>
+    page.text
+      .split('\n')
+      .map((text) => text.trim())
+      .filter(Boolean)
+      .map((text) => ({ text, page: page.page_number }))
+  );
+
+  const blocks = {};
+  let secretary = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const normalized = normalize(lines[i].text);
+    const label = LIST_LABELS.find(([, pattern]) => pattern.test(normalized));
+
+    if (label && !blocks[label[0]]) {
+      const { text } = lines[i];
+      const blockLines = [text.slice(text.indexOf(':') + 1)];
+      while (
+        i + 1 < lines.length &&
+        !LIST_LABELS.some(([, pattern]) => pattern.test(normalize(lines[i + 1].text))) &&
+        isNameListLine(lines[i + 1].text)
+      ) {
+        blockLines.push(lines[++i].text);
+      }
+      blocks[label[0]] = { text: joinBlockLines(blockLines), page: lines[i].page };
+      continue;
+    }
+
+    if (!secretary) {
+      const labelled = normalized.match(SECRETARY_LABEL);
+      const named = lines[i].text.match(/^(.+?)\s+est\s+nommée?\s+secrétaire\b/i);
+      if (labelled) {
+        secretary = parsePersonName(lines[i].text.slice(lines[i].text.indexOf(':') + 1));
+      } else if (named && SECRETARY_NAMED.test(normalized)) {
+        secretary = parsePersonName(named[1]);
+      }
+    }
+  }
+
+  if (!blocks.present) return null;
+
+  const present = parseNameList(blocks.present.text);
+  const excused = parseNameList(blocks.excused?.text || '');
+  const absent = parseNameList(blocks.absent?.text || '');
+  const proxies = parseProxies(blocks.proxies?.text || '');
+
+  // Les noms de famille seuls sont complétés avec les noms complets de la séance
+  const fullNames = [
+    ...present,
+    ...excused,
+    ...absent,
+    ...proxies.flatMap(({ from, to }) => [from, to]),
+  ].filter((name) => name.includes(' '));
+  const resolve = (name) => resolveSurname(name, fullNames);
+
+  return {
+    id: generateAttendanceId(source),
+    date: meetingDate,
+    year: year || (meetingDate ? Number(meetingDate.slice(0, 4)) : null),
+    present: present.map(resolve),
+    excused: excused.map(resolve),
+    absent: absent.map(resolve),
+    proxies: proxies.map(({ from, to }) => ({ from: resolve(from), to: resolve(to) })),
+    secretary: resolve(secretary),
+    page: blocks.present.page,
+    filename: filename || source,
+    filepath: source,
+  };
+}
+
+// =============================================================================
+// STATISTIQUES
+// =============================================================================
+
+/**
+ * Lit les filtres des statistiques de présence dans les paramètres d'URL
+ *
+ * Paramètres : from, to (AAAA ou AAAA-MM-JJ, bornes incluses), name.
+ *
+ * @param {URLSearchParams} params - Paramètres de l'URL
+ * @returns {{filters: AttendanceFilters|null, error: string|null}} - Filtres, ou message d'erreur
+ *
+ * @example
+ * parseAttendanceFilters(new URLSearchParams('from=2019&to=2020-06-30&name=drugeon'));
+ * // { filters: { from: '2019-01-01', to: '2020-06-30', name: 'drugeon' }, error: null }
+ */
+export function parseAttendanceFilters(params) {
+  const from = parseDateBound(params.get('from'), false);
+  const to = parseDateBound(params.get('to'), true);
+
+  if (from === undefined) return { filters: null, error: 'Paramètre invalide: from' };
+  if (to === undefined) return { filters: null, error: 'Paramètre invalide: to' };
+  if (from && to && from > to) {
+    return { filters: null, error: 'from doit être antérieur ou égal à to' };
+  }
+
+  return { filters: { from, to, name: (params.get('name') || '').trim() }, error: null };
+}
+
+/**
+ * Date de séance utilisée pour le filtrage et le tri (l'année seule à défaut)
+ * @param {Attendance} record - Présences d'une séance
+ * @returns {string} - Date AAAA-MM-JJ ou année
+ */
+function meetingDateOf(record) {
+  return record.date || String(record.year || '');
+}
+
+/**
+ * Sélectionne les séances d'une période, de la plus ancienne à la plus récente
+ * @param {Array<Attendance>} records - Présences enregistrées
+ * @param {{from?: string|null, to?: string|null}} period - Bornes incluses (AAAA-MM-JJ)
+ * @returns {Array<Attendance>} - Séances de la période
+ */
+export function selectMeetings(records, { from = null, to = null } = {}) {
+  return records
+    .filter((record) => {
+      const date = meetingDateOf(record);
+      // Sans date de séance, seule l'année du document est comparée
+      if (from && date < (record.date ? from : from.slice(0, 4))) return false;
+      if (to && date > (record.date ? to : to.slice(0, 4))) return false;
+      return true;
+    })
+    .sort(
+      (a, b) =>
+        meetingDateOf(a).localeCompare(meetingDateOf(b)) || a.filepath.localeCompare(b.filepath)
+    );
+}
+
+/**
+ * Calcule les statistiques de présence par élu
+ *
+ * Chaque séance compte une fois par élu, dans l'ordre de priorité présent,
+ * pouvoir donné, excusé, absent : un élu cité dans deux listes (erreur de
+ * rédaction) n'est pas compté deux fois. Un élu n'est compté que sur les
+ * séances où il figure dans le registre, ce qui suit les changements de
+ * conseil.
+ *
+ * @param {Array<Attendance>} records - Présences enregistrées
+ * @param {Partial<AttendanceFilters>} filters - Période et nom (optionnels)
+ * @returns {{meetings: number, people: Array<PersonAttendance>}} - Nombre de séances et statistiques, par taux de présence croissant
+ */
+export function computeAttendanceStats(records, { from = null, to = null, name = '' } = {}) {
+  const meetings = selectMeetings(records, { from, to });
+  const people = new Map();
+
+  const personOf = (personName) => {
+    const key = personKey(personName);
+    if (!people.has(key)) {
+      people.set(key, {
+        name: personName,
+        meetings: 0,
+        present: 0,
+        proxies_given: 0,
+        excused: 0,
+        absent: 0,
+        proxies_received: 0,
+        secretary: 0,
+        rate: 0,
+        missed: [],
+      });
+    }
+    const person = people.get(key);
+    person.name = personName; // Les séances sont parcourues dans l'ordre : la graphie la plus récente l'emporte
+    return person;
+  };
+
+  for (const record of meetings) {
+    const statuses = new Map();
+    const setStatus = (personName, status) => {
+      const key = personKey(personName);
+      if (!statuses.has(key)) statuses.set(key, { personName, status });
+    };
+    record.present.forEach((personName) => setStatus(personName, 'present'));
+    record.proxies.forEach(({ from: giver }) => setStatus(giver, 'proxies_given'));
+    record.excused.forEach((personName) => setStatus(personName, 'excused'));
+    record.absent.forEach((personName) => setStatus(personName, 'absent'));
+
+    for (const { personName, status } of statuses.values()) {
+      const person = personOf(personName);
+      person.meetings++;
+      person[status]++;
+      if (status !== 'present') person.missed.push(meetingDateOf(record));
+    }
+    record.proxies.forEach(({ to: holder }) => personOf(holder).proxies_received++);
+    if (record.secretary) personOf(record.secretary).secretary++;
+  }
+
+  const terms = normalize(name).split(/\s+/).filter(Boolean);
+  const selected = [...people.values()]
+    .filter((person) => person.meetings > 0)
+    .filter((person) => terms.every((term) => normalize(person.name).includes(term)))
+    .map((person) => ({
+      ...person,
+      rate: person.meetings > 0 ? Math.round((person.present / person.meetings) * 1000) / 1000 : 0,
+    }))
+    .sort((a, b) => a.rate - b.rate || a.name.localeCompare(b.name, 'fr'));
+
+  return { meetings: meetings.length, people: selected };
+}
+
+// =============================================================================
+// QUESTIONS DE PRÉSENCE (CHAT)
+// =============================================================================
+
+/**
+ * Vocabulaire des questions de présence ("présenté" ou "absentéisme scolaire" ne comptent pas)
+ */
+const ATTENDANCE_TERMS =
+  /(?<!\p{L})(?:présente?s?|présences?|absente?s?|absences?|assiduité|excusée?s?|procurations?|pouvoirs?\s+(?:donnés?|reçus?)|secrétaires?\s+de\s+séance)(?!\p{L})/iu;
+
+/**
+ * Indique que la question porte sur les élus ou les séances
+ */
+const COUNCIL_TERMS =
+  /(?<!\p{L})(?:qui|taux|conseil\p{L}*|séances?|réunions?|élue?s?|maire|monsieur|madame|mme|mr|m)(?!\p{L})/iu;
+
+/**
+ * Élus cités dans une question (par leur nom de famille)
+ * @param {string} question - Question de l'utilisateur
+ * @param {Array<PersonAttendance>} people - Élus du registre
+ * @returns {Array<PersonAttendance>} - Élus cités
+ */
+function findMentionedPeople(question, people) {
+  const words = new Set(normalize(question).split(/[^a-z'-]+/));
+  const mentioned = people.filter((person) => words.has(surnameOf(person.name)));
+  // "Pichonnier" désigne plusieurs élus : le prénom départage s'il est cité
+  const withFirstName = mentioned.filter((person) =>
+    normalize(person.name)
+      .split(' ')
+      .some((word) => word !== surnameOf(person.name) && words.has(word))
+  );
+  return withFirstName.length > 0 ? withFirstName : mentioned;
+}
+
+/**
+ * Indique si une question porte sur les présences aux séances
+ *
+ * @param {string} question - Question (reformulée si question de suivi)
+ * @returns {boolean} - true pour "Qui était absent au conseil du 11 mars 2019 ?",
+ *   "Quel est le taux de présence de M. Drugeon ?", "Qui est secrétaire de séance ?"
+ */
+export function isAttendanceQuestion(question) {
+  return ATTENDANCE_TERMS.test(question) && COUNCIL_TERMS.test(question);
+}
+
+/**
+ * Résume les statistiques d'un élu en une ligne
+ * @param {PersonAttendance} person - Statistiques de l'élu
+ * @returns {string} - Résumé
+ */
+function formatPersonStats(person) {
+  const details = [
+    person.proxies_given && `pouvoir donné ${person.proxies_given} fois`,
+    person.excused && `absent excusé ${person.excused} fois`,
+    person.absent && `absent non excusé ${person.absent} fois`,
+    person.proxies_received && `pouvoirs reçus : ${person.proxies_received}`,
+    person.secretary && `secrétaire de séance ${person.secretary} fois`,
+  ].filter(Boolean);
+
+  return `${person.name} : présent à ${person.present} séance${person.present > 1 ? 's' : ''} sur ${person.meetings} (${Math.round(person.rate * 100)} %)${details.length > 0 ? `, ${details.join(', ')}` : ''}`;
+}
+
+/**
+ * Détaille les présences d'une séance
+ * @param {Attendance} record - Présences d'une séance
+ * @param {(date: string) => string} formatDate - Mise en forme des dates
+ * @returns {string} - Détail de la séance
+ */
+function formatMeeting(record, formatDate) {
+  const list = (names) => (names.length > 0 ? names.join(', ') : 'aucun');
+  return [
+    `[Séance du ${formatDate(meetingDateOf(record))} - ${record.filename}, page ${record.page}]`,
+    `Présents (${record.present.length}) : ${list(record.present)}`,
+    `Pouvoirs : ${record.proxies.length > 0 ? record.proxies.map(({ from, to }) => `${from} à ${to}`).join(', ') : 'aucun'}`,
+    `Absents excusés : ${list(record.excused)}`,
+    `Absents : ${list(record.absent)}`,
+    `Secrétaire de séance : ${record.secretary || 'non précisé'}`,
+  ].join('\n');
+}
+
+/**
+ * Construit le contexte d'une question de présence à partir du registre
+ *
+ * La période est celle détectée dans la question ("dernier conseil" : la
+ * séance la plus récente). Les séances peu nombreuses sont détaillées
+ * nominativement ; sinon le contexte donne les statistiques des élus cités,
+ * ou de tous les élus si aucun n'est cité.
+ *
+ * @param {Array<Attendance>} records - Présences enregistrées
+ * @param {string} question - Question (reformulée si question de suivi)
+ * @param {Object|null} temporalQuery - Période détectée (parseTemporalQuery)
+ * @param {(date: string) => string} formatDate - Mise en forme des dates (formatFrenchDate)
+ * @returns {{contextText: string, meetings: Array<Attendance>, people: Array<string>}} - Contexte, séances retenues et élus cités
+ */
+export function buildAttendanceContext(records, question, temporalQuery, formatDate) {
+  // Les séances sans date ne sont connues que par leur année
+  const formatMeetingDate = (date) => (date.length === 10 ? formatDate(date) : date);
+  let meetings = selectMeetings(records, {
+    from: temporalQuery?.start || null,
+    to: temporalQuery?.end || null,
+  });
+  if (temporalQuery?.mostRecent) meetings = meetings.slice(-1);
+
+  const { people } = computeAttendanceStats(meetings);
+  const mentioned = findMentionedPeople(question, people);
+  const first = meetings[0];
+  const last = meetings[meetings.length - 1];
+  const period = first
+    ? `${meetings.length} séance${meetings.length > 1 ? 's' : ''} du ${formatMeetingDate(meetingDateOf(first))} au ${formatMeetingDate(meetingDateOf(last))}`
+    : 'aucune séance';
+
+  const sections = [`[Source: registre des présences extrait des comptes-rendus, ${period}]`];
+  if (meetings.length > 0 && meetings.length <= ATTENDANCE_CONFIG.CONTEXT_MEETINGS) {
+    sections.push(...meetings.map((record) => formatMeeting(record, formatMeetingDate)));
+  }
+  if (meetings.length > 0) {
+    const listed = mentioned.length > 0 ? mentioned : people;
+    sections.push(
+      `[Statistiques de présence${mentioned.length > 0 ? '' : ' de tous les élus'}, du moins au plus assidu]\n${listed.map(formatPersonStats).join('\n')}`
+    );
+    for (const person of mentioned.filter((p) => p.missed.length > 0)) {
+      sections.push(
+        `[Séances manquées par ${person.name}] ${person.missed.map(formatMeetingDate).join(', ')}`
+      );
+    }
+  }
+
+  return {
+    contextText: sections.join('\n---\n'),
+    meetings,
+    people: mentioned.map((person) => person.name),
+  };
+}
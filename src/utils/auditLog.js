@@ -0,0 +1,159 @@
+/**
+ * Journal d'audit des opérations d'administration
+ *
+ * Chaque indexation ou suppression de document (par l'API ou par
+ * `npm run ingest`), chaque ouverture ou fermeture de session administrateur
+ * et chaque tentative refusée ajoute une entrée au journal : qui, quand,
+ * depuis où, sur quel document, avec quel résultat.
+ *
+ * Les entrées sont écrites dans une ligne [Audit] des logs (conservée par
+ * l'hébergeur) et dans le stockage des données structurées
+ * (RECORDS_DIR/audit.json), lu par GET /api/admin/audit. Sur un système de
+ * fichiers en lecture seule, seule la ligne de log subsiste.
+ */
+
+import crypto from 'crypto';
+import { createRecordStore } from './recordStore.js';
+
+/**
+ * Configuration du journal d'audit
+ */
+export const AUDIT_CONFIG = {
+  RECORD_TYPE: 'audit', // Fichier RECORDS_DIR/audit.json
+  MAX_ENTRIES: 5000, // Les entrées les plus anciennes sont retirées au-delà
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 500,
+};
+
+/**
+ * Actions journalisées
+ */
+export const AUDIT_ACTIONS = ['index_document', 'delete_document', 'login', 'logout'];
+
+/**
+ * Résultats possibles d'une action
+ * - success : action effectuée
+ * - failure : action autorisée mais en erreur
+ * - denied  : authentification absente ou invalide
+ */
+export const AUDIT_OUTCOMES = ['success', 'failure', 'denied'];
+
+/**
+ * Entrée du journal d'audit
+ * @typedef {Object} AuditEntry
+ * @property {string} id - Identifiant de l'entrée
+ * @property {string} timestamp - Date et heure (ISO)
+ * @property {string} action - Action (AUDIT_ACTIONS)
+ * @property {string} outcome - Résultat (AUDIT_OUTCOMES)
+ * @property {string|null} actor - Nom de l'administrateur, "token" (en-tête Authorization) ou utilisateur système (npm run ingest)
+ * @property {string|null} method - Authentification : 'session', 'token' ou null
+ * @property {string} source - 'api' ou 'cli'
+ * @property {string|null} ip - Adresse IP du client
+ * @property {string|null} user_agent - Navigateur ou client HTTP
+ * @property {string|null} filename - Nom du document concerné
+ * @property {string|null} filepath - Chemin du document concerné
+ * @property {Object|null} details - Statistiques (chunks, pages) ou message d'erreur
+ */
+
+/**
+ * Crée l'accès au journal d'audit
+ *
+ * @param {Object} config - Configuration retournée par getRecordStoreConfig
+ * @returns {{record: Function, list: Function}} - Journal
+ *
+ * @example
+ * const auditLog = createAuditLog(getRecordStoreConfig());
+ * await auditLog.record({
+ *   action: 'delete_document', outcome: 'success', actor: 'Marie', method: 'session',
+ *   source: 'api', ip: '203.0.113.4', filepath: '/datas/2019/cr.pdf', details: { deleted_chunks: 42 }
+ * });
+ */
+export function createAuditLog(config) {
+  const store = createRecordStore(config, AUDIT_CONFIG.RECORD_TYPE);
+
+  return {
+    /**
+     * Ajoute une entrée au journal, sans jamais faire échouer l'opération journalisée
+     * @param {Object} event - Action, résultat, auteur, origine et document concerné
+     * @returns {Promise<AuditEntry>} - Entrée enregistrée
+     */
+    async record(event) {
+      const entry = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        action: event.action,
+        outcome: event.outcome,
+        actor: event.actor ?? null,
+        method: event.method ?? null,
+        source: event.source ?? 'api',
+        ip: event.ip ?? null,
+        user_agent: event.userAgent ?? null,
+        filename: event.filename ?? null,
+        filepath: event.filepath ?? null,
+        details: event.details ?? null,
+      };
+
+      console.log(
+        `[Audit] 📝 ${entry.action} ${entry.outcome} par ${entry.actor || 'anonyme'} (${entry.source}${entry.ip ? `, ${entry.ip}` : ''})${entry.filepath || entry.filename ? `: ${entry.filepath || entry.filename}` : ''}`
+      );
+
+      try {
+        await store.append([entry], AUDIT_CONFIG.MAX_ENTRIES);
+      } catch (error) {
+        console.warn(`[Audit] ⚠️ Journal non mis à jour: ${error.message}`);
+      }
+      return entry;
+    },
+
+    /**
+     * Entrées du journal, des plus récentes aux plus anciennes
+     * @param {Object} filters - Filtres
+     * @param {string|null} filters.action - Action (AUDIT_ACTIONS)
+     * @param {string|null} filters.outcome - Résultat (AUDIT_OUTCOMES)
+     * @param {number} filters.limit - Nombre maximum d'entrées
+     * @param {number} filters.offset - Décalage (pagination)
+     * @returns {{total: number, entries: Array<AuditEntry>}} - Nombre total et page d'entrées
+     */
+    list({ action = null, outcome = null, limit = AUDIT_CONFIG.DEFAULT_LIMIT, offset = 0 } = {}) {
+      const matching = store
+        .all()
+        .filter(
+          (entry) => (!action || entry.action === action) && (!outcome || entry.outcome === outcome)
+        )
+        .reverse();
+      return { total: matching.length, entries: matching.slice(offset, offset + limit) };
+    },
+  };
+}
+
+/**
+ * Lit les filtres du journal depuis la query string
+ * @param {URLSearchParams} searchParams - Paramètres de la requête
+ * @returns {{filters: Object|null, error: string|null}} - Filtres validés ou message d'erreur
+ */
+export function parseAuditFilters(searchParams) {
+  const action = searchParams.get('action') || null;
+  const outcome = searchParams.get('outcome') || null;
+  const limit = searchParams.has('limit')
+    ? Number(searchParams.get('limit'))
+    : AUDIT_CONFIG.DEFAULT_LIMIT;
+  const offset = searchParams.has('offset') ? Number(searchParams.get('offset')) : 0;
+
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return { filters: null, error: `Paramètre invalide: action (${AUDIT_ACTIONS.join(', ')})` };
+  }
+  if (outcome && !AUDIT_OUTCOMES.includes(outcome)) {
+    return { filters: null, error: `Paramètre invalide: outcome (${AUDIT_OUTCOMES.join(', ')})` };
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { filters: null, error: 'Paramètre invalide: limit' };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { filters: null, error: 'Paramètre invalide: offset' };
+  }
+
+  return {
+    filters: { action, outcome, limit: Math.min(limit, AUDIT_CONFIG.MAX_LIMIT), offset },
+    error: null,
+  };
+}
@@ -0,0 +1,390 @@
+/**
+ * Découpage des comptes-rendus en chunks selon leur structure
+ *
+ * Un compte-rendu est une suite de points de l'ordre du jour, chacun se
+ * terminant le plus souvent par un vote. Le texte de toutes les pages est
+ * découpé en sections (une délibération ou un point de l'ordre du jour), puis
+ * chaque section trop longue en chunks qui se chevauchent. Une délibération
+ * n'est donc plus coupée par un saut de page, et deux délibérations ne
+ * partagent jamais un chunk.
+ *
+ * En-têtes de section reconnus (selon les années) :
+ * - 2019-04-01 APPROBATION DU COMPTE DE GESTION...   (numéro de délibération)
+ * - 2021 03 01 APPEL D'OFFRES...
+ * - 20230130 1 Délibération pour dépenses...         (aussi "20230911 1-...", "2021071203 ...")
+ * - Délibération n° 2024-012 : ...
+ * - 1. Adoption d'un règlement des cimetières...     (point de l'ordre du jour)
+ * - Objet : ...                                       (titre de la section)
+ */
+
+/**
+ * Configuration par défaut du chunking
+ */
+export const CHUNKING_CONFIG = {
+  MAX_CHUNK_SIZE: 1000, // Taille maximale d'un chunk en caractères
+  OVERLAP: 150, // Caractères repris du chunk précédent de la même section
+  HEADER_LINES: 3, // Lignes du haut de page examinées pour retirer l'en-tête courant
+  MAX_TITLE_LENGTH: 200, // Longueur maximale d'un titre de section
+};
+
+/**
+ * Lit la configuration du chunking depuis les variables d'environnement
+ * @returns {{maxChunkSize: number, overlap: number}} - Taille maximale et chevauchement
+ */
+export function getChunkingConfig() {
+  const maxChunkSize = Number(process.env.CHUNK_MAX_SIZE) || CHUNKING_CONFIG.MAX_CHUNK_SIZE;
+  const overlap = Number(process.env.CHUNK_OVERLAP);
+
+  return {
+    maxChunkSize,
+    // Le chevauchement doit laisser de la place au texte nouveau de chaque chunk
+    overlap: Math.min(
+      Number.isFinite(overlap) && overlap >= 0 ? overlap : CHUNKING_CONFIG.OVERLAP,
+      Math.floor(maxChunkSize / 2)
+    ),
+  };
+}
+
+// =============================================================================
+// RECONNAISSANCE DE LA STRUCTURE
+// =============================================================================
+
+/**
+ * Numéro de délibération en début de ligne :
+ * "2019-04-01 TITRE", "2020-07-06-01 TITRE", "2021 06 01 Titre", "20230130 1 Titre",
+ * "20230911-7- Titre", "2021071203 Titre"
+ */
+const DELIBERATION_NUMBER_LINE =
+  /^((?:19|20)\d{2})(?:[-/ ](0[1-9]|1[0-2])[-/ ](\d{1,3})(?:-(\d{1,3}))?|((?:0[1-9]|1[0-2])\d{2})[ -]?(\d{1,3}))\s*-?\s*(\p{L}.*)$/u;
+
+/**
+ * "Délibération n° 2024-012 : Titre", "DELIBERATION N°12 - Titre"
+ */
+const DELIBERATION_LABEL_LINE =
+  /^d[ée]lib[ée]ration\s+n\s*[°o]\s*([\w./-]*\d[\w./-]*)\s*(?:[:–-]\s*)?(.*)$/i;
+
+/**
+ * Point numéroté de l'ordre du jour : "1. Adoption...", "12) TRAVAUX..."
+ */
+const AGENDA_ITEM_LINE = /^(\d{1,2})\s*[.)]\s+(\S.*)$/;
+
+/**
+ * Titre de la section : "Objet : ..."
+ */
+const OBJECT_LINE = /^objet\s*:\s*(\S.*)$/i;
+
+/**
+ * Début du vote : "Après en avoir délibéré, le Conseil municipal, à l'unanimité..."
+ */
+export const VOTE_LINE =
+  /(apr[èe]s en avoir d[ée]lib[ée]r[ée]|le conseil municipal,?\s+(?:apr[èe]s|[àa] l['’]unanimit)|^\s*(?:pour|contre|abstentions?|votants)\s*:)/i;
+
+/**
+ * Décisions énumérées après le vote ("✓ Approuve...", "- Autorise...")
+ */
+const DECISION_LINE = /^\s*(?:[✓✔•\-–]|\d+\s*[.)]?\s*(?:pour|contre|abstention))/i;
+
+/**
+ * Supprime la ponctuation de fin d'un titre ("Adoption du règlement," -> "Adoption du règlement")
+ * @param {string} title - Titre brut
+ * @returns {string} - Titre nettoyé
+ */
+function cleanTitle(title) {
+  return title
+    .replace(/[\s,;:.–-]+$/, '')
+    .replace(/\s+/g, ' ')
+    .slice(0, CHUNKING_CONFIG.MAX_TITLE_LENGTH);
+}
+
+/**
+ * Reconnaît un en-tête de section
+ *
+ * Les points numérotés ne sont retenus que s'ils suivent la numérotation
+ * (point suivant, ou le surlendemain si un point a été retiré) et ne se
+ * terminent pas par un montant : les listes numérotées à l'intérieur d'une
+ * délibération (subventions, lots d'un marché) ne sont pas des sections.
+ *
+ * @param {string} line - Ligne de texte
+ * @param {number} lastItemNumber - Numéro du dernier point de l'ordre du jour reconnu
+ * @returns {{deliberationNumber: string|null, itemNumber: number|null, title: string}|null} - En-tête reconnu
+ */
+function parseHeading(line, lastItemNumber) {
+  const deliberation = line.match(DELIBERATION_NUMBER_LINE);
+  if (deliberation) {
+    const [, year, month, index, subIndex, compactDate, compactIndex, title] = deliberation;
+    return {
+      deliberationNumber: month
+        ? [year, month, index, subIndex].filter(Boolean).join('-')
+        : `${year}${compactDate}-${compactIndex}`,
+      itemNumber: null,
+      title: cleanTitle(title),
+    };
+  }
+
+  const labelled = line.match(DELIBERATION_LABEL_LINE);
+  if (labelled) {
+    return { deliberationNumber: labelled[1], itemNumber: null, title: cleanTitle(labelled[2]) };
+  }
+
+  const item = line.match(AGENDA_ITEM_LINE);
+  if (item) {
+    const itemNumber = Number(item[1]);
+    const followsNumbering = itemNumber > lastItemNumber && itemNumber <= lastItemNumber + 2;
+    if (followsNumbering && /\p{L}/u.test(item[2][0]) && !/(\d[.,]\d{2}|€)\s*$/.test(item[2])) {
+      return { deliberationNumber: null, itemNumber, title: cleanTitle(item[2]) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Repère les en-têtes répétés en haut de chaque page
+ * ("Putanges-le-Lac, Séance du 26 septembre 2022", numéro de page)
+ *
+ * @param {Array<{text: string}>} pages - Pages du document
+ * @returns {Set<string>} - Lignes à retirer en haut des pages
+ */
+function findRunningHeaders(pages) {
+  const counts = new Map();
+  for (const page of pages) {
+    const topLines = new Set(
+      page.text
+        .split('\n')
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .slice(0, CHUNKING_CONFIG.HEADER_LINES)
+    );
+    for (const line of topLines) counts.set(line, (counts.get(line) || 0) + 1);
+  }
+
+  const minPages = Math.max(2, Math.ceil(pages.length / 2));
+  return new Set([...counts].filter(([, count]) => count >= minPages).map(([line]) => line));
+}
+
+/**
+ * Réunit les lignes de toutes les pages en retirant les en-têtes de page
+ *
+ * @param {Array<{page_number: number, text: string}>} pages - Pages du document
+ * @returns {Array<{text: string, page: number}>} - Lignes non vides, avec leur page
+ */
+function collectLines(pages) {
+  const runningHeaders = findRunningHeaders(pages);
+  const lines = [];
+
+  for (const page of pages) {
+    const pageLines = page.text
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean);
+
+    let start = 0;
+    while (
+      start < Math.min(CHUNKING_CONFIG.HEADER_LINES, pageLines.length) &&
+      (runningHeaders.has(pageLines[start]) || /^\d{1,3}$/.test(pageLines[start]))
+    ) {
+      start++;
+    }
+
+    for (const text of pageLines.slice(start)) lines.push({ text, page: page.page_number });
+  }
+
+  return lines;
+}
+
+/**
+ * Découpe les lignes du document en sections
+ *
+ * Le texte qui précède le premier en-tête (présences, secrétaire de séance,
+ * approbation du compte-rendu précédent) forme une section sans titre.
+ *
+ * @param {Array<{text: string, page: number}>} lines - Lignes du document
+ * @returns {Array<{title: string|null, deliberationNumber: string|null, lines: Array}>} - Sections
+ */
+export function splitIntoSections(lines) {
+  const sections = [];
+  let current = { title: null, deliberationNumber: null, lines: [] };
+  let lastItemNumber = 0;
+
+  for (const line of lines) {
+    const heading = parseHeading(line.text, lastItemNumber);
+    const object = !heading && line.text.match(OBJECT_LINE);
+
+    if (object && current.lines.length <= 2 && (!current.title || current.deliberationNumber)) {
+      // "Objet :" juste après "Délibération n° X" : c'est le titre de la délibération
+      current.title = current.title || cleanTitle(object[1]);
+      current.lines.push(line);
+      continue;
+    }
+
+    if (heading || object) {
+      if (current.lines.length > 0) sections.push(current);
+      if (heading?.itemNumber) lastItemNumber = heading.itemNumber;
+      current = {
+        title: heading ? heading.title || null : cleanTitle(object[1]),
+        deliberationNumber: heading?.deliberationNumber || null,
+        lines: [],
+      };
+    } else if (
+      current.lines.length === 1 &&
+      current.title &&
+      current.title === current.title.toUpperCase() &&
+      line.text === line.text.toUpperCase() &&
+      /\p{L}/u.test(line.text) &&
+      current.title.length + line.text.length < CHUNKING_CONFIG.MAX_TITLE_LENGTH
+    ) {
+      // Titre en majuscules sur deux lignes
+      current.title = cleanTitle(`${current.title} ${line.text}`);
+    }
+
+    current.lines.push(line);
+  }
+
+  if (current.lines.length > 0) sections.push(current);
+  return sections;
+}
+
+/**
+ * Découpe les pages d'un document en sections, en-têtes de page retirés
+ *
+ * @param {Array<{page_number: number, text: string}>} pages - Pages du document
+ * @returns {Array<{title: string|null, deliberationNumber: string|null, lines: Array}>} - Sections
+ */
+export function splitDocumentIntoSections(pages) {
+  return splitIntoSections(collectLines(pages));
+}
+
+// =============================================================================
+// DÉCOUPAGE DES SECTIONS EN CHUNKS
+// =============================================================================
+
+/**
+ * Regroupe les lignes d'une section en blocs insécables
+ *
+ * Le vote et les décisions qui le suivent ("Après en avoir délibéré... :",
+ * "✓ Approuve...", "✓ Autorise...") forment un seul bloc, pour que le
+ * résultat d'une délibération ne soit pas séparé de ce qui est décidé. Les
+ * lignes plus longues que la taille maximale sont coupées entre deux mots.
+ *
+ * @param {Array<{text: string, page: number}>} lines - Lignes de la section
+ * @param {number} maxChunkSize - Taille maximale d'un chunk
+ * @returns {Array<{text: string, page: number}>} - Blocs
+ */
+function groupBlocks(lines, maxChunkSize) {
+  const blocks = [];
+  let inVote = false;
+
+  for (const line of lines) {
+    const previous = blocks[blocks.length - 1];
+    // Le bloc de vote continue tant que la phrase ou la liste des décisions n'est pas terminée
+    const continuesVote =
+      previous && inVote && (DECISION_LINE.test(line.text) || !/[.!?]$/.test(previous.text));
+
+    if (continuesVote && previous.text.length + line.text.length < maxChunkSize) {
+      previous.text += `\n${line.text}`;
+    } else {
+      inVote = VOTE_LINE.test(line.text);
+      blocks.push(...splitLongLine(line, maxChunkSize));
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Coupe une ligne trop longue entre deux mots
+ * @param {{text: string, page: number}} line - Ligne
+ * @param {number} maxChunkSize - Taille maximale
+ * @returns {Array<{text: string, page: number}>} - Morceaux de la ligne
+ */
+function splitLongLine(line, maxChunkSize) {
+  if (line.text.length <= maxChunkSize) return [{ ...line }];
+
+  const parts = [];
+  let current = '';
+  for (const word of line.text.split(/\s+/)) {
+    if (current && current.length + word.length + 1 > maxChunkSize) {
+      parts.push({ text: current, page: line.page });
+      current = '';
+    }
+    current += (current ? ' ' : '') + word.slice(0, maxChunkSize);
+  }
+  if (current) parts.push({ text: current, page: line.page });
+  return parts;
+}
+
+/**
+ * Extrait la fin d'un chunk reprise au début du suivant
+ * @param {string} text - Texte du chunk précédent
+ * @param {number} overlap - Nombre de caractères visé
+ * @returns {string} - Fin du texte, commençant à un début de mot
+ */
+function tailForOverlap(text, overlap) {
+  if (overlap <= 0) return '';
+  if (text.length <= overlap) return text;
+  const tail = text.slice(-overlap);
+  const wordStart = tail.search(/\s\S/);
+  return wordStart >= 0 ? tail.slice(wordStart + 1) : tail;
+}
+
+/**
+ * Découpe une section en chunks de taille maximale, qui se chevauchent
+ *
+ * @param {Object} section - Section (splitIntoSections)
+ * @param {Object} options - { maxChunkSize, overlap }
+ * @returns {Array<{text: string, pageStart: number, pageEnd: number}>} - Chunks de la section
+ */
+function chunkSection(section, { maxChunkSize, overlap }) {
+  const chunks = [];
+  let current = null;
+
+  for (const block of groupBlocks(section.lines, maxChunkSize)) {
+    if (current && current.text.length + block.text.length + 1 > maxChunkSize) {
+      chunks.push(current);
+      const carried = tailForOverlap(current.text, overlap);
+      current =
+        carried && carried.length + block.text.length + 1 <= maxChunkSize
+          ? { text: carried, pageStart: current.pageEnd, pageEnd: current.pageEnd }
+          : null;
+    }
+
+    if (current) {
+      current.text += `\n${block.text}`;
+      current.pageEnd = block.page;
+    } else {
+      current = { text: block.text, pageStart: block.page, pageEnd: block.page };
+    }
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Découpe un document en chunks en suivant sa structure
+ *
+ * @param {Array<{page_number: number, text: string}>} pages - Pages du document
+ * @param {Object} options - Options de découpage (défaut: getChunkingConfig())
+ * @param {number} options.maxChunkSize - Taille maximale d'un chunk en caractères
+ * @param {number} options.overlap - Caractères repris du chunk précédent de la même section
+ * @returns {Array<{text: string, pageStart: number, pageEnd: number, sectionTitle: string|null, deliberationNumber: string|null}>}
+ *   Chunks dans l'ordre du document
+ *
+ * @example
+ * chunkDocument([
+ *   { page_number: 1, text: '...\n2019-04-01 APPROBATION DU COMPTE DE GESTION 2018.\nMonsieur le Maire...' },
+ *   { page_number: 2, text: '...Après en avoir délibéré, le Conseil municipal...' },
+ * ]);
+ * // [{ text: 'Monsieur le Maire...', pageStart: 1, pageEnd: 1, sectionTitle: null, ... },
+ * //  { text: '2019-04-01 APPROBATION...', pageStart: 1, pageEnd: 2,
+ * //    sectionTitle: 'APPROBATION DU COMPTE DE GESTION 2018', deliberationNumber: '2019-04-01' }]
+ */
+export function chunkDocument(pages, options = getChunkingConfig()) {
+  return splitDocumentIntoSections(pages).flatMap((section) =>
+    chunkSection(section, options).map((chunk) => ({
+      ...chunk,
+      sectionTitle: section.title,
+      deliberationNumber: section.deliberationNumber,
+    }))
+  );
+}
@@ -0,0 +1,226 @@
+/**
+ * Vérification des citations d'une réponse du LLM
+ *
+ * Le LLM cite ses sources sous la forme [Source: fichier.pdf, page 5] et met
+ * entre guillemets les phrases reprises mot pour mot. Après la génération,
+ * chaque citation est confrontée aux passages réellement fournis dans le
+ * contexte : le document et la page doivent en faire partie, et les phrases
+ * citées doivent figurer dans le passage correspondant. Une citation qui ne
+ * passe pas ces contrôles n'est pas forcément fausse, mais elle n'est pas
+ * appuyée par le contexte.
+ */
+
+/**
+ * Configuration de la vérification
+ */
+export const CITATIONS_CONFIG = {
+  MIN_QUOTE_LENGTH: 15, // Les citations plus courtes (un mot, un nom) ne sont pas vérifiées
+};
+
+/**
+ * Résultat de la vérification d'une citation
+ * - verified : document et page présents dans le contexte, phrases citées retrouvées
+ * - quote_not_found : document et page présents, mais une phrase citée est introuvable
+ * - page_mismatch : document présent dans le contexte, mais pas à cette page
+ * - unknown_source : document absent du contexte
+ */
+export const CITATION_STATUSES = ['verified', 'quote_not_found', 'page_mismatch', 'unknown_source'];
+
+/**
+ * Passage du contexte attribué à un document et à une page
+ * @typedef {Object} ContextPassage
+ * @property {string} filename - Nom du fichier
+ * @property {number} pageStart - Première page du passage
+ * @property {number} pageEnd - Dernière page du passage
+ * @property {string} text - Texte du passage
+ */
+
+/**
+ * Citation trouvée dans la réponse
+ * @typedef {Object} Citation
+ * @property {string} raw - Texte de la citation ("[Source: fichier.pdf, page 5]")
+ * @property {number} start - Position de la citation dans la réponse
+ * @property {number} end - Position qui suit la citation
+ * @property {string|null} filename - Fichier cité
+ * @property {number|null} page - Page citée, null si non précisée
+ * @property {Array<{text: string, found: boolean}>} quotes - Phrases citées avant la source
+ * @property {string} status - Résultat de la vérification (CITATION_STATUSES)
+ */
+
+/**
+ * Citation de source dans la réponse
+ */
+const CITATION = /\[Source\s*:\s*([^\]\n]+)\]/gi;
+
+/**
+ * Référence à un document et une page dans le contexte : en-tête d'extrait
+ * ("fichier.pdf, délibération n° 2019-04-01, pages 5-6") ou registre
+ * ("fichier.pdf, page 1")
+ */
+const CONTEXT_REFERENCE = /([^\s,[\]]+\.(?:pdf|txt))[^\]\n]*?\bpages?\s+(\d+)(?:\s*-\s*(\d+))?/gi;
+
+/**
+ * Nom de fichier dans une citation
+ */
+const FILENAME = /[^\s,[\]]+\.(?:pdf|txt)/i;
+
+/**
+ * Phrase entre guillemets français, typographiques ou droits
+ */
+const QUOTE = /«\s*([^»]+?)\s*»|“([^”]+)”|"([^"\n]+)"/g;
+
+/**
+ * Points de suspension qui marquent une coupure dans une phrase citée
+ */
+const ELLIPSIS = /\s*(?:\[\s*(?:…|\.\.\.)\s*\]|\(\s*(?:…|\.\.\.)\s*\)|…|\.\.\.)\s*/;
+
+/**
+ * Minuscules, sans accents, apostrophes et espaces uniformisés
+ * @param {string} text - Texte à normaliser
+ * @returns {string} - Texte normalisé
+ */
+function normalize(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[’`]/g, "'")
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Identifiant d'un fichier (casse et extension ignorées)
+ * @param {string} filename - Nom du fichier
+ * @returns {string} - Identifiant
+ */
+function fileKey(filename) {
+  return normalize(filename).replace(/\.(?:pdf|txt)$/, '');
+}
+
+/**
+ * Découpe le contexte fourni au LLM en passages attribués à un document et une page
+ *
+ * Le contexte est formé de blocs séparés par "---". Un bloc peut citer
+ * plusieurs documents (détail des montants, séances du registre des
+ * présences) : chacune de ses références devient un passage qui porte tout
+ * le texte du bloc.
+ *
+ * @param {string} contextText - Contexte fourni au LLM
+ * @returns {Array<ContextPassage>} - Passages
+ *
+ * @example
+ * parseContextPassages('[Source: cr-2019.pdf, page 5, séance du 11 mars 2019]\nTexte...');
+ * // [{ filename: 'cr-2019.pdf', pageStart: 5, pageEnd: 5, text: '[Source: ...]\nTexte...' }]
+ */
+export function parseContextPassages(contextText) {
+  return (contextText || '').split('\n---\n').flatMap((block) =>
+    [...block.matchAll(CONTEXT_REFERENCE)].map(([, filename, start, end]) => ({
+      filename,
+      pageStart: Number(start),
+      pageEnd: Number(end || start),
+      text: block,
+    }))
+  );
+}
+
+/**
+ * Lit le fichier et la page d'une citation
+ * @param {string} reference - Contenu de la citation ("fichier.pdf, page 5")
+ * @returns {{filename: string|null, page: number|null}} - Fichier et page cités
+ */
+function parseCitationReference(reference) {
+  const filename = reference.match(FILENAME)?.[0] || reference.split(',')[0].trim() || null;
+  const page = reference.match(/\bpages?\s*(\d+)/i);
+  return { filename, page: page ? Number(page[1]) : null };
+}
+
+/**
+ * Phrases citées entre guillemets dans un segment de la réponse
+ * @param {string} segment - Texte qui précède une citation
+ * @returns {Array<string>} - Phrases assez longues pour être vérifiées
+ */
+function findQuotes(segment) {
+  return [...segment.matchAll(QUOTE)]
+    .map((match) => (match[1] ?? match[2] ?? match[3]).trim())
+    .filter((quote) => quote.length >= CITATIONS_CONFIG.MIN_QUOTE_LENGTH);
+}
+
+/**
+ * Indique si une phrase citée figure dans un passage
+ *
+ * La comparaison ignore la casse, les accents et les espaces ; une phrase
+ * coupée par des points de suspension est retrouvée si chacun de ses
+ * morceaux l'est.
+ *
+ * @param {string} quote - Phrase citée
+ * @param {string} text - Texte du passage
+ * @returns {boolean} - true si la phrase figure dans le passage
+ */
+function quoteAppearsIn(quote, text) {
+  const haystack = normalize(text);
+  return quote
+    .split(ELLIPSIS)
+    .map(normalize)
+    .filter(Boolean)
+    .every((fragment) => haystack.includes(fragment));
+}
+
+/**
+ * Vérifie les citations d'une réponse par rapport au contexte fourni
+ *
+ * Les phrases entre guillemets sont rattachées à la citation qui les suit
+ * dans la même ligne ("… « phrase citée » [Source: fichier.pdf, page 5]").
+ * Une citation sans page est rapprochée de tous les passages du document.
+ *
+ * @param {string} answer - Réponse du LLM
+ * @param {string} contextText - Contexte fourni au LLM
+ * @returns {{citations: Array<Citation>, verified: number, total: number}} - Citations vérifiées, dans l'ordre de la réponse
+ *
+ * @example
+ * verifyCitations('Le conseil a voté les travaux [Source: cr-2019.pdf, page 5].', contexte);
+ * // { citations: [{ raw: '[Source: cr-2019.pdf, page 5]', filename: 'cr-2019.pdf', page: 5, status: 'verified', ... }], verified: 1, total: 1 }
+ */
+export function verifyCitations(answer, contextText) {
+  const passages = parseContextPassages(contextText);
+  let segmentStart = 0;
+
+  const citations = [...(answer || '').matchAll(CITATION)].map((match) => {
+    const start = match.index;
+    const end = start + match[0].length;
+    const { filename, page } = parseCitationReference(match[1]);
+
+    // Les phrases citées sont cherchées depuis la citation précédente, sans
+    // remonter au-delà du début de la ligne
+    const lineStart = answer.lastIndexOf('\n', start - 1) + 1;
+    const segment = answer.slice(Math.max(segmentStart, lineStart), start);
+    segmentStart = end;
+
+    const documentPassages = filename
+      ? passages.filter((passage) => fileKey(passage.filename) === fileKey(filename))
+      : [];
+    const pagePassages =
+      page === null
+        ? documentPassages
+        : documentPassages.filter(
+            (passage) => page >= passage.pageStart && page <= passage.pageEnd
+          );
+    const quotes = findQuotes(segment).map((text) => ({
+      text,
+      found: pagePassages.some((passage) => quoteAppearsIn(text, passage.text)),
+    }));
+
+    let status = 'verified';
+    if (documentPassages.length === 0) status = 'unknown_source';
+    else if (pagePassages.length === 0) status = 'page_mismatch';
+    else if (quotes.some((quote) => !quote.found)) status = 'quote_not_found';
+
+    return { raw: match[0], start, end, filename, page, quotes, status };
+  });
+
+  return {
+    citations,
+    verified: citations.filter((citation) => citation.status === 'verified').length,
+    total: citations.length,
+  };
+}
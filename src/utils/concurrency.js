@@ -0,0 +1,90 @@
+/**
+ * Utilitaires de traitement par lots
+ * Découpage en lots, concurrence bornée et reprise avec backoff exponentiel
+ * pour les appels aux services externes (Hugging Face, Qdrant).
+ */
+
+/**
+ * Codes HTTP considérés comme temporaires (quota dépassé, modèle en chargement)
+ */
+const RETRYABLE_STATUSES = [429, 503];
+
+/**
+ * Découpe un tableau en lots de taille fixe
+ * @param {Array} items - Éléments à découper
+ * @param {number} size - Taille maximale d'un lot
+ * @returns {Array<Array>} - Lots successifs
+ */
+export function chunkArray(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
+/**
+ * Applique une fonction asynchrone à chaque élément avec une concurrence bornée
+ * L'ordre des résultats correspond à l'ordre des éléments.
+ * @param {Array} items - Éléments à traiter
+ * @param {number} limit - Nombre maximal d'appels simultanés
+ * @param {Function} fn - Fonction (item, index) => Promise
+ * @returns {Promise<Array>} - Résultats dans l'ordre d'origine
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Indique si une erreur d'un client HTTP est temporaire (rate limit, surcharge)
+ * @param {Error} error - Erreur levée par le client Hugging Face ou Qdrant
+ * @returns {boolean}
+ */
+export function isRateLimitError(error) {
+  const status = error?.status ?? error?.httpResponse?.status;
+  if (RETRYABLE_STATUSES.includes(status)) return true;
+  return /rate limit|too many requests|currently loading|\b429\b|\b503\b/i.test(
+    error?.message || ''
+  );
+}
+
+/**
+ * Exécute une fonction asynchrone avec reprise et backoff exponentiel
+ * @param {Function} fn - Fonction à exécuter (reçoit le numéro de tentative)
+ * @param {Object} options - Options de reprise
+ * @param {number} options.retries - Nombre maximal de nouvelles tentatives (défaut: 4)
+ * @param {number} options.baseDelayMs - Délai initial en ms, doublé à chaque tentative (défaut: 1000)
+ * @param {Function} options.shouldRetry - Prédicat sur l'erreur (défaut: isRateLimitError)
+ * @param {string} options.label - Libellé pour les logs
+ * @returns {Promise<*>} - Résultat de la fonction
+ */
+export async function withRetry(
+  fn,
+  { retries = 4, baseDelayMs = 1000, shouldRetry = isRateLimitError, label = 'appel' } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+
+      // Backoff exponentiel avec un peu d'aléa pour étaler les reprises concurrentes
+      const delay = baseDelayMs * 2 ** attempt + Math.round(Math.random() * baseDelayMs);
+      console.warn(
+        `[Retry] ⏳ ${label} limité (${error.message}), nouvelle tentative ${attempt + 1}/${retries} dans ${delay} ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
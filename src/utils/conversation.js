@@ -0,0 +1,81 @@
+/**
+ * Utilitaires pour la mémoire de conversation
+ * Nettoyage de l'historique envoyé par le client et reformulation des
+ * questions de suivi ("et en 2021 ?") en questions autonomes
+ */
+
+import { rewritePrompt } from '../prompts/rewritePrompt.js';
+
+/**
+ * Rôles acceptés dans l'historique de conversation
+ */
+const HISTORY_ROLES = ['user', 'assistant'];
+
+/**
+ * Nettoie l'historique de conversation reçu du client
+ * Ignore les entrées invalides et ne garde que les derniers messages
+ * @param {Array} history - Historique brut ([{ role, content }])
+ * @param {number} maxMessages - Nombre maximal de messages conservés (défaut: 6)
+ * @param {number} maxLength - Longueur maximale d'un message en caractères (défaut: 1500)
+ * @returns {Array<{role: string, content: string}>} - Historique nettoyé
+ */
+export function sanitizeHistory(history, maxMessages = 6, maxLength = 1500) {
+  if (!Array.isArray(history)) return [];
+
+  return history
+    .filter(
+      (entry) =>
+        entry &&
+        HISTORY_ROLES.includes(entry.role) &&
+        typeof entry.content === 'string' &&
+        entry.content.trim().length > 0
+    )
+    .slice(-maxMessages)
+    .map((entry) => ({
+      role: entry.role,
+      content: entry.content.trim().substring(0, maxLength),
+    }));
+}
+
+/**
+ * Formate l'historique sous forme de transcription lisible par le LLM
+ * @param {Array} history - Historique nettoyé
+ * @returns {string} - Transcription "Utilisateur : ... / Assistant : ..."
+ */
+export function formatHistoryTranscript(history) {
+  return history
+    .map((entry) => `${entry.role === 'user' ? 'Utilisateur' : 'Assistant'} : ${entry.content}`)
+    .join('\n');
+}
+
+/**
+ * Reformule une question de suivi en question autonome
+ * Sans historique, la question est renvoyée telle quelle. En cas d'échec du
+ * LLM, la question d'origine est conservée pour ne pas bloquer la recherche.
+ * @param {Object} llm - Fournisseur LLM (createLLMProvider)
+ * @param {Array} history - Historique nettoyé
+ * @param {string} question - Dernière question de l'utilisateur
+ * @returns {Promise<string>} - Question autonome à utiliser pour la recherche
+ */
+export async function rewriteFollowUpQuestion(llm, history, question) {
+  if (history.length === 0) return question;
+
+  try {
+    const reply = await llm.chat(
+      [
+        { role: 'system', content: rewritePrompt },
+        {
+          role: 'user',
+          content: `Historique :\n${formatHistoryTranscript(history)}\n\nDernière question : ${question}`,
+        },
+      ],
+      { maxTokens: 128, temperature: 0 }
+    );
+
+    const rewritten = reply.trim().replace(/^["«]\s*|\s*["»]$/g, '');
+    return rewritten || question;
+  } catch (error) {
+    console.error('[Conversation] ⚠️ Reformulation impossible, question conservée:', error.message);
+    return question;
+  }
+}
@@ -0,0 +1,369 @@
+/**
+ * Extraction structurée des délibérations
+ *
+ * À l'ingestion, chaque délibération d'un compte-rendu (section reconnue par
+ * chunking.js) est enregistrée avec son numéro, sa date de séance, son objet,
+ * le texte de la décision et le résultat du vote. Ces enregistrements
+ * alimentent la route GET /api/deliberations et la page /deliberations, qui
+ * répondent à des questions que la recherche en texte libre traite mal
+ * ("quelles délibérations n'ont pas été votées à l'unanimité en 2019 ?").
+ *
+ * Formulations de vote reconnues (selon les années) :
+ * - Après en avoir délibéré, le Conseil Municipal, à l'unanimité des Membres présents :
+ * - ... à l'unanimité, moins une abstention / à l'unanimité et 3 abstentions
+ * - ... 19 voix pour, 17 voix contre et 2 abstentions
+ * - ... à la majorité (26 voix contre, 1 abstention et 3 pour)
+ * - Le Budget Primitif 2016, a été adopté, à l'unanimité, comme suit :
+ * - Votants : 23 - Pour : 20 - Contre : 3
+ */
+
+import crypto from 'crypto';
+import { splitDocumentIntoSections, VOTE_LINE } from './chunking.js';
+
+/**
+ * Configuration de l'extraction et de la recherche des délibérations
+ */
+export const DELIBERATIONS_CONFIG = {
+  RECORD_TYPE: 'deliberations', // Nom du fichier dans le stockage des données structurées
+  MAX_DECISION_LENGTH: 2000, // Longueur maximale du texte de la décision
+  VOTE_LINES: 3, // Lignes lues pour reconstituer la formule de vote
+  DEFAULT_LIMIT: 50, // Résultats par page
+  MAX_LIMIT: 200,
+};
+
+/**
+ * Résultat du vote : adoptée ou rejetée
+ */
+export const VOTE_OUTCOMES = ['adopted', 'rejected'];
+
+/**
+ * Résultat du vote d'une délibération
+ * @typedef {Object} Vote
+ * @property {boolean} unanimous - Unanimité mentionnée
+ * @property {number|null} pour - Voix pour, null si non précisé
+ * @property {number|null} contre - Voix contre, null si non précisé
+ * @property {number|null} abstentions - Abstentions, null si non précisé
+ * @property {string|null} outcome - 'adopted', 'rejected' ou null si indéterminé
+ */
+
+/**
+ * Délibération extraite d'un compte-rendu
+ * @typedef {Object} Deliberation
+ * @property {string} id - Identifiant (stable d'une indexation à l'autre)
+ * @property {string|null} number - Numéro de délibération (ex: 2019-04-01)
+ * @property {string|null} date - Date de séance AAAA-MM-JJ
+ * @property {number|null} year - Année du document
+ * @property {string} subject - Objet de la délibération
+ * @property {string|null} decision - Texte du vote et des décisions
+ * @property {Vote} vote - Résultat du vote
+ * @property {number} page_start - Page où commence la délibération
+ * @property {number} page_end - Page où elle se termine
+ * @property {string} filename - Nom du fichier source
+ * @property {string} filepath - Chemin du fichier source
+ */
+
+/**
+ * Filtres de recherche (voir searchDeliberations)
+ * @typedef {Object} DeliberationFilters
+ * @property {number|null} yearFrom - Année minimale
+ * @property {number|null} yearTo - Année maximale
+ * @property {string} q - Mot-clé cherché dans le numéro, l'objet et la décision (sans accents)
+ * @property {boolean|null} unanimous - Vote à l'unanimité (true) ou non (false)
+ * @property {string|null} outcome - Résultat du vote (VOTE_OUTCOMES)
+ * @property {number} limit - Nombre maximum de résultats
+ * @property {number} offset - Résultats à sauter (pagination)
+ */
+
+/**
+ * Ligne qui énonce le vote, y compris hors de la formule "Après en avoir délibéré"
+ */
+const VOTE_STATEMENT =
+  /unanimit|[àa] la majorit[ée](?!\s+(?:relative|absolue|qualifi))|\d+\s+voix\s+(?:pour|contre)|\babstentions?\b|\badopt[ée]e?\s*,/i;
+
+/**
+ * Décision de rejet explicite ("✓ N'adopte pas la proposition...")
+ */
+const REJECTION = /\bn['’]\s*(?:adopte|approuve|accepte)\s+pas\b/i;
+
+/**
+ * Nombres écrits en lettres dans les formules de vote
+ */
+const NUMBER_WORDS = {
+  un: 1,
+  une: 1,
+  deux: 2,
+  trois: 3,
+  quatre: 4,
+  cinq: 5,
+  six: 6,
+  sept: 7,
+  huit: 8,
+  neuf: 9,
+  dix: 10,
+};
+
+/**
+ * Minuscules, sans accents ni apostrophes typographiques
+ * @param {string} text - Texte à normaliser
+ * @returns {string} - Texte normalisé
+ */
+function normalize(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/’/g, "'")
+    .toLowerCase();
+}
+
+/**
+ * Analyse une formule de vote
+ *
+ * Les décomptes absents de la formule valent null. Le résultat est déduit des
+ * décomptes quand les voix pour et contre sont connues, sinon de l'unanimité
+ * ou de la majorité ; il reste null si la formule ne permet pas de conclure
+ * ("1 voix contre et 2 abstentions").
+ *
+ * @param {string} statement - Formule de vote
+ * @returns {Vote} - Vote
+ *
+ * @example
+ * parseVote("à l'unanimité, moins une abstention, des Membres présents");
+ * // { unanimous: true, pour: null, contre: null, abstentions: 1, outcome: 'adopted' }
+ * parseVote('19 voix pour, 17 voix contre et 2 abstentions');
+ * // { unanimous: false, pour: 19, contre: 17, abstentions: 2, outcome: 'adopted' }
+ */
+export function parseVote(statement) {
+  const text = normalize(statement);
+  const counts = { pour: null, contre: null, abstentions: null };
+  const words = Object.keys(NUMBER_WORDS).join('|');
+  const toNumber = (value) => NUMBER_WORDS[value] ?? Number(value);
+  const keyOf = (label) => (label.startsWith('abstention') ? 'abstentions' : label);
+
+  // "19 voix pour", "une abstention"
+  const countBefore = new RegExp(
+    `\\b(\\d+|${words})\\s+(?:voix\\s+)?(pour|contre|abstentions?)\\b`,
+    'g'
+  );
+  for (const [, value, label] of text.matchAll(countBefore)) {
+    counts[keyOf(label)] = toNumber(value);
+  }
+  // "Pour : 20", "Abstentions : 0"
+  for (const [, label, value] of text.matchAll(/\b(pour|contre|abstentions?)\s*:\s*(\d+)/g)) {
+    counts[keyOf(label)] ??= Number(value);
+  }
+
+  const unanimous = /unanimite/.test(text);
+  let outcome = null;
+  if (counts.pour !== null && counts.contre !== null) {
+    outcome = counts.pour > counts.contre ? 'adopted' : 'rejected';
+  } else if (unanimous || /majorite|\badopte/.test(text)) {
+    outcome = 'adopted';
+  }
+
+  return { unanimous, ...counts, outcome };
+}
+
+/**
+ * Reconstitue la formule de vote à partir de sa première ligne
+ *
+ * La formule se poursuit sur la ligne suivante tant que la ligne ne se termine
+ * pas par une ponctuation ("... soit 19" / "pour, 1 contre et 3 abstentions :"),
+ * et s'arrête aux deux-points ou au point-virgule qui introduisent la décision.
+ *
+ * @param {Array<{text: string}>} lines - Lignes à partir de la ligne de vote
+ * @returns {string} - Formule de vote
+ */
+function readVoteStatement(lines) {
+  const statement = [];
+  for (const line of lines.slice(0, DELIBERATIONS_CONFIG.VOTE_LINES)) {
+    statement.push(line.text);
+    if (/[,.;:!?]$/.test(line.text)) break;
+  }
+  // Les deux-points suivis d'un nombre appartiennent au décompte ("Pour : 20")
+  return statement
+    .join(' ')
+    .split(/\s*[:;](?!\s*\d)/)[0]
+    .trim();
+}
+
+/**
+ * Génère l'ID d'une délibération à partir de sa position dans le document
+ * @param {string} filepath - Chemin du fichier
+ * @param {number} index - Rang de la section dans le document
+ * @returns {string} - Identifiant hexadécimal
+ */
+function generateDeliberationId(filepath, index) {
+  return crypto
+    .createHash('sha256')
+    .update(`${filepath}#deliberation#${index}`)
+    .digest('hex')
+    .substring(0, 16);
+}
+
+/**
+ * Extrait les délibérations d'un document
+ *
+ * Une section est retenue si elle a un titre et porte un numéro de
+ * délibération ou un vote : les points d'information sans vote (questions
+ * diverses, comptes-rendus de commissions) sont écartés.
+ *
+ * @param {Array<{page_number: number, text: string}>} pages - Pages du document
+ * @param {Object} document - Métadonnées du document ({ filename, filepath, year, meetingDate })
+ * @returns {Array<Deliberation>} - Délibérations, dans l'ordre du document
+ */
+export function extractDeliberations(pages, { filename, filepath, year, meetingDate = null }) {
+  const source = filepath || filename;
+  const sections = splitDocumentIntoSections(pages);
+
+  const deliberations = sections.flatMap((section, index) => {
+    if (!section.title) return [];
+
+    // La première ligne reprend le titre : le vote est cherché après, de
+    // préférence dans la formule "Après en avoir délibéré"
+    const findVote = (pattern) =>
+      section.lines.findIndex((line, i) => i > 0 && pattern.test(line.text));
+    const voteLineIndex = findVote(VOTE_LINE);
+    const voteIndex = voteLineIndex === -1 ? findVote(VOTE_STATEMENT) : voteLineIndex;
+    if (voteIndex === -1 && !section.deliberationNumber) return [];
+
+    const decisionLines = voteIndex === -1 ? [] : section.lines.slice(voteIndex);
+    const decision = decisionLines.map((line) => line.text).join('\n');
+    const vote = parseVote(voteIndex === -1 ? '' : readVoteStatement(decisionLines));
+    if (REJECTION.test(decision)) vote.outcome = 'rejected';
+
+    return [
+      {
+        id: generateDeliberationId(source, index),
+        number: section.deliberationNumber,
+        date: meetingDate,
+        year: year || (meetingDate ? Number(meetingDate.slice(0, 4)) : null),
+        subject: section.title,
+        decision: decision.slice(0, DELIBERATIONS_CONFIG.MAX_DECISION_LENGTH) || null,
+        vote,
+        page_start: section.lines[0].page,
+        page_end: section.lines[section.lines.length - 1].page,
+        filename: filename || source,
+        filepath: source,
+      },
+    ];
+  });
+
+  // Un numéro repris sans vote (sommaire, liste des délibérations en fin de
+  // registre) n'est pas une délibération de plus
+  const numbersWithDecision = new Set(
+    deliberations.filter((d) => d.number && d.decision).map((d) => d.number)
+  );
+  return deliberations.filter((d) => d.decision || !numbersWithDecision.has(d.number));
+}
+
+// =============================================================================
+// RECHERCHE
+// =============================================================================
+
+/**
+ * Lit les filtres de recherche dans les paramètres d'URL
+ *
+ * Paramètres : year_from, year_to, q, unanimous (true|false), outcome
+ * (adopted|rejected), limit, offset. Partagé par GET /api/deliberations et la
+ * page /deliberations.
+ *
+ * @param {URLSearchParams} params - Paramètres de l'URL
+ * @returns {{filters: DeliberationFilters|null, error: string|null}} - Filtres, ou message d'erreur
+ *
+ * @example
+ * parseDeliberationFilters(new URLSearchParams('year_from=2019&unanimous=false'));
+ * // { filters: { yearFrom: 2019, yearTo: null, q: '', unanimous: false, ... }, error: null }
+ */
+export function parseDeliberationFilters(params) {
+  const readInteger = (name, min, max) => {
+    const value = params.get(name);
+    if (value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= min && number <= max ? number : NaN;
+  };
+
+  const filters = {
+    yearFrom: readInteger('year_from', 1900, 2100),
+    yearTo: readInteger('year_to', 1900, 2100),
+    q: (params.get('q') || '').trim(),
+    unanimous: null,
+    outcome: params.get('outcome') || null,
+    limit:
+      readInteger('limit', 1, DELIBERATIONS_CONFIG.MAX_LIMIT) ?? DELIBERATIONS_CONFIG.DEFAULT_LIMIT,
+    offset: readInteger('offset', 0, Number.MAX_SAFE_INTEGER) ?? 0,
+  };
+
+  const invalid = Object.entries({
+    year_from: filters.yearFrom,
+    year_to: filters.yearTo,
+    limit: filters.limit,
+    offset: filters.offset,
+  }).find(([, value]) => Number.isNaN(value));
+  if (invalid) {
+    return { filters: null, error: `Paramètre invalide: ${invalid[0]}` };
+  }
+  if (filters.yearFrom !== null && filters.yearTo !== null && filters.yearFrom > filters.yearTo) {
+    return { filters: null, error: 'year_from doit être inférieur ou égal à year_to' };
+  }
+
+  const unanimous = params.get('unanimous');
+  if (unanimous === 'true' || unanimous === 'false') {
+    filters.unanimous = unanimous === 'true';
+  } else if (unanimous) {
+    return { filters: null, error: 'Paramètre invalide: unanimous (true ou false)' };
+  }
+
+  if (filters.outcome && !VOTE_OUTCOMES.includes(filters.outcome)) {
+    return {
+      filters: null,
+      error: `Paramètre invalide: outcome (${VOTE_OUTCOMES.join(' ou ')})`,
+    };
+  }
+
+  return { filters, error: null };
+}
+
+/**
+ * Filtre et trie les délibérations (les plus récentes d'abord)
+ *
+ * @param {Array<Deliberation>} records - Délibérations enregistrées
+ * @param {Partial<DeliberationFilters>} filters - Filtres (tous optionnels)
+ * @returns {{total: number, deliberations: Array<Deliberation>}} - Nombre total de résultats et page demandée
+ */
+export function searchDeliberations(
+  records,
+  {
+    yearFrom = null,
+    yearTo = null,
+    q = '',
+    unanimous = null,
+    outcome = null,
+    limit = DELIBERATIONS_CONFIG.DEFAULT_LIMIT,
+    offset = 0,
+  } = {}
+) {
+  const terms = normalize(q).split(/\s+/).filter(Boolean);
+
+  const matches = records
+    .filter((record) => {
+      if (yearFrom !== null && !(record.year >= yearFrom)) return false;
+      if (yearTo !== null && !(record.year <= yearTo)) return false;
+      if (unanimous !== null && record.vote.unanimous !== unanimous) return false;
+      if (outcome !== null && record.vote.outcome !== outcome) return false;
+      if (terms.length > 0) {
+        const haystack = normalize(
+          `${record.number || ''} ${record.subject} ${record.decision || ''}`
+        );
+        return terms.every((term) => haystack.includes(term));
+      }
+      return true;
+    })
+    .sort(
+      (a, b) =>
+        (b.date || String(b.year)).localeCompare(a.date || String(a.year)) ||
+        a.filepath.localeCompare(b.filepath) ||
+        a.page_start - b.page_start
+    );
+
+  return { total: matches.length, deliberations: matches.slice(offset, offset + limit) };
+}
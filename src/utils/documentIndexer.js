@@ -0,0 +1,471 @@
+/**
+ * Pipeline d'indexation des documents municipaux
+ * Découpage en chunks, génération d'embeddings et stockage vectoriel
+ * (Qdrant ou fichier local, voir vectorStore.js), alimentation de l'index
+ * lexical BM25 (lexicalIndex.js), extraction des délibérations
+ * (deliberations.js), des présences (attendance.js) et des montants
+ * (amounts.js), invalidation des réponses en cache (answerCache.js).
+ * Partagé par la route POST /api/QdrantUploader et le script d'ingestion
+ * en ligne de commande (scripts/ingestDocuments.js).
+ */
+
+import { getProviderConfig, createEmbeddingProvider } from './aiProviders.js';
+import { getVectorStoreConfig, createVectorStore } from './vectorStore.js';
+import { getLexicalIndexConfig, createLexicalIndex } from './lexicalIndex.js';
+import crypto from 'crypto';
+import { chunkArray, mapWithConcurrency, withRetry } from './concurrency.js';
+import { extractMeetingDate } from './meetingDate.js';
+import { getChunkingConfig, chunkDocument } from './chunking.js';
+import { getRecordStoreConfig, createRecordStore } from './recordStore.js';
+import { DELIBERATIONS_CONFIG, extractDeliberations } from './deliberations.js';
+import { ATTENDANCE_CONFIG, extractAttendance } from './attendance.js';
+import { AMOUNTS_CONFIG, extractAmounts } from './amounts.js';
+import { getAnswerCacheConfig, createAnswerCache } from './answerCache.js';
+import { hasPersistentFilesystem } from './kvStore.js';
+
+/**
+ * Configuration des traitements par lots
+ */
+export const INDEXING_CONFIG = {
+  EMBEDDING_BATCH_SIZE: 16, // Chunks vectorisés par appel au fournisseur d'embeddings
+  UPSERT_BATCH_SIZE: 64, // Points envoyés par appel au stockage vectoriel
+  CONCURRENCY: 2, // Lots traités en parallèle
+  MAX_RETRIES: 4, // Nouvelles tentatives en cas de limitation de débit
+  RETRY_BASE_DELAY_MS: 1000, // Délai initial du backoff exponentiel
+};
+
+/**
+ * Structure des métadonnées stockées avec chaque chunk
+ */
+export const METADATA_STRUCTURE = {
+  text: 'string', // Contenu textuel du chunk
+  filename: 'string', // Nom du fichier source
+  filepath: 'string', // Chemin complet du fichier
+  year: 'number', // Année du document
+  meeting_date: 'string', // Date de la séance (AAAA-MM-JJ), null si inconnue
+  page_number: 'number', // Numéro de la page où commence le chunk
+  page_end: 'number', // Numéro de la page où il se termine
+  chunk_index: 'number', // Index du chunk dans le document
+  total_chunks: 'number', // Nombre total de chunks du document
+  section_title: 'string', // Titre de la délibération ou du point de l'ordre du jour, null si aucun
+  deliberation_number: 'string', // Numéro de la délibération (ex: 2019-04-01), null si aucun
+  timestamp: 'string', // Timestamp ISO de création
+  _timestamp: 'number', // Timestamp Unix pour indexation
+};
+
+/**
+ * Lit la configuration d'indexation depuis les variables d'environnement
+ * @returns {Object} - Fournisseur d'embeddings, stockage vectoriel, index lexical, données structurées, cache des réponses et liste des variables manquantes
+ */
+export function getIndexingConfig() {
+  // Seul le fournisseur d'embeddings sert à l'indexation
+  const providers = { ...getProviderConfig(), llmProvider: 'none' };
+  const vectorStore = getVectorStoreConfig();
+
+  const missing = [...vectorStore.missing];
+  if (!providers.hfKey && providers.embeddingProvider === 'huggingface') {
+    missing.push('HUGGINGFACE_API_KEY');
+  }
+
+  return {
+    valid: missing.length === 0,
+    missing,
+    providers,
+    vectorStore,
+    lexicalIndex: getLexicalIndexConfig(),
+    records: getRecordStoreConfig(),
+    answerCache: getAnswerCacheConfig(),
+  };
+}
+
+/**
+ * Initialise le stockage vectoriel, l'index lexical, le stockage des
+ * délibérations, des présences et des montants, le cache des réponses et le
+ * fournisseur d'embeddings
+ * @param {Object} indexingConfig - Configuration retournée par getIndexingConfig
+ * @returns {{store: Object, lexicalIndex: Object, deliberations: Object, attendance: Object, amounts: Object, answerCache: Object, embedder: Object}} - Clients prêts à l'emploi
+ */
+export function createIndexingClients(indexingConfig) {
+  return {
+    store: createVectorStore(indexingConfig.vectorStore),
+    lexicalIndex: createLexicalIndex(indexingConfig.lexicalIndex),
+    deliberations: createRecordStore(indexingConfig.records, DELIBERATIONS_CONFIG.RECORD_TYPE),
+    attendance: createRecordStore(indexingConfig.records, ATTENDANCE_CONFIG.RECORD_TYPE),
+    amounts: createRecordStore(indexingConfig.records, AMOUNTS_CONFIG.RECORD_TYPE),
+    answerCache: createAnswerCache(indexingConfig.answerCache),
+    embedder: createEmbeddingProvider(indexingConfig.providers),
+  };
+}
+
+/**
+ * Exécute une mise à jour d'un fichier local (index lexical, délibérations, présences)
+ * sans faire échouer l'indexation
+ *
+ * Ces fichiers sont des compléments : sur un système de fichiers en lecture
+ * seule ou non persistant (ex: fonction Vercel), la mise à jour est ignorée,
+ * les chunks restent indexés dans le stockage vectoriel et le fichier ne sera
+ * à jour qu'après un `npm run ingest` et un nouveau déploiement.
+ *
+ * @param {string} label - Nom du fichier mis à jour, pour les logs
+ * @param {Function} update - Mise à jour asynchrone
+ * @returns {Promise<boolean>} - true si la mise à jour a réussi
+ */
+async function updateLocalFile(label, update) {
+  if (!hasPersistentFilesystem()) {
+    console.warn(`[Indexer] ⚠️ ${label} non mis à jour: système de fichiers non persistant`);
+    return false;
+  }
+  try {
+    await update();
+    return true;
+  } catch (error) {
+    console.warn(`[Indexer] ⚠️ ${label} non mis à jour: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Génère un ID de chunk déterministe à partir de sa position dans le document
+ *
+ * Ré-indexer un document produit donc les mêmes IDs : l'upsert remplace les
+ * points existants au lieu de les dupliquer.
+ *
+ * @param {string} filepath - Chemin du fichier (ou nom à défaut)
+ * @param {number} pageNumber - Numéro de la page où commence le chunk
+ * @param {number} chunkIndex - Index du chunk dans le document
+ * @returns {string} UUID (format accepté par Qdrant) dérivé d'un hash SHA-256
+ *
+ * @example
+ * generateChunkId('/datas/2016/compte-rendu.pdf', 3, 0);
+ * // Retourne toujours le même UUID, ex: "9f1c2a4e-..."
+ */
+export function generateChunkId(filepath, pageNumber, chunkIndex) {
+  const hex = crypto
+    .createHash('sha256')
+    .update(`${filepath}#${pageNumber}#${chunkIndex}`)
+    .digest('hex');
+
+  // Mise en forme 8-4-4-4-12 avec les bits de version (5) et de variante (RFC 4122)
+  return [
+    hex.substring(0, 8),
+    hex.substring(8, 12),
+    '5' + hex.substring(13, 16),
+    ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16) + hex.substring(17, 20),
+    hex.substring(20, 32),
+  ].join('-');
+}
+
+/**
+ * Construit le filtre (syntaxe Qdrant) désignant tous les points d'un document
+ * Le chemin est prioritaire car deux années peuvent contenir le même nom de fichier.
+ *
+ * @param {Object} document - Identifiants du document
+ * @param {string} document.filename - Nom du fichier
+ * @param {string} document.filepath - Chemin du fichier
+ * @returns {Object} Filtre Qdrant
+ */
+export function buildDocumentFilter({ filename, filepath }) {
+  const condition = filepath
+    ? { key: 'filepath', match: { value: filepath } }
+    : { key: 'filename', match: { value: filename } };
+
+  return { must: [condition] };
+}
+
+/**
+ * Supprime de la collection (ainsi que de l'index lexical, des délibérations,
+ * des présences et des montants extraits) tous les chunks d'un document
+ *
+ * @param {Object} store - Stockage vectoriel (createVectorStore)
+ * @param {Object} document - Identifiants du document ({ filename, filepath })
+ * @param {Object} stores - Stockages complémentaires, optionnels
+ * @param {Object} stores.lexicalIndex - Index lexical (createLexicalIndex)
+ * @param {Object} stores.deliberations - Délibérations (createRecordStore)
+ * @param {Object} stores.attendance - Présences (createRecordStore)
+ * @param {Object} stores.amounts - Montants (createRecordStore)
+ * @param {Object} stores.answerCache - Cache des réponses (createAnswerCache), invalidé si des chunks sont supprimés
+ * @returns {Promise<number>} Nombre de chunks supprimés du stockage vectoriel
+ */
+export async function deleteDocumentPoints(
+  store,
+  document,
+  {
+    lexicalIndex = null,
+    deliberations = null,
+    attendance = null,
+    amounts = null,
+    answerCache = null,
+  } = {}
+) {
+  const filter = buildDocumentFilter(document);
+  const count = await store.count(filter);
+
+  if (count > 0) {
+    await store.deleteByFilter(filter);
+  }
+  if (lexicalIndex) {
+    await updateLocalFile('Index lexical', () => lexicalIndex.deleteByFilter(filter));
+  }
+  if (deliberations) {
+    await updateLocalFile('Délibérations', () => deliberations.deleteByFilter(filter));
+  }
+  if (attendance) {
+    await updateLocalFile('Présences', () => attendance.deleteByFilter(filter));
+  }
+  if (amounts) {
+    await updateLocalFile('Montants', () => amounts.deleteByFilter(filter));
+  }
+  if (answerCache && count > 0) {
+    await answerCache.invalidate(`suppression de ${document.filepath || document.filename}`);
+  }
+
+  console.log(
+    `[Indexer] 🗑️ ${count} chunks supprimés pour ${document.filepath || document.filename}`
+  );
+  return count;
+}
+
+/**
+ * Crée ou vérifie l'existence de la collection
+ *
+ * @param {Object} store - Stockage vectoriel (createVectorStore)
+ * @param {Object} embedder - Fournisseur d'embeddings (createEmbeddingProvider)
+ * @param {string} sampleText - Texte d'exemple pour déterminer la taille des embeddings
+ * @returns {Promise<void>}
+ */
+export async function ensureCollectionExists(store, embedder, sampleText) {
+  let size = null;
+  // L'embedding de test n'est calculé que si la collection doit être créée
+  const created = await store.ensureCollection(async () => {
+    size = (await embedder.embedOne(sampleText)).length;
+    return size;
+  });
+
+  if (created) {
+    console.log(`[Indexer] ✅ Collection ${store.collection} créée avec ${size} dimensions`);
+  } else {
+    console.log(`[Indexer] ✅ Collection ${store.collection} existe déjà`);
+  }
+}
+
+/**
+ * Découpe un document en chunks prêts à être vectorisés
+ *
+ * Le découpage suit la structure du compte-rendu (voir chunking.js) : une
+ * délibération peut s'étendre sur plusieurs pages, et chaque chunk porte le
+ * titre et le numéro de sa délibération.
+ *
+ * @param {Array<{page_number: number, text: string}>} pages - Pages du document
+ * @param {Object} document - Métadonnées du document ({ filename, filepath, year, meetingDate })
+ * @param {Object} chunking - Options de découpage ({ maxChunkSize, overlap })
+ * @returns {Array<{id: string, payload: Object}>} Points sans vecteur, dans l'ordre du document
+ */
+export function prepareDocumentChunks(
+  pages,
+  { filename, filepath, year, meetingDate = null },
+  chunking = getChunkingConfig()
+) {
+  const chunks = chunkDocument(pages, chunking);
+
+  return chunks.map((chunk, i) => ({
+    // ID déterministe : une ré-indexation écrase le chunk au lieu de le dupliquer
+    id: generateChunkId(filepath || filename, chunk.pageStart, i),
+    payload: {
+      text: chunk.text,
+      filename: filename || 'unknown.txt',
+      filepath: filepath || filename || 'unknown.txt',
+      year: year || new Date().getFullYear(),
+      meeting_date: meetingDate,
+      page_number: chunk.pageStart,
+      page_end: chunk.pageEnd,
+      chunk_index: i,
+      total_chunks: chunks.length,
+      section_title: chunk.sectionTitle,
+      deliberation_number: chunk.deliberationNumber,
+      timestamp: new Date().toISOString(),
+      _timestamp: Date.now(),
+    },
+  }));
+}
+
+/**
+ * Indexe un document complet : collection, chunking, embeddings et upserts par lots
+ *
+ * Les chunks de toutes les pages sont vectorisés (par le fournisseur
+ * d'embeddings configuré) par lots de INDEXING_CONFIG.EMBEDDING_BATCH_SIZE et stockés par lots de
+ * INDEXING_CONFIG.UPSERT_BATCH_SIZE, avec une concurrence bornée et une
+ * reprise avec backoff en cas de limitation de débit.
+ *
+ * En mode remplacement, les chunks de l'ancienne version du document sont
+ * supprimés une fois les nouveaux stockés, ce qui évite de garder des chunks
+ * orphelins si le nouveau texte en produit moins que l'ancien. Si les
+ * embeddings ou l'upsert échouent, l'ancienne version reste consultable.
+ *
+ * @param {Object} document - Document à indexer
+ * @param {string} document.filename - Nom du fichier source
+ * @param {string} document.filepath - Chemin du fichier
+ * @param {number} document.year - Année du document
+ * @param {string} document.meeting_date - Date de séance AAAA-MM-JJ (déduite du nom ou du texte si absente)
+ * @param {Array<{page_number: number, text: string}>} document.pages - Pages du document
+ * @param {Object} clients - Clients retournés par createIndexingClients
+ * @param {Object} options - Options d'indexation
+ * @param {boolean} options.replace - Supprime les anciens chunks du document après l'upsert
+ * @param {Object} options.chunking - Options de découpage (défaut: getChunkingConfig())
+ * @param {Function} options.onProgress - Callback ({ filename, phase, done, total }) après chaque lot
+ * @returns {Promise<{totalChunks: number, pagesProcessed: number, deletedChunks: number, meetingDate: string|null, lexicalIndexed: boolean, deliberations: number|null, attendance: boolean|null, amounts: number|null, batches: Object}>} Statistiques d'indexation
+ *   (deliberations et amounts valent null si les enregistrements n'ont pas pu être écrits ; attendance
+ *   vaut false si le document n'a pas de liste des présents, null si elle n'a pas pu être enregistrée)
+ */
+export async function indexDocument(
+  { filename, filepath, year, meeting_date, pages },
+  clients,
+  { replace = false, onProgress, chunking = getChunkingConfig() } = {}
+) {
+  const { embedder, store, lexicalIndex, deliberations, attendance, amounts, answerCache } =
+    clients;
+  const retryOptions = {
+    retries: INDEXING_CONFIG.MAX_RETRIES,
+    baseDelayMs: INDEXING_CONFIG.RETRY_BASE_DELAY_MS,
+  };
+  const reportProgress = (phase, done, total) => {
+    console.log(`[Indexer] 📊 ${filename} - ${phase}: ${done}/${total}`);
+    onProgress?.({ filename, phase, done, total });
+  };
+
+  await ensureCollectionExists(store, embedder, pages[0].text);
+
+  // Les chunks de cette indexation ont un _timestamp postérieur : les chunks
+  // plus anciens du document (ou sans _timestamp) sont ceux de l'ancienne version
+  const documentFilter = buildDocumentFilter({ filename, filepath });
+  const indexedAt = Date.now();
+  const staleFilter = {
+    must: [
+      ...documentFilter.must,
+      {
+        should: [
+          { key: '_timestamp', range: { lt: indexedAt } },
+          { is_empty: { key: '_timestamp' } },
+        ],
+      },
+    ],
+  };
+  const deletedChunks = replace ? await store.count(documentFilter) : 0;
+
+  // 1. Date de séance, puis découpage du document
+  const meetingDate =
+    meeting_date ||
+    extractMeetingDate({ filename, year, text: pages.map((page) => page.text).join('\n') })?.date ||
+    null;
+  console.log(`[Indexer] 📅 Date de séance: ${meetingDate || 'inconnue'}`);
+
+  const points = prepareDocumentChunks(pages, { filename, filepath, year, meetingDate }, chunking);
+  const sections = new Set(points.map((point) => point.payload.section_title).filter(Boolean));
+  console.log(
+    `[Indexer] 📄 ${pages.length} pages découpées en ${points.length} chunks (${sections.size} sections)`
+  );
+
+  // 2. Embeddings par lots, plusieurs lots en parallèle
+  const embeddingBatches = chunkArray(points, INDEXING_CONFIG.EMBEDDING_BATCH_SIZE);
+  let embeddedChunks = 0;
+  await mapWithConcurrency(embeddingBatches, INDEXING_CONFIG.CONCURRENCY, async (batch, i) => {
+    const vectors = await withRetry(
+      () => embedder.embed(batch.map((point) => point.payload.text)),
+      { ...retryOptions, label: `Embeddings lot ${i + 1}/${embeddingBatches.length}` }
+    );
+    batch.forEach((point, j) => (point.vector = vectors[j]));
+    embeddedChunks += batch.length;
+    reportProgress('embedding', embeddedChunks, points.length);
+  });
+
+  // 3. Upserts par lots
+  const upsertBatches = chunkArray(points, INDEXING_CONFIG.UPSERT_BATCH_SIZE);
+  let storedChunks = 0;
+  await mapWithConcurrency(upsertBatches, INDEXING_CONFIG.CONCURRENCY, async (batch, i) => {
+    await withRetry(() => store.upsert(batch), {
+      ...retryOptions,
+      label: `Upsert lot ${i + 1}/${upsertBatches.length}`,
+    });
+    storedChunks += batch.length;
+    reportProgress('upsert', storedChunks, points.length);
+  });
+
+  // 4. Mode remplacement : les IDs étant déterministes, l'upsert a écrasé les
+  // chunks de même position ; restent ceux que le nouveau texte ne produit plus
+  if (replace && deletedChunks > 0) {
+    const staleChunks = await store.count(staleFilter);
+    if (staleChunks > 0) {
+      await store.deleteByFilter(staleFilter);
+    }
+    console.log(
+      `[Indexer] 🗑️ ${deletedChunks} anciens chunks remplacés (${staleChunks} supprimés) pour ${filepath || filename}`
+    );
+  }
+
+  // 5. Index lexical (mêmes IDs que les points vectoriels)
+  const lexicalIndexed =
+    lexicalIndex?.enabled &&
+    (await updateLocalFile('Index lexical', async () => {
+      await lexicalIndex.add(points.map(({ id, payload }) => ({ id, payload })));
+      if (replace) await lexicalIndex.deleteByFilter(staleFilter);
+    }));
+
+  // 6. Délibérations (numéro, objet, décision, vote), remplacées à chaque indexation
+  let deliberationCount = null;
+  if (deliberations) {
+    const records = extractDeliberations(pages, { filename, filepath, year, meetingDate });
+    const stored = await updateLocalFile('Délibérations', () =>
+      deliberations.replaceByFilter(documentFilter, records)
+    );
+    if (stored) {
+      deliberationCount = records.length;
+      console.log(`[Indexer] 🏛️ ${records.length} délibérations extraites`);
+    }
+  }
+
+  // 7. Présences (présents, excusés, absents, pouvoirs, secrétaire de séance)
+  let attendanceExtracted = null;
+  if (attendance) {
+    const record = extractAttendance(pages, { filename, filepath, year, meetingDate });
+    const stored = await updateLocalFile('Présences', () =>
+      attendance.replaceByFilter(documentFilter, record ? [record] : [])
+    );
+    if (stored) {
+      attendanceExtracted = Boolean(record);
+      console.log(
+        record
+          ? `[Indexer] 🙋 Présences: ${record.present.length} présents, ${record.proxies.length} pouvoirs`
+          : '[Indexer] 🙋 Aucune liste des présents trouvée'
+      );
+    }
+  }
+
+  // 8. Montants cités dans les délibérations (objet, date, HT/TTC, nature)
+  let amountCount = null;
+  if (amounts) {
+    const records = extractAmounts(pages, { filename, filepath, year, meetingDate });
+    const stored = await updateLocalFile('Montants', () =>
+      amounts.replaceByFilter(documentFilter, records)
+    );
+    if (stored) {
+      amountCount = records.length;
+      console.log(`[Indexer] 💶 ${records.length} montants extraits`);
+    }
+  }
+
+  // 9. Les réponses en cache ont été générées sans ce document (ou avec son ancienne version)
+  if (answerCache) {
+    await answerCache.invalidate(`indexation de ${filepath || filename}`);
+  }
+
+  return {
+    totalChunks: points.length,
+    pagesProcessed: pages.length,
+    deletedChunks,
+    meetingDate,
+    lexicalIndexed: Boolean(lexicalIndexed),
+    deliberations: deliberationCount,
+    attendance: attendanceExtracted,
+    amounts: amountCount,
+    batches: { embedding: embeddingBatches.length, upsert: upsertBatches.length },
+  };
+}
@@ -0,0 +1,415 @@
+/**
+ * Retours des utilisateurs sur les réponses du chatbot
+ *
+ * Chaque réponse du chat peut être notée (👍 / 👎) avec un commentaire
+ * facultatif. Le retour conserve la question, la réponse, les sources et
+ * les métadonnées de recherche telles qu'affichées : un mauvais cas peut être
+ * rejoué, puis ajouté au jeu de questions de référence (scripts/goldenSet.json)
+ * une fois les documents attendus renseignés.
+ *
+ * Les retours sont lus par GET /api/admin/feedback. FEEDBACK_STORE (où ils
+ * sont gardés) :
+ * - kv   : liste Redis via l'API REST d'Upstash / Vercel KV (défaut si
+ *          KV_REST_API_URL et KV_REST_API_TOKEN sont définis)
+ * - file : stockage des données structurées (RECORDS_DIR/feedback.json) ;
+ *          indisponible sur Vercel, où le fichier n'est pas persistant
+ */
+
+import crypto from 'crypto';
+import { getRecordStoreConfig, createRecordStore } from './recordStore.js';
+import { getKvConfig, createKvClient, hasPersistentFilesystem, resolveStore } from './kvStore.js';
+
+/**
+ * Configuration des retours
+ */
+export const FEEDBACK_CONFIG = {
+  RECORD_TYPE: 'feedback', // Fichier RECORDS_DIR/feedback.json
+  MAX_ENTRIES: 5000, // Les retours les plus anciens sont retirés au-delà
+  MAX_COMMENT_LENGTH: 1000,
+  MAX_QUESTION_LENGTH: 2000,
+  MAX_ANSWER_LENGTH: 10000,
+  MAX_SOURCES: 20,
+  MAX_SOURCE_TEXT_LENGTH: 3000, // Texte du chunk conservé par source
+  MAX_SEARCH_METADATA_LENGTH: 16 * 1024, // Taille maximale des métadonnées conservées (JSON)
+  KV_KEY: 'feedback', // Liste Redis (stockage "kv")
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 500,
+};
+
+/**
+ * Verdicts possibles
+ */
+export const FEEDBACK_VERDICTS = ['up', 'down'];
+
+/**
+ * Champs de searchMetadata (réponse de /api/chat) conservés avec un retour
+ */
+const SEARCH_METADATA_FIELDS = [
+  'temporalQuery',
+  'temporalFilterApplied',
+  'temporalWeightingApplied',
+  'originalCount',
+  'filteredCount',
+  'retrievalStrategy',
+  'retrieval',
+  'reranking',
+  'chunkScores',
+];
+
+/**
+ * Lit la configuration du stockage des retours depuis les variables d'environnement
+ * @returns {{store: string, error: string|null, records: Object, kv: Object}} - Configuration
+ *   (error : stockage indisponible, les retours sont refusés)
+ */
+export function getFeedbackStoreConfig() {
+  const store = resolveStore(process.env.FEEDBACK_STORE);
+  const kv = getKvConfig();
+
+  let error = null;
+  if (!['kv', 'file'].includes(store)) {
+    error = `Retours désactivés: FEEDBACK_STORE inconnu (${store}, kv ou file)`;
+  } else if (store === 'kv' && !kv.configured) {
+    error = 'Retours désactivés: KV_REST_API_URL et KV_REST_API_TOKEN requis (FEEDBACK_STORE=kv)';
+  } else if (store === 'file' && !hasPersistentFilesystem()) {
+    error =
+      'Retours désactivés: stockage local non persistant sur Vercel (définir KV_REST_API_URL et KV_REST_API_TOKEN)';
+  }
+
+  return { store, error, records: getRecordStoreConfig(), kv };
+}
+
+/**
+ * Source d'une réponse, telle qu'affichée dans le chat
+ * @typedef {Object} FeedbackSource
+ * @property {string|null} filename - Nom du document
+ * @property {string|null} url - Chemin du PDF (/datas/...)
+ * @property {number|null} page - Page où commence l'extrait
+ * @property {number|null} year - Année du document
+ * @property {string|null} meeting_date - Date de la séance (AAAA-MM-JJ)
+ * @property {string|null} section_title - Titre de la délibération
+ * @property {number|null} score - Score final de l'extrait
+ * @property {string|null} snippet - Passage mis en évidence
+ * @property {string|null} text - Texte de l'extrait fourni au LLM
+ */
+
+/**
+ * Retour sur une réponse
+ * @typedef {Object} FeedbackEntry
+ * @property {string} id - Identifiant du retour
+ * @property {string} timestamp - Date et heure (ISO)
+ * @property {string} verdict - 'up' ou 'down'
+ * @property {string|null} comment - Commentaire de l'utilisateur
+ * @property {string} question - Question posée
+ * @property {string|null} standalone_question - Question reformulée utilisée pour la recherche
+ * @property {string} answer - Réponse notée
+ * @property {boolean} cached - Réponse servie depuis le cache
+ * @property {Array<FeedbackSource>} sources - Sources de la réponse
+ * @property {Object|null} search_metadata - Métadonnées de recherche (searchMetadata de /api/chat)
+ */
+
+/**
+ * Tronque un texte facultatif
+ * @param {*} value - Valeur reçue
+ * @param {number} maxLength - Longueur maximale
+ * @returns {string|null} - Texte tronqué, null si absent
+ */
+function optionalText(value, maxLength) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
+
+/**
+ * Lit un nombre facultatif
+ * @param {*} value - Valeur reçue
+ * @returns {number|null}
+ */
+function optionalNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Ne garde d'une source que les champs utiles à l'analyse
+ * @param {Object} source - Source renvoyée par /api/chat
+ * @returns {FeedbackSource}
+ */
+function normalizeSource(source) {
+  return {
+    filename: optionalText(source?.filename, 300),
+    url: optionalText(source?.url, 500),
+    page: optionalNumber(source?.page),
+    year: optionalNumber(source?.year),
+    meeting_date: optionalText(source?.meetingDate, 10),
+    section_title: optionalText(source?.sectionTitle, 300),
+    score: optionalNumber(source?.score),
+    snippet: optionalText(source?.snippet, 500),
+    text: optionalText(source?.text, FEEDBACK_CONFIG.MAX_SOURCE_TEXT_LENGTH),
+  };
+}
+
+/**
+ * Réduit une valeur des métadonnées à une taille bornée
+ * @param {*} value - Valeur reçue
+ * @param {number} depth - Niveaux d'imbrication encore acceptés
+ * @returns {*} - Nombres, booléens, textes courts, tableaux et objets courts
+ */
+function pruneMetadataValue(value, depth) {
+  if (value === null || typeof value === 'boolean') return value;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string') return value.slice(0, 300);
+  if (depth <= 0 || typeof value !== 'object') return null;
+  if (Array.isArray(value)) {
+    return value
+      .slice(0, FEEDBACK_CONFIG.MAX_SOURCES)
+      .map((item) => pruneMetadataValue(item, depth - 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value)
+      .slice(0, 20)
+      .map(([key, item]) => [key.slice(0, 50), pruneMetadataValue(item, depth - 1)])
+  );
+}
+
+/**
+ * Ne garde des métadonnées de recherche que les champs connus, de taille bornée
+ *
+ * Au-delà de MAX_SEARCH_METADATA_LENGTH, les scores par chunk sont retirés.
+ *
+ * @param {Object|null} searchMetadata - searchMetadata renvoyé par /api/chat
+ * @returns {Object|null} - Métadonnées conservées
+ */
+function normalizeSearchMetadata(searchMetadata) {
+  if (!searchMetadata) return null;
+
+  const kept = Object.fromEntries(
+    SEARCH_METADATA_FIELDS.filter((field) => field in searchMetadata).map((field) => [
+      field,
+      pruneMetadataValue(searchMetadata[field], 2),
+    ])
+  );
+  const fits = () => JSON.stringify(kept).length <= FEEDBACK_CONFIG.MAX_SEARCH_METADATA_LENGTH;
+  if (!fits()) delete kept.chunkScores;
+  return fits() ? kept : null;
+}
+
+/**
+ * Valide le corps d'un retour envoyé par le chat
+ *
+ * @param {Object} body - Corps JSON de POST /api/feedback
+ * @returns {{feedback: Object|null, error: string|null}} - Retour normalisé ou message d'erreur
+ *
+ * @example
+ * validateFeedback({
+ *   verdict: 'down', comment: 'La délibération citée date de 2018',
+ *   question: 'Quels travaux de voirie en 2019 ?', answer: 'En 2019...',
+ *   sources: [...], searchMetadata: {...}
+ * });
+ * // { feedback: { verdict: 'down', comment: '...', question: '...', ... }, error: null }
+ */
+export function validateFeedback(body) {
+  const {
+    verdict,
+    comment,
+    question,
+    standaloneQuestion,
+    answer,
+    cached,
+    sources,
+    searchMetadata,
+  } = body ?? {};
+
+  if (!FEEDBACK_VERDICTS.includes(verdict)) {
+    return {
+      feedback: null,
+      error: `Paramètre invalide: verdict (${FEEDBACK_VERDICTS.join(', ')})`,
+    };
+  }
+  if (typeof question !== 'string' || !question.trim()) {
+    return { feedback: null, error: 'Paramètre manquant: question' };
+  }
+  if (typeof answer !== 'string' || !answer.trim()) {
+    return { feedback: null, error: 'Paramètre manquant: answer' };
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    return { feedback: null, error: 'Paramètre invalide: comment' };
+  }
+  if (typeof comment === 'string' && comment.trim().length > FEEDBACK_CONFIG.MAX_COMMENT_LENGTH) {
+    return {
+      feedback: null,
+      error: `Commentaire trop long (${FEEDBACK_CONFIG.MAX_COMMENT_LENGTH} caractères maximum)`,
+    };
+  }
+  if (sources !== undefined && !Array.isArray(sources)) {
+    return { feedback: null, error: 'Paramètre invalide: sources' };
+  }
+  if (
+    searchMetadata !== undefined &&
+    searchMetadata !== null &&
+    (typeof searchMetadata !== 'object' || Array.isArray(searchMetadata))
+  ) {
+    return { feedback: null, error: 'Paramètre invalide: searchMetadata' };
+  }
+
+  return {
+    feedback: {
+      verdict,
+      comment: optionalText(comment, FEEDBACK_CONFIG.MAX_COMMENT_LENGTH),
+      question: question.trim().slice(0, FEEDBACK_CONFIG.MAX_QUESTION_LENGTH),
+      standalone_question: optionalText(standaloneQuestion, FEEDBACK_CONFIG.MAX_QUESTION_LENGTH),
+      answer: answer.trim().slice(0, FEEDBACK_CONFIG.MAX_ANSWER_LENGTH),
+      cached: cached === true,
+      sources: (sources || []).slice(0, FEEDBACK_CONFIG.MAX_SOURCES).map(normalizeSource),
+      search_metadata: normalizeSearchMetadata(searchMetadata),
+    },
+    error: null,
+  };
+}
+
+/**
+ * Crée l'accès aux retours
+ *
+ * @param {Object} config - Configuration retournée par getFeedbackStoreConfig
+ * @returns {{record: Function, list: Function}} - Retours
+ *
+ * @example
+ * const feedbackStore = createFeedbackStore(getFeedbackStoreConfig());
+ * const { feedback } = validateFeedback(body);
+ * await feedbackStore.record(feedback);
+ */
+export function createFeedbackStore(config) {
+  // Stockage "kv" : une liste Redis, bornée à MAX_ENTRIES ; "file" : RECORDS_DIR/feedback.json
+  const kv = config.store === 'kv' ? createKvClient(config.kv) : null;
+  const store = kv ? null : createRecordStore(config.records, FEEDBACK_CONFIG.RECORD_TYPE);
+
+  return {
+    /**
+     * Enregistre un retour validé (validateFeedback)
+     * @param {Object} feedback - Retour normalisé
+     * @returns {Promise<FeedbackEntry>} - Retour enregistré
+     */
+    async record(feedback) {
+      const entry = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        ...feedback,
+      };
+      if (kv) {
+        await kv.pipeline([
+          ['RPUSH', FEEDBACK_CONFIG.KV_KEY, JSON.stringify(entry)],
+          ['LTRIM', FEEDBACK_CONFIG.KV_KEY, -FEEDBACK_CONFIG.MAX_ENTRIES, -1],
+        ]);
+      } else {
+        await store.append([entry], FEEDBACK_CONFIG.MAX_ENTRIES);
+      }
+      return entry;
+    },
+
+    /**
+     * Retours, des plus récents aux plus anciens
+     * @param {Object} filters - Filtres
+     * @param {string|null} filters.verdict - Verdict (FEEDBACK_VERDICTS), null pour tous
+     * @param {number} filters.limit - Nombre maximum de retours
+     * @param {number} filters.offset - Décalage (pagination)
+     * @returns {Promise<{total: number, entries: Array<FeedbackEntry>}>} - Nombre total et page de retours
+     */
+    async list({ verdict = null, limit = FEEDBACK_CONFIG.DEFAULT_LIMIT, offset = 0 } = {}) {
+      const all = kv
+        ? (await kv.command('LRANGE', FEEDBACK_CONFIG.KV_KEY, 0, -1)).map((value) =>
+            JSON.parse(value)
+          )
+        : store.all();
+      const matching = all.filter((entry) => !verdict || entry.verdict === verdict).reverse();
+      return { total: matching.length, entries: matching.slice(offset, offset + limit) };
+    },
+  };
+}
+
+/**
+ * Lit les filtres de la liste des retours depuis la query string
+ *
+ * Sans paramètre verdict, seuls les retours négatifs sont listés ;
+ * `verdict=all` les liste tous.
+ *
+ * @param {URLSearchParams} searchParams - Paramètres de la requête
+ * @returns {{filters: Object|null, format: string, error: string|null}} - Filtres validés, format ('entries' ou 'golden') ou message d'erreur
+ */
+export function parseFeedbackFilters(searchParams) {
+  const verdictParam = searchParams.get('verdict') || 'down';
+  const format = searchParams.get('format') || 'entries';
+  const limit = searchParams.has('limit')
+    ? Number(searchParams.get('limit'))
+    : FEEDBACK_CONFIG.DEFAULT_LIMIT;
+  const offset = searchParams.has('offset') ? Number(searchParams.get('offset')) : 0;
+
+  if (verdictParam !== 'all' && !FEEDBACK_VERDICTS.includes(verdictParam)) {
+    return {
+      filters: null,
+      format,
+      error: `Paramètre invalide: verdict (${[...FEEDBACK_VERDICTS, 'all'].join(', ')})`,
+    };
+  }
+  if (!['entries', 'golden'].includes(format)) {
+    return { filters: null, format, error: 'Paramètre invalide: format (entries, golden)' };
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { filters: null, format, error: 'Paramètre invalide: limit' };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { filters: null, format, error: 'Paramètre invalide: offset' };
+  }
+
+  return {
+    filters: {
+      verdict: verdictParam === 'all' ? null : verdictParam,
+      limit: Math.min(limit, FEEDBACK_CONFIG.MAX_LIMIT),
+      offset,
+    },
+    format,
+    error: null,
+  };
+}
+
+/**
+ * Prépare une question de référence (scripts/goldenSet.json) à partir d'un retour
+ *
+ * `expected` et `facts` restent à compléter : le retour indique seulement
+ * que la réponse était mauvaise, pas où se trouvait la bonne. Les documents
+ * retrouvés sont joints (`retrieved`) pour guider la relecture, et doivent
+ * être retirés avant d'ajouter la question au jeu de référence.
+ *
+ * @param {FeedbackEntry} entry - Retour enregistré
+ * @returns {Object} - Brouillon de question de référence
+ *
+ * @example
+ * toGoldenSetDraft(entry);
+ * // {
+ * //   id: 'feedback-3f2a9c1e', question: 'Quels travaux de voirie en 2019 ?',
+ * //   expected: [], period: { start: '2019-01-01', end: '2019-12-31' }, facts: [],
+ * //   comment: 'La délibération citée date de 2018',
+ * //   retrieved: [{ filename: 'cr-2018-06.pdf', pages: [4] }]
+ * // }
+ */
+export function toGoldenSetDraft(entry) {
+  const temporalQuery = entry.search_metadata?.temporalQuery;
+  const retrieved = [];
+  for (const source of entry.sources) {
+    if (!source.filename) continue;
+    const document = retrieved.find((item) => item.filename === source.filename);
+    if (!document) {
+      retrieved.push({ filename: source.filename, pages: source.page ? [source.page] : [] });
+    } else if (source.page && !document.pages.includes(source.page)) {
+      document.pages.push(source.page);
+    }
+  }
+  retrieved.forEach((document) => document.pages.sort((a, b) => a - b));
+
+  return {
+    id: `feedback-${entry.id.slice(0, 8)}`,
+    question: entry.standalone_question || entry.question,
+    expected: [],
+    ...(temporalQuery?.start || temporalQuery?.end
+      ? { period: { start: temporalQuery.start ?? null, end: temporalQuery.end ?? null } }
+      : {}),
+    facts: [],
+    comment: entry.comment,
+    retrieved,
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * Client Redis minimal, via l'API REST d'Upstash / Vercel KV
+ *
+ * Sur Vercel, chaque instance de fonction a son propre système de fichiers,
+ * en lecture seule hors de /tmp et effacé au redémarrage : ce qui doit être
+ * partagé entre instances ou survivre à un redémarrage (compteurs de débit,
+ * réponses partagées, retours des lecteurs, version de l'index) est gardé
+ * dans Redis. Aucune dépendance : les commandes passent par le pipeline REST
+ * (KV_REST_API_URL, KV_REST_API_TOKEN).
+ */
+
+/**
+ * Lit la configuration de Redis depuis les variables d'environnement
+ * @returns {{url: string|undefined, token: string|undefined, configured: boolean}} - Configuration
+ */
+export function getKvConfig() {
+  const url = process.env.KV_REST_API_URL;
+  const token = process.env.KV_REST_API_TOKEN;
+  return { url, token, configured: Boolean(url && token) };
+}
+
+/**
+ * Indique si les fichiers écrits par le serveur survivent à la requête
+ *
+ * Faux sur Vercel : un fichier de RECORDS_DIR écrit par une instance n'est
+ * visible ni des autres instances, ni de la même après un démarrage à froid.
+ *
+ * @returns {boolean}
+ */
+export function hasPersistentFilesystem() {
+  return process.env.VERCEL !== '1';
+}
+
+/**
+ * Choisit le stockage d'un type de données : variable d'environnement,
+ * à défaut Redis s'il est configuré, sinon fichier local
+ *
+ * @param {string|undefined} value - Valeur de la variable (ex: SHARE_STORE)
+ * @returns {string} - 'kv' ou 'file' (ou la valeur fournie, à valider par l'appelant)
+ */
+export function resolveStore(value) {
+  return value || (getKvConfig().configured ? 'kv' : 'file');
+}
+
+/**
+ * Crée le client Redis
+ *
+ * @param {Object} config - Configuration retournée par getKvConfig
+ * @returns {{pipeline: (commands: Array<Array>) => Promise<Array>, command: (...args) => Promise<*>}}
+ *   pipeline exécute plusieurs commandes en une requête et retourne leurs résultats
+ *
+ * @example
+ * const kv = createKvClient(getKvConfig());
+ * await kv.command('SET', 'answer:Zk3p9QeR1xWa', JSON.stringify(entry), 'NX');
+ * const [count] = await kv.pipeline([['INCR', key], ['PEXPIREAT', key, expiresAt]]);
+ */
+export function createKvClient(config) {
+  if (!config.url || !config.token) {
+    throw new Error("Variables d'environnement manquantes: KV_REST_API_URL, KV_REST_API_TOKEN");
+  }
+
+  const pipeline = async (commands) => {
+    const response = await fetch(`${config.url.replace(/\/$/, '')}/pipeline`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${config.token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(commands),
+    });
+    if (!response.ok) {
+      throw new Error(`KV HTTP ${response.status}`);
+    }
+    const results = await response.json();
+    const failed = results.find((result) => result.error);
+    if (failed) {
+      throw new Error(`KV: ${failed.error}`);
+    }
+    return results.map((result) => result.result);
+  };
+
+  return {
+    pipeline,
+    async command(...args) {
+      const [result] = await pipeline([args]);
+      return result;
+    },
+  };
+}
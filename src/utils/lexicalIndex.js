@@ -0,0 +1,257 @@
+/**
+ * Index lexical BM25 des chunks
+ *
+ * Les embeddings all-MiniLM-L6-v2 rapprochent mal les termes exacts des
+ * comptes-rendus : numéros de parcelles, noms de rues ou de lieux-dits
+ * ("Rabodanges"), numéros de délibérations, raisons sociales... L'index
+ * lexical les retrouve par correspondance de mots et complète la recherche
+ * vectorielle (fusion dans rankFusion.js).
+ *
+ * L'index est construit à l'ingestion, en même temps que les embeddings, et
+ * stocké dans un fichier JSON (LEXICAL_INDEX_PATH). Les chunks y portent le
+ * même identifiant que dans le stockage vectoriel, ce qui permet de fusionner
+ * les deux listes de résultats.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { matchesFilter } from './vectorStore.js';
+
+/**
+ * Configuration de l'index lexical
+ */
+export const LEXICAL_INDEX_CONFIG = {
+  DEFAULT_PATH: '.data/lexical-index.json', // Relatif au répertoire courant
+  K1: 1.2, // Saturation de la fréquence des termes (BM25)
+  B: 0.75, // Normalisation par la longueur du chunk (BM25)
+};
+
+/**
+ * Mots vides français ignorés à l'indexation et à la recherche
+ */
+const STOPWORDS = new Set(
+  (
+    'a au aux avec ce ces cet cette d dans de des du elle elles en est et il ils ' +
+    'je l la le les leur leurs lui m ma mais me mes n ne nos notre nous on ou par ' +
+    'pas pour qu que qui s sa se ses son sont sur t ta te tes ton un une vos votre ' +
+    'vous y ete etre avoir ont quel quelle quels quelles quoi comment'
+  ).split(' ')
+);
+
+/**
+ * Lit la configuration de l'index lexical depuis les variables d'environnement
+ * @returns {{enabled: boolean, path: string}} - Activation et chemin du fichier
+ */
+export function getLexicalIndexConfig() {
+  return {
+    enabled: process.env.LEXICAL_SEARCH !== 'false',
+    path: path.resolve(process.env.LEXICAL_INDEX_PATH || LEXICAL_INDEX_CONFIG.DEFAULT_PATH),
+  };
+}
+
+/**
+ * Découpe un texte en termes normalisés
+ *
+ * Minuscules, sans accents, mots vides retirés, pluriels simples ramenés au
+ * singulier. Les nombres sont conservés : ce sont souvent eux qu'on cherche.
+ *
+ * @param {string} text - Texte à découper
+ * @returns {Array<string>} - Termes
+ *
+ * @example
+ * tokenize('Parcelles AB 123 à Rabodanges'); // ["parcelle", "ab", "123", "rabodange"]
+ */
+export function tokenize(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((term) => term && !STOPWORDS.has(term) && (term.length > 1 || /\d/.test(term)))
+    .map((term) => (term.length > 4 && /[sx]$/.test(term) ? term.slice(0, -1) : term));
+}
+
+// =============================================================================
+// PERSISTANCE
+// =============================================================================
+
+/**
+ * Index déjà chargés, partagés entre les requêtes (rechargés si le fichier change)
+ */
+const loadedIndexes = new Map();
+
+/**
+ * Charge un index depuis son fichier et calcule les listes de postings
+ * @param {string} filePath - Chemin absolu du fichier
+ * @returns {Object} - { chunks: Map, postings: Map, totalLength }
+ */
+function loadIndexFile(filePath) {
+  const mtime = fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : 0;
+  const cached = loadedIndexes.get(filePath);
+  if (cached && cached.mtime === mtime) return cached.index;
+
+  const raw = mtime ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : { chunks: [] };
+  const index = buildIndex(new Map(raw.chunks.map((chunk) => [chunk.id, chunk])));
+
+  loadedIndexes.set(filePath, { mtime, index });
+  return index;
+}
+
+/**
+ * Construit les structures de recherche à partir des chunks
+ * @param {Map} chunks - Chunks indexés { id, terms, length, payload }
+ * @returns {Object} - { chunks, postings: Map<terme, Array<[id, tf]>>, totalLength }
+ */
+function buildIndex(chunks) {
+  const postings = new Map();
+  let totalLength = 0;
+
+  for (const chunk of chunks.values()) {
+    totalLength += chunk.length;
+    for (const [term, frequency] of Object.entries(chunk.terms)) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([chunk.id, frequency]);
+    }
+  }
+
+  return { chunks, postings, totalLength };
+}
+
+/**
+ * Écrit l'index (fichier temporaire puis renommage)
+ * @param {string} filePath - Chemin absolu du fichier
+ * @param {Map} chunks - Chunks indexés
+ */
+function saveIndexFile(filePath, chunks) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, chunks: [...chunks.values()] }));
+  fs.renameSync(tmpPath, filePath);
+
+  loadedIndexes.set(filePath, { mtime: fs.statSync(filePath).mtimeMs, index: buildIndex(chunks) });
+}
+
+// =============================================================================
+// INDEX LEXICAL
+// =============================================================================
+
+/**
+ * Crée l'accès à un index lexical
+ *
+ * @param {Object} config - Configuration retournée par getLexicalIndexConfig
+ * @returns {Object} - Index { enabled, add(points), deleteByFilter(filter), search(query, options), size(), status() }
+ */
+export function createLexicalIndex(config) {
+  const filePath = config.path;
+
+  // Les écritures sont sérialisées, comme pour le stockage vectoriel local
+  let writeQueue = Promise.resolve();
+  const write = (mutate) => {
+    const run = writeQueue.then(() => {
+      const chunks = new Map(loadIndexFile(filePath).chunks);
+      const result = mutate(chunks);
+      saveIndexFile(filePath, chunks);
+      return result;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    enabled: config.enabled,
+
+    /**
+     * Ajoute ou remplace des chunks (mêmes IDs que dans le stockage vectoriel)
+     * @param {Array<{id: string, payload: Object}>} points - Points à indexer
+     */
+    async add(points) {
+      if (!config.enabled) return;
+      await write((chunks) => {
+        for (const { id, payload } of points) {
+          const terms = {};
+          const tokens = tokenize(payload.text);
+          for (const term of tokens) terms[term] = (terms[term] || 0) + 1;
+          chunks.set(id, { id, terms, length: tokens.length, payload });
+        }
+      });
+    },
+
+    /**
+     * Supprime les chunks dont le payload correspond au filtre
+     * @param {Object} filter - Filtre (syntaxe Qdrant)
+     * @returns {Promise<number>} - Nombre de chunks supprimés
+     */
+    async deleteByFilter(filter) {
+      if (!config.enabled) return 0;
+      return write((chunks) => {
+        let deleted = 0;
+        for (const [id, chunk] of chunks) {
+          if (matchesFilter(chunk.payload, filter)) {
+            chunks.delete(id);
+            deleted++;
+          }
+        }
+        return deleted;
+      });
+    },
+
+    /**
+     * Recherche BM25
+     * @param {string} query - Texte de la requête
+     * @param {Object} options - Options de recherche
+     * @param {number} options.limit - Nombre maximal de résultats
+     * @param {Object} options.filter - Filtre de payload (syntaxe Qdrant), optionnel
+     * @returns {Promise<Array<{id: string, score: number, payload: Object}>>} - Chunks triés par score
+     */
+    async search(query, { limit = 10, filter } = {}) {
+      if (!config.enabled) return [];
+
+      const { chunks, postings, totalLength } = loadIndexFile(filePath);
+      if (chunks.size === 0) return [];
+
+      const { K1, B } = LEXICAL_INDEX_CONFIG;
+      const averageLength = totalLength / chunks.size;
+      const scores = new Map();
+
+      for (const term of new Set(tokenize(query))) {
+        const termPostings = postings.get(term);
+        if (!termPostings) continue;
+
+        const idf = Math.log(
+          1 + (chunks.size - termPostings.length + 0.5) / (termPostings.length + 0.5)
+        );
+        for (const [id, frequency] of termPostings) {
+          const length = chunks.get(id).length;
+          const termScore =
+            (idf * frequency * (K1 + 1)) /
+            (frequency + K1 * (1 - B + (B * length) / averageLength));
+          scores.set(id, (scores.get(id) || 0) + termScore);
+        }
+      }
+
+      return [...scores]
+        .map(([id, score]) => ({ id, score, payload: chunks.get(id).payload }))
+        .filter((result) => matchesFilter(result.payload, filter))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    },
+
+    /**
+     * Nombre de chunks indexés
+     * @returns {number}
+     */
+    size() {
+      return config.enabled ? loadIndexFile(filePath).chunks.size : 0;
+    },
+
+    /**
+     * État de l'index, reporté dans searchMetadata.retrieval
+     * @returns {string} - 'ready', 'empty', 'missing' (fichier absent) ou 'disabled'
+     */
+    status() {
+      if (!config.enabled) return 'disabled';
+      if (!fs.existsSync(filePath)) return 'missing';
+      return loadIndexFile(filePath).chunks.size > 0 ? 'ready' : 'empty';
+    },
+  };
+}
@@ -0,0 +1,305 @@
+/**
+ * Extraction de la date de séance des comptes-rendus
+ *
+ * La date est lue en priorité dans le nom du fichier, dont les formats varient
+ * beaucoup d'une année à l'autre :
+ * - compte-rendu-seance-du-12-04-2016.pdf      (jj-mm-aaaa)
+ * - compte-rendu-seance-du-7-juin-2016.pdf     (j-mois-aaaa)
+ * - compte-rendu-seance-du-1er-mars-2021-1.pdf (1er-mois-aaaa)
+ * - pv-de-la-seance-du-cm-du-18-dec-2023.pdf   (mois abrégé)
+ * - ...-seance-du-11.07.2022-...pdf            (jj.mm.aaaa)
+ * - pv-du-090924-signe.pdf                     (jjmmaa)
+ * - 20230609-1-election-....pdf                (aaaammjj)
+ * - 09032020compte-rendu-internet.pdf          (jjmmaaaa)
+ *
+ * Quand le nom n'en contient pas (ex: registre-deliberations.pdf), la date
+ * est cherchée dans le texte du document ("SEANCE DU 6 JUILLET 2020").
+ *
+ * Les dates sont stockées au format ISO (AAAA-MM-JJ) dans le payload
+ * `meeting_date` des chunks.
+ */
+
+/**
+ * Noms de mois français (et abréviations) vers leur numéro
+ * Les clés sont sans accents : le texte est normalisé avant la recherche.
+ */
+export const FRENCH_MONTHS = {
+  janvier: 1,
+  janv: 1,
+  jan: 1,
+  fevrier: 2,
+  fevr: 2,
+  fev: 2,
+  mars: 3,
+  avril: 4,
+  avr: 4,
+  mai: 5,
+  juin: 6,
+  juillet: 7,
+  juil: 7,
+  aout: 8,
+  septembre: 9,
+  sept: 9,
+  sep: 9,
+  octobre: 10,
+  oct: 10,
+  novembre: 11,
+  nov: 11,
+  decembre: 12,
+  dec: 12,
+};
+
+/**
+ * Noms de mois utilisés pour l'affichage
+ */
+const MONTH_NAMES = [
+  'janvier',
+  'février',
+  'mars',
+  'avril',
+  'mai',
+  'juin',
+  'juillet',
+  'août',
+  'septembre',
+  'octobre',
+  'novembre',
+  'décembre',
+];
+
+/**
+ * Configuration de la recherche dans le texte
+ */
+export const MEETING_DATE_CONFIG = {
+  HEADING_SEARCH_LENGTH: 1500, // Caractères du début du document où chercher l'en-tête
+};
+
+const MONTH_PATTERN = Object.keys(FRENCH_MONTHS)
+  .sort((a, b) => b.length - a.length)
+  .join('|');
+
+// =============================================================================
+// FONCTIONS UTILITAIRES
+// =============================================================================
+
+/**
+ * Supprime les accents et passe en minuscules
+ * @param {string} text - Texte à normaliser
+ * @returns {string} - Texte normalisé (même longueur que l'original)
+ */
+function normalize(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Construit une date ISO si elle existe dans le calendrier
+ * @param {number} year - Année (2 ou 4 chiffres)
+ * @param {number} month - Mois (1-12)
+ * @param {number} day - Jour (1-31)
+ * @returns {string|null} - Date AAAA-MM-JJ ou null si invalide
+ */
+export function toIsoDate(year, month, day) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+
+  if (
+    fullYear < 1990 ||
+    fullYear > 2100 ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Formate une date ISO en français
+ * @param {string} isoDate - Date AAAA-MM-JJ
+ * @returns {string} - Date lisible, ex: "12 avril 2016", "1er mars 2021"
+ *
+ * @example
+ * formatFrenchDate('2016-04-12'); // "12 avril 2016"
+ */
+export function formatFrenchDate(isoDate) {
+  if (!isoDate) return '';
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return `${day === 1 ? '1er' : day} ${MONTH_NAMES[month - 1]} ${year}`;
+}
+
+/**
+ * Lit une borne de période saisie dans un paramètre d'URL ("2019" ou "2019-03-11")
+ * @param {string|null} value - Valeur du paramètre
+ * @param {boolean} end - true pour une borne de fin (une année va jusqu'au 31 décembre)
+ * @returns {string|null|undefined} - Date AAAA-MM-JJ, null si absente, undefined si invalide
+ *
+ * @example
+ * parseDateBound('2019', true); // "2019-12-31"
+ */
+export function parseDateBound(value, end) {
+  if (!value) return null;
+  if (/^\d{4}$/.test(value)) return end ? `${value}-12-31` : `${value}-01-01`;
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)) ? value : undefined;
+}
+
+// =============================================================================
+// EXTRACTION DEPUIS LE NOM DE FICHIER
+// =============================================================================
+
+/**
+ * Formats de date reconnus dans les noms de fichiers
+ * Chaque format retourne une date ISO (ou null) à partir de son match.
+ */
+const FILENAME_PATTERNS = [
+  // 12-04-2016, 11.07.2022, 1er-03-2021
+  {
+    regex: /(?<!\d)(\d{1,2})(?:er)?[-._](\d{1,2})[-._](\d{4})(?!\d)/g,
+    parse: (m) => [toIsoDate(+m[3], +m[2], +m[1])],
+  },
+  // 7-juin-2016, 1er-mars-2021, 18-dec-2023
+  {
+    regex: new RegExp(`(?<!\\d)(\\d{1,2})(?:er)?[-._](${MONTH_PATTERN})[-._]?(\\d{4})(?!\\d)`, 'g'),
+    parse: (m) => [toIsoDate(+m[3], FRENCH_MONTHS[m[2]], +m[1])],
+  },
+  // 20230609 (aaaammjj) ou 09032020 (jjmmaaaa)
+  {
+    regex: /(?<!\d)(\d{8})(?!\d)/g,
+    parse: ([, d]) => [
+      toIsoDate(+d.slice(0, 4), +d.slice(4, 6), +d.slice(6, 8)),
+      toIsoDate(+d.slice(4, 8), +d.slice(2, 4), +d.slice(0, 2)),
+    ],
+  },
+  // 090924 (jjmmaa)
+  {
+    regex: /(?<!\d)(\d{6})(?!\d)/g,
+    parse: ([, d]) => [toIsoDate(+d.slice(4, 6), +d.slice(2, 4), +d.slice(0, 2))],
+  },
+];
+
+/**
+ * Extrait la date de séance du nom d'un fichier
+ *
+ * Quand le nom contient plusieurs dates (ex: date d'affichage après la date de
+ * séance), la première est retenue. L'année du dossier, si elle est connue,
+ * écarte les lectures incohérentes des formats ambigus.
+ *
+ * @param {string} filename - Nom ou chemin du fichier
+ * @param {number} year - Année attendue (dossier), optionnelle
+ * @returns {string|null} - Date AAAA-MM-JJ ou null
+ *
+ * @example
+ * extractDateFromFilename('compte-rendu-seance-du-1er-mars-2021-1.pdf'); // "2021-03-01"
+ * extractDateFromFilename('pv-du-090924-signe.pdf', 2024); // "2024-09-09"
+ */
+export function extractDateFromFilename(filename, year = null) {
+  const name = normalize(
+    filename
+      .split(/[\\/]/)
+      .pop()
+      .replace(/\.pdf$/i, '')
+  );
+  const candidates = [];
+
+  for (const { regex, parse } of FILENAME_PATTERNS) {
+    for (const match of name.matchAll(regex)) {
+      for (const date of parse(match)) {
+        if (!date) continue;
+        // Une date à plus d'un an de l'année du dossier est une mauvaise lecture
+        if (year && Math.abs(Number(date.slice(0, 4)) - year) > 1) continue;
+        candidates.push({ date, index: match.index });
+        break;
+      }
+    }
+  }
+
+  candidates.sort((a, b) => a.index - b.index);
+  return candidates[0]?.date || null;
+}
+
+// =============================================================================
+// EXTRACTION DEPUIS LE TEXTE
+// =============================================================================
+
+/**
+ * Date écrite en toutes lettres ou en chiffres : "6 juillet 2020", "1er mars 2021", "12/04/2016"
+ */
+const TEXT_DATE = `(\\d{1,2})(?:er)?\\s*(?:(${MONTH_PATTERN})\\.?|[/.](\\d{1,2})[/.])\\s*(\\d{4})`;
+
+/**
+ * Convertit un match de TEXT_DATE en date ISO
+ * @param {Array} match - Match de l'expression régulière
+ * @param {number} offset - Index du premier groupe de la date
+ * @returns {string|null} - Date AAAA-MM-JJ ou null
+ */
+function parseTextDate(match, offset) {
+  const [day, monthName, monthNumber, year] = match.slice(offset, offset + 4);
+  const month = monthName ? FRENCH_MONTHS[monthName] : Number(monthNumber);
+  return toIsoDate(Number(year), month, Number(day));
+}
+
+/**
+ * Extrait la date de séance du texte d'un compte-rendu
+ *
+ * 1. En-tête en début de document : ligne "SEANCE DU 6 JUILLET 2020" ou "du 19 mai 2017"
+ * 2. Sinon, la date la plus fréquente après "séance du" : la première
+ *    occurrence est souvent l'approbation du procès-verbal de la séance
+ *    précédente, mais la séance en cours est citée plus souvent.
+ *
+ * @param {string} text - Texte du document (au moins la première page)
+ * @returns {string|null} - Date AAAA-MM-JJ ou null
+ *
+ * @example
+ * extractDateFromText('COMMUNE DE PUTANGES-LE-LAC\nSEANCE DU 31 JANVIER 2022\n...'); // "2022-01-31"
+ */
+export function extractDateFromText(text) {
+  if (!text) return null;
+  const normalized = normalize(text);
+
+  // 1. En-tête
+  const heading = new RegExp(
+    `^[^\\S\\n]*(?:[^\\n]{0,60}seance\\s+(?:\\w+\\s+)?)?du\\s+(?:\\w+\\s+)?${TEXT_DATE}[^\\S\\n]*$`,
+    'm'
+  );
+  const headingMatch = normalized
+    .slice(0, MEETING_DATE_CONFIG.HEADING_SEARCH_LENGTH)
+    .match(heading);
+  const headingDate = headingMatch && parseTextDate(headingMatch, 1);
+  if (headingDate) return headingDate;
+
+  // 2. Date la plus citée après "séance du"
+  const counts = new Map();
+  const mention = new RegExp(`seance\\s+(?:\\w+\\s+)?du\\s+(?:\\w+\\s+)?${TEXT_DATE}`, 'g');
+  for (const match of normalized.matchAll(mention)) {
+    const date = parseTextDate(match, 1);
+    if (date) counts.set(date, (counts.get(date) || 0) + 1);
+  }
+
+  let best = null;
+  for (const [date, count] of counts) {
+    if (!best || count > best.count) best = { date, count };
+  }
+  return best?.date || null;
+}
+
+/**
+ * Détermine la date de séance d'un document
+ *
+ * @param {Object} document - Document à dater
+ * @param {string} document.filename - Nom du fichier
+ * @param {number} document.year - Année du dossier (optionnelle)
+ * @param {string} document.text - Texte du document (optionnel)
+ * @returns {{date: string, source: 'filename'|'text'}|null} - Date ISO et origine
+ */
+export function extractMeetingDate({ filename, year = null, text = '' }) {
+  const fromFilename = filename ? extractDateFromFilename(filename, year) : null;
+  if (fromFilename) return { date: fromFilename, source: 'filename' };
+
+  const fromText = extractDateFromText(text);
+  if (fromText) return { date: fromText, source: 'text' };
+
+  return null;
+}
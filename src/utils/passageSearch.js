@@ -0,0 +1,174 @@
+/**
+ * Recherche de passages dans les comptes-rendus (GET /api/search)
+ *
+ * Les passages sont les candidats classés par le chemin de recherche du chat
+ * (src/utils/retrieval.js : embedding, recherche vectorielle et lexicale,
+ * reranking, recherche hybride temporelle), renvoyés sans génération de
+ * réponse : extrait le plus proche de la requête, page, date de séance et
+ * lien vers la visionneuse.
+ *
+ * Avec le filtre `year`, la recherche est relancée sur cette année (filtre
+ * appliqué par le stockage vectoriel et l'index lexical) : les passages de
+ * l'année ne sont pas limités à ceux qui figuraient parmi les meilleurs
+ * candidats toutes années confondues.
+ *
+ * Le nombre de passages par année (facettes) est calculé sur les candidats de
+ * la recherche sans filtre `year` : après avoir choisi une année, les autres
+ * restent proposées avec leur nombre de passages. Il ne compte que ces
+ * candidats (au plus VECTOR_LIMIT + LEXICAL_LIMIT), pas tous les passages de
+ * l'année qui contiennent les termes de la requête.
+ */
+
+import { buildEnrichedSources } from './retrieval.js';
+
+/**
+ * Configuration de la recherche de passages
+ */
+export const PASSAGE_SEARCH_CONFIG = {
+  MAX_QUERY_LENGTH: 1000, // Longueur maximale de la requête (CHAT_MAX_MESSAGE_LENGTH, comme /api/chat)
+  DEFAULT_LIMIT: 20, // Passages par page
+  MAX_LIMIT: 50, // Au-delà de l'ensemble des candidats (VECTOR_LIMIT + LEXICAL_LIMIT)
+};
+
+/**
+ * Filtres de la recherche
+ * @typedef {Object} PassageSearchFilters
+ * @property {string} q - Requête
+ * @property {number|null} year - Année des passages renvoyés, null pour toutes
+ * @property {number} limit - Nombre maximum de passages
+ * @property {number} offset - Décalage (pagination)
+ */
+
+/**
+ * Nombre de passages d'une année
+ * @typedef {Object} YearFacet
+ * @property {number} year - Année de la séance
+ * @property {number} count - Nombre de passages
+ */
+
+/**
+ * Lit les paramètres de la recherche depuis la query string
+ *
+ * @param {URLSearchParams} params - Paramètres de la requête
+ * @returns {{filters: PassageSearchFilters|null, error: string|null}} - Filtres validés ou message d'erreur
+ *
+ * @example
+ * parsePassageSearchParams(new URLSearchParams('q=voirie&year=2019'));
+ * // { filters: { q: 'voirie', year: 2019, limit: 20, offset: 0 }, error: null }
+ */
+export function parsePassageSearchParams(params) {
+  const readInteger = (name, min, max) => {
+    const value = params.get(name);
+    if (value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= min && number <= max ? number : NaN;
+  };
+
+  const q = (params.get('q') || '').trim();
+  if (!q) {
+    return { filters: null, error: 'Paramètre manquant: q' };
+  }
+  const maxQueryLength =
+    Number(process.env.CHAT_MAX_MESSAGE_LENGTH) || PASSAGE_SEARCH_CONFIG.MAX_QUERY_LENGTH;
+  if (q.length > maxQueryLength) {
+    return { filters: null, error: `Requête trop longue (${maxQueryLength} caractères maximum)` };
+  }
+
+  const filters = {
+    q,
+    year: readInteger('year', 1900, 2100),
+    limit:
+      readInteger('limit', 1, PASSAGE_SEARCH_CONFIG.MAX_LIMIT) ??
+      PASSAGE_SEARCH_CONFIG.DEFAULT_LIMIT,
+    offset: readInteger('offset', 0, Number.MAX_SAFE_INTEGER) ?? 0,
+  };
+
+  const invalid = Object.entries({
+    year: filters.year,
+    limit: filters.limit,
+    offset: filters.offset,
+  }).find(([, value]) => Number.isNaN(value));
+  if (invalid) {
+    return { filters: null, error: `Paramètre invalide: ${invalid[0]}` };
+  }
+
+  return { filters, error: null };
+}
+
+/**
+ * Année de séance d'un passage
+ *
+ * @param {Object} passage - Source enrichie (buildEnrichedSources)
+ * @returns {number|null} - Année, déduite de la date de séance si besoin
+ */
+export function getPassageYear(passage) {
+  const year = Number(passage.year || passage.meetingDate?.slice(0, 4));
+  return Number.isInteger(year) && year > 0 ? year : null;
+}
+
+/**
+ * Compte les passages par année, de la plus récente à la plus ancienne
+ *
+ * Les passages sans année connue ne sont pas comptés.
+ *
+ * @param {Array<Object>} passages - Passages classés
+ * @returns {Array<YearFacet>} - Nombre de passages par année
+ */
+export function countPassagesByYear(passages) {
+  const counts = new Map();
+  for (const passage of passages) {
+    const year = getPassageYear(passage);
+    if (year !== null) counts.set(year, (counts.get(year) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .map(([year, count]) => ({ year, count }))
+    .sort((a, b) => b.year - a.year);
+}
+
+/**
+ * Construit les résultats de la recherche à partir des candidats classés
+ *
+ * Chaque passage garde son rang parmi les candidats. Les candidats d'une autre
+ * année que celle demandée (recherche relancée sans filtre faute de passage
+ * dans l'année) sont écartés. Le texte du chunk n'est pas renvoyé : l'extrait
+ * et le lien vers la visionneuse suffisent à l'affichage.
+ *
+ * @param {Array<Object>} candidates - Candidats classés (retrieveChunks, filtrés sur l'année demandée)
+ * @param {PassageSearchFilters} filters - Filtres validés (parsePassageSearchParams)
+ * @param {Array<Object>} facetCandidates - Candidats de la recherche sans filtre `year`,
+ *   pour les facettes (par défaut les mêmes)
+ * @returns {{total: number, passages: Array<Object>, facets: {years: Array<YearFacet>}}} -
+ *   Nombre de passages de l'année demandée, page de passages et facettes
+ *
+ * @example
+ * const { candidates, embedding } = await retrieveChunks(backends, filters.q);
+ * const { candidates: yearCandidates } = await retrieveChunks(backends, filters.q, {
+ *   embedding,
+ *   temporalQuery: getYearPeriod(filters.year),
+ * });
+ * buildPassageResults(yearCandidates, filters, candidates);
+ * // {
+ * //   total: 4,
+ * //   passages: [{ rank: 2, filename: 'cr-2019-03.pdf', page: 4, meetingDateLabel: '11 mars 2019', snippet: '...', viewerUrl: '/viewer?...', ... }],
+ * //   facets: { years: [{ year: 2020, count: 6 }, { year: 2019, count: 4 }] }
+ * // }
+ */
+export function buildPassageResults(
+  candidates,
+  { q, year = null, limit, offset = 0 },
+  facetCandidates = candidates
+) {
+  const ranked = buildEnrichedSources(candidates, q).map(({ text, ...passage }, index) => ({
+    rank: index + 1,
+    ...passage,
+  }));
+  const matching =
+    year === null ? ranked : ranked.filter((passage) => getPassageYear(passage) === year);
+
+  return {
+    total: matching.length,
+    passages: matching.slice(offset, offset + limit),
+    facets: { years: countPassagesByYear(buildEnrichedSources(facetCandidates, q)) },
+  };
+}
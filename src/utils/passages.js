@@ -0,0 +1,173 @@
+/**
+ * Passages des documents : extrait affiché dans les sources et localisation dans le PDF
+ *
+ * Chaque source d'une réponse porte le texte du chunk retrouvé et un court
+ * extrait, les phrases du chunk qui correspondent le mieux à la question.
+ * La visionneuse (/viewer) ouvre le PDF à la page du chunk et y surligne cet
+ * extrait, en le cherchant parmi les mots de la page (couche texte de pdf.js
+ * ou OCR de la page).
+ *
+ * Module sans dépendance Node : il est aussi chargé par la visionneuse dans
+ * le navigateur.
+ */
+
+/**
+ * Configuration des extraits
+ */
+export const PASSAGES_CONFIG = {
+  SNIPPET_LENGTH: 280, // Longueur maximale de l'extrait affiché (caractères)
+  MIN_TERM_LENGTH: 4, // Mots plus courts ignorés (articles, prépositions)
+  MIN_MATCH_RATIO: 0.4, // Part des mots de l'extrait à retrouver sur la page
+  MIN_MATCHED_WORDS: 3, // En dessous, la localisation n'est pas fiable
+  VIEWER_PATH: '/viewer',
+};
+
+/**
+ * Fin de phrase (ou de proposition, pour les longues énumérations des comptes-rendus)
+ */
+const SENTENCE_BOUNDARY = /(?<=[.!?;:])\s+/;
+
+/**
+ * Normalise un mot pour la comparaison : minuscules, sans accents ni
+ * ponctuation, sans marque du pluriel
+ *
+ * @param {string} word - Mot à normaliser
+ * @returns {string} - Mot normalisé, vide s'il ne contient ni lettre ni chiffre
+ *
+ * @example
+ * normalizeWord('Délibérations,'); // 'deliberation'
+ */
+export function normalizeWord(word) {
+  const normalized = (word || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+  return normalized.length > 3 ? normalized.replace(/[sx]$/, '') : normalized;
+}
+
+/**
+ * Termes significatifs d'un texte (mots normalisés assez longs et nombres)
+ * @param {string} text - Texte à analyser
+ * @returns {Set<string>} - Termes
+ */
+function significantTerms(text) {
+  return new Set(
+    (text || '')
+      .split(/\s+/)
+      .map(normalizeWord)
+      .filter((term) => term.length >= PASSAGES_CONFIG.MIN_TERM_LENGTH || /^\d+$/.test(term))
+  );
+}
+
+/**
+ * Extrait d'un chunk qui correspond le mieux à la question
+ *
+ * La phrase qui contient le plus de termes de la question est complétée
+ * par les suivantes (puis les précédentes) jusqu'à la longueur maximale.
+ * Sans terme commun, l'extrait est le début du chunk.
+ *
+ * @param {string} text - Texte du chunk
+ * @param {string} question - Question posée
+ * @param {number} maxLength - Longueur maximale de l'extrait
+ * @returns {string} - Extrait, tronqué avec "…" si nécessaire
+ *
+ * @example
+ * extractSnippet(chunk.text, 'Quels travaux de voirie en 2019 ?');
+ * // 'Le conseil municipal approuve le programme de travaux de voirie 2019 pour un montant de ...'
+ */
+export function extractSnippet(text, question, maxLength = PASSAGES_CONFIG.SNIPPET_LENGTH) {
+  const sentences = (text || '').replace(/\s+/g, ' ').trim().split(SENTENCE_BOUNDARY);
+  const terms = significantTerms(question);
+
+  const scores = sentences.map((sentence) => {
+    const sentenceTerms = significantTerms(sentence);
+    return [...terms].filter((term) => sentenceTerms.has(term)).length;
+  });
+  const best = scores.indexOf(Math.max(...scores));
+
+  let first = best;
+  let last = best;
+  const length = () => sentences.slice(first, last + 1).join(' ').length;
+  while (last + 1 < sentences.length && length() + sentences[last + 1].length < maxLength) last++;
+  while (first > 0 && length() + sentences[first - 1].length < maxLength) first--;
+
+  const snippet = sentences.slice(first, last + 1).join(' ');
+  if (snippet.length <= maxLength) return snippet;
+
+  const cut = snippet.lastIndexOf(' ', maxLength - 1);
+  return `${snippet.slice(0, cut > 0 ? cut : maxLength - 1)}…`;
+}
+
+/**
+ * Localise un passage parmi les mots d'une page
+ *
+ * Les mots de la page (couche texte ou OCR) ne coïncident pas exactement
+ * avec le texte indexé : césures, erreurs d'OCR, ordre de lecture des
+ * colonnes. On retient la fenêtre de la longueur du passage qui contient le
+ * plus de ses mots, réduite au premier et au dernier mot retrouvés.
+ *
+ * @param {Array<string>} words - Mots de la page, dans l'ordre de lecture
+ * @param {string} passage - Passage à localiser (extrait ou texte du chunk)
+ * @returns {{start: number, end: number, matched: number}|null} - Indices du premier et du dernier mot (inclus), null si le passage n'est pas sur la page
+ *
+ * @example
+ * locatePassage(['Le', 'conseil', 'approuve', 'les', 'travaux', 'de', 'voirie'], 'approuve les travaux de voirie');
+ * // { start: 2, end: 6, matched: 5 }
+ */
+export function locatePassage(words, passage) {
+  const passageWords = (passage || '').split(/\s+/).map(normalizeWord).filter(Boolean);
+  const passageSet = new Set(passageWords);
+  const window = passageWords.length;
+  if (window === 0 || words.length === 0) return null;
+
+  const hits = words.map((word) => {
+    const normalized = normalizeWord(word);
+    return normalized !== '' && passageSet.has(normalized) ? 1 : 0;
+  });
+
+  // Fenêtre glissante de la longueur du passage
+  let count = hits.slice(0, window).reduce((sum, hit) => sum + hit, 0);
+  let best = { start: 0, count };
+  for (let start = 1; start + window <= words.length; start++) {
+    count += hits[start + window - 1] - hits[start - 1];
+    if (count > best.count) best = { start, count };
+  }
+
+  const required = Math.max(
+    PASSAGES_CONFIG.MIN_MATCHED_WORDS,
+    Math.ceil(Math.min(window, words.length) * PASSAGES_CONFIG.MIN_MATCH_RATIO)
+  );
+  if (best.count < Math.min(required, window)) return null;
+
+  const windowEnd = Math.min(best.start + window, words.length) - 1;
+  let start = best.start;
+  let end = windowEnd;
+  while (!hits[start]) start++;
+  while (!hits[end]) end--;
+  return { start, end, matched: best.count };
+}
+
+/**
+ * Construit le lien vers la visionneuse, ouverte à la page du passage
+ *
+ * @param {Object} passage - Passage à afficher
+ * @param {string} passage.filepath - Chemin public du PDF (/datas/...)
+ * @param {number} passage.page - Page où commence le passage
+ * @param {number|null} passage.pageEnd - Page où il se termine
+ * @param {string} passage.highlight - Texte à surligner
+ * @returns {string|null} - URL de la visionneuse, null sans fichier
+ *
+ * @example
+ * buildViewerUrl({ filepath: '/datas/2019/cr.pdf', page: 5, pageEnd: 6, highlight: 'travaux de voirie' });
+ * // '/viewer?file=%2Fdatas%2F2019%2Fcr.pdf&page=5&end=6&q=travaux+de+voirie'
+ */
+export function buildViewerUrl({ filepath, page, pageEnd = null, highlight = '' }) {
+  if (!filepath) return null;
+
+  const params = new URLSearchParams({ file: filepath });
+  if (page) params.set('page', String(page));
+  if (pageEnd && page && pageEnd > page) params.set('end', String(pageEnd));
+  if (highlight) params.set('q', highlight);
+  return `${PASSAGES_CONFIG.VIEWER_PATH}?${params}`;
+}
@@ -0,0 +1,58 @@
+/**
+ * Inventaire des comptes-rendus PDF stockés dans public/datas
+ * Utilisé par la page /documents et par le script d'ingestion
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Liste récursivement tous les PDF dans un dossier donné.
+ * @param {string} dir - Dossier à parcourir
+ * @param {string} base - Chemin relatif pour l'URL
+ * @returns {{name: string, path: string, year: number}[]} Liste des PDF avec année
+ */
+export function listPdfs(dir, base = '') {
+  /** @type {{name: string, path: string, year: number}[]} */
+  let results = [];
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const relPath = path.join(base, entry.name);
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      results = results.concat(listPdfs(fullPath, relPath));
+    } else if (entry.isFile() && entry.name.endsWith('.pdf')) {
+      // Extraire l'année du filepath
+      const pathParts = relPath.split(path.sep);
+      let year = null;
+
+      // Chercher l'année dans les parties du chemin
+      for (const part of pathParts) {
+        if (/^\d{4}$/.test(part)) {
+          year = parseInt(part);
+          break;
+        }
+      }
+
+      // Si pas d'année trouvée, essayer d'extraire du nom de fichier
+      if (!year) {
+        const yearMatch = entry.name.match(/\d{4}/);
+        if (yearMatch) {
+          year = parseInt(yearMatch[0]);
+        }
+      }
+
+      // Fallback à l'année actuelle si aucune année trouvée
+      if (!year) {
+        year = new Date().getFullYear();
+      }
+
+      results.push({
+        name: entry.name,
+        path: '/datas/' + relPath.replace(/\\/g, '/'),
+        year: year,
+      });
+    }
+  }
+  return results;
+}
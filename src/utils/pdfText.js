@@ -0,0 +1,121 @@
+/**
+ * Extraction du texte des PDF côté serveur (Node)
+ * Utilise d'abord la couche texte de pdf.js, puis bascule sur l'OCR Tesseract
+ * pour les pages numérisées qui n'en contiennent pas.
+ */
+
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+/**
+ * Configuration de l'extraction de texte
+ */
+export const PDF_TEXT_CONFIG = {
+  MIN_TEXT_LENGTH: 100, // En dessous, la page est considérée comme numérisée
+  OCR_LANGUAGE: 'fra', // Langue Tesseract
+  OCR_SCALE: 2, // Facteur de rendu de la page avant OCR (même valeur que dans le navigateur)
+};
+
+/**
+ * Extrait le texte de la couche texte d'une page pdf.js
+ * @param {Object} page - Page pdf.js (PDFPageProxy)
+ * @returns {Promise<string>} - Texte de la page, lignes séparées par des retours à la ligne
+ */
+export async function extractTextLayer(page) {
+  const content = await page.getTextContent();
+  return content.items
+    .map((item) => ('str' in item ? item.str + (item.hasEOL ? '\n' : '') : ''))
+    .join('')
+    .trim();
+}
+
+/**
+ * Indique si le texte extrait est exploitable (et non une page numérisée)
+ * @param {string} text - Texte extrait
+ * @param {number} minLength - Nombre minimal de caractères alphanumériques
+ * @returns {boolean}
+ */
+export function hasUsableText(text, minLength = PDF_TEXT_CONFIG.MIN_TEXT_LENGTH) {
+  return (text.match(/[\p{L}\p{N}]/gu) || []).length >= minLength;
+}
+
+/**
+ * Crée un moteur OCR Tesseract réutilisable pour plusieurs pages
+ * Les dépendances (tesseract.js, @napi-rs/canvas) ne sont chargées qu'au
+ * premier besoin, pour que l'extraction par couche texte fonctionne sans elles.
+ * @param {string} language - Langue Tesseract (défaut: fra)
+ * @returns {Promise<{recognize: Function, terminate: Function}>}
+ */
+export async function createOcrEngine(language = PDF_TEXT_CONFIG.OCR_LANGUAGE) {
+  const { createWorker } = await import('tesseract.js');
+  const { createCanvas } = await import('@napi-rs/canvas');
+  // La langue est chargée via reinitialize() : si son téléchargement échoue,
+  // createWorker(language) ne rejette jamais sa promesse et bloque le processus
+  const worker = await createWorker([], 1, { errorHandler: () => {} });
+  try {
+    await worker.reinitialize(language);
+  } catch (error) {
+    await worker.terminate();
+    throw new Error(`Chargement de la langue OCR "${language}" impossible: ${error}`);
+  }
+
+  return {
+    /**
+     * Rend une page pdf.js en image puis la passe à Tesseract
+     * @param {Object} page - Page pdf.js
+     * @returns {Promise<string>} - Texte reconnu
+     */
+    async recognize(page) {
+      const viewport = page.getViewport({ scale: PDF_TEXT_CONFIG.OCR_SCALE });
+      const canvas = createCanvas(viewport.width, viewport.height);
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+      const image = await canvas.encode('png');
+
+      const {
+        data: { text },
+      } = await worker.recognize(image);
+      return text.trim();
+    },
+
+    async terminate() {
+      await worker.terminate();
+    },
+  };
+}
+
+/**
+ * Extrait le texte de toutes les pages d'un PDF
+ *
+ * @param {Uint8Array} data - Contenu binaire du PDF
+ * @param {Object} options - Options d'extraction
+ * @param {boolean} options.forceOcr - Ignore la couche texte et applique l'OCR partout
+ * @param {Function} options.getOcrEngine - Fournit le moteur OCR (créé à la demande)
+ * @param {Function} options.onPage - Callback appelé après chaque page ({ page_number, method, total })
+ * @returns {Promise<Array<{page_number: number, text: string, method: string}>>} Pages extraites
+ */
+export async function extractPdfPages(data, { forceOcr = false, getOcrEngine, onPage } = {}) {
+  const pdf = await getDocument({ data, verbosity: 0 }).promise;
+  const pages = [];
+
+  try {
+    for (let i = 1; i <= pdf.numPages; i++) {
+      const page = await pdf.getPage(i);
+      let text = forceOcr ? '' : await extractTextLayer(page);
+      let method = 'text-layer';
+
+      if (!hasUsableText(text)) {
+        if (!getOcrEngine) throw new Error(`Page ${i} sans couche texte et OCR indisponible`);
+        const ocr = await getOcrEngine();
+        text = await ocr.recognize(page);
+        method = 'ocr';
+      }
+
+      pages.push({ page_number: i, text, method });
+      page.cleanup();
+      onPage?.({ page_number: i, method, total: pdf.numPages });
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return pages;
+}
@@ -0,0 +1,55 @@
+/**
+ * Fusion de listes de résultats par rang réciproque (Reciprocal Rank Fusion)
+ *
+ * Les scores de la recherche vectorielle (cosinus) et de la recherche lexicale
+ * (BM25) ne sont pas comparables ; seuls les rangs le sont. Chaque chunk reçoit
+ * la somme de 1 / (k + rang) sur les listes où il apparaît.
+ */
+
+/**
+ * Configuration de la fusion
+ */
+export const RANK_FUSION_CONFIG = {
+  K: 60, // Constante d'amortissement des rangs (valeur usuelle)
+};
+
+/**
+ * Fusionne plusieurs listes classées de résultats
+ *
+ * Le score fusionné est normalisé entre 0 et 1 (1 = premier de toutes les
+ * listes) pour rester combinable avec la pondération temporelle.
+ *
+ * @param {Object<string, Array<{id: string}>>} rankedLists - Listes classées par source (ex: { dense, lexical })
+ * @param {number} k - Constante d'amortissement (défaut: 60)
+ * @returns {Array<Object>} - Résultats fusionnés, triés, avec `score`, `sourceScores` et `sourceRanks`
+ *
+ * @example
+ * reciprocalRankFusion({ dense: [{ id: 'a', score: 0.8 }], lexical: [{ id: 'a', score: 12.4 }] });
+ * // [{ id: 'a', score: 1, sourceScores: { dense: 0.8, lexical: 12.4 }, sourceRanks: { dense: 1, lexical: 1 } }]
+ */
+export function reciprocalRankFusion(rankedLists, k = RANK_FUSION_CONFIG.K) {
+  const sources = Object.keys(rankedLists);
+  const maxScore = sources.length / (k + 1);
+  const fused = new Map();
+
+  for (const source of sources) {
+    rankedLists[source].forEach((item, index) => {
+      const rank = index + 1;
+      const entry = fused.get(item.id) || {
+        ...item,
+        rrfScore: 0,
+        sourceScores: {},
+        sourceRanks: {},
+      };
+
+      entry.rrfScore += 1 / (k + rank);
+      entry.sourceScores[source] = item.score;
+      entry.sourceRanks[source] = rank;
+      fused.set(item.id, entry);
+    });
+  }
+
+  return [...fused.values()]
+    .map(({ rrfScore, ...entry }) => ({ ...entry, score: maxScore ? rrfScore / maxScore : 0 }))
+    .sort((a, b) => b.score - a.score);
+}
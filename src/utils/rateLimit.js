@@ -0,0 +1,405 @@
+/**
+ * Limitation du débit des requêtes de POST /api/chat et GET /api/search
+ *
+ * Chaque question déclenche des appels payants au fournisseur d'IA
+ * (embedding, génération), chaque recherche un appel d'embedding. Le chat et
+ * la recherche partagent les mêmes compteurs. Deux compteurs par fenêtre fixe limitent le débit :
+ * - par adresse IP : un client ne peut pas épuiser le quota à lui seul
+ * - global : plafond de toutes les requêtes, quel que soit le client
+ *
+ * Au-delà, la route répond 429 avec l'en-tête Retry-After (secondes jusqu'à
+ * la fin de la fenêtre).
+ *
+ * Les échecs d'authentification administrateur (jeton refusé à la connexion
+ * ou dans l'en-tête Authorization) ont leur propre compteur par IP, sur une
+ * fenêtre plus longue : au-delà, le jeton n'est plus vérifié.
+ *
+ * RATE_LIMIT_STORE (où sont gardés les compteurs) :
+ * - memory : mémoire du processus (défaut) ; chaque instance serverless a ses propres compteurs
+ * - file   : fichier JSON partagé par les processus d'une même machine
+ * - kv     : Redis via l'API REST d'Upstash / Vercel KV (KV_REST_API_URL, KV_REST_API_TOKEN),
+ *            compteurs partagés entre toutes les instances
+ * - none   : pas de limitation
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createKvClient } from './kvStore.js';
+
+/**
+ * Configuration par défaut de la limitation
+ */
+export const RATE_LIMIT_CONFIG = {
+  WINDOW_SECONDS: 60, // Durée d'une fenêtre (RATE_LIMIT_WINDOW)
+  PER_IP: 10, // Requêtes par IP et par fenêtre (RATE_LIMIT_PER_IP, 0 = illimité)
+  GLOBAL: 120, // Requêtes de tous les clients par fenêtre (RATE_LIMIT_GLOBAL, 0 = illimité)
+  ADMIN_ATTEMPTS: 5, // Jetons d'administration refusés par IP et par fenêtre (RATE_LIMIT_ADMIN_ATTEMPTS, 0 = illimité)
+  ADMIN_WINDOW_SECONDS: 15 * 60, // Durée d'une fenêtre des échecs d'authentification
+  DEFAULT_FILE: '.data/rate-limit.json', // Stockage "file" (RATE_LIMIT_FILE)
+  KEY_PREFIX: 'ratelimit:', // Préfixe des clés Redis
+};
+
+/**
+ * Lit un entier positif ou nul depuis une variable d'environnement
+ * @param {string|undefined} value - Valeur de la variable
+ * @param {number} fallback - Valeur par défaut
+ * @returns {number}
+ */
+function readCount(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isInteger(parsed) && parsed >= 0
+    ? parsed
+    : fallback;
+}
+
+/**
+ * Lit la configuration de la limitation depuis les variables d'environnement
+ * @returns {{store: string, windowSeconds: number, perIp: number, global: number, adminAttempts: number, filePath: string, kvUrl: string|undefined, kvToken: string|undefined, missing: Array<string>}} - Configuration
+ */
+export function getRateLimitConfig() {
+  const store = process.env.RATE_LIMIT_STORE || 'memory';
+  const kvUrl = process.env.KV_REST_API_URL;
+  const kvToken = process.env.KV_REST_API_TOKEN;
+
+  const missing = [];
+  if (store === 'kv') {
+    if (!kvUrl) missing.push('KV_REST_API_URL');
+    if (!kvToken) missing.push('KV_REST_API_TOKEN');
+  }
+
+  return {
+    store,
+    windowSeconds:
+      readCount(process.env.RATE_LIMIT_WINDOW, RATE_LIMIT_CONFIG.WINDOW_SECONDS) ||
+      RATE_LIMIT_CONFIG.WINDOW_SECONDS,
+    perIp: readCount(process.env.RATE_LIMIT_PER_IP, RATE_LIMIT_CONFIG.PER_IP),
+    global: readCount(process.env.RATE_LIMIT_GLOBAL, RATE_LIMIT_CONFIG.GLOBAL),
+    adminAttempts: readCount(
+      process.env.RATE_LIMIT_ADMIN_ATTEMPTS,
+      RATE_LIMIT_CONFIG.ADMIN_ATTEMPTS
+    ),
+    filePath: path.resolve(process.env.RATE_LIMIT_FILE || RATE_LIMIT_CONFIG.DEFAULT_FILE),
+    kvUrl,
+    kvToken,
+    missing,
+  };
+}
+
+// =============================================================================
+// STOCKAGE DES COMPTEURS
+// =============================================================================
+
+/**
+ * Compteurs du stockage "memory", partagés entre les requêtes du processus
+ */
+const memoryCounters = new Map();
+
+/**
+ * Files d'écriture du stockage "file", une par fichier, partagées entre les requêtes
+ */
+const fileQueues = new Map();
+
+/**
+ * Retire les compteurs des fenêtres terminées
+ * @param {Object<string, {count: number, expiresAt: number}>|Map} counters - Compteurs
+ * @param {number} now - Date courante (ms)
+ */
+function pruneCounters(counters, now) {
+  if (counters instanceof Map) {
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(key);
+    }
+    return;
+  }
+  for (const key of Object.keys(counters)) {
+    if (counters[key].expiresAt <= now) delete counters[key];
+  }
+}
+
+/**
+ * Crée le stockage des compteurs configuré
+ *
+ * Chaque clé désigne un compteur d'une fenêtre précise (la date de début de
+ * la fenêtre fait partie de la clé) : il suffit de l'incrémenter, et de
+ * l'oublier une fois la fenêtre terminée.
+ *
+ * @param {Object} config - Configuration retournée par getRateLimitConfig
+ * @returns {{name: string, increment: (key: string, expiresAt: number) => Promise<number>, get: (key: string) => Promise<number>}}
+ *   increment retourne la valeur du compteur après incrément, get sa valeur sans le modifier
+ */
+export function createRateLimitStore(config) {
+  switch (config.store) {
+    case 'none':
+      return {
+        name: 'none',
+        async increment() {
+          return 0;
+        },
+        async get() {
+          return 0;
+        },
+      };
+
+    case 'memory':
+      return {
+        name: 'memory',
+        async increment(key, expiresAt) {
+          const now = Date.now();
+          pruneCounters(memoryCounters, now);
+          const counter = memoryCounters.get(key) || { count: 0, expiresAt };
+          counter.count++;
+          memoryCounters.set(key, counter);
+          return counter.count;
+        },
+        async get(key) {
+          pruneCounters(memoryCounters, Date.now());
+          return memoryCounters.get(key)?.count || 0;
+        },
+      };
+
+    case 'file':
+      // Les écritures du processus sont sérialisées, comme pour l'index lexical
+      return {
+        name: 'file',
+        async increment(key, expiresAt) {
+          const queue = fileQueues.get(config.filePath) || Promise.resolve();
+          const run = queue.then(() => {
+            const counters = fs.existsSync(config.filePath)
+              ? JSON.parse(fs.readFileSync(config.filePath, 'utf8')).counters
+              : {};
+            pruneCounters(counters, Date.now());
+            counters[key] = { count: (counters[key]?.count || 0) + 1, expiresAt };
+
+            fs.mkdirSync(path.dirname(config.filePath), { recursive: true });
+            const tmpPath = `${config.filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, counters }));
+            fs.renameSync(tmpPath, config.filePath);
+            return counters[key].count;
+          });
+          fileQueues.set(
+            config.filePath,
+            run.catch(() => {})
+          );
+          return run;
+        },
+        async get(key) {
+          if (!fs.existsSync(config.filePath)) return 0;
+          const counter = JSON.parse(fs.readFileSync(config.filePath, 'utf8')).counters[key];
+          return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+        },
+      };
+
+    case 'kv':
+      return {
+        name: 'kv',
+        async increment(key, expiresAt) {
+          // INCR puis expiration en une seule requête (pipeline REST d'Upstash)
+          const [count] = await createKvClient({
+            url: config.kvUrl,
+            token: config.kvToken,
+          }).pipeline([
+            ['INCR', `${RATE_LIMIT_CONFIG.KEY_PREFIX}${key}`],
+            ['PEXPIREAT', `${RATE_LIMIT_CONFIG.KEY_PREFIX}${key}`, expiresAt],
+          ]);
+          return count;
+        },
+        async get(key) {
+          const count = await createKvClient({ url: config.kvUrl, token: config.kvToken }).command(
+            'GET',
+            `${RATE_LIMIT_CONFIG.KEY_PREFIX}${key}`
+          );
+          return Number(count) || 0;
+        },
+      };
+
+    default:
+      throw new Error(`RATE_LIMIT_STORE inconnu: ${config.store} (memory, file, kv ou none)`);
+  }
+}
+
+// =============================================================================
+// CONTRÔLE DU DÉBIT
+// =============================================================================
+
+/**
+ * Compte une requête et indique si elle est acceptée
+ *
+ * Le compteur par IP est vérifié en premier : un client bloqué ne consomme
+ * pas le quota global.
+ *
+ * @param {Object} store - Stockage retourné par createRateLimitStore
+ * @param {Object} config - Configuration retournée par getRateLimitConfig
+ * @param {string} clientId - Identifiant du client (adresse IP)
+ * @param {number} now - Date courante (ms)
+ * @returns {Promise<{allowed: boolean, scope: string|null, limit: number|null, remaining: number|null, resetAt: number, retryAfter: number}>}
+ *   scope : compteur dépassé ('ip' ou 'global'), retryAfter : secondes avant la fin de la fenêtre
+ *
+ * @example
+ * const result = await checkRateLimit(store, config, '203.0.113.4');
+ * // { allowed: false, scope: 'ip', limit: 10, remaining: 0, resetAt: 1740823260000, retryAfter: 42 }
+ */
+export async function checkRateLimit(store, config, clientId, now = Date.now()) {
+  const windowMs = config.windowSeconds * 1000;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const resetAt = windowStart + windowMs;
+  const retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+
+  const scopes = [
+    { scope: 'ip', limit: config.perIp, key: `chat:ip:${clientId || 'unknown'}:${windowStart}` },
+    { scope: 'global', limit: config.global, key: `chat:global:${windowStart}` },
+  ].filter(({ limit }) => limit > 0);
+
+  let remaining = null;
+  for (const { scope, limit, key } of scopes) {
+    const count = await store.increment(key, resetAt);
+    if (count > limit) {
+      return { allowed: false, scope, limit, remaining: 0, resetAt, retryAfter };
+    }
+    if (scope === 'ip') remaining = limit - count;
+  }
+
+  return {
+    allowed: true,
+    scope: null,
+    limit: config.perIp || null,
+    remaining,
+    resetAt,
+    retryAfter: 0,
+  };
+}
+
+/**
+ * Applique la limitation du débit à un client
+ *
+ * Si le stockage des compteurs est indisponible (KV injoignable, fichier en
+ * lecture seule), la requête est acceptée : une panne du limiteur ne doit pas
+ * rendre le chatbot inutilisable.
+ *
+ * @param {string|null} clientId - Identifiant du client (adresse IP)
+ * @returns {Promise<Object|null>} Résultat de checkRateLimit et en-têtes de la réponse 429
+ *   (Retry-After, RateLimit-*) si le débit est dépassé, null sinon
+ *
+ * @example
+ * const limited = await enforceClientRateLimit(ip);
+ * if (limited) {
+ *   return new Response('Trop de requêtes', { status: 429, headers: limited.headers });
+ * }
+ */
+export async function enforceClientRateLimit(clientId) {
+  const config = getRateLimitConfig();
+
+  let result;
+  try {
+    if (config.missing.length > 0) {
+      throw new Error(`Variables d'environnement manquantes: ${config.missing.join(', ')}`);
+    }
+    result = await checkRateLimit(createRateLimitStore(config), config, clientId);
+  } catch (error) {
+    console.warn(`[API] ⚠️ Limitation du débit indisponible: ${error.message}`);
+    return null;
+  }
+  if (result.allowed) return null;
+
+  console.warn(
+    `[API] 🚦 Débit dépassé (${result.scope}, ${result.limit} requêtes / ${config.windowSeconds} s) pour ${clientId || 'IP inconnue'}`
+  );
+  return {
+    ...result,
+    headers: {
+      'Retry-After': String(result.retryAfter),
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': String(result.retryAfter),
+    },
+  };
+}
+
+// =============================================================================
+// ÉCHECS D'AUTHENTIFICATION ADMINISTRATEUR
+// =============================================================================
+
+/**
+ * Compteur des échecs d'authentification d'un client pour la fenêtre en cours
+ * @param {string|null} clientId - Identifiant du client (adresse IP)
+ * @param {number} now - Date courante (ms)
+ * @returns {{key: string, resetAt: number, retryAfter: number}} - Clé du compteur, fin de la
+ *   fenêtre (ms) et secondes restantes
+ */
+function getAdminAttemptCounter(clientId, now = Date.now()) {
+  const windowMs = RATE_LIMIT_CONFIG.ADMIN_WINDOW_SECONDS * 1000;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const resetAt = windowStart + windowMs;
+
+  return {
+    key: `admin:ip:${clientId || 'unknown'}:${windowStart}`,
+    resetAt,
+    retryAfter: Math.max(1, Math.ceil((resetAt - now) / 1000)),
+  };
+}
+
+/**
+ * Refuse les tentatives d'authentification d'un client qui a épuisé ses essais
+ *
+ * À appeler avant de vérifier le jeton : une fois la limite atteinte, même
+ * le bon jeton est refusé jusqu'à la fin de la fenêtre. Comme pour le chat,
+ * une panne du stockage des compteurs laisse passer la requête.
+ *
+ * @param {string|null} clientId - Identifiant du client (adresse IP)
+ * @returns {Promise<{retryAfter: number, headers: Object}|null>} Délai et en-têtes de la
+ *   réponse 429 si le client est bloqué, null sinon
+ *
+ * @example
+ * const limited = await enforceAdminAttemptLimit(ip);
+ * if (limited) {
+ *   return new Response('Trop de tentatives', { status: 429, headers: limited.headers });
+ * }
+ * if (!checkAdminToken(authConfig, token)) await recordFailedAdminAttempt(ip);
+ */
+export async function enforceAdminAttemptLimit(clientId) {
+  const config = getRateLimitConfig();
+  if (config.adminAttempts === 0) return null;
+
+  const { key, retryAfter } = getAdminAttemptCounter(clientId);
+  let failures;
+  try {
+    if (config.missing.length > 0) {
+      throw new Error(`Variables d'environnement manquantes: ${config.missing.join(', ')}`);
+    }
+    failures = await createRateLimitStore(config).get(key);
+  } catch (error) {
+    console.warn(`[API] ⚠️ Limitation des essais administrateur indisponible: ${error.message}`);
+    return null;
+  }
+  if (failures < config.adminAttempts) return null;
+
+  console.warn(
+    `[API] 🚦 Trop d'essais de jeton administrateur (${config.adminAttempts} / ${RATE_LIMIT_CONFIG.ADMIN_WINDOW_SECONDS} s) pour ${clientId || 'IP inconnue'}`
+  );
+  return {
+    retryAfter,
+    headers: {
+      'Retry-After': String(retryAfter),
+      'RateLimit-Limit': String(config.adminAttempts),
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': String(retryAfter),
+    },
+  };
+}
+
+/**
+ * Compte un jeton d'administration refusé
+ *
+ * @param {string|null} clientId - Identifiant du client (adresse IP)
+ * @returns {Promise<void>}
+ */
+export async function recordFailedAdminAttempt(clientId) {
+  const config = getRateLimitConfig();
+  if (config.adminAttempts === 0 || config.missing.length > 0) return;
+
+  const { key, resetAt } = getAdminAttemptCounter(clientId);
+  try {
+    await createRateLimitStore(config).increment(key, resetAt);
+  } catch (error) {
+    console.warn(`[API] ⚠️ Limitation des essais administrateur indisponible: ${error.message}`);
+  }
+}
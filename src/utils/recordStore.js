@@ -0,0 +1,151 @@
+/**
+ * Stockage local des données structurées extraites des comptes-rendus
+ *
+ * Les chunks servent à la recherche en texte libre ; certaines questions
+ * demandent au contraire des données exactes (délibérations, votes...), extraites
+ * une fois pour toutes à l'ingestion. Chaque type de données est stocké dans
+ * son propre fichier JSON (RECORDS_DIR/<nom>.json), avec le même mode
+ * d'écriture que l'index lexical : fichier temporaire puis renommage, écritures
+ * sérialisées.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { matchesFilter } from './vectorStore.js';
+
+/**
+ * Configuration du stockage des données structurées
+ */
+export const RECORD_STORE_CONFIG = {
+  DEFAULT_DIR: '.data/records', // Relatif au répertoire courant
+};
+
+/**
+ * Lit la configuration du stockage depuis les variables d'environnement
+ * @returns {{dir: string}} - Répertoire des fichiers
+ */
+export function getRecordStoreConfig() {
+  return {
+    dir: path.resolve(process.env.RECORDS_DIR || RECORD_STORE_CONFIG.DEFAULT_DIR),
+  };
+}
+
+// =============================================================================
+// PERSISTANCE
+// =============================================================================
+
+/**
+ * Fichiers déjà chargés, partagés entre les requêtes (rechargés si le fichier change)
+ */
+const loadedFiles = new Map();
+
+/**
+ * Charge les enregistrements d'un fichier
+ * @param {string} filePath - Chemin absolu du fichier
+ * @returns {Array<Object>} - Enregistrements
+ */
+function loadRecordFile(filePath) {
+  const mtime = fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : 0;
+  const cached = loadedFiles.get(filePath);
+  if (cached && cached.mtime === mtime) return cached.records;
+
+  const records = mtime ? JSON.parse(fs.readFileSync(filePath, 'utf8')).records : [];
+  loadedFiles.set(filePath, { mtime, records });
+  return records;
+}
+
+/**
+ * Écrit les enregistrements (fichier temporaire puis renommage)
+ * @param {string} filePath - Chemin absolu du fichier
+ * @param {Array<Object>} records - Enregistrements
+ */
+function saveRecordFile(filePath, records) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, records }));
+  fs.renameSync(tmpPath, filePath);
+
+  loadedFiles.set(filePath, { mtime: fs.statSync(filePath).mtimeMs, records });
+}
+
+// =============================================================================
+// STOCKAGE
+// =============================================================================
+
+/**
+ * Crée l'accès à un type d'enregistrements
+ *
+ * Chaque enregistrement porte `filename` et `filepath` : les enregistrements
+ * d'un document sont remplacés ou supprimés avec le même filtre que ses chunks
+ * (buildDocumentFilter).
+ *
+ * @param {Object} config - Configuration retournée par getRecordStoreConfig
+ * @param {string} name - Type d'enregistrements (nom du fichier, ex: "deliberations")
+ * @returns {{name: string, replaceByFilter: Function, deleteByFilter: Function, append: Function, all: () => Array<Object>}} - Stockage
+ */
+export function createRecordStore(config, name) {
+  const filePath = path.join(config.dir, `${name}.json`);
+
+  // Les écritures sont sérialisées, comme pour l'index lexical
+  let writeQueue = Promise.resolve();
+  const write = (mutate) => {
+    const run = writeQueue.then(() => {
+      const { records, result } = mutate(loadRecordFile(filePath));
+      saveRecordFile(filePath, records);
+      return result;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    name,
+
+    /**
+     * Remplace les enregistrements correspondant au filtre (ceux d'un document)
+     * @param {Object} filter - Filtre (syntaxe Qdrant)
+     * @param {Array<Object>} records - Nouveaux enregistrements
+     * @returns {Promise<number>} - Nombre d'enregistrements remplacés
+     */
+    async replaceByFilter(filter, records) {
+      return write((existing) => {
+        const kept = existing.filter((record) => !matchesFilter(record, filter));
+        return { records: [...kept, ...records], result: existing.length - kept.length };
+      });
+    },
+
+    /**
+     * Supprime les enregistrements correspondant au filtre
+     * @param {Object} filter - Filtre (syntaxe Qdrant)
+     * @returns {Promise<number>} - Nombre d'enregistrements supprimés
+     */
+    async deleteByFilter(filter) {
+      return write((existing) => {
+        const kept = existing.filter((record) => !matchesFilter(record, filter));
+        return { records: kept, result: existing.length - kept.length };
+      });
+    },
+
+    /**
+     * Ajoute des enregistrements à la fin du fichier (journaux)
+     * @param {Array<Object>} records - Nouveaux enregistrements
+     * @param {number} maxRecords - Nombre maximal conservé, les plus anciens sont retirés
+     * @returns {Promise<number>} - Nombre d'enregistrements retirés
+     */
+    async append(records, maxRecords = Infinity) {
+      return write((existing) => {
+        const all = [...existing, ...records];
+        const removed = Math.max(0, all.length - maxRecords);
+        return { records: all.slice(removed), result: removed };
+      });
+    },
+
+    /**
+     * Tous les enregistrements
+     * @returns {Array<Object>} - Enregistrements (à ne pas modifier)
+     */
+    all() {
+      return loadRecordFile(filePath);
+    },
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Reranking des chunks candidats par cross-encoder
+ *
+ * La similarité cosinus compare deux embeddings calculés séparément ; un
+ * cross-encoder lit la question et le chunk ensemble et juge bien mieux si le
+ * chunk y répond. Il fait remonter la délibération qui contient la réponse
+ * au-dessus des passages génériques ("Ouverture de séance", listes de
+ * présence) avant la construction du contexte du LLM.
+ *
+ * RERANKER_PROVIDER:
+ * - none         : pas de reranking (défaut)
+ * - transformers : cross-encoder exécuté dans le processus Node via transformers.js
+ */
+
+/**
+ * Configuration par défaut du reranking
+ */
+export const RERANKER_CONFIG = {
+  DEFAULT_MODEL: 'Xenova/mmarco-mMiniLMv2-L12-H384-v1', // Cross-encoder multilingue (MS MARCO)
+  CANDIDATES: 20, // Nombre de chunks candidats rescorés
+  BATCH_SIZE: 8, // Paires (question, chunk) évaluées par appel au modèle
+  MAX_LENGTH: 512, // Tokens maximum par paire (le chunk est tronqué au-delà)
+};
+
+/**
+ * Lit la configuration du reranking depuis les variables d'environnement
+ * @returns {{provider: string, model: string, candidates: number}} - Configuration
+ */
+export function getRerankerConfig() {
+  return {
+    provider: process.env.RERANKER_PROVIDER || 'none',
+    model: process.env.RERANKER_MODEL || RERANKER_CONFIG.DEFAULT_MODEL,
+    candidates: Number(process.env.RERANKER_CANDIDATES) || RERANKER_CONFIG.CANDIDATES,
+  };
+}
+
+/**
+ * Modèles cross-encoder déjà chargés, partagés entre les requêtes
+ */
+const localCrossEncoders = new Map();
+
+/**
+ * Charge (une seule fois) le tokenizer et le modèle d'un cross-encoder
+ * @param {string} model - Identifiant du modèle
+ * @returns {Promise<{tokenizer: Function, model: Function}>} - Cross-encoder prêt à l'emploi
+ */
+function loadCrossEncoder(model) {
+  if (!localCrossEncoders.has(model)) {
+    const loading = import('@xenova/transformers').then(
+      async ({ AutoTokenizer, AutoModelForSequenceClassification }) => ({
+        tokenizer: await AutoTokenizer.from_pretrained(model),
+        model: await AutoModelForSequenceClassification.from_pretrained(model),
+      })
+    );
+    // En cas d'échec, on permet une nouvelle tentative au prochain appel
+    loading.catch(() => localCrossEncoders.delete(model));
+    localCrossEncoders.set(model, loading);
+  }
+  return localCrossEncoders.get(model);
+}
+
+/**
+ * Crée le reranker configuré
+ *
+ * @param {Object} config - Configuration retournée par getRerankerConfig
+ * @returns {{enabled: boolean, name: string, model: string|null, candidates: number, score: Function}}
+ *   score(question, texts) retourne un score de pertinence entre 0 et 1 par texte
+ */
+export function createReranker(config) {
+  switch (config.provider) {
+    case 'none':
+      return {
+        enabled: false,
+        name: 'none',
+        model: null,
+        candidates: 0,
+        async score() {
+          return [];
+        },
+      };
+    case 'transformers':
+      return {
+        enabled: true,
+        name: 'transformers',
+        model: config.model,
+        candidates: config.candidates,
+        async score(question, texts) {
+          const { tokenizer, model } = await loadCrossEncoder(config.model);
+          const scores = [];
+
+          for (let i = 0; i < texts.length; i += RERANKER_CONFIG.BATCH_SIZE) {
+            const batch = texts.slice(i, i + RERANKER_CONFIG.BATCH_SIZE);
+            const inputs = tokenizer(new Array(batch.length).fill(question), {
+              text_pair: batch,
+              padding: true,
+              truncation: true,
+              max_length: RERANKER_CONFIG.MAX_LENGTH,
+            });
+            const { logits } = await model(inputs);
+            // Un logit par paire, ramené entre 0 et 1
+            for (const logit of logits.data) scores.push(1 / (1 + Math.exp(-logit)));
+          }
+
+          return scores;
+        },
+      };
+    default:
+      throw new Error(`Reranker inconnu: ${config.provider}`);
+  }
+}
+
+/**
+ * Rescore les meilleurs candidats avec le reranker
+ *
+ * Les `reranker.candidates` premiers chunks reçoivent comme `score` la
+ * pertinence donnée par le cross-encoder (le score de recherche est conservé
+ * dans `retrievalScore`) et sont triés selon ce score. Les suivants sont
+ * écartés. En cas d'erreur (modèle indisponible...), l'ordre d'origine est
+ * conservé.
+ *
+ * @param {Object} reranker - Reranker (createReranker)
+ * @param {string} question - Question recherchée
+ * @param {Array} chunks - Chunks triés par score de recherche
+ * @returns {Promise<{chunks: Array, metadata: Object}>} - Chunks et métadonnées
+ *   { applied, model, candidates, durationMs, error }
+ */
+export async function rerankChunks(reranker, question, chunks) {
+  if (!reranker.enabled || chunks.length === 0) {
+    return {
+      chunks,
+      metadata: { applied: false, model: null, candidates: 0, durationMs: 0 },
+    };
+  }
+
+  const candidates = chunks.slice(0, reranker.candidates);
+  const startTime = Date.now();
+
+  try {
+    const scores = await reranker.score(
+      question,
+      candidates.map((chunk) => chunk.text)
+    );
+    const reranked = candidates
+      .map((chunk, i) => ({
+        ...chunk,
+        retrievalScore: chunk.score,
+        rerankScore: scores[i],
+        score: scores[i],
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    return {
+      chunks: reranked,
+      metadata: {
+        applied: true,
+        model: reranker.model,
+        candidates: candidates.length,
+        durationMs: Date.now() - startTime,
+      },
+    };
+  } catch (error) {
+    console.warn('[Reranker] ⚠️ Reranking ignoré:', error.message);
+    return {
+      chunks,
+      metadata: {
+        applied: false,
+        model: reranker.model,
+        candidates: candidates.length,
+        durationMs: Date.now() - startTime,
+        error: error.message,
+      },
+    };
+  }
+}
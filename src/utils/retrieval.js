@@ -0,0 +1,464 @@
+/**
+ * Recherche des extraits pertinents pour une question
+ *
+ * Chemin de recherche commun au chat (POST /api/chat) et au script
+ * d'évaluation (scripts/evaluate.js) : ce qui est mesuré hors ligne est
+ * exactement ce qui construit le contexte du LLM.
+ *
+ * 1. Embedding de la question
+ * 2. Recherche vectorielle et lexicale (BM25), filtrées sur la période
+ *    demandée et fusionnées par rang réciproque
+ * 3. Reranking des candidats par cross-encoder (optionnel)
+ * 4. Recherche hybride temporelle (filtrage + pondération)
+ * 5. Sélection des extraits du contexte
+ *
+ * La recherche de passages (GET /api/search) suit le même chemin, sans
+ * génération : elle renvoie l'ensemble des candidats classés.
+ */
+
+import { parseTemporalQuery, buildTemporalFilter, performHybridSearch } from './temporalSearch.js';
+import { reciprocalRankFusion } from './rankFusion.js';
+import { rerankChunks } from './reranker.js';
+import { formatFrenchDate } from './meetingDate.js';
+import { extractSnippet, buildViewerUrl } from './passages.js';
+
+/**
+ * Configuration de la recherche
+ */
+export const RETRIEVAL_CONFIG = {
+  VECTOR_LIMIT: 20, // Nombre de chunks récupérés du stockage vectoriel
+  LEXICAL_LIMIT: 20, // Nombre de chunks récupérés de l'index lexical (BM25)
+  CONTEXT_LIMIT: 10, // Nombre de chunks utilisés pour le contexte LLM
+};
+
+/**
+ * Configuration de la recherche hybride temporelle
+ */
+export const HYBRID_SEARCH_CONFIG = {
+  TEMPORAL_WEIGHT: 0.3, // Poids du facteur temporel (30%)
+  YEAR_TOLERANCE: 2, // Tolérance en années (±2 ans) des périodes à l'année près
+  ENABLE_FILTERING: true, // Activation du filtrage temporel
+  ENABLE_WEIGHTING: true, // Activation de la pondération temporelle
+};
+
+/**
+ * Recherche les extraits qui répondent à une question
+ *
+ * @param {Object} backends - Clients de recherche
+ * @param {Object} backends.embedder - Fournisseur d'embeddings (createEmbeddingProvider)
+ * @param {Object} backends.vectorStore - Stockage vectoriel (createVectorStore)
+ * @param {Object} backends.lexicalIndex - Index lexical (createLexicalIndex)
+ * @param {Object} backends.reranker - Reranker (createReranker)
+ * @param {string} question - Question autonome (reformulée si besoin)
+ * @param {Object} options - Options
+ * @param {Object|null} options.temporalQuery - Période détectée, calculée depuis la question si absente
+ * @param {Array<number>|null} options.embedding - Embedding de la question s'il est déjà calculé
+ * @param {Function} options.log - Fonction de log (console.log par défaut)
+ * @returns {Promise<{chunks: Array, candidates: Array, temporalQuery: Object|null, embedding: Array<number>, searchMetadata: Object}>}
+ *   Extraits du contexte (CONTEXT_LIMIT premiers), ensemble des candidats classés,
+ *   période, embedding de la question et métadonnées de recherche
+ *
+ * @example
+ * const { chunks, searchMetadata } = await retrieveChunks(
+ *   { embedder, vectorStore, lexicalIndex, reranker },
+ *   'Quels travaux de voirie en 2019 ?'
+ * );
+ */
+export async function retrieveChunks(
+  { embedder, vectorStore, lexicalIndex, reranker },
+  question,
+  { temporalQuery = parseTemporalQuery(question), embedding = null, log = console.log } = {}
+) {
+  if (!embedding) {
+    log(`[Retrieval] 🧠 Génération de l'embedding (${embedder.name})...`);
+    embedding = await embedder.embedOne(question);
+    log(`[Retrieval] ✅ Embedding généré (${embedding.length} dimensions)`);
+  }
+
+  // Sans index lexical (fichier non déployé, index vide), la recherche est
+  // seulement vectorielle : l'état de l'index est reporté dans searchMetadata
+  const lexicalIndexStatus = getLexicalIndexStatus(lexicalIndex);
+  if (
+    lexicalIndexStatus === 'missing' ||
+    lexicalIndexStatus === 'empty' ||
+    lexicalIndexStatus === 'error'
+  ) {
+    console.warn(
+      `[Retrieval] ⚠️ Index lexical indisponible (${lexicalIndexStatus}) : recherche vectorielle seule`
+    );
+  }
+
+  // Recherche vectorielle et lexicale, filtrées sur la période demandée
+  log(`[Retrieval] 🔍 Recherche vectorielle (${vectorStore.name}) et lexicale...`);
+  const {
+    chunks: rawChunks,
+    retrievalStrategy,
+    retrieval,
+  } = await performTemporalRetrieval(
+    { vectorStore, lexicalIndex },
+    { embedding, question },
+    temporalQuery
+  );
+  if (retrievalStrategy === 'fallback-unfiltered') {
+    log('[Retrieval] ⚠️ Aucun chunk dans la période demandée, recherche sans filtre');
+  }
+  log(
+    `[Retrieval] ✅ ${rawChunks.length} chunks trouvés (${retrieval.denseCount} vectoriels, ${retrieval.lexicalCount} lexicaux, ${retrievalStrategy})`
+  );
+
+  // Le score du cross-encoder remplace le score de recherche : la pondération
+  // temporelle s'applique ensuite sur ce nouveau score
+  if (reranker.enabled) {
+    log(`[Retrieval] 🎯 Reranking des candidats (${reranker.model})...`);
+  }
+  const { chunks: rerankedChunks, metadata: reranking } = await rerankChunks(
+    reranker,
+    question,
+    rawChunks
+  );
+  if (reranking.applied) {
+    log(`[Retrieval] ✅ ${reranking.candidates} candidats rescorés en ${reranking.durationMs} ms`);
+  }
+
+  log('[Retrieval] ⏰ Application de la recherche hybride temporelle...');
+  const { chunks: candidates, metadata: hybridMetadata } = performHybridSearch(
+    rerankedChunks,
+    question,
+    {
+      temporalQuery,
+      temporalWeight: HYBRID_SEARCH_CONFIG.TEMPORAL_WEIGHT,
+      yearTolerance: HYBRID_SEARCH_CONFIG.YEAR_TOLERANCE,
+      // Après un repli sur la recherche non filtrée, aucun chunk n'est dans la
+      // période : le post-filtrage les éliminerait tous, seule la pondération reste
+      enableFiltering:
+        HYBRID_SEARCH_CONFIG.ENABLE_FILTERING && retrievalStrategy !== 'fallback-unfiltered',
+      enableWeighting: HYBRID_SEARCH_CONFIG.ENABLE_WEIGHTING,
+    }
+  );
+
+  // Limitation du nombre de chunks pour le contexte LLM
+  const chunks = candidates.slice(0, RETRIEVAL_CONFIG.CONTEXT_LIMIT);
+  log(`[Retrieval] ✅ ${chunks.length} chunks sélectionnés pour le contexte`);
+
+  const searchMetadata = {
+    ...hybridMetadata,
+    retrievalStrategy,
+    retrieval: { ...retrieval, lexicalIndex: lexicalIndexStatus },
+    reranking,
+    chunkScores: buildChunkScores(chunks),
+  };
+
+  return { chunks, candidates, temporalQuery, embedding, searchMetadata };
+}
+
+// =============================================================================
+// RECHERCHE VECTORIELLE ET LEXICALE
+// =============================================================================
+
+/**
+ * Convertit un point (vectoriel ou lexical) en chunk
+ *
+ * @param {Object} point - Résultat de recherche { id, score, payload }
+ * @returns {Object} Chunk avec métadonnées
+ */
+function toChunk(point) {
+  return {
+    id: point.id,
+    text: point.payload?.text,
+    score: point.score,
+    filename: point.payload?.filename,
+    filepath: point.payload?.filepath || null,
+    page: point.payload?.page_number,
+    pageEnd: point.payload?.page_end ?? null,
+    year: point.payload?.year,
+    meetingDate: point.payload?.meeting_date,
+    sectionTitle: point.payload?.section_title || null,
+    deliberationNumber: point.payload?.deliberation_number || null,
+  };
+}
+
+/**
+ * Effectue la recherche vectorielle
+ *
+ * @param {Object} vectorStore - Stockage vectoriel (createVectorStore)
+ * @param {Array} embedding - Vecteur d'embedding de la question
+ * @param {Object} filter - Filtre de payload (syntaxe Qdrant), optionnel
+ * @returns {Promise<Array>} Chunks trouvés avec métadonnées
+ */
+async function performVectorSearch(vectorStore, embedding, filter = undefined) {
+  const results = await vectorStore.search(embedding, {
+    limit: RETRIEVAL_CONFIG.VECTOR_LIMIT,
+    filter,
+  });
+
+  return results.map(toChunk).filter((chunk) => chunk.text);
+}
+
+/**
+ * État de l'index lexical
+ *
+ * @param {Object} lexicalIndex - Index lexical (createLexicalIndex)
+ * @returns {string} - 'ready', 'empty', 'missing', 'disabled' ou 'error' (fichier illisible)
+ */
+function getLexicalIndexStatus(lexicalIndex) {
+  try {
+    return lexicalIndex.status();
+  } catch (error) {
+    console.warn('[Retrieval] ⚠️ Index lexical illisible:', error.message);
+    return 'error';
+  }
+}
+
+/**
+ * Effectue la recherche lexicale (BM25)
+ *
+ * Une erreur de l'index lexical (fichier illisible...) n'interrompt pas la
+ * réponse : la recherche vectorielle suffit à elle seule.
+ *
+ * @param {Object} lexicalIndex - Index lexical (createLexicalIndex)
+ * @param {string} question - Question recherchée
+ * @param {Object} filter - Filtre de payload (syntaxe Qdrant), optionnel
+ * @returns {Promise<Array>} Chunks trouvés avec métadonnées
+ */
+async function performLexicalSearch(lexicalIndex, question, filter = undefined) {
+  try {
+    const results = await lexicalIndex.search(question, {
+      limit: RETRIEVAL_CONFIG.LEXICAL_LIMIT,
+      filter,
+    });
+    return results.map(toChunk).filter((chunk) => chunk.text);
+  } catch (error) {
+    console.warn('[Retrieval] ⚠️ Recherche lexicale indisponible:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Recherche vectorielle et lexicale, fusionnées par rang réciproque
+ *
+ * Sans résultat lexical (index absent ou désactivé, aucun terme commun), les
+ * résultats vectoriels sont gardés avec leur score cosinus.
+ *
+ * @param {Object} backends - { vectorStore, lexicalIndex }
+ * @param {Object} query - { embedding, question }
+ * @param {Object} filter - Filtre de payload (syntaxe Qdrant), optionnel
+ * @returns {Promise<{chunks: Array, denseCount: number, lexicalCount: number}>} Chunks fusionnés
+ */
+async function performFusedSearch({ vectorStore, lexicalIndex }, { embedding, question }, filter) {
+  const [denseChunks, lexicalChunks] = await Promise.all([
+    performVectorSearch(vectorStore, embedding, filter),
+    performLexicalSearch(lexicalIndex, question, filter),
+  ]);
+
+  const chunks =
+    lexicalChunks.length > 0
+      ? reciprocalRankFusion({ dense: denseChunks, lexical: lexicalChunks })
+      : denseChunks.map((chunk, i) => ({
+          ...chunk,
+          sourceScores: { dense: chunk.score },
+          sourceRanks: { dense: i + 1 },
+        }));
+
+  return { chunks, denseCount: denseChunks.length, lexicalCount: lexicalChunks.length };
+}
+
+/**
+ * Construit le filtre de payload de la période détectée dans la question
+ *
+ * Pour "le dernier conseil", la date de la séance la plus récente (dans la
+ * période éventuellement précisée) est lue dans le stockage vectoriel, et la
+ * recherche est restreinte à cette séance.
+ *
+ * @param {Object} vectorStore - Stockage vectoriel (createVectorStore)
+ * @param {Object|null} temporalQuery - Période détectée (parseTemporalQuery)
+ * @returns {Promise<Object|null>} Filtre Qdrant, ou null sans période
+ */
+async function resolveTemporalFilter(vectorStore, temporalQuery) {
+  const filter = buildTemporalFilter(temporalQuery, HYBRID_SEARCH_CONFIG.YEAR_TOLERANCE);
+  if (!temporalQuery?.mostRecent) return filter;
+
+  let latest = null;
+  try {
+    latest = await vectorStore.max(
+      'meeting_date',
+      buildTemporalFilter(temporalQuery, 0) ?? undefined
+    );
+  } catch (error) {
+    console.warn(`[Retrieval] ⚠️ Date de la dernière séance introuvable: ${error.message}`);
+  }
+  return latest
+    ? buildTemporalFilter({ type: 'day', start: latest, end: latest, precision: 'day' })
+    : filter;
+}
+
+/**
+ * Recherche restreinte à la période détectée dans la question
+ *
+ * Le filtre est appliqué par le stockage vectoriel et l'index lexical, avant
+ * leurs limites de résultats : les chunks de la période ne sont plus évincés
+ * par ceux d'autres années. Si la période ne contient aucun chunk, la
+ * recherche est relancée sans filtre.
+ *
+ * @param {Object} backends - { vectorStore, lexicalIndex }
+ * @param {Object} query - { embedding, question }
+ * @param {Object|null} temporalQuery - Période détectée (parseTemporalQuery)
+ * @returns {Promise<{chunks: Array, retrievalStrategy: string, retrieval: Object}>} Chunks,
+ *   stratégie utilisée (filtered, fallback-unfiltered ou unfiltered) et statistiques par source
+ */
+async function performTemporalRetrieval(backends, query, temporalQuery) {
+  const filter = HYBRID_SEARCH_CONFIG.ENABLE_FILTERING
+    ? await resolveTemporalFilter(backends.vectorStore, temporalQuery)
+    : null;
+  const withStats = ({ chunks, denseCount, lexicalCount }, retrievalStrategy) => ({
+    chunks,
+    retrievalStrategy,
+    retrieval: { fusion: lexicalCount > 0 ? 'rrf' : 'none', denseCount, lexicalCount },
+  });
+
+  if (!filter) {
+    return withStats(await performFusedSearch(backends, query), 'unfiltered');
+  }
+
+  const filtered = await performFusedSearch(backends, query, filter);
+  if (filtered.chunks.length > 0) {
+    return withStats(filtered, 'filtered');
+  }
+
+  return withStats(await performFusedSearch(backends, query), 'fallback-unfiltered');
+}
+
+/**
+ * Résume les scores de chaque chunk retenu, par source
+ *
+ * @param {Array} chunks - Chunks sélectionnés pour le contexte
+ * @returns {Array} Scores vectoriel, lexical, fusionné, reranking, temporel et final par chunk
+ */
+function buildChunkScores(chunks) {
+  return chunks.map((chunk) => ({
+    filename: chunk.filename,
+    page: chunk.page,
+    dense: chunk.sourceScores?.dense ?? null,
+    denseRank: chunk.sourceRanks?.dense ?? null,
+    lexical: chunk.sourceScores?.lexical ?? null,
+    lexicalRank: chunk.sourceRanks?.lexical ?? null,
+    fused: chunk.retrievalScore ?? chunk.originalScore ?? chunk.score,
+    rerank: chunk.rerankScore ?? null,
+    temporal: chunk.temporalScore ?? null,
+    final: chunk.finalScore ?? chunk.score,
+  }));
+}
+
+// =============================================================================
+// CONTEXTE DU LLM
+// =============================================================================
+
+/**
+ * Construit le texte de contexte pour le LLM
+ *
+ * @param {Array} chunks - Chunks de documents sélectionnés
+ * @returns {string} Texte de contexte formaté
+ */
+export function buildContextText(chunks) {
+  return chunks
+    .map((chunk) => {
+      const sourceInfo = [
+        chunk.filename || 'Document',
+        chunk.deliberationNumber ? `délibération n° ${chunk.deliberationNumber}` : '',
+        chunk.page
+          ? chunk.pageEnd > chunk.page
+            ? `pages ${chunk.page}-${chunk.pageEnd}`
+            : `page ${chunk.page}`
+          : '',
+        chunk.meetingDate
+          ? `séance du ${formatFrenchDate(chunk.meetingDate)}`
+          : chunk.year
+            ? `année ${chunk.year}`
+            : '',
+        chunk.temporalScore
+          ? `pertinence temporelle: ${(chunk.temporalScore * 100).toFixed(1)}%`
+          : '',
+      ]
+        .filter(Boolean)
+        .join(', ');
+
+      const section = chunk.sectionTitle ? `[Objet: ${chunk.sectionTitle}]\n` : '';
+      return `[Source: ${sourceInfo}]\n${section}${chunk.text}`;
+    })
+    .join('\n---\n');
+}
+
+/**
+ * Construit le prompt utilisateur pour le LLM
+ *
+ * @param {string} contextText - Contexte des documents
+ * @param {string} userMessage - Question de l'utilisateur
+ * @param {string} standaloneQuestion - Question reformulée (identique si pas d'historique)
+ * @returns {string} Prompt complet
+ */
+export function buildUserPrompt(contextText, userMessage, standaloneQuestion = userMessage) {
+  const reformulation =
+    standaloneQuestion !== userMessage ? `\nQuestion reformulée : ${standaloneQuestion}` : '';
+
+  return `Contexte des documents municipaux :
+${contextText}
+
+Question de l'utilisateur : ${userMessage}${reformulation}`;
+}
+
+// =============================================================================
+// SOURCES
+// =============================================================================
+
+/**
+ * Construit les sources enrichies avec URLs et métadonnées
+ *
+ * Chaque source porte le texte du chunk retrouvé, l'extrait qui correspond
+ * le mieux à la question et le lien vers la visionneuse qui le surligne.
+ *
+ * @param {Array} chunks - Chunks de documents
+ * @param {string} question - Question (reformulée) servant à choisir l'extrait
+ * @returns {Array} Sources avec URLs, extraits et métadonnées temporelles
+ */
+export function buildEnrichedSources(chunks, question) {
+  return chunks.map((chunk) => {
+    // Construction de l'URL du PDF
+    let pdfUrl = null;
+    if (chunk.filepath?.startsWith('/datas/')) {
+      // Chemin enregistré à l'indexation (conserve les sous-dossiers)
+      pdfUrl = chunk.filepath;
+    } else if (chunk.filename && chunk.year) {
+      pdfUrl = `/datas/${chunk.year}/${chunk.filename}`;
+    } else if (chunk.filename) {
+      // Fallback : extraction de l'année du filename
+      const yearMatch = chunk.filename.match(/(\d{4})/);
+      if (yearMatch) {
+        const year = yearMatch[1];
+        pdfUrl = `/datas/${year}/${chunk.filename}`;
+      }
+    }
+    const snippet = extractSnippet(chunk.text, question);
+
+    return {
+      filename: chunk.filename,
+      page: chunk.page,
+      year: chunk.year,
+      meetingDate: chunk.meetingDate || null,
+      meetingDateLabel: chunk.meetingDate ? formatFrenchDate(chunk.meetingDate) : null,
+      sectionTitle: chunk.sectionTitle,
+      deliberationNumber: chunk.deliberationNumber,
+      score: chunk.finalScore || chunk.score,
+      originalScore: chunk.originalScore || chunk.score,
+      temporalScore: chunk.temporalScore,
+      text: chunk.text,
+      snippet,
+      url: pdfUrl,
+      urlWithPage: chunk.page && pdfUrl ? `${pdfUrl}#page=${chunk.page}` : pdfUrl,
+      viewerUrl: buildViewerUrl({
+        filepath: pdfUrl,
+        page: chunk.page,
+        pageEnd: chunk.pageEnd,
+        highlight: snippet,
+      }),
+    };
+  });
+}
@@ -1,85 +1,492 @@
 /**
  * Utilitaires pour la recherche hybride temporelle
  * Combine recherche vectorielle avec filtrage et pondération temporelle
+ *
+ * La requête est analysée en une période (début / fin, à l'année, au mois ou
+ * au jour près) à partir des expressions françaises courantes : "en 2019",
+ * "en juin 2019", "entre 2018 et 2020", "depuis 2021", "avant 2018",
+ * "l'année dernière", "ce mandat", "lors du dernier conseil"...
  */
 
+import { FRENCH_MONTHS, toIsoDate, formatFrenchDate } from './meetingDate.js';
+
 /**
- * Extrait l'année de la requête utilisateur
- * @param {string} query - La requête utilisateur
- * @returns {number|null} - L'année extraite ou null si non trouvée
- */
-export function extractYearFromQuery(query) {
-  // Patterns pour détecter les années
-  const yearPatterns = [
-    /(\d{4})/g, // Année à 4 chiffres
-    /(?:en|de|du|pour l'|pour|année|exercice)\s+(\d{4})/gi, // "en 2025", "année 2024"
-    /(?:l'|le|la)\s+(\d{4})/gi, // "l'2025", "le 2025"
-  ];
+ * Dates des élections municipales (premier tour), qui délimitent les mandats
+ */
+export const MUNICIPAL_ELECTIONS = ['2008-03-09', '2014-03-23', '2020-03-15', '2026-03-15'];
+
+/**
+ * Types de période pour lesquels la tolérance s'applique, s'ils sont à l'année
+ * près ("en 2019", "l'année dernière"). Une période explicitement bornée
+ * ("entre", "depuis", "avant", "ce mandat") ou au mois / au jour près
+ * ("mars 2022", "le mois dernier") est respectée telle quelle.
+ */
+const TOLERANT_TYPES = new Set(['year', 'relative']);
+
+const MONTH_PATTERN = Object.keys(FRENCH_MONTHS)
+  .sort((a, b) => b.length - a.length)
+  .join('|');
+
+/**
+ * Montant plutôt qu'année : "2000 €", "1960 euros", "2000 HT", "2000,50",
+ * ou partie d'un nombre écrit avec séparateur de milliers ("1 2000", "2000.500")
+ */
+const NOT_AN_AMOUNT = `(?!\\d)(?![.,]\\d)(?!\\s*(?:k?€|euros?\\b|eur\\b|ht\\b|ttc\\b))`;
+
+/**
+ * Date isolée dans une requête : "2019", "juin 2019", "12 juin 2019", "1er mars 2021"
+ * Groupes : jour, mois, année
+ */
+const DATE_PATTERN = `(?:(\\d{1,2})(?:er)?\\s+)?(?:(${MONTH_PATTERN})\\s+)?(?<!\\d\\s)((?:19|20)\\d{2})${NOT_AN_AMOUNT}`;
+
+/**
+ * Expressions désignant la séance la plus récente
+ */
+const MOST_RECENT_PATTERN =
+  /\b(?:dernier|derniere|plus recente?s?)\s+(?:conseil|seance|reunion|compte[- ]rendu|proces[- ]verbal|pv)|\b(?:conseil|seance|reunion|compte[- ]rendu)s?\s+(?:le|la)\s+plus\s+recente?/;
+
+// =============================================================================
+// FONCTIONS UTILITAIRES
+// =============================================================================
+
+/**
+ * Supprime les accents, passe en minuscules et uniformise les apostrophes
+ * @param {string} text - Texte à normaliser
+ * @returns {string} - Texte normalisé
+ */
+function normalizeQuery(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[’`]/g, "'")
+    .toLowerCase();
+}
+
+/**
+ * Date ISO d'un objet Date (UTC)
+ * @param {Date} date - Date
+ * @returns {string} - Date AAAA-MM-JJ
+ */
+function toIso(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Décale une date ISO d'un nombre de jours
+ * @param {string} isoDate - Date AAAA-MM-JJ
+ * @param {number} days - Nombre de jours (négatif pour reculer)
+ * @returns {string} - Date AAAA-MM-JJ
+ */
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toIso(date);
+}
+
+/**
+ * Période couverte par une année, un mois ou un jour
+ * @param {number} year - Année
+ * @param {number|null} month - Mois (1-12), optionnel
+ * @param {number|null} day - Jour, optionnel (nécessite le mois)
+ * @returns {{start: string, end: string, precision: string}|null} - Période ou null si invalide
+ */
+function periodOf(year, month = null, day = null) {
+  if (month && day) {
+    const date = toIsoDate(year, month, day);
+    return date && { start: date, end: date, precision: 'day' };
+  }
+  if (month) {
+    const start = toIsoDate(year, month, 1);
+    const end = toIso(new Date(Date.UTC(year, month, 0)));
+    return { start, end, precision: 'month' };
+  }
+  return { start: `${year}-01-01`, end: `${year}-12-31`, precision: 'year' };
+}
+
+/**
+ * Convertit un match de DATE_PATTERN en période
+ * @param {Array} match - Match de l'expression régulière
+ * @param {number} offset - Index du premier groupe (jour)
+ * @returns {Object|null} - Période ou null
+ */
+function parseDateMatch(match, offset = 1) {
+  const [day, monthName, year] = match.slice(offset, offset + 3);
+  const month = monthName ? FRENCH_MONTHS[monthName] : null;
+  return periodOf(Number(year), month, month && day ? Number(day) : null);
+}
+
+/**
+ * Formate une borne de période selon sa précision
+ * @param {string} isoDate - Date AAAA-MM-JJ
+ * @param {string} precision - year, month ou day
+ * @returns {string} - "2019", "juin 2019" ou "12 juin 2019"
+ */
+function formatBound(isoDate, precision) {
+  if (precision === 'year') return isoDate.slice(0, 4);
+  if (precision === 'month') return formatFrenchDate(isoDate).replace(/^\S+\s/, '');
+  return formatFrenchDate(isoDate);
+}
+
+/**
+ * Construit le libellé lisible d'une période
+ * @param {Object} temporalQuery - Période analysée
+ * @returns {string} - Libellé, ex: "2018 – 2020", "depuis 2021", "dernière séance"
+ */
+function describePeriod({ type, start, end, precision, mostRecent }) {
+  let label;
+  if (type === 'latest') {
+    label = '';
+  } else if (!start) {
+    label = `jusqu'à ${formatBound(end, precision)}`;
+  } else if (type === 'since' || type === 'mandate') {
+    label = `depuis ${precision === 'day' ? 'le ' : ''}${formatBound(start, precision)}`;
+  } else if (start === end || formatBound(start, precision) === formatBound(end, precision)) {
+    label = formatBound(start, precision);
+  } else {
+    label = `${formatBound(start, precision)} – ${formatBound(end, precision)}`;
+  }
 
-  for (const pattern of yearPatterns) {
-    const matches = query.match(pattern);
-    if (matches) {
-      // Extraire l'année du premier match
-      const yearMatch = matches[0].match(/(\d{4})/);
-      if (yearMatch) {
-        const year = parseInt(yearMatch[1]);
-        // Validation : année entre 1900 et 2100
-        if (year >= 1900 && year <= 2100) {
-          return year;
-        }
-      }
+  if (mostRecent) return label ? `dernière séance (${label})` : 'dernière séance';
+  return label;
+}
+
+// =============================================================================
+// ANALYSE DE LA REQUÊTE
+// =============================================================================
+
+/**
+ * Recherche une période bornée : "entre 2018 et 2020", "de mars à juin 2019", "2018-2020"
+ * @param {string} q - Requête normalisée
+ * @returns {Object|null} - Période ou null
+ */
+function parseRange(q) {
+  const between = new RegExp(
+    `\\b(?:entre|de|du)\\s+${DATE_PATTERN}\\s+(?:et|a|au)\\s+${DATE_PATTERN}`
+  );
+  const months = new RegExp(
+    `\\b(?:entre|de|d')\\s*(${MONTH_PATTERN})\\s+(?:et|a)\\s+(${MONTH_PATTERN})\\s+((?:19|20)\\d{2})(?!\\d)`
+  );
+  const dashed = /(?<!\d)((?:19|20)\d{2})\s*[-–]\s*((?:19|20)\d{2})(?!\d)/;
+
+  let match = q.match(between);
+  if (match) {
+    const from = parseDateMatch(match, 1);
+    const to = parseDateMatch(match, 4);
+    if (from && to && from.start <= to.end) {
+      return { type: 'range', start: from.start, end: to.end, precision: from.precision };
     }
   }
 
+  match = q.match(months);
+  if (match && FRENCH_MONTHS[match[1]] <= FRENCH_MONTHS[match[2]]) {
+    const year = Number(match[3]);
+    return {
+      type: 'range',
+      start: periodOf(year, FRENCH_MONTHS[match[1]]).start,
+      end: periodOf(year, FRENCH_MONTHS[match[2]]).end,
+      precision: 'month',
+    };
+  }
+
+  match = q.match(dashed);
+  if (match && match[1] <= match[2]) {
+    return {
+      type: 'range',
+      start: `${match[1]}-01-01`,
+      end: `${match[2]}-12-31`,
+      precision: 'year',
+    };
+  }
+
   return null;
 }
 
+/**
+ * Recherche une période ouverte : "depuis 2021", "après juin 2019", "avant 2018", "jusqu'en 2020"
+ * @param {string} q - Requête normalisée
+ * @param {string} today - Date du jour AAAA-MM-JJ
+ * @returns {Object|null} - Période ou null
+ */
+function parseOpenRange(q, today) {
+  const match = q.match(
+    new RegExp(
+      `\\b(depuis|a partir d[eu]|apres|avant|jusqu'(?:en|a|au))\\s+(?:le\\s+)?${DATE_PATTERN}`
+    )
+  );
+  if (!match) return null;
+
+  const period = parseDateMatch(match, 2);
+  if (!period) return null;
+
+  const [, keyword] = match;
+  const { precision } = period;
+  if (keyword === 'depuis' || keyword.startsWith('a partir')) {
+    return { type: 'since', start: period.start, end: today, precision };
+  }
+  if (keyword === 'apres') {
+    return { type: 'since', start: addDays(period.end, 1), end: today, precision };
+  }
+  if (keyword === 'avant') {
+    return { type: 'until', start: null, end: addDays(period.start, -1), precision };
+  }
+  return { type: 'until', start: null, end: period.end, precision };
+}
+
+/**
+ * Recherche une expression relative : "l'année dernière", "cette année", "il y a 3 ans", "le mois dernier"
+ * @param {string} q - Requête normalisée
+ * @param {Date} now - Date de référence
+ * @returns {Object|null} - Période ou null
+ */
+function parseRelative(q, now) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth() + 1;
+
+  const relativeYears = [
+    [/\b(?:l'annee|l'an)\s+(?:derniere?|passee?)\b/, -1],
+    [/\b(?:cette annee|l'annee en cours|l'annee courante)\b/, 0],
+    [/\b(?:l'annee|l'an)\s+prochaine?\b/, 1],
+  ];
+  for (const [pattern, offset] of relativeYears) {
+    if (pattern.test(q)) return { type: 'relative', ...periodOf(year + offset) };
+  }
+
+  const yearsAgo = q.match(/\bil y a\s+(\d{1,2})\s+ans?\b/);
+  if (yearsAgo) return { type: 'relative', ...periodOf(year - Number(yearsAgo[1])) };
+
+  if (/\ble mois (?:dernier|passe)\b/.test(q)) {
+    return {
+      type: 'relative',
+      ...periodOf(month === 1 ? year - 1 : year, month === 1 ? 12 : month - 1),
+    };
+  }
+  if (/\bce mois(?:-ci)?\b/.test(q)) return { type: 'relative', ...periodOf(year, month) };
+
+  return null;
+}
+
+/**
+ * Recherche une référence au mandat municipal : "ce mandat", "le mandat précédent"
+ * @param {string} q - Requête normalisée
+ * @param {string} today - Date du jour AAAA-MM-JJ
+ * @returns {Object|null} - Période ou null
+ */
+function parseMandate(q, today) {
+  const elections = MUNICIPAL_ELECTIONS.filter((date) => date <= today);
+  const current = elections.length - 1;
+  if (current < 0) return null;
+
+  if (
+    /\b(?:ce|cette|du|le|la)\s+(?:mandat|mandature)\s+(?:actuel(?:le)?|en cours)\b|\b(?:ce|cette) (?:mandat|mandature)\b/.test(
+      q
+    )
+  ) {
+    return { type: 'mandate', start: elections[current], end: today, precision: 'day' };
+  }
+  if (
+    current > 0 &&
+    /\b(?:mandat|mandature)\s+precedent(?:e)?\b|\bprecedent(?:e)?\s+(?:mandat|mandature)\b/.test(q)
+  ) {
+    return {
+      type: 'range',
+      start: elections[current - 1],
+      end: addDays(elections[current], -1),
+      precision: 'day',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Recherche les dates isolées : "en 2019", "en juin 2019", "le 12 avril 2016"
+ * Plusieurs dates ("2018 ou 2020") donnent la période qui les couvre toutes.
+ * @param {string} q - Requête normalisée
+ * @returns {Object|null} - Période ou null
+ */
+function parseExplicitDates(q) {
+  const periods = [...q.matchAll(new RegExp(`(?<!\\d)${DATE_PATTERN}`, 'g'))]
+    .map((match) => parseDateMatch(match, 1))
+    .filter((period) => period && Number(period.start.slice(0, 4)) >= 1900);
+
+  if (periods.length === 0) return null;
+  if (periods.length === 1) return { type: periods[0].precision, ...periods[0] };
+
+  const start = periods.reduce((min, p) => (p.start < min ? p.start : min), periods[0].start);
+  const end = periods.reduce((max, p) => (p.end > max ? p.end : max), periods[0].end);
+  return { type: 'range', start, end, precision: periods[0].precision };
+}
+
+/**
+ * Analyse les expressions temporelles d'une requête
+ *
+ * @param {string} query - La requête utilisateur
+ * @param {Date} now - Date de référence pour les expressions relatives (défaut: maintenant)
+ * @returns {Object|null} - Période détectée ou null :
+ *   { type, start, end, precision, mostRecent, label }
+ *   - type : year | month | day | range | since | until | relative | mandate | latest
+ *     (le mandat précédent est une période "range")
+ *   - start / end : bornes AAAA-MM-JJ incluses (null si la période est ouverte)
+ *   - precision : year | month | day
+ *   - mostRecent : la question porte sur la séance la plus récente
+ *
+ * @example
+ * parseTemporalQuery('Travaux entre 2018 et 2020');
+ * // { type: 'range', start: '2018-01-01', end: '2020-12-31', precision: 'year', mostRecent: false, label: '2018 – 2020' }
+ * parseTemporalQuery('Qu\'a décidé le dernier conseil ?');
+ * // { type: 'latest', start: null, end: null, precision: null, mostRecent: true, label: 'dernière séance' }
+ */
+export function parseTemporalQuery(query, now = new Date()) {
+  const q = normalizeQuery(query || '');
+  const today = toIso(now);
+  const mostRecent = MOST_RECENT_PATTERN.test(q);
+
+  const period =
+    parseRange(q) ||
+    parseOpenRange(q, today) ||
+    parseMandate(q, today) ||
+    parseRelative(q, now) ||
+    parseExplicitDates(q);
+
+  if (!period && !mostRecent) return null;
+
+  const temporalQuery = period
+    ? { ...period, mostRecent }
+    : { type: 'latest', start: null, end: null, precision: null, mostRecent };
+  return { ...temporalQuery, label: describePeriod(temporalQuery) };
+}
+
+/**
+ * Période d'une année entière, choisie explicitement (ex: filtre `year` de
+ * /api/search) : de type "range", elle est appliquée sans tolérance
+ *
+ * @param {number} year - Année
+ * @returns {Object} - Période au format de parseTemporalQuery
+ *
+ * @example
+ * getYearPeriod(2019);
+ * // { type: 'range', start: '2019-01-01', end: '2019-12-31', precision: 'year', mostRecent: false, label: '2019' }
+ */
+export function getYearPeriod(year) {
+  const temporalQuery = { type: 'range', ...periodOf(year), mostRecent: false };
+  return { ...temporalQuery, label: describePeriod(temporalQuery) };
+}
+
+// =============================================================================
+// FILTRAGE ET PONDÉRATION
+// =============================================================================
+
+/**
+ * Période couverte par un chunk : sa date de séance, sinon son année
+ * @param {Object} chunk - Chunk ({ meetingDate, year })
+ * @returns {{start: string, end: string}|null} - Période ou null si non datée
+ */
+function getChunkPeriod(chunk) {
+  if (chunk.meetingDate) return { start: chunk.meetingDate, end: chunk.meetingDate };
+  if (chunk.year) return periodOf(chunk.year);
+  return null;
+}
+
+/**
+ * Écart en années entre la période d'un chunk et la période recherchée
+ * @param {Object} period - Période recherchée ({ start, end }, bornes éventuellement nulles)
+ * @param {Object} chunkPeriod - Période du chunk
+ * @returns {number} - 0 si elles se chevauchent, sinon l'écart en années (fractionnaire)
+ */
+function yearsBetween(period, chunkPeriod) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const days = (from, to) => (Date.parse(to) - Date.parse(from)) / dayMs;
+
+  if (period.start && chunkPeriod.end < period.start) {
+    return days(chunkPeriod.end, period.start) / 365.25;
+  }
+  if (period.end && chunkPeriod.start > period.end) {
+    return days(period.end, chunkPeriod.start) / 365.25;
+  }
+  return 0;
+}
+
 /**
  * Calcule un score de proximité temporelle
- * @param {number} queryYear - L'année de la requête
- * @param {number} documentYear - L'année du document
- * @returns {number} - Score entre 0 et 1 (1 = même année, 0 = très éloigné)
+ * @param {Object} period - Période recherchée ({ start, end })
+ * @param {Object} chunk - Chunk ({ meetingDate, year })
+ * @returns {number|null} - Score entre 0 et 1 (1 = dans la période, décroît avec l'écart), null si non daté
  */
-export function calculateTemporalProximity(queryYear, documentYear) {
-  const yearDiff = Math.abs(queryYear - documentYear);
+export function calculateTemporalProximity(period, chunk) {
+  const chunkPeriod = getChunkPeriod(chunk);
+  if (!chunkPeriod) return null;
 
   // Pondération exponentielle décroissante
-  // Même année = 1.0, 1 an de différence = 0.8, 2 ans = 0.64, etc.
-  return Math.pow(0.8, yearDiff);
+  // Dans la période = 1.0, 1 an d'écart = 0.8, 2 ans = 0.64, etc.
+  return Math.pow(0.8, yearsBetween(period, chunkPeriod));
+}
+
+/**
+ * Écart toléré (en années) autour de la période recherchée
+ * @param {Object} temporalQuery - La période recherchée (parseTemporalQuery)
+ * @param {number} tolerance - Tolérance en années des périodes à l'année près
+ * @returns {number} - Tolérance, ou 0 si la période doit être respectée telle quelle
+ */
+function getAllowedGap(temporalQuery, tolerance) {
+  return TOLERANT_TYPES.has(temporalQuery.type) && temporalQuery.precision === 'year'
+    ? tolerance
+    : 0;
 }
 
 /**
  * Applique un filtre temporel aux résultats de recherche
  * @param {Array} chunks - Les chunks de documents
- * @param {number} targetYear - L'année cible
- * @param {number} tolerance - Tolérance en années (défaut: 2)
+ * @param {Object} temporalQuery - La période recherchée (parseTemporalQuery)
+ * @param {number} tolerance - Tolérance en années autour des périodes à l'année près (défaut: 2)
  * @returns {Array} - Chunks filtrés
  */
-export function filterByYear(chunks, targetYear, tolerance = 2) {
+export function filterByYear(chunks, temporalQuery, tolerance = 2) {
+  if (!temporalQuery?.start && !temporalQuery?.end) return chunks;
+  const allowedGap = getAllowedGap(temporalQuery, tolerance);
+
   return chunks.filter((chunk) => {
-    if (!chunk.year) return true; // Garder si pas d'année
+    const chunkPeriod = getChunkPeriod(chunk);
+    if (!chunkPeriod) return true; // Garder si pas de date
 
-    const yearDiff = Math.abs(chunk.year - targetYear);
-    return yearDiff <= tolerance;
+    return yearsBetween(temporalQuery, chunkPeriod) <= allowedGap;
   });
 }
 
+/**
+ * Période de référence pour la pondération
+ * Pour "le dernier conseil", c'est la séance la plus récente parmi les chunks.
+ * @param {Array} chunks - Les chunks
+ * @param {Object} temporalQuery - La période recherchée
+ * @returns {Object|null} - Période { start, end } ou null
+ */
+function getReferencePeriod(chunks, temporalQuery) {
+  if (!temporalQuery.mostRecent) return temporalQuery;
+
+  const latest = chunks
+    .map((chunk) => getChunkPeriod(chunk)?.end)
+    .filter(Boolean)
+    .sort()
+    .pop();
+  return latest ? { start: latest, end: latest } : null;
+}
+
 /**
  * Pondère les scores de similarité avec la proximité temporelle
  * @param {Array} chunks - Les chunks avec scores
- * @param {number} queryYear - L'année de la requête
+ * @param {Object} temporalQuery - La période recherchée (parseTemporalQuery)
  * @param {number} temporalWeight - Poids du facteur temporel (0-1, défaut: 0.3)
  * @returns {Array} - Chunks avec scores pondérés
  */
-export function applyTemporalWeighting(chunks, queryYear, temporalWeight = 0.3) {
+export function applyTemporalWeighting(chunks, temporalQuery, temporalWeight = 0.3) {
+  const period = getReferencePeriod(chunks, temporalQuery);
+
   return chunks.map((chunk) => {
-    if (!chunk.year) {
-      // Si pas d'année, garder le score original
+    const temporalScore = period ? calculateTemporalProximity(period, chunk) : null;
+    if (temporalScore === null) {
+      // Si pas de date, garder le score original
       return { ...chunk, finalScore: chunk.score };
     }
 
-    const temporalScore = calculateTemporalProximity(queryYear, chunk.year);
-
     // Score hybride : combinaison du score vectoriel et du score temporel
     const finalScore = (1 - temporalWeight) * chunk.score + temporalWeight * temporalScore;
 
@@ -92,11 +499,59 @@ export function applyTemporalWeighting(chunks, queryYear, temporalWeight = 0.3)
   });
 }
 
+/**
+ * Construit le filtre de payload (syntaxe Qdrant) correspondant à une période
+ *
+ * Reprend les règles de filterByYear pour que la recherche vectorielle ne
+ * ramène que des chunks de la période : les chunks datés sont filtrés sur
+ * `meeting_date`, ceux sans date de séance (anciens index) sur `year`. Une
+ * période au mois ou au jour près est appliquée sans tolérance.
+ *
+ * @param {Object} temporalQuery - La période recherchée (parseTemporalQuery)
+ * @param {number} tolerance - Tolérance en années autour des périodes à l'année près (défaut: 2)
+ * @returns {Object|null} - Filtre Qdrant, ou null si la requête ne définit pas de période
+ *
+ * @example
+ * buildTemporalFilter(parseTemporalQuery('voirie entre 2018 et 2020'));
+ * // { should: [
+ * //   { key: 'meeting_date', range: { gte: '2018-01-01T00:00:00Z', lte: '2020-12-31T23:59:59Z' } },
+ * //   { must: [{ is_empty: { key: 'meeting_date' } }, { key: 'year', range: { gte: 2018, lte: 2020 } }] }
+ * // ] }
+ */
+export function buildTemporalFilter(temporalQuery, tolerance = 2) {
+  if (!temporalQuery?.start && !temporalQuery?.end) return null;
+
+  const allowedGap = getAllowedGap(temporalQuery, tolerance);
+  const shiftYears = (isoDate, years) =>
+    `${Number(isoDate.slice(0, 4)) + years}${isoDate.slice(4).replace('-02-29', '-02-28')}`;
+  const start = temporalQuery.start && shiftYears(temporalQuery.start, -allowedGap);
+  const end = temporalQuery.end && shiftYears(temporalQuery.end, allowedGap);
+
+  const dateRange = {};
+  const yearRange = {};
+  if (start) {
+    dateRange.gte = `${start}T00:00:00Z`;
+    yearRange.gte = Number(start.slice(0, 4));
+  }
+  if (end) {
+    dateRange.lte = `${end}T23:59:59Z`;
+    yearRange.lte = Number(end.slice(0, 4));
+  }
+
+  return {
+    should: [
+      { key: 'meeting_date', range: dateRange },
+      { must: [{ is_empty: { key: 'meeting_date' } }, { key: 'year', range: yearRange }] },
+    ],
+  };
+}
+
 /**
  * Effectue une recherche hybride avec filtrage et pondération temporelle
  * @param {Array} chunks - Résultats de la recherche vectorielle
  * @param {string} query - Requête utilisateur
  * @param {Object} options - Options de configuration
+ * @param {Object} options.temporalQuery - Période déjà analysée (sinon analysée à partir de la requête)
  * @returns {Object} - Résultats avec métadonnées de recherche
  */
 export function performHybridSearch(chunks, query, options = {}) {
@@ -105,35 +560,37 @@ export function performHybridSearch(chunks, query, options = {}) {
     yearTolerance = 2,
     enableFiltering = true,
     enableWeighting = true,
+    now = new Date(),
   } = options;
 
-  // Extraction de l'année de la requête
-  const queryYear = extractYearFromQuery(query);
+  // Analyse de la période demandée
+  const temporalQuery =
+    options.temporalQuery !== undefined ? options.temporalQuery : parseTemporalQuery(query, now);
 
   let processedChunks = [...chunks];
   let searchMetadata = {
-    queryYear,
+    temporalQuery,
     temporalFilterApplied: false,
     temporalWeightingApplied: false,
     originalCount: chunks.length,
     filteredCount: chunks.length,
   };
 
-  // 1. Filtrage temporel si une année est détectée
-  if (queryYear && enableFiltering) {
-    processedChunks = filterByYear(processedChunks, queryYear, yearTolerance);
+  // 1. Filtrage temporel si une période est détectée
+  if (temporalQuery && (temporalQuery.start || temporalQuery.end) && enableFiltering) {
+    processedChunks = filterByYear(processedChunks, temporalQuery, yearTolerance);
     searchMetadata.temporalFilterApplied = true;
     searchMetadata.filteredCount = processedChunks.length;
   }
 
-  // 2. Pondération temporelle si une année est détectée
-  if (queryYear && enableWeighting) {
-    processedChunks = applyTemporalWeighting(processedChunks, queryYear, temporalWeight);
+  // 2. Pondération temporelle si une période (ou "la plus récente") est détectée
+  if (temporalQuery && enableWeighting) {
+    processedChunks = applyTemporalWeighting(processedChunks, temporalQuery, temporalWeight);
     searchMetadata.temporalWeightingApplied = true;
   }
 
   // 3. Tri par score final (vectoriel ou hybride)
-  const sortKey = queryYear && enableWeighting ? 'finalScore' : 'score';
+  const sortKey = temporalQuery && enableWeighting ? 'finalScore' : 'score';
   processedChunks.sort((a, b) => b[sortKey] - a[sortKey]);
 
   return {
@@ -148,9 +605,16 @@ export function performHybridSearch(chunks, query, options = {}) {
  * @param {string} query - Requête utilisateur
  */
 export function logSearchMetadata(metadata, query) {
+  const { temporalQuery } = metadata;
+
   console.log('[Temporal Search] Métadonnées de recherche:');
   console.log('- Requête:', query);
-  console.log('- Année détectée:', metadata.queryYear);
+  console.log(
+    '- Période détectée:',
+    temporalQuery
+      ? `${temporalQuery.label} (${temporalQuery.type}, ${temporalQuery.start || '…'} → ${temporalQuery.end || '…'})`
+      : null
+  );
   console.log('- Filtrage temporel appliqué:', metadata.temporalFilterApplied);
   console.log('- Pondération temporelle appliquée:', metadata.temporalWeightingApplied);
   console.log('- Chunks originaux:', metadata.originalCount);
@@ -0,0 +1,396 @@
+/**
+ * Stockage vectoriel interchangeable
+ *
+ * Le chat et le pipeline d'indexation passent par la même interface, quel que
+ * soit le backend choisi avec VECTOR_STORE :
+ *
+ * - qdrant : instance Qdrant (défaut, QDRANT_URL requise)
+ * - local  : fichier JSON local (VECTOR_STORE_PATH) avec recherche cosinus
+ *            exhaustive, suffisant pour quelques milliers de chunks et sans
+ *            aucun service externe
+ *
+ * Interface commune :
+ * - ensureCollection(getVectorSize) : crée la collection (et ses index de payload) si besoin
+ * - upsert(points)                  : insère ou remplace des points { id, vector, payload }
+ * - search(vector, { limit, filter }) : points les plus proches { id, score, payload }
+ * - count(filter) / deleteByFilter(filter)
+ * - max(key, filter)                : plus grande valeur d'un champ de payload indexé
+ *
+ * Les filtres suivent la syntaxe Qdrant (must / should / must_not avec des
+ * conditions match, range et is_empty) ; le backend local en implémente ce
+ * sous-ensemble.
+ */
+
+import { QdrantClient } from '@qdrant/js-client-rest';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Configuration par défaut du stockage vectoriel
+ */
+export const VECTOR_STORE_CONFIG = {
+  DEFAULT_COLLECTION: 'municipal_council_minutes',
+  DEFAULT_LOCAL_PATH: '.data/vectors.json', // Relatif au répertoire courant
+  DISTANCE: 'Cosine', // Métrique de similarité
+  PAYLOAD_INDEXES: {
+    year: 'integer', // Filtre temporel des chunks sans date de séance
+    meeting_date: 'datetime', // Filtre temporel principal
+  },
+};
+
+/**
+ * Lit la configuration du stockage vectoriel depuis les variables d'environnement
+ * @returns {Object} - Backend, accès et liste des variables manquantes
+ */
+export function getVectorStoreConfig() {
+  const backend = process.env.VECTOR_STORE || 'qdrant';
+  const config = {
+    backend,
+    collection: process.env.QDRANT_COLLECTION_NAME || VECTOR_STORE_CONFIG.DEFAULT_COLLECTION,
+    qdrantUrl: process.env.QDRANT_URL,
+    qdrantApiKey: process.env.QDRANT_API_KEY,
+    localPath: path.resolve(
+      process.env.VECTOR_STORE_PATH || VECTOR_STORE_CONFIG.DEFAULT_LOCAL_PATH
+    ),
+  };
+
+  const missing = [];
+  if (backend === 'qdrant' && !config.qdrantUrl) missing.push('QDRANT_URL');
+
+  return { ...config, missing };
+}
+
+/**
+ * Crée le stockage vectoriel correspondant à la configuration
+ * @param {Object} config - Configuration retournée par getVectorStoreConfig
+ * @returns {Object} - Stockage vectoriel (voir l'interface en tête de fichier)
+ */
+export function createVectorStore(config) {
+  switch (config.backend) {
+    case 'qdrant':
+      return createQdrantStore(config);
+    case 'local':
+      return createLocalStore(config);
+    default:
+      throw new Error(`Stockage vectoriel inconnu: ${config.backend}`);
+  }
+}
+
+// =============================================================================
+// BACKEND QDRANT
+// =============================================================================
+
+/**
+ * Stockage dans une instance Qdrant
+ * @param {Object} config - Configuration du stockage
+ * @returns {Object} - Stockage vectoriel
+ */
+function createQdrantStore({ qdrantUrl, qdrantApiKey, collection }) {
+  const qdrant = new QdrantClient({ url: qdrantUrl, apiKey: qdrantApiKey });
+
+  return {
+    name: 'qdrant',
+    collection,
+
+    async ensureCollection(getVectorSize) {
+      let created = false;
+      try {
+        await qdrant.getCollection(collection);
+      } catch {
+        const size = await getVectorSize();
+        await qdrant.createCollection(collection, {
+          vectors: { size, distance: VECTOR_STORE_CONFIG.DISTANCE },
+        });
+        created = true;
+      }
+
+      // Index de payload des filtres temporels, créés aussi sur les collections
+      // existantes (la création est idempotente)
+      for (const [field_name, field_schema] of Object.entries(
+        VECTOR_STORE_CONFIG.PAYLOAD_INDEXES
+      )) {
+        await qdrant.createPayloadIndex(collection, { field_name, field_schema, wait: true });
+      }
+
+      return created;
+    },
+
+    async upsert(points) {
+      await qdrant.upsert(collection, { wait: true, points });
+    },
+
+    async search(vector, { limit = 10, filter } = {}) {
+      const results = await qdrant.search(collection, {
+        vector,
+        limit,
+        filter,
+        with_payload: true,
+      });
+      return results.map(({ id, score, payload }) => ({ id, score, payload }));
+    },
+
+    async count(filter) {
+      const { count } = await qdrant.count(collection, { filter, exact: true });
+      return count;
+    },
+
+    async max(key, filter) {
+      // Tri sur l'index de payload : les points sans ce champ sont ignorés
+      const { points } = await qdrant.scroll(collection, {
+        filter,
+        limit: 1,
+        order_by: { key, direction: 'desc' },
+        with_payload: [key],
+        with_vector: false,
+      });
+      return points[0]?.payload?.[key] ?? null;
+    },
+
+    async deleteByFilter(filter) {
+      await qdrant.delete(collection, { filter, wait: true });
+    },
+  };
+}
+
+// =============================================================================
+// BACKEND LOCAL (FICHIER JSON)
+// =============================================================================
+
+/**
+ * Contenu des fichiers déjà chargés, partagé entre les requêtes
+ * Le fichier est relu si sa date de modification change (ex: après
+ * `npm run ingest` pendant que le serveur de développement tourne).
+ */
+const localFiles = new Map();
+
+/**
+ * Charge le contenu d'un fichier de vecteurs
+ * @param {string} filePath - Chemin absolu du fichier
+ * @returns {Object} - { collections: { [nom]: { size, points: Map } } }
+ */
+function loadLocalFile(filePath) {
+  const mtime = fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : 0;
+  const cached = localFiles.get(filePath);
+  if (cached && cached.mtime === mtime) return cached.data;
+
+  const data = { collections: {} };
+  if (mtime) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const [name, { size, points }] of Object.entries(raw.collections || {})) {
+      data.collections[name] = {
+        size,
+        points: new Map(points.map((point) => [point.id, withNorm(point)])),
+      };
+    }
+  }
+
+  localFiles.set(filePath, { mtime, data });
+  return data;
+}
+
+/**
+ * Écrit le fichier de vecteurs (fichier temporaire puis renommage, pour ne
+ * jamais laisser un fichier tronqué)
+ * @param {string} filePath - Chemin absolu du fichier
+ * @param {Object} data - Contenu chargé par loadLocalFile
+ */
+function saveLocalFile(filePath, data) {
+  const collections = {};
+  for (const [name, { size, points }] of Object.entries(data.collections)) {
+    collections[name] = {
+      size,
+      points: [...points.values()].map(({ id, vector, payload }) => ({ id, vector, payload })),
+    };
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, collections }));
+  fs.renameSync(tmpPath, filePath);
+
+  localFiles.set(filePath, { mtime: fs.statSync(filePath).mtimeMs, data });
+}
+
+/**
+ * Ajoute la norme du vecteur au point, pour ne la calculer qu'une fois
+ * @param {Object} point - Point { id, vector, payload }
+ * @returns {Object} - Point avec sa norme
+ */
+function withNorm(point) {
+  return { ...point, norm: Math.hypot(...point.vector) };
+}
+
+/**
+ * Similarité cosinus entre un vecteur et un point
+ * @param {Array<number>} vector - Vecteur de la requête
+ * @param {number} norm - Norme du vecteur de la requête
+ * @param {Object} point - Point stocké (avec sa norme)
+ * @returns {number} - Similarité entre -1 et 1
+ */
+function cosineSimilarity(vector, norm, point) {
+  let dot = 0;
+  for (let i = 0; i < vector.length; i++) {
+    dot += vector[i] * point.vector[i];
+  }
+  return norm && point.norm ? dot / (norm * point.norm) : 0;
+}
+
+/**
+ * Évalue une condition de filtre Qdrant sur un payload
+ * @param {Object} payload - Payload du point
+ * @param {Object} condition - Condition (match, range, is_empty ou filtre imbriqué)
+ * @returns {boolean} - true si la condition est satisfaite
+ */
+function matchesCondition(payload, condition) {
+  if (condition.must || condition.should || condition.must_not) {
+    return matchesFilter(payload, condition);
+  }
+  if (condition.is_empty) {
+    const value = payload[condition.is_empty.key];
+    return value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+  }
+
+  const value = payload[condition.key];
+  if (condition.match) {
+    if ('value' in condition.match) return value === condition.match.value;
+    if ('any' in condition.match) return condition.match.any.includes(value);
+    if ('except' in condition.match) return !condition.match.except.includes(value);
+  }
+  if (condition.range) {
+    if (value === undefined || value === null) return false;
+    // Les dates (chaînes) sont comparées comme des instants, à la manière des
+    // index datetime de Qdrant
+    const toComparable = (v) => (typeof v === 'string' ? Date.parse(v) : v);
+    const current = toComparable(value);
+    const { gt, gte, lt, lte } = condition.range;
+    return (
+      (gt == null || current > toComparable(gt)) &&
+      (gte == null || current >= toComparable(gte)) &&
+      (lt == null || current < toComparable(lt)) &&
+      (lte == null || current <= toComparable(lte))
+    );
+  }
+
+  throw new Error(`Condition de filtre non supportée: ${JSON.stringify(condition)}`);
+}
+
+/**
+ * Évalue un filtre Qdrant (must / should / must_not) sur un payload
+ * @param {Object} payload - Payload du point
+ * @param {Object} filter - Filtre Qdrant (optionnel)
+ * @returns {boolean} - true si le point est retenu
+ */
+export function matchesFilter(payload, filter) {
+  if (!filter) return true;
+  const { must = [], should = [], must_not: mustNot = [] } = filter;
+
+  return (
+    must.every((condition) => matchesCondition(payload, condition)) &&
+    (should.length === 0 || should.some((condition) => matchesCondition(payload, condition))) &&
+    !mustNot.some((condition) => matchesCondition(payload, condition))
+  );
+}
+
+/**
+ * Stockage dans un fichier JSON local, recherche exhaustive en mémoire
+ * @param {Object} config - Configuration du stockage
+ * @returns {Object} - Stockage vectoriel
+ */
+function createLocalStore({ localPath, collection }) {
+  // Les écritures sont sérialisées : des lots d'upsert concurrents ne doivent
+  // pas s'écraser mutuellement
+  let writeQueue = Promise.resolve();
+  const write = (mutate) => {
+    const run = writeQueue.then(() => {
+      const data = loadLocalFile(localPath);
+      const result = mutate(data);
+      saveLocalFile(localPath, data);
+      return result;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  const getCollection = () => {
+    const data = loadLocalFile(localPath);
+    const stored = data.collections[collection];
+    if (!stored) {
+      throw new Error(`Collection ${collection} introuvable dans ${localPath}`);
+    }
+    return stored;
+  };
+
+  return {
+    name: 'local',
+    collection,
+
+    async ensureCollection(getVectorSize) {
+      if (loadLocalFile(localPath).collections[collection]) return false;
+
+      const size = await getVectorSize();
+      return write((data) => {
+        data.collections[collection] ??= { size, points: new Map() };
+        return true;
+      });
+    },
+
+    async upsert(points) {
+      await write((data) => {
+        const stored = data.collections[collection];
+        for (const point of points) {
+          if (point.vector.length !== stored.size) {
+            throw new Error(
+              `Dimension invalide: ${point.vector.length} au lieu de ${stored.size} (point ${point.id})`
+            );
+          }
+          stored.points.set(point.id, withNorm(point));
+        }
+      });
+    },
+
+    async search(vector, { limit = 10, filter } = {}) {
+      const norm = Math.hypot(...vector);
+      const results = [];
+
+      for (const point of getCollection().points.values()) {
+        if (!matchesFilter(point.payload, filter)) continue;
+        results.push({
+          id: point.id,
+          score: cosineSimilarity(vector, norm, point),
+          payload: point.payload,
+        });
+      }
+
+      return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    },
+
+    async count(filter) {
+      const stored = loadLocalFile(localPath).collections[collection];
+      if (!stored) return 0;
+      return [...stored.points.values()].filter((point) => matchesFilter(point.payload, filter))
+        .length;
+    },
+
+    async max(key, filter) {
+      const stored = loadLocalFile(localPath).collections[collection];
+      if (!stored) return null;
+      let max = null;
+      for (const point of stored.points.values()) {
+        const value = point.payload?.[key];
+        if (value == null || !matchesFilter(point.payload, filter)) continue;
+        if (max === null || value > max) max = value;
+      }
+      return max;
+    },
+
+    async deleteByFilter(filter) {
+      await write((data) => {
+        const stored = data.collections[collection];
+        if (!stored) return;
+        for (const [id, point] of stored.points) {
+          if (matchesFilter(point.payload, filter)) stored.points.delete(id);
+        }
+      });
+    },
+  };
+}